@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+import { run } from "../src/cli/zenodo2commons.js";
+
+process.exitCode = await run(process.argv.slice(2));
@@ -34,7 +34,11 @@
     }
     
     const button = document.createElement('a');
-    button.href = `${ZENODO2COMMONS_URL}${recordId}`;
+    // Records on the sandbox are routed as host/records/id
+    const host = window.location.hostname;
+    button.href = host === 'zenodo.org'
+      ? `${ZENODO2COMMONS_URL}${recordId}`
+      : `${ZENODO2COMMONS_URL}${host}/records/${recordId}`;
     button.target = '_blank';
     button.rel = 'noopener noreferrer';
     button.className = 'ui button zenodo2commons-button';
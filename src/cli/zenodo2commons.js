@@ -0,0 +1,245 @@
+/**
+ * Command-line interface for turning a Zenodo record into Commons upload
+ * data: wikitext per file, Special:Upload URLs or a JSON manifest.
+ */
+
+import { readFile } from "node:fs/promises";
+import { buildRecordManifest } from "../utils/recordMapping.js";
+import { parseRecordIdentifier, resolveDoi } from "../utils/recordIdentifiers.js";
+import { fetchProviderRecord, normalizeRecordJson } from "../utils/providers.js";
+import { isConceptReference } from "../utils/versions.js";
+import { CITATION_STYLES, DEFAULT_CITATION_STYLE } from "../utils/citations.js";
+import { SECTION_STYLES, DEFAULT_SECTION_STYLE } from "../utils/descriptionSections.js";
+import { FILE_TEMPLATES } from "../utils/fileTemplates.js";
+
+export const OUTPUT_FORMATS = ["wikitext", "urls", "json"];
+
+export const USAGE = `Usage: zenodo2commons [options] <record ID | DOI | record URL | record.json>
+
+Options:
+  --format <wikitext|urls|json>  Output format (default: wikitext)
+  --offline <record.json>        Read the record from a saved API response
+                                 and never access the network
+  --use-filename                 Append each file name to the record title
+  --category <name>              Add a category to the wikitext (repeatable);
+                                 see suggestedCategories in the JSON manifest
+  --citation-style <style>       Citation of the record: ${Object.keys(CITATION_STYLES).join(", ")}
+                                 or none (default: ${DEFAULT_CITATION_STYLE})
+  --sections <style>             Methods, notes and other additional descriptions:
+                                 ${Object.keys(SECTION_STYLES).join(", ")} or none (default: ${DEFAULT_SECTION_STYLE})
+  --template <template>          File page template: ${Object.keys(FILE_TEMPLATES).join(", ")}
+                                 or auto to choose by resource type (default: auto)
+  -h, --help                     Show this help`;
+
+/**
+ * Parses command-line arguments.
+ *
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {{input: string, offline: string, format: string,
+ *   useFilenameInTitle: boolean, categories: string[], citationStyle: string,
+ *   sectionStyle: string, fileTemplate: string, help: boolean}} - Parsed options
+ * @throws {Error} - On unknown options or missing values
+ */
+export function parseArgs(argv) {
+  const options = {
+    input: "",
+    offline: "",
+    format: "wikitext",
+    useFilenameInTitle: false,
+    categories: [],
+    citationStyle: DEFAULT_CITATION_STYLE,
+    sectionStyle: DEFAULT_SECTION_STYLE,
+    fileTemplate: "",
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [name, inlineValue] = arg.startsWith("--") ? arg.split(/=(.*)/s) : [arg];
+    const takeValue = () => {
+      const value = inlineValue ?? argv[++i];
+      if (!value) throw new Error(`${name} needs a value.`);
+      return value;
+    };
+
+    if (name === "-h" || name === "--help") {
+      options.help = true;
+    } else if (name === "--format") {
+      options.format = takeValue();
+      if (!OUTPUT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}". Use one of: ${OUTPUT_FORMATS.join(", ")}.`);
+      }
+    } else if (name === "--offline") {
+      options.offline = takeValue();
+    } else if (name === "--use-filename") {
+      options.useFilenameInTitle = true;
+    } else if (name === "--category") {
+      options.categories.push(takeValue());
+    } else if (name === "--citation-style") {
+      const style = takeValue();
+      if (style !== "none" && !CITATION_STYLES[style]) {
+        throw new Error(`Unknown citation style "${style}". Use one of: ${Object.keys(CITATION_STYLES).join(", ")}, none.`);
+      }
+      options.citationStyle = style === "none" ? "" : style;
+    } else if (name === "--sections") {
+      const style = takeValue();
+      if (style !== "none" && !SECTION_STYLES[style]) {
+        throw new Error(`Unknown section style "${style}". Use one of: ${Object.keys(SECTION_STYLES).join(", ")}, none.`);
+      }
+      options.sectionStyle = style === "none" ? "" : style;
+    } else if (name === "--template") {
+      const template = takeValue();
+      if (template !== "auto" && !FILE_TEMPLATES[template]) {
+        throw new Error(`Unknown template "${template}". Use one of: ${Object.keys(FILE_TEMPLATES).join(", ")}, auto.`);
+      }
+      options.fileTemplate = template === "auto" ? "" : template;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (options.input) {
+      throw new Error("Only one record can be given.");
+    } else {
+      options.input = arg;
+    }
+  }
+
+  if (!options.help) {
+    if (options.offline && options.input) {
+      throw new Error("--offline reads the record from a file; do not also give a record.");
+    }
+    if (!options.offline && !options.input) {
+      throw new Error("No record given.");
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Loads the record named by the parsed options.
+ *
+ * @param {Object} options - Result of parseArgs
+ * @param {Object} io - I/O functions
+ * @param {Function} io.fetchFn - fetch implementation
+ * @param {Function} io.readFileFn - Reads a file as UTF-8 text
+ * @returns {Promise<{record: Object, instance: Object}>} - Normalized record and the
+ *   profile of the instance it is on
+ */
+async function loadRecord(options, io) {
+  const path = options.offline || (options.input.endsWith(".json") ? options.input : "");
+  if (path) {
+    const loaded = normalizeRecordJson(JSON.parse(await io.readFileFn(path)));
+    if (!loaded) throw new Error(`${path} does not contain a Zenodo record or Figshare article.`);
+    return loaded;
+  }
+
+  let reference = parseRecordIdentifier(options.input);
+  if (!reference) throw new Error(`"${options.input}" is not a Zenodo record ID, DOI, record URL or JSON file.`);
+  if (!reference.id) {
+    reference = await resolveDoi(reference.doi, io.fetchFn);
+    if (!reference) throw new Error(`${options.input} does not point to a Zenodo or InvenioRDM record.`);
+  }
+  return fetchProviderRecord(reference, { fetchFn: io.fetchFn });
+}
+
+/**
+ * Formats a manifest for output.
+ *
+ * @param {Object} manifest - Manifest from buildRecordManifest
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string} - Text to print
+ */
+export function formatOutput(manifest, format) {
+  if (format === "json") return JSON.stringify(manifest, null, 2);
+
+  const files = manifest.files.filter((file) => file.uploadable);
+  if (format === "urls") return files.map((file) => file.uploadUrl).join("\n");
+
+  return files.map((file) => `# File:${file.destFile}\n${file.wikitext}`).join("\n\n");
+}
+
+/**
+ * Runs the CLI.
+ *
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} [io] - I/O functions (for testing)
+ * @param {Function} [io.fetchFn] - fetch implementation
+ * @param {Function} [io.readFileFn] - Reads a file as UTF-8 text
+ * @param {Function} [io.stdout] - Writes a line of output
+ * @param {Function} [io.stderr] - Writes a line of diagnostics
+ * @returns {Promise<number>} - Exit code: 0 on success, 1 on errors, 2 on usage errors
+ */
+export async function run(argv, io = {}) {
+  const {
+    fetchFn = (...args) => fetch(...args),
+    readFileFn = (path) => readFile(path, "utf8"),
+    stdout = (text) => process.stdout.write(`${text}\n`),
+    stderr = (text) => process.stderr.write(`${text}\n`)
+  } = io;
+
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    stderr(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    stdout(USAGE);
+    return 0;
+  }
+
+  try {
+    const offlineFetch = () => {
+      throw new Error("Network access is disabled by --offline.");
+    };
+    const { record, instance } = await loadRecord(options, {
+      fetchFn: options.offline ? offlineFetch : fetchFn,
+      readFileFn,
+    });
+    const id = parseRecordIdentifier(options.input)?.id;
+    if (!options.offline && id && isConceptReference(id, record)) {
+      stderr(`${id} is a concept ID; using its latest version, record ${record.id}.`);
+    }
+    const manifest = buildRecordManifest(record, {
+      useFilenameInTitle: options.useFilenameInTitle,
+      categories: options.categories,
+      citationStyle: options.citationStyle,
+      sectionStyle: options.sectionStyle,
+      fileTemplate: options.fileTemplate,
+      instance,
+    });
+
+    // The manifest explains rejected licenses itself
+    if (options.format !== "json" && !manifest.license.allowed) {
+      stderr(manifest.license.reason);
+      return 1;
+    }
+    if (options.format !== "json") {
+      manifest.files
+        .filter((file) => !file.uploadable)
+        .forEach((file) => stderr(`Skipped ${file.key}: ${file.reason}`));
+      manifest.files
+        .filter((file) => file.uploadable)
+        .forEach((file) =>
+          file.wikitextProblems.forEach((problem) =>
+            stderr(`Check the wikitext of ${file.key}, line ${problem.line}: ${problem.message}`)
+          )
+        );
+    }
+    if (options.format === "urls") {
+      manifest.files
+        .filter((file) => file.uploadUrlTruncated)
+        .forEach((file) => stderr(`Description shortened to fit the URL for ${file.key}.`));
+      manifest.files
+        .filter((file) => file.uploadable && !file.uploadByUrl)
+        .forEach((file) => stderr(`Commons cannot fetch files from ${instance.host}; download ${file.key} and choose it in the form.`));
+    }
+
+    stdout(formatOutput(manifest, options.format));
+    return 0;
+  } catch (e) {
+    stderr(e.message);
+    return 1;
+  }
+}
@@ -0,0 +1,262 @@
+import { describe, it, expect } from "vitest";
+import { parseArgs, formatOutput, run } from "./zenodo2commons.js";
+import figshareArticle from "../utils/fixtures/figshare-article.json";
+
+const record = {
+  id: 12345,
+  metadata: {
+    title: "Calendar Cover 2025",
+    description: "<p>Image from the calendar.</p>",
+    publication_date: "2025-01-15",
+    license: { id: "cc-by-4.0" },
+    creators: [{ name: "Doe, Jane" }]
+  },
+  files: [
+    { key: "cover.png", size: 1024 },
+    { key: "back.jpg", size: 2048 }
+  ]
+};
+
+// Runs the CLI with in-memory I/O
+async function runCli(argv, { files = {}, fetchFn } = {}) {
+  const out = [];
+  const err = [];
+  const requests = [];
+  const code = await run(argv, {
+    fetchFn: fetchFn || (async (url) => {
+      requests.push(url);
+      return { ok: true, json: async () => record };
+    }),
+    readFileFn: async (path) => {
+      if (!(path in files)) throw new Error(`ENOENT: ${path}`);
+      return files[path];
+    },
+    stdout: (text) => out.push(text),
+    stderr: (text) => err.push(text)
+  });
+  return { code, stdout: out.join("\n"), stderr: err.join("\n"), requests };
+}
+
+describe("zenodo2commons CLI", () => {
+  describe("parseArgs", () => {
+    it("parses options", () => {
+      expect(parseArgs(["--format", "json", "--use-filename", "12345"])).toEqual({
+        input: "12345",
+        offline: "",
+        format: "json",
+        useFilenameInTitle: true,
+        categories: [],
+        citationStyle: "apa",
+        sectionStyle: "labelled",
+        fileTemplate: "",
+        help: false
+      });
+      expect(parseArgs(["--format=urls", "--offline=record.json"])).toMatchObject({
+        format: "urls",
+        offline: "record.json"
+      });
+    });
+
+    it("parses the citation style", () => {
+      expect(parseArgs(["--citation-style", "ieee", "1"]).citationStyle).toBe("ieee");
+      expect(parseArgs(["--citation-style=none", "1"]).citationStyle).toBe("");
+      expect(() => parseArgs(["--citation-style", "mla", "1"])).toThrow('Unknown citation style "mla"');
+    });
+
+    it("parses the section style", () => {
+      expect(parseArgs(["--sections", "collapsed", "1"]).sectionStyle).toBe("collapsed");
+      expect(parseArgs(["--sections=none", "1"]).sectionStyle).toBe("");
+      expect(() => parseArgs(["--sections", "hidden", "1"])).toThrow('Unknown section style "hidden"');
+    });
+
+    it("parses the file template", () => {
+      expect(parseArgs(["--template", "book", "1"]).fileTemplate).toBe("book");
+      expect(parseArgs(["--template=auto", "1"]).fileTemplate).toBe("");
+      expect(() => parseArgs(["--template", "artwork", "1"])).toThrow('Unknown template "artwork"');
+    });
+
+    it("collects repeated categories", () => {
+      expect(parseArgs(["--category", "Posters", "--category=Microscopy", "1"]).categories)
+        .toEqual(["Posters", "Microscopy"]);
+    });
+
+    it("rejects invalid arguments", () => {
+      expect(() => parseArgs([])).toThrow("No record given.");
+      expect(() => parseArgs(["--format", "xml", "1"])).toThrow('Unknown format "xml"');
+      expect(() => parseArgs(["--verbose", "1"])).toThrow("Unknown option: --verbose");
+      expect(() => parseArgs(["--offline"])).toThrow("--offline needs a value.");
+      expect(() => parseArgs(["--offline", "a.json", "1"])).toThrow("do not also give a record");
+      expect(() => parseArgs(["1", "2"])).toThrow("Only one record can be given.");
+    });
+
+    it("allows --help without a record", () => {
+      expect(parseArgs(["--help"]).help).toBe(true);
+    });
+  });
+
+  describe("formatOutput", () => {
+    const manifest = {
+      files: [
+        { key: "a.png", uploadable: true, destFile: "A.png", wikitext: "text a", uploadUrl: "https://a" },
+        { key: "b.txt", uploadable: false },
+        { key: "c.png", uploadable: true, destFile: "C.png", wikitext: "text c", uploadUrl: "https://c" }
+      ]
+    };
+
+    it("prints wikitext per file", () => {
+      expect(formatOutput(manifest, "wikitext")).toBe("# File:A.png\ntext a\n\n# File:C.png\ntext c");
+    });
+
+    it("prints one URL per line", () => {
+      expect(formatOutput(manifest, "urls")).toBe("https://a\nhttps://c");
+    });
+
+    it("prints the manifest as JSON", () => {
+      expect(JSON.parse(formatOutput(manifest, "json"))).toEqual(manifest);
+    });
+  });
+
+  describe("run", () => {
+    it("fetches records by DOI", async () => {
+      const result = await runCli(["10.5281/zenodo.12345"]);
+      expect(result.code).toBe(0);
+      expect(result.requests).toEqual(["https://zenodo.org/api/records/12345"]);
+      expect(result.stdout).toContain("# File:Calendar Cover 2025.png\n{{Information");
+      expect(result.stdout).toContain("# File:Calendar Cover 2025.jpg");
+    });
+
+    it("reads saved JSON files", async () => {
+      const files = { "record.json": JSON.stringify(record) };
+      const result = await runCli(["--format", "urls", "record.json"], { files });
+      expect(result.code).toBe(0);
+      expect(result.requests).toHaveLength(0);
+      expect(result.stdout.split("\n")).toHaveLength(2);
+      expect(result.stdout).toContain("https://commons.wikimedia.org/wiki/Special:Upload?");
+    });
+
+    it("never uses the network with --offline", async () => {
+      const fetchFn = async () => {
+        throw new Error("network used");
+      };
+      const files = { "record.json": JSON.stringify(record) };
+      const result = await runCli(["--offline", "record.json", "--format", "json"], { files, fetchFn });
+      expect(result.code).toBe(0);
+      expect(JSON.parse(result.stdout).files[0].destFile).toBe("Calendar Cover 2025.png");
+    });
+
+    it("adds accepted categories to the wikitext", async () => {
+      const result = await runCli(["--category", "Microscopy", "12345"]);
+      expect(result.stdout).toContain("[[Category:Uploaded with zenodo2commons]]\n[[Category:Microscopy]]");
+    });
+
+    it("notes when a concept ID resolves to the latest version", async () => {
+      const latest = { ...record, id: 12346, conceptrecid: "12345" };
+      const fetchFn = async () => ({ ok: true, json: async () => latest });
+      const result = await runCli(["12345"], { fetchFn });
+      expect(result.code).toBe(0);
+      expect(result.stderr).toBe("12345 is a concept ID; using its latest version, record 12346.");
+      expect((await runCli(["12345"])).stderr).toBe("");
+    });
+
+    it("skips file types Commons does not accept", async () => {
+      const withData = { ...record, files: [...record.files, { key: "data.zip", size: 10 }] };
+      const files = { "record.json": JSON.stringify(withData) };
+      const result = await runCli(["--offline", "record.json", "--format", "urls"], { files });
+      expect(result.code).toBe(0);
+      expect(result.stdout.split("\n")).toHaveLength(2);
+      expect(result.stderr).toContain("Skipped data.zip: Commons does not accept archives.");
+    });
+
+    it("warns about wikitext problems", async () => {
+      // A code block that closes its own syntaxhighlight tag
+      const description = "<pre>x &lt;/syntaxhighlight&gt; '''</pre>";
+      const broken = { ...record, metadata: { ...record.metadata, description }, files: [record.files[0]] };
+      const files = { "broken.json": JSON.stringify(broken) };
+      const result = await runCli(["--offline", "broken.json"], { files });
+      expect(result.code).toBe(0);
+      expect(result.stderr).toMatch(/^Check the wikitext of cover\.png, line \d+: ''' \(bold\) is not closed on its line$/);
+    });
+
+    it("explains incompatible licenses", async () => {
+      const nc = { ...record, metadata: { ...record.metadata, license: { id: "cc-by-nc-4.0" } } };
+      const files = { "nc.json": JSON.stringify(nc) };
+
+      const result = await runCli(["--offline", "nc.json"], { files });
+      expect(result.code).toBe(1);
+      expect(result.stdout).toBe("");
+      expect(result.stderr).toContain("NonCommercial");
+
+      const json = await runCli(["--offline", "nc.json", "--format", "json"], { files });
+      expect(json.code).toBe(0);
+      expect(JSON.parse(json.stdout).license.allowed).toBe(false);
+    });
+
+    it("fetches records from other InvenioRDM hosts", async () => {
+      const result = await runCli(["https://sandbox.zenodo.org/records/5?preview=1"]);
+      expect(result.code).toBe(0);
+      expect(result.requests).toEqual(["https://sandbox.zenodo.org/api/records/5"]);
+      expect(result.stdout).toContain("|source=https://sandbox.zenodo.org/records/12345");
+      expect(result.stdout).not.toContain("{{Zenodo|");
+    });
+
+    it("notes files Commons cannot fetch by URL", async () => {
+      const result = await runCli(["--format", "urls", "https://data.caltech.edu/records/ab1cd-ef234"]);
+      expect(result.code).toBe(0);
+      expect(new URL(result.stdout.split("\n")[0]).searchParams.get("wpSourceType")).toBe("file");
+      expect(result.stderr).toContain(
+        "Commons cannot fetch files from data.caltech.edu; download cover.png and choose it in the form."
+      );
+    });
+
+    it("resolves DOIs of other repositories", async () => {
+      const requests = [];
+      const fetchFn = async (url) => {
+        requests.push(url);
+        if (url.startsWith("https://doi.org/")) {
+          const value = url.includes("10.1000") ? "https://example.org/article" : "https://data.caltech.edu/records/ab1cd-ef234";
+          return { ok: true, json: async () => ({ values: [{ type: "URL", data: { value } }] }) };
+        }
+        return { ok: true, json: async () => record };
+      };
+      expect((await runCli(["10.22002/D1.20095"], { fetchFn })).code).toBe(0);
+      expect(requests[1]).toBe("https://data.caltech.edu/api/records/ab1cd-ef234");
+
+      const elsewhere = await runCli(["10.1000/xyz"], { fetchFn });
+      expect(elsewhere.code).toBe(1);
+      expect(elsewhere.stderr).toBe("10.1000/xyz does not point to a Zenodo or InvenioRDM record.");
+    });
+
+    it("reads Figshare articles", async () => {
+      const fetchFn = async () => ({ ok: true, json: async () => figshareArticle });
+      const result = await runCli(["https://figshare.com/articles/figure/Confocal/21545829"], { fetchFn });
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain("# File:Confocal images of HeLa cells stained for tubulin.png");
+      expect(result.stdout).toContain("{{Figshare|21545829}}");
+
+      const offline = await runCli(["--offline", "article.json"], {
+        files: { "article.json": JSON.stringify(figshareArticle) }
+      });
+      expect(offline.stdout).toContain("|source=https://figshare.com/articles/21545829");
+    });
+
+    it("reports errors", async () => {
+      expect((await runCli(["not a record"])).stderr).toContain("is not a Zenodo record ID");
+      expect((await runCli(["--offline", "missing.json"])).code).toBe(1);
+      expect((await runCli(["--offline", "empty.json"], { files: { "empty.json": "{}" } })).stderr)
+        .toContain("does not contain a Zenodo record");
+      const notFound = await runCli(["1"], { fetchFn: async () => ({ ok: false, statusText: "Not Found" }) });
+      expect(notFound.code).toBe(1);
+      expect(notFound.stderr).toBe("Failed to fetch record: Not Found");
+    });
+
+    it("prints usage on --help and on usage errors", async () => {
+      const help = await runCli(["--help"]);
+      expect(help.code).toBe(0);
+      expect(help.stdout).toContain("Usage: zenodo2commons");
+
+      const usage = await runCli([]);
+      expect(usage.code).toBe(2);
+      expect(usage.stderr).toContain("No record given.");
+    });
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Resolves Zenodo creators to Wikidata items.
+ *
+ * Creators are matched by ORCID iD (Wikidata property P496) and, optionally,
+ * by name plus affiliation. Matches are cached locally so each author is
+ * looked up only once and can be corrected by hand.
+ */
+
+import { normalizeOrcid, toDisplayName } from "./creators.js";
+
+export const WIKIDATA_SPARQL_URL = "https://query.wikidata.org/sparql";
+
+const ENTITY_PREFIX = "http://www.wikidata.org/entity/";
+
+// localStorage key for cached matches
+const CACHE_STORAGE_KEY = "authorCache";
+
+// Characters a SPARQL string literal cannot hold as they are
+const SPARQL_ESCAPES = { "\\": "\\\\", '"': '\\"', "\n": "\\n", "\r": "\\r", "\t": "\\t" };
+
+/**
+ * Escapes a value for use inside a SPARQL string literal.
+ *
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value
+ */
+function sparqlString(value) {
+  return `"${value.replace(/[\\"\n\r\t]/g, (char) => SPARQL_ESCAPES[char])}"`;
+}
+
+/**
+ * Builds a query finding items by ORCID iD, with their Commons Creator page (P1472).
+ *
+ * @param {string[]} orcids - Bare ORCID iDs
+ * @returns {string} - SPARQL query
+ */
+export function buildOrcidQuery(orcids) {
+  const values = orcids.map(sparqlString).join(" ");
+  return `SELECT ?item ?itemLabel ?orcid ?creatorTemplate WHERE {
+  VALUES ?orcid { ${values} }
+  ?item wdt:P496 ?orcid .
+  OPTIONAL { ?item wdt:P1472 ?creatorTemplate . }
+  SERVICE wikibase:label { bd:serviceParam wikibase:language "en". }
+}`;
+}
+
+/**
+ * Builds a query finding humans by English label, optionally narrowed by the
+ * label of their employer (P108) or affiliation (P1416).
+ *
+ * @param {string} name - Name in display order
+ * @param {string} [affiliation] - Affiliation name
+ * @returns {string} - SPARQL query
+ */
+export function buildNameQuery(name, affiliation = "") {
+  const affiliationPattern = affiliation
+    ? `\n  ?item wdt:P108|wdt:P1416 ?organization .\n  ?organization rdfs:label ${sparqlString(affiliation)}@en .`
+    : "";
+  return `SELECT DISTINCT ?item ?itemLabel ?creatorTemplate WHERE {
+  ?item rdfs:label ${sparqlString(name)}@en ;
+        wdt:P31 wd:Q5 .${affiliationPattern}
+  OPTIONAL { ?item wdt:P1472 ?creatorTemplate . }
+  SERVICE wikibase:label { bd:serviceParam wikibase:language "en". }
+}
+LIMIT 5`;
+}
+
+/**
+ * Builds a query fetching the label and Creator page of a known item.
+ *
+ * @param {string} wikidataId - Item ID (e.g. "Q42")
+ * @returns {string} - SPARQL query
+ */
+export function buildItemQuery(wikidataId) {
+  return `SELECT ?item ?itemLabel ?creatorTemplate WHERE {
+  VALUES ?item { wd:${wikidataId} }
+  OPTIONAL { ?item wdt:P1472 ?creatorTemplate . }
+  SERVICE wikibase:label { bd:serviceParam wikibase:language "en". }
+}`;
+}
+
+/**
+ * Runs a SPARQL query and returns the result bindings.
+ *
+ * @param {string} query - SPARQL query
+ * @param {Object} [options] - Options
+ * @param {string} [options.endpoint] - SPARQL endpoint URL
+ * @param {Function} [options.fetchFn] - fetch implementation (for testing)
+ * @returns {Promise<Array<Object>>} - Result bindings
+ */
+export async function runSparql(query, options = {}) {
+  const {
+    endpoint = WIKIDATA_SPARQL_URL,
+    fetchFn = (...args) => fetch(...args)
+  } = options;
+
+  const url = `${endpoint}?${new URLSearchParams({ query, format: "json" }).toString()}`;
+  const res = await fetchFn(url, { headers: { Accept: "application/sparql-results+json" } });
+  if (!res.ok) throw new Error(`Wikidata query failed: ${res.statusText}`);
+  const data = await res.json();
+  return data.results?.bindings || [];
+}
+
+/**
+ * Converts a result binding into a match.
+ *
+ * @param {Object} binding - SPARQL result binding
+ * @param {string} source - How the match was found ("orcid", "name" or "manual")
+ * @returns {{wikidataId: string, label: string, creatorTemplate: string|null, source: string}}
+ */
+function toMatch(binding, source) {
+  return {
+    wikidataId: binding.item.value.replace(ENTITY_PREFIX, ""),
+    label: binding.itemLabel?.value || "",
+    creatorTemplate: binding.creatorTemplate?.value || null,
+    source,
+  };
+}
+
+/**
+ * Looks up the label and Creator page of an item entered by hand.
+ *
+ * @param {string} wikidataId - Item ID (e.g. "Q42")
+ * @param {Object} [options] - Same options as runSparql
+ * @returns {Promise<Object|null>} - Match, or null if the item does not exist
+ */
+export async function lookupItem(wikidataId, options = {}) {
+  if (!/^Q\d+$/.test(wikidataId)) return null;
+  const [binding] = await runSparql(buildItemQuery(wikidataId), options);
+  return binding ? toMatch(binding, "manual") : null;
+}
+
+/**
+ * Returns the cache key for a creator.
+ *
+ * @param {{name: string, orcid?: string, affiliation?: string}} creator - Zenodo creator
+ * @returns {string} - Key based on the ORCID iD when available, otherwise on the name
+ */
+export function authorCacheKey(creator) {
+  const orcid = normalizeOrcid(creator.orcid);
+  if (orcid) return `orcid:${orcid.toUpperCase()}`;
+  return `name:${creator.name || ""}|${creator.affiliation || ""}`;
+}
+
+/**
+ * Creates a cache of creator matches backed by a Storage object.
+ *
+ * A cached `null` records that no match was found, so the creator is not
+ * looked up again.
+ *
+ * @param {Storage|null} [storage] - Storage to persist to (e.g. localStorage)
+ * @returns {Object} - Cache with `has`, `get`, `set`, `remove` and `entries`
+ */
+export function createAuthorCache(storage = null) {
+  let entries = {};
+  try {
+    entries = JSON.parse(storage?.getItem(CACHE_STORAGE_KEY) || "{}");
+  } catch (e) {
+    // Corrupt or unavailable storage: start with an empty cache
+  }
+
+  function persist() {
+    try {
+      storage?.setItem(CACHE_STORAGE_KEY, JSON.stringify(entries));
+    } catch (e) {
+      // Storage may be full or disabled; the cache still works in memory
+    }
+  }
+
+  return {
+    has: (key) => Object.prototype.hasOwnProperty.call(entries, key),
+    get: (key) => entries[key] ?? null,
+    set: (key, match) => {
+      entries = { ...entries, [key]: match };
+      persist();
+    },
+    remove: (key) => {
+      const { [key]: removed, ...rest } = entries;
+      entries = rest;
+      persist();
+    },
+    entries: () => ({ ...entries }),
+  };
+}
+
+/**
+ * Resolves creators to Wikidata items.
+ *
+ * @param {Array<{name: string, orcid?: string, affiliation?: string}>} creators - Zenodo creators
+ * @param {Object} [options] - Options
+ * @param {Object} [options.cache] - Cache from createAuthorCache
+ * @param {boolean} [options.matchByName] - Also try name (and affiliation) when there is no ORCID match
+ * @param {string} [options.endpoint] - SPARQL endpoint URL
+ * @param {Function} [options.fetchFn] - fetch implementation (for testing)
+ * @returns {Promise<Array<Object|null>>} - One match (or null) per creator
+ */
+export async function resolveAuthors(creators, options = {}) {
+  const {
+    cache = createAuthorCache(),
+    matchByName = false,
+    ...sparqlOptions
+  } = options;
+
+  if (!Array.isArray(creators) || creators.length === 0) return [];
+
+  const keys = creators.map(authorCacheKey);
+  const results = keys.map((key) => (cache.has(key) ? cache.get(key) : undefined));
+
+  // One query for all uncached ORCID iDs
+  const orcids = creators
+    .map((creator, i) => (results[i] === undefined ? normalizeOrcid(creator.orcid).toUpperCase() : ""))
+    .filter((orcid) => orcid.length > 0);
+
+  if (orcids.length > 0) {
+    const bindings = await runSparql(buildOrcidQuery([...new Set(orcids)]), sparqlOptions);
+    const byOrcid = {};
+    bindings.forEach((binding) => {
+      const orcid = binding.orcid.value.toUpperCase();
+      // Keep the first item if an ORCID iD is (wrongly) on several items
+      if (!byOrcid[orcid]) byOrcid[orcid] = toMatch(binding, "orcid");
+    });
+    creators.forEach((creator, i) => {
+      const orcid = normalizeOrcid(creator.orcid).toUpperCase();
+      if (results[i] === undefined && orcid && byOrcid[orcid]) results[i] = byOrcid[orcid];
+    });
+  }
+
+  if (matchByName) {
+    for (let i = 0; i < creators.length; i++) {
+      if (results[i] !== undefined || !creators[i].name) continue;
+      const name = toDisplayName(creators[i].name);
+      const bindings = await runSparql(buildNameQuery(name, creators[i].affiliation), sparqlOptions);
+      const items = new Set(bindings.map((binding) => binding.item.value));
+      // Only accept unambiguous name matches
+      if (items.size === 1) results[i] = toMatch(bindings[0], "name");
+    }
+  }
+
+  return results.map((result, i) => {
+    if (result !== undefined) {
+      if (!cache.has(keys[i])) cache.set(keys[i], result);
+      return result;
+    }
+    cache.set(keys[i], null);
+    return null;
+  });
+}
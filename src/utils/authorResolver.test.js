@@ -0,0 +1,214 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildOrcidQuery,
+  buildNameQuery,
+  lookupItem,
+  authorCacheKey,
+  createAuthorCache,
+  resolveAuthors
+} from "./authorResolver.js";
+
+const ENTITY = "http://www.wikidata.org/entity/";
+
+function binding(item, label, extra = {}) {
+  const result = {
+    item: { type: "uri", value: `${ENTITY}${item}` },
+    itemLabel: { type: "literal", value: label }
+  };
+  Object.entries(extra).forEach(([key, value]) => {
+    result[key] = { type: "literal", value };
+  });
+  return result;
+}
+
+// Returns a fetch stub answering every query with handler(query)
+function createMockSparql(handler) {
+  const queries = [];
+  const fetchFn = async (url) => {
+    const query = new URL(url).searchParams.get("query");
+    queries.push(query);
+    return {
+      ok: true,
+      json: async () => ({ results: { bindings: handler(query) } })
+    };
+  };
+  return { fetchFn, queries };
+}
+
+function createMemoryStorage() {
+  const data = {};
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = value;
+    }
+  };
+}
+
+describe("authorResolver", () => {
+  describe("buildOrcidQuery", () => {
+    it("looks up all ORCID iDs through P496", () => {
+      const query = buildOrcidQuery(["0000-0002-1825-0097", "0000-0001-5109-3700"]);
+      expect(query).toContain('VALUES ?orcid { "0000-0002-1825-0097" "0000-0001-5109-3700" }');
+      expect(query).toContain("?item wdt:P496 ?orcid");
+      expect(query).toContain("wdt:P1472 ?creatorTemplate");
+    });
+  });
+
+  describe("buildNameQuery", () => {
+    it("matches humans by label and escapes quotes", () => {
+      const query = buildNameQuery('Jane "JD" Doe');
+      expect(query).toContain('rdfs:label "Jane \\"JD\\" Doe"@en');
+      expect(query).toContain("wdt:P31 wd:Q5");
+      expect(query).not.toContain("?organization");
+    });
+
+    it("escapes line breaks and tabs", () => {
+      const query = buildNameQuery("Jane\nDoe\r\tJr.", "Lab\\1");
+      expect(query).toContain('rdfs:label "Jane\\nDoe\\r\\tJr."@en');
+      expect(query).toContain('rdfs:label "Lab\\\\1"@en');
+    });
+
+    it("narrows by affiliation when given", () => {
+      const query = buildNameQuery("Jane Doe", "CERN");
+      expect(query).toContain("wdt:P108|wdt:P1416 ?organization");
+      expect(query).toContain('?organization rdfs:label "CERN"@en');
+    });
+  });
+
+  describe("lookupItem", () => {
+    it("returns the label and Creator page of an item", async () => {
+      const { fetchFn } = createMockSparql(() => [binding("Q42", "Jane Doe", { creatorTemplate: "Jane Doe" })]);
+      expect(await lookupItem("Q42", { fetchFn })).toEqual({
+        wikidataId: "Q42",
+        label: "Jane Doe",
+        creatorTemplate: "Jane Doe",
+        source: "manual"
+      });
+    });
+
+    it("rejects invalid IDs without querying", async () => {
+      const { fetchFn, queries } = createMockSparql(() => []);
+      expect(await lookupItem("42", { fetchFn })).toBe(null);
+      expect(queries).toHaveLength(0);
+    });
+  });
+
+  describe("authorCacheKey", () => {
+    it("prefers the ORCID iD", () => {
+      expect(authorCacheKey({ name: "Doe, Jane", orcid: "https://orcid.org/0000-0002-1825-009x" }))
+        .toBe("orcid:0000-0002-1825-009X");
+    });
+
+    it("falls back to name and affiliation", () => {
+      expect(authorCacheKey({ name: "Doe, Jane", affiliation: "CERN" })).toBe("name:Doe, Jane|CERN");
+      expect(authorCacheKey({ name: "Doe, Jane" })).toBe("name:Doe, Jane|");
+    });
+  });
+
+  describe("createAuthorCache", () => {
+    it("persists entries to storage", () => {
+      const storage = createMemoryStorage();
+      const cache = createAuthorCache(storage);
+      cache.set("orcid:1", { wikidataId: "Q1" });
+      cache.set("orcid:2", null);
+
+      const reloaded = createAuthorCache(storage);
+      expect(reloaded.get("orcid:1")).toEqual({ wikidataId: "Q1" });
+      expect(reloaded.has("orcid:2")).toBe(true);
+      expect(reloaded.get("orcid:2")).toBe(null);
+
+      reloaded.remove("orcid:1");
+      expect(createAuthorCache(storage).has("orcid:1")).toBe(false);
+    });
+
+    it("ignores corrupt storage", () => {
+      const storage = createMemoryStorage();
+      storage.setItem("authorCache", "{not json");
+      expect(createAuthorCache(storage).entries()).toEqual({});
+    });
+  });
+
+  describe("resolveAuthors", () => {
+    const creators = [
+      { name: "Doe, Jane", orcid: "0000-0002-1825-0097" },
+      { name: "Roe, Richard", orcid: "https://orcid.org/0000-0001-5109-3700" },
+      { name: "Poe, Pat", affiliation: "CERN" }
+    ];
+
+    it("resolves ORCID iDs in a single query", async () => {
+      const { fetchFn, queries } = createMockSparql(() => [
+        binding("Q42", "Jane Doe", { orcid: "0000-0002-1825-0097", creatorTemplate: "Jane Doe" })
+      ]);
+
+      const matches = await resolveAuthors(creators, { fetchFn });
+
+      expect(queries).toHaveLength(1);
+      expect(matches).toEqual([
+        { wikidataId: "Q42", label: "Jane Doe", creatorTemplate: "Jane Doe", source: "orcid" },
+        null,
+        null
+      ]);
+    });
+
+    it("uses the configured endpoint", async () => {
+      const urls = [];
+      const fetchFn = async (url) => {
+        urls.push(url);
+        return { ok: true, json: async () => ({ results: { bindings: [] } }) };
+      };
+      await resolveAuthors(creators, { fetchFn, endpoint: "https://example.org/sparql" });
+      expect(urls[0].startsWith("https://example.org/sparql?")).toBe(true);
+    });
+
+    it("matches by name and affiliation only when unambiguous", async () => {
+      const { fetchFn, queries } = createMockSparql((query) => {
+        if (query.includes("P496")) return [];
+        if (query.includes('"Pat Poe"')) return [binding("Q9", "Pat Poe")];
+        return [binding("Q1", "Richard Roe"), binding("Q2", "Richard Roe")];
+      });
+
+      const matches = await resolveAuthors(creators, { fetchFn, matchByName: true });
+
+      expect(queries).toHaveLength(4);
+      expect(queries[3]).toContain('"CERN"@en');
+      expect(matches[0]).toBe(null);
+      expect(matches[1]).toBe(null);
+      expect(matches[2]).toEqual({ wikidataId: "Q9", label: "Pat Poe", creatorTemplate: null, source: "name" });
+    });
+
+    it("caches matches and misses", async () => {
+      const cache = createAuthorCache();
+      const { fetchFn, queries } = createMockSparql(() => [
+        binding("Q42", "Jane Doe", { orcid: "0000-0002-1825-0097" })
+      ]);
+
+      await resolveAuthors(creators, { fetchFn, cache });
+      const matches = await resolveAuthors(creators, { fetchFn, cache });
+
+      expect(queries).toHaveLength(1);
+      expect(matches[0].wikidataId).toBe("Q42");
+      expect(cache.has("orcid:0000-0001-5109-3700")).toBe(true);
+    });
+
+    it("prefers manual entries in the cache", async () => {
+      const cache = createAuthorCache();
+      cache.set("orcid:0000-0002-1825-0097", { wikidataId: "Q5", label: "", creatorTemplate: null, source: "manual" });
+      const { fetchFn, queries } = createMockSparql(() => []);
+
+      const matches = await resolveAuthors(creators.slice(0, 1), { fetchFn, cache });
+
+      expect(queries).toHaveLength(0);
+      expect(matches[0].wikidataId).toBe("Q5");
+    });
+
+    it("throws when the endpoint fails", async () => {
+      const fetchFn = async () => ({ ok: false, statusText: "Too Many Requests" });
+      await expect(resolveAuthors(creators, { fetchFn })).rejects.toThrow("Wikidata query failed: Too Many Requests");
+    });
+
+    it("returns an empty list for missing creators", async () => {
+      expect(await resolveAuthors(undefined)).toEqual([]);
+    });
+  });
+});
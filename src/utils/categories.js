@@ -0,0 +1,221 @@
+/**
+ * Category suggestions for uploads.
+ *
+ * Candidates come from a record's keywords, subjects, resource type,
+ * communities, the event it was presented at and its publication year. The
+ * mapping tables live in `src/data/categoryMappings.json`; values not in a
+ * table are tried as category names as they are. Candidates are checked
+ * against Commons and only go into the wikitext once the user accepts them.
+ */
+
+import CATEGORY_MAPPINGS from "../data/categoryMappings.json" with { type: "json" };
+
+export { CATEGORY_MAPPINGS };
+
+// Tracking categories added to every upload
+export const DEFAULT_CATEGORIES = ["Media from Zenodo", "Uploaded with zenodo2commons"];
+
+// Titles per API request (the limit for normal users)
+const TITLES_PER_REQUEST = 50;
+
+/**
+ * Normalizes a category name the way MediaWiki does: trimmed, single
+ * spaces instead of underscores, first letter upper case.
+ *
+ * @param {string} name - Category name, with or without the "Category:" prefix
+ * @returns {string} - Normalized name without prefix
+ */
+export function normalizeCategoryName(name) {
+  const value = (name || "")
+    .replace(/^\s*category\s*:/i, "")
+    .replace(/[_\s]+/g, " ")
+    .trim();
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Returns the InvenioRDM ID of a resource type ("image-figure"), also for
+ * legacy Zenodo records (`{type: "image", subtype: "figure"}`).
+ *
+ * @param {Object} resourceType - `metadata.resource_type`
+ * @returns {string} - Resource type ID, or "" if there is none
+ */
+export function getResourceTypeId(resourceType) {
+  if (!resourceType) return "";
+  if (resourceType.id) return resourceType.id;
+  return [resourceType.type, resourceType.subtype].filter(Boolean).join("-");
+}
+
+/**
+ * Returns the event a record was presented at, from InvenioRDM's
+ * `custom_fields["meeting:meeting"]` or the legacy `metadata.meeting`.
+ *
+ * @param {Object} record - Zenodo record
+ * @returns {{title: string, acronym: string, dates: string, place: string, session: string,
+ *   url: string}|null} - Event, or null if the record names none
+ */
+export function getMeeting(record) {
+  const meeting = record?.custom_fields?.["meeting:meeting"] || record?.metadata?.meeting;
+  if (!meeting) return null;
+  const field = (name) => (typeof meeting[name] === "string" ? meeting[name].trim() : "");
+  if (!field("title") && !field("acronym")) return null;
+  return {
+    title: field("title"),
+    acronym: field("acronym"),
+    dates: field("dates"),
+    place: field("place"),
+    session: field("session"),
+    url: field("url"),
+  };
+}
+
+/**
+ * Returns the community slugs and titles of a record.
+ *
+ * @param {Object} record - Zenodo record
+ * @returns {Array<{slug: string, title: string}>} - Communities
+ */
+function getCommunities(record) {
+  const entries = record.parent?.communities?.entries;
+  if (Array.isArray(entries)) {
+    return entries.map((entry) => ({ slug: entry.slug || entry.id, title: entry.metadata?.title || "" }));
+  }
+  return (record.metadata?.communities || []).map((community) => ({ slug: community.id, title: "" }));
+}
+
+/**
+ * Looks a value up in a mapping table.
+ *
+ * @param {Object} table - Mapping from lower-case value to category (null suppresses)
+ * @param {string} value - Value to look up
+ * @param {string} fallback - Category to use when the value is not in the table
+ * @returns {string} - Category name, or "" for no suggestion
+ */
+function lookup(table, value, fallback) {
+  const key = value.trim().toLowerCase();
+  if (table && Object.prototype.hasOwnProperty.call(table, key)) return table[key] || "";
+  return fallback;
+}
+
+/**
+ * Suggests categories for a record.
+ *
+ * @param {Object} record - Zenodo record
+ * @param {Object} [mappings] - Mapping tables (see categoryMappings.json)
+ * @returns {Array<{name: string, source: string, value: string}>} - Suggestions without
+ *   duplicates; `source` is "keyword", "subject", "resourceType", "community", "event"
+ *   or "year" and `value` the metadata value the suggestion came from
+ */
+export function suggestCategories(record, mappings = CATEGORY_MAPPINGS) {
+  const metadata = record.metadata || {};
+  const candidates = [];
+  const add = (name, source, value) => {
+    if (name) candidates.push({ name: normalizeCategoryName(name), source, value: String(value) });
+  };
+
+  (metadata.keywords || []).forEach((keyword) => {
+    // Zenodo keywords are sometimes a single comma-separated string
+    String(keyword).split(/[,;]/).filter((part) => part.trim()).forEach((part) => {
+      add(lookup(mappings.keywords, part, part), "keyword", part.trim());
+    });
+  });
+
+  (metadata.subjects || []).forEach((subject) => {
+    const term = subject.subject || subject.term || "";
+    if (term) add(lookup(mappings.subjects, term, term), "subject", term);
+  });
+
+  const resourceTypeId = getResourceTypeId(metadata.resource_type);
+  if (resourceTypeId) {
+    // Fall back from "image-figure" to "image"
+    const name = lookup(mappings.resourceTypes, resourceTypeId, "")
+      || lookup(mappings.resourceTypes, resourceTypeId.split("-")[0], "");
+    add(name, "resourceType", resourceTypeId);
+  }
+
+  getCommunities(record).forEach(({ slug, title }) => {
+    add(lookup(mappings.communities, slug, title), "community", slug);
+  });
+
+  const year = (metadata.publication_date || "").match(/^\d{4}/)?.[0];
+
+  // Event categories are usually named like "ISMB 2024"
+  const meeting = getMeeting(record);
+  if (meeting) {
+    const eventYear = meeting.dates.match(/\b\d{4}\b/)?.[0] || year;
+    [meeting.title, meeting.acronym && eventYear ? `${meeting.acronym} ${eventYear}` : ""]
+      .filter(Boolean)
+      .forEach((name) => add(lookup(mappings.events, name, name), "event", name));
+  }
+  if (year) {
+    (mappings.years || []).forEach((pattern) => add(pattern.replace("{year}", year), "year", year));
+  }
+
+  const seen = new Set();
+  return candidates.filter((candidate) => {
+    if (!candidate.name || seen.has(candidate.name)) return false;
+    seen.add(candidate.name);
+    return true;
+  });
+}
+
+/**
+ * Checks which categories exist on Commons.
+ *
+ * Categories replaced by `{{Category redirect}}` count as missing, since
+ * files should not be added to them.
+ *
+ * @param {Object} apiClient - Client with a `get(params)` method (see createCommonsApiClient)
+ * @param {string[]} names - Category names without prefix
+ * @returns {Promise<Object<string, boolean>>} - Whether each category exists, by name
+ */
+export async function checkCategoriesExist(apiClient, names) {
+  const result = {};
+  const unique = [...new Set(names.map(normalizeCategoryName))];
+
+  for (let i = 0; i < unique.length; i += TITLES_PER_REQUEST) {
+    const batch = unique.slice(i, i + TITLES_PER_REQUEST);
+    const data = await apiClient.get({
+      action: "query",
+      titles: batch.map((name) => `Category:${name}`).join("|"),
+      prop: "templates",
+      tltemplates: "Template:Category redirect",
+      tllimit: "max",
+    });
+
+    (data.query?.pages || []).forEach((page) => {
+      const name = page.title.replace(/^Category:/, "");
+      result[name] = !page.missing && !page.invalid && !(page.templates?.length > 0);
+    });
+  }
+
+  unique.forEach((name) => {
+    if (!(name in result)) result[name] = false;
+  });
+  return result;
+}
+
+/**
+ * Suggests categories for a record and checks them against Commons.
+ *
+ * @param {Object} record - Zenodo record
+ * @param {Object} apiClient - Client with a `get(params)` method
+ * @param {Object} [mappings] - Mapping tables (see categoryMappings.json)
+ * @returns {Promise<Array<{name: string, source: string, value: string, exists: boolean}>>}
+ */
+export async function getCategorySuggestions(record, apiClient, mappings = CATEGORY_MAPPINGS) {
+  const suggestions = suggestCategories(record, mappings);
+  const exists = await checkCategoriesExist(apiClient, suggestions.map((suggestion) => suggestion.name));
+  return suggestions.map((suggestion) => ({ ...suggestion, exists: exists[suggestion.name] }));
+}
+
+/**
+ * Formats category links for wikitext.
+ *
+ * @param {string[]} names - Category names without prefix
+ * @returns {string} - One `[[Category:…]]` link per line, without duplicates
+ */
+export function formatCategories(names) {
+  const unique = [...new Set(names.map(normalizeCategoryName))].filter(Boolean);
+  return unique.map((name) => `[[Category:${name}]]`).join("\n");
+}
@@ -0,0 +1,183 @@
+import { describe, it, expect } from "vitest";
+import {
+  CATEGORY_MAPPINGS,
+  normalizeCategoryName,
+  getResourceTypeId,
+  getMeeting,
+  suggestCategories,
+  checkCategoriesExist,
+  getCategorySuggestions,
+  formatCategories
+} from "./categories.js";
+
+const mappings = {
+  resourceTypes: { poster: "Scientific posters", image: "Images", "image-figure": "Scientific figures" },
+  keywords: { rdm: "Research data management", "zenodo": null },
+  subjects: {},
+  communities: { nfdi4bioimage: "NFDI4BIOIMAGE" },
+  events: { "open science days": "Open Science Days 2022 (Berlin)" },
+  years: ["{year} in science"]
+};
+
+const record = {
+  id: 1,
+  metadata: {
+    publication_date: "2024-05-01",
+    keywords: ["RDM", "microscopy, image analysis", "zenodo"],
+    subjects: [{ subject: "Biology" }],
+    resource_type: { id: "image-figure", title: { en: "Figure" } }
+  },
+  parent: {
+    communities: {
+      entries: [
+        { slug: "nfdi4bioimage", metadata: { title: "NFDI4BIOIMAGE" } },
+        { slug: "other", metadata: { title: "Another community" } }
+      ]
+    }
+  }
+};
+
+// API client stub answering prop=templates queries for the given existing/redirected categories
+function createClient({ existing = [], redirects = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    get: async (params) => {
+      calls.push(params);
+      const pages = params.titles.split("|").map((title) => {
+        const name = title.replace(/^Category:/, "");
+        if (redirects.includes(name)) {
+          return { title, pageid: 2, templates: [{ title: "Template:Category redirect" }] };
+        }
+        return existing.includes(name) ? { title, pageid: 1 } : { title, missing: true };
+      });
+      return { query: { pages } };
+    }
+  };
+}
+
+describe("categories", () => {
+  describe("normalizeCategoryName", () => {
+    it("normalizes like MediaWiki", () => {
+      expect(normalizeCategoryName("category:fluorescence_microscopy ")).toBe("Fluorescence microscopy");
+      expect(normalizeCategoryName("Posters")).toBe("Posters");
+      expect(normalizeCategoryName("")).toBe("");
+    });
+  });
+
+  describe("getResourceTypeId", () => {
+    it("supports InvenioRDM and legacy resource types", () => {
+      expect(getResourceTypeId({ id: "poster" })).toBe("poster");
+      expect(getResourceTypeId({ type: "image", subtype: "figure" })).toBe("image-figure");
+      expect(getResourceTypeId({ type: "dataset" })).toBe("dataset");
+      expect(getResourceTypeId(undefined)).toBe("");
+    });
+  });
+
+  describe("getMeeting", () => {
+    it("reads InvenioRDM and legacy events", () => {
+      const meeting = { title: " Open Science Days ", acronym: "OSD", dates: "20 October 2022" };
+      expect(getMeeting({ custom_fields: { "meeting:meeting": meeting } })).toEqual({
+        title: "Open Science Days",
+        acronym: "OSD",
+        dates: "20 October 2022",
+        place: "",
+        session: "",
+        url: ""
+      });
+      expect(getMeeting({ metadata: { meeting } })).toMatchObject({ title: "Open Science Days" });
+    });
+
+    it("returns null without an event name", () => {
+      expect(getMeeting({ metadata: {} })).toBeNull();
+      expect(getMeeting({ metadata: { meeting: { place: "Berlin" } } })).toBeNull();
+    });
+  });
+
+  describe("suggestCategories", () => {
+    it("suggests categories from all metadata sources", () => {
+      expect(suggestCategories(record, mappings)).toEqual([
+        { name: "Research data management", source: "keyword", value: "RDM" },
+        { name: "Microscopy", source: "keyword", value: "microscopy" },
+        { name: "Image analysis", source: "keyword", value: "image analysis" },
+        { name: "Biology", source: "subject", value: "Biology" },
+        { name: "Scientific figures", source: "resourceType", value: "image-figure" },
+        { name: "NFDI4BIOIMAGE", source: "community", value: "nfdi4bioimage" },
+        { name: "Another community", source: "community", value: "other" },
+        { name: "2024 in science", source: "year", value: "2024" }
+      ]);
+    });
+
+    it("falls back to the general resource type and legacy communities", () => {
+      const legacy = {
+        metadata: {
+          resource_type: { type: "image", subtype: "photo" },
+          communities: [{ id: "nfdi4bioimage" }, { id: "unmapped" }]
+        }
+      };
+      expect(suggestCategories(legacy, mappings).map((suggestion) => suggestion.name))
+        .toEqual(["Images", "NFDI4BIOIMAGE"]);
+    });
+
+    it("suggests categories of the event", () => {
+      const presented = {
+        metadata: { publication_date: "2023-01-10", meeting: { title: "Open Science Days", acronym: "OSD", dates: "20-21 October 2022" } }
+      };
+      expect(suggestCategories(presented, mappings)).toEqual([
+        { name: "Open Science Days 2022 (Berlin)", source: "event", value: "Open Science Days" },
+        { name: "OSD 2022", source: "event", value: "OSD 2022" },
+        { name: "2023 in science", source: "year", value: "2023" }
+      ]);
+    });
+
+    it("removes duplicates", () => {
+      const duplicate = { metadata: { keywords: ["Biology", "biology"], subjects: [{ term: "Biology" }] } };
+      expect(suggestCategories(duplicate, mappings)).toHaveLength(1);
+    });
+
+    it("uses the bundled mapping tables by default", () => {
+      expect(CATEGORY_MAPPINGS.resourceTypes.poster).toBeTruthy();
+      const poster = { metadata: { resource_type: { id: "poster" } } };
+      expect(suggestCategories(poster)[0]).toMatchObject({ source: "resourceType", value: "poster" });
+    });
+
+    it("does not suggest top-level media categories for resource types", () => {
+      const photo = { metadata: { resource_type: { id: "image-photo" } } };
+      expect(suggestCategories(photo)).toEqual([]);
+      expect(suggestCategories({ metadata: { resource_type: { id: "video" } } })).toEqual([]);
+    });
+  });
+
+  describe("checkCategoriesExist", () => {
+    it("treats missing and redirected categories as not existing", async () => {
+      const client = createClient({ existing: ["Microscopy"], redirects: ["Posters"] });
+      const result = await checkCategoriesExist(client, ["Microscopy", "posters", "Nonexistent"]);
+      expect(result).toEqual({ Microscopy: true, Posters: false, Nonexistent: false });
+      expect(client.calls[0].titles).toBe("Category:Microscopy|Category:Posters|Category:Nonexistent");
+      expect(client.calls[0].tltemplates).toBe("Template:Category redirect");
+    });
+
+    it("queries at most 50 titles at a time", async () => {
+      const client = createClient();
+      const names = Array.from({ length: 120 }, (_, i) => `Category ${i}`);
+      await checkCategoriesExist(client, names);
+      expect(client.calls.map((call) => call.titles.split("|").length)).toEqual([50, 50, 20]);
+    });
+  });
+
+  describe("getCategorySuggestions", () => {
+    it("adds whether each suggestion exists", async () => {
+      const client = createClient({ existing: ["Microscopy", "Biology"] });
+      const suggestions = await getCategorySuggestions(record, client, mappings);
+      expect(suggestions.find((s) => s.name === "Microscopy").exists).toBe(true);
+      expect(suggestions.find((s) => s.name === "2024 in science").exists).toBe(false);
+    });
+  });
+
+  describe("formatCategories", () => {
+    it("formats links without duplicates", () => {
+      expect(formatCategories(["Media from Zenodo", "media_from_Zenodo", "Microscopy"]))
+        .toBe("[[Category:Media from Zenodo]]\n[[Category:Microscopy]]");
+    });
+  });
+});
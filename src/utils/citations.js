@@ -0,0 +1,249 @@
+/**
+ * Related works and citations for the file description.
+ *
+ * Figures and data are often published alongside a paper; the record's
+ * related identifiers (`isSupplementTo` a journal DOI and so on) say which
+ * one. The record itself is cited in one of a few common CSL styles,
+ * generated from its metadata so no citation service is needed.
+ */
+
+import { getResourceTypeId } from "./categories.js";
+import { INSTANCE_PROFILES, expandPattern } from "./instances.js";
+import { ZENODO_HOST } from "./recordIdentifiers.js";
+import { escapeLinkTarget, escapeWikitext } from "./wikitext.js";
+
+// CSL style IDs that can be generated, with their display names
+export const CITATION_STYLES = {
+  apa: "APA",
+  "chicago-author-date": "Chicago (author-date)",
+  ieee: "IEEE",
+  vancouver: "Vancouver",
+};
+
+export const DEFAULT_CITATION_STYLE = "apa";
+
+// Relations worth showing, by lower-case DataCite relation type. Version
+// relations are left to `|other versions=`.
+const RELATION_LABELS = {
+  issupplementto: "Supplement to",
+  ispublishedin: "Published in",
+  ispartof: "Part of",
+  haspart: "Includes",
+  isdescribedby: "Described in",
+  isdocumentedby: "Documented in",
+  issupplementedby: "Supplemented by",
+  isderivedfrom: "Derived from",
+  issourceof: "Source of",
+  cites: "Cites",
+  iscitedby: "Cited by",
+  references: "References",
+  isreferencedby: "Referenced by",
+};
+
+// Resource types whose DOIs are cited with {{Cite journal}}
+const JOURNAL_RESOURCE_TYPES = ["publication-article", "publication-preprint"];
+
+/**
+ * Writes an external link; identifiers come from the record and may contain
+ * any character.
+ *
+ * @param {string} url - Link target
+ * @param {string} label - Link text, as plain text
+ * @returns {string} - Wikitext
+ */
+function externalLink(url, label) {
+  return `[${escapeLinkTarget(url)} ${escapeWikitext(label, { link: true })}]`;
+}
+
+// Links for identifier schemes other than DOIs
+const SCHEME_LINKS = {
+  arxiv: (id) => externalLink(`https://arxiv.org/abs/${id.replace(/^arxiv:/i, "")}`, `arXiv:${id.replace(/^arxiv:/i, "")}`),
+  pmid: (id) => externalLink(`https://pubmed.ncbi.nlm.nih.gov/${id}/`, `PMID ${id}`),
+  pmcid: (id) => externalLink(`https://www.ncbi.nlm.nih.gov/pmc/articles/${id}/`, id),
+  handle: (id) => externalLink(`https://hdl.handle.net/${id}`, `hdl:${id}`),
+  isbn: (id) => (/^[\d-]+x?$/i.test(id) ? `[[Special:BookSources/${id}|ISBN ${id}]]` : `ISBN ${escapeWikitext(id)}`),
+  url: (id) => escapeLinkTarget(id),
+};
+
+/**
+ * Strips resolver prefixes from a DOI.
+ *
+ * @param {string} doi - DOI, bare or as a URL
+ * @returns {string} - Bare DOI
+ */
+function normalizeDoi(doi) {
+  return doi.trim().replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:)/i, "");
+}
+
+/**
+ * Renders one related identifier.
+ *
+ * Journal articles become `{{Cite journal}}`, other DOIs a doi.org link.
+ *
+ * @param {Object} related - Related identifier, legacy (`{identifier, relation,
+ *   scheme, resource_type}`) or InvenioRDM (`relation_type: {id}`, `resource_type: {id}`)
+ * @returns {string} - Wikitext
+ */
+export function formatRelatedIdentifier(related) {
+  const identifier = (related.identifier || "").trim();
+  const scheme = (related.scheme || "").toLowerCase();
+
+  if (scheme === "doi" || /^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:)?10\.\d{4,}\//i.test(identifier)) {
+    const doi = normalizeDoi(identifier);
+    const resourceType = typeof related.resource_type === "string"
+      ? related.resource_type
+      : getResourceTypeId(related.resource_type);
+    return JOURNAL_RESOURCE_TYPES.includes(resourceType)
+      ? `{{Cite journal |doi=${escapeWikitext(doi)}}}`
+      : externalLink(`https://doi.org/${doi}`, `doi:${doi}`);
+  }
+
+  const link = SCHEME_LINKS[scheme] || (/^https?:\/\//i.test(identifier) ? SCHEME_LINKS.url : null);
+  return link ? link(identifier) : escapeWikitext(identifier);
+}
+
+/**
+ * Builds the list of related works, one line per relation.
+ *
+ * @param {Array<Object>} relatedIdentifiers - `metadata.related_identifiers`
+ * @returns {string} - Wikitext list such as "* Supplement to: {{Cite journal |doi=…}}",
+ *   or "" if no relation is worth showing
+ */
+export function buildRelatedWorks(relatedIdentifiers = []) {
+  const groups = new Map();
+  relatedIdentifiers.forEach((related) => {
+    const relation = (related.relation || related.relation_type?.id || "").toLowerCase();
+    if (!RELATION_LABELS[relation] || !related.identifier) return;
+    if (!groups.has(relation)) groups.set(relation, []);
+    groups.get(relation).push(formatRelatedIdentifier(related));
+  });
+
+  return Object.keys(RELATION_LABELS)
+    .filter((relation) => groups.has(relation))
+    .map((relation) => `* ${RELATION_LABELS[relation]}: ${groups.get(relation).join("; ")}`)
+    .join("\n");
+}
+
+/**
+ * Splits a Zenodo creator name into family and given names. Names without
+ * a comma, such as organizations, are kept whole.
+ *
+ * @param {string} name - Name as stored on Zenodo ("Family, Given")
+ * @returns {{family: string, given: string}} - Name parts
+ */
+function splitName(name) {
+  const parts = (name || "").split(",").map((part) => part.trim());
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return { family: (name || "").trim(), given: "" };
+  return { family: parts[0], given: parts[1] };
+}
+
+/**
+ * Abbreviates given names to initials, e.g. "Jean-Paul Marie" to "J.-P. M.".
+ *
+ * @param {string} given - Given names
+ * @param {string} [separator] - Text after each initial
+ * @returns {string} - Initials
+ */
+function initials(given, separator = ".") {
+  return given
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => part.split("-").map((piece) => `${piece.charAt(0).toUpperCase()}${separator}`).join("-"))
+    .join(separator === "." ? " " : "");
+}
+
+/**
+ * Joins names as "A, B, and C" (or "A and B").
+ *
+ * @param {string[]} names - Names
+ * @param {string} conjunction - Word before the last name
+ * @returns {string} - Joined names
+ */
+function joinNames(names, conjunction) {
+  if (names.length <= 1) return names.join("");
+  if (names.length === 2) return `${names[0]} ${conjunction} ${names[1]}`;
+  return `${names.slice(0, -1).join(", ")}, ${conjunction} ${names[names.length - 1]}`;
+}
+
+/**
+ * Returns the label of a record's resource type, e.g. "Figure" or "Dataset".
+ *
+ * @param {Object} resourceType - `metadata.resource_type`
+ * @returns {string} - Label, or "" for publications and unknown types
+ */
+function getTypeLabel(resourceType) {
+  if (!resourceType || getResourceTypeId(resourceType).startsWith("publication")) return "";
+  const title = resourceType.title;
+  return (typeof title === "string" ? title : title?.en) || "";
+}
+
+/**
+ * Formats a citation of a record. The publisher is the record's
+ * `metadata.publisher`, or the instance. Records without a DOI are cited by
+ * their URL; only Zenodo records get their Zenodo DOI, which every Zenodo
+ * record has.
+ *
+ * @param {Object} record - Zenodo record
+ * @param {string} [style] - One of the CITATION_STYLES IDs
+ * @param {Object} [instance] - Profile of the instance the record is on
+ *   (see instances.getInstanceProfile); defaults to Zenodo
+ * @returns {string} - Citation as wikitext, or "" for an empty style
+ * @throws {Error} - If the style is unknown
+ */
+export function buildCitation(record, style = DEFAULT_CITATION_STYLE, instance = INSTANCE_PROFILES[ZENODO_HOST]) {
+  if (!style) return "";
+  if (!CITATION_STYLES[style]) throw new Error(`Unknown citation style: ${style}`);
+
+  const metadata = record.metadata || {};
+  // Metadata is plain text; escaped so that it cannot break the description
+  const names = (metadata.creators || []).map((creator) => {
+    const { family, given } = splitName(creator.name);
+    return { family: escapeWikitext(family), given: escapeWikitext(given) };
+  });
+  const year = (metadata.publication_date || "").substring(0, 4) || "n.d.";
+  const title = escapeWikitext((metadata.title || "").trim().replace(/[.\s]+$/, ""));
+  const version = metadata.version ? escapeWikitext(String(metadata.version)) : "";
+  const type = escapeWikitext(getTypeLabel(metadata.resource_type));
+  const givenDoi = record.doi || metadata.doi || record.pids?.doi?.identifier;
+  const doi = givenDoi
+    ? normalizeDoi(givenDoi)
+    : instance.host === ZENODO_HOST ? `10.5281/zenodo.${record.id}` : "";
+  const link = doi ? `https://doi.org/${doi}` : expandPattern(instance.recordUrl, { id: record.id });
+  const publisher = escapeWikitext(metadata.publisher || instance.name);
+
+  if (style === "apa") {
+    const authors = names.map(({ family, given }) => (given ? `${family}, ${initials(given)}` : family));
+    // APA lists up to 20 authors, then an ellipsis and the last one
+    const last = authors[authors.length - 1];
+    const listed = authors.length > 20
+      ? `${authors.slice(0, 19).join(", ")}, … ${last}`
+      : authors.length > 1 ? `${authors.slice(0, -1).join(", ")}, & ${last}` : authors.join("");
+    const details = [version && `Version ${version}`, type].filter(Boolean);
+    return `${listed ? `${listed.replace(/\.?$/, ".")} ` : ""}(${year}). ''${title}''${
+      details.length > 0 ? ` [${details.join("; ")}]` : ""
+    }. ${publisher}. ${link}`;
+  }
+
+  if (style === "chicago-author-date") {
+    const authors = names.map(({ family, given }, i) =>
+      !given ? family : i === 0 ? `${family}, ${given}` : `${given} ${family}`
+    );
+    const listed = authors.length > 10 ? `${authors.slice(0, 7).join(", ")}, et al` : joinNames(authors, "and");
+    return `${listed ? `${listed.replace(/\.$/, "")}. ` : ""}${year}. ''${title}''.${
+      version ? ` Version ${version}.` : ""
+    } ${publisher}. ${link}.`;
+  }
+
+  if (style === "ieee") {
+    const authors = names.map(({ family, given }) => (given ? `${initials(given)} ${family}` : family));
+    const listed = authors.length > 6 ? `${authors[0]} ''et al.''` : joinNames(authors, "and");
+    return `${listed ? `${listed}, ` : ""}“${title},” ${version ? `version ${version}, ` : ""}${publisher}, ${year}. ${doi ? `doi: ${doi}.` : `[Online]. Available: ${link}`}`;
+  }
+
+  // Vancouver
+  const authors = names.map(({ family, given }) => (given ? `${family} ${initials(given, "").replace(/-/g, "")}` : family));
+  const listed = authors.length > 6 ? `${authors.slice(0, 6).join(", ")}, et al` : authors.join(", ");
+  return `${listed ? `${listed}. ` : ""}${title}${type ? ` [${type}]` : ""}.${
+    version ? ` Version ${version}.` : ""
+  } ${publisher}; ${year}. Available from: ${link}`;
+}
@@ -0,0 +1,184 @@
+import { describe, it, expect } from "vitest";
+import { formatRelatedIdentifier, buildRelatedWorks, buildCitation, CITATION_STYLES } from "./citations.js";
+import { getInstanceProfile } from "./instances.js";
+
+// Record fixture with a person, a person with compound given names and an organization
+const record = {
+  id: 12345,
+  doi: "10.5281/zenodo.12345",
+  metadata: {
+    title: "Calendar Cover: 2025",
+    publication_date: "2025-01-15",
+    version: "v2",
+    resource_type: { type: "image", subtype: "figure", title: "Figure" },
+    creators: [{ name: "Doe, Jane" }, { name: "Martin, Jean-Paul Marie" }, { name: "Open Science Lab" }]
+  }
+};
+
+describe("citations", () => {
+  describe("formatRelatedIdentifier", () => {
+    it("cites journal articles with {{Cite journal}}", () => {
+      expect(formatRelatedIdentifier({
+        identifier: "https://doi.org/10.1038/s41586-020-2649-2",
+        scheme: "doi",
+        resource_type: "publication-article"
+      })).toBe("{{Cite journal |doi=10.1038/s41586-020-2649-2}}");
+      expect(formatRelatedIdentifier({
+        identifier: "10.1038/s41586-020-2649-2",
+        scheme: "doi",
+        resource_type: { id: "publication-article" }
+      })).toBe("{{Cite journal |doi=10.1038/s41586-020-2649-2}}");
+    });
+
+    it("links other DOIs", () => {
+      expect(formatRelatedIdentifier({ identifier: "doi:10.5281/zenodo.1", scheme: "doi" }))
+        .toBe("[https://doi.org/10.5281/zenodo.1 doi:10.5281/zenodo.1]");
+      expect(formatRelatedIdentifier({ identifier: "10.5281/zenodo.1" }))
+        .toBe("[https://doi.org/10.5281/zenodo.1 doi:10.5281/zenodo.1]");
+    });
+
+    it("links other identifier schemes", () => {
+      expect(formatRelatedIdentifier({ identifier: "arXiv:2101.00001", scheme: "arxiv" }))
+        .toBe("[https://arxiv.org/abs/2101.00001 arXiv:2101.00001]");
+      expect(formatRelatedIdentifier({ identifier: "31234567", scheme: "pmid" }))
+        .toBe("[https://pubmed.ncbi.nlm.nih.gov/31234567/ PMID 31234567]");
+      expect(formatRelatedIdentifier({ identifier: "9780262510875", scheme: "isbn" }))
+        .toBe("[[Special:BookSources/9780262510875|ISBN 9780262510875]]");
+      expect(formatRelatedIdentifier({ identifier: "https://github.com/example/repo", scheme: "url" }))
+        .toBe("https://github.com/example/repo");
+      expect(formatRelatedIdentifier({ identifier: "ABC-123", scheme: "other" })).toBe("ABC-123");
+      expect(formatRelatedIdentifier({ identifier: "ABC|123", scheme: "other" })).toBe("ABC{{!}}123");
+    });
+
+    it("escapes identifiers that contain wikitext", () => {
+      expect(formatRelatedIdentifier({ identifier: "10.1002/(SICI)1097-4636[1]<x>|y", scheme: "doi" }))
+        .toBe("[https://doi.org/10.1002/(SICI)1097-4636%5B1%5D%3Cx%3E%7Cy doi:10.1002/(SICI)1097-4636[1&#93;&lt;x>{{!}}y]");
+      expect(formatRelatedIdentifier({
+        identifier: "10.1000/a}}b|c",
+        resource_type: "publication-article"
+      })).toBe("{{Cite journal |doi=10.1000/a<nowiki>}}</nowiki>b{{!}}c}}");
+      expect(formatRelatedIdentifier({ identifier: "https://x.org/a b|c]", scheme: "url" }))
+        .toBe("https://x.org/a%20b%7Cc%5D");
+      expect(formatRelatedIdentifier({ identifier: "12]] [[Category:X", scheme: "isbn" }))
+        .toBe("ISBN 12<nowiki>]]</nowiki> <nowiki>[[</nowiki>Category:X");
+    });
+  });
+
+  describe("buildRelatedWorks", () => {
+    it("groups related works by relation", () => {
+      const related = [
+        { identifier: "10.5281/zenodo.1", relation: "cites", scheme: "doi" },
+        {
+          identifier: "10.1038/s41586-020-2649-2",
+          relation: "isSupplementTo",
+          scheme: "doi",
+          resource_type: "publication-article"
+        },
+        { identifier: "2101.00001", relation: "cites", scheme: "arxiv" },
+        { identifier: "https://github.com/example/repo", relation_type: { id: "isderivedfrom" }, scheme: "url" }
+      ];
+      expect(buildRelatedWorks(related)).toBe(
+        "* Supplement to: {{Cite journal |doi=10.1038/s41586-020-2649-2}}\n" +
+        "* Derived from: https://github.com/example/repo\n" +
+        "* Cites: [https://doi.org/10.5281/zenodo.1 doi:10.5281/zenodo.1]; " +
+        "[https://arxiv.org/abs/2101.00001 arXiv:2101.00001]"
+      );
+    });
+
+    it("leaves out version relations and missing identifiers", () => {
+      expect(buildRelatedWorks([
+        { identifier: "10.5281/zenodo.9", relation: "isNewVersionOf", scheme: "doi" },
+        { identifier: "", relation: "cites", scheme: "doi" }
+      ])).toBe("");
+      expect(buildRelatedWorks()).toBe("");
+    });
+  });
+
+  describe("buildCitation", () => {
+    it("escapes metadata that would break the description", () => {
+      const piped = { ...record, metadata: { ...record.metadata, title: "p | q {{x}}", creators: [{ name: "Doe, J|ane" }] } };
+      expect(buildCitation(piped, "apa")).toContain("Doe, J. (2025). ''p {{!}} q <nowiki>{{</nowiki>x<nowiki>}}</nowiki>''");
+    });
+
+    it("formats APA citations", () => {
+      expect(buildCitation(record, "apa")).toBe(
+        "Doe, J., Martin, J.-P. M., & Open Science Lab. (2025). ''Calendar Cover: 2025'' [Version v2; Figure]. " +
+        "Zenodo. https://doi.org/10.5281/zenodo.12345"
+      );
+    });
+
+    it("formats Chicago author-date citations", () => {
+      expect(buildCitation(record, "chicago-author-date")).toBe(
+        "Doe, Jane, Jean-Paul Marie Martin, and Open Science Lab. 2025. ''Calendar Cover: 2025''. Version v2. " +
+        "Zenodo. https://doi.org/10.5281/zenodo.12345."
+      );
+    });
+
+    it("formats IEEE citations", () => {
+      expect(buildCitation(record, "ieee")).toBe(
+        "J. Doe, J.-P. M. Martin, and Open Science Lab, “Calendar Cover: 2025,” version v2, Zenodo, 2025. " +
+        "doi: 10.5281/zenodo.12345."
+      );
+    });
+
+    it("formats Vancouver citations", () => {
+      expect(buildCitation(record, "vancouver")).toBe(
+        "Doe J, Martin JPM, Open Science Lab. Calendar Cover: 2025 [Figure]. Version v2. Zenodo; 2025. " +
+        "Available from: https://doi.org/10.5281/zenodo.12345"
+      );
+    });
+
+    it("uses APA by default and every style produces a citation", () => {
+      expect(buildCitation(record)).toBe(buildCitation(record, "apa"));
+      Object.keys(CITATION_STYLES).forEach((style) => {
+        expect(buildCitation(record, style)).toContain("10.5281/zenodo.12345");
+      });
+    });
+
+    it("handles publications, a single author and missing DOIs", () => {
+      const article = {
+        id: 1,
+        metadata: {
+          title: "A study.",
+          publication_date: "2020-03-01",
+          resource_type: { id: "publication-article", title: { en: "Journal article" } },
+          creators: [{ name: "Doe, Jane" }]
+        }
+      };
+      expect(buildCitation(article, "apa")).toBe("Doe, J. (2020). ''A study''. Zenodo. https://doi.org/10.5281/zenodo.1");
+    });
+
+    it("cites records from other instances without a DOI by their URL", () => {
+      const caltech = { ...record, id: "abc12-3de45", doi: undefined };
+      const instance = getInstanceProfile("data.caltech.edu");
+      expect(buildCitation(caltech, "apa", instance)).toMatch(/\. CaltechDATA\. https:\/\/data\.caltech\.edu\/records\/abc12-3de45$/);
+      expect(buildCitation(caltech, "ieee", instance)).toMatch(/\[Online\]\. Available: https:\/\/data\.caltech\.edu\/records\/abc12-3de45$/);
+      Object.keys(CITATION_STYLES).forEach((style) => {
+        expect(buildCitation(caltech, style, instance)).not.toContain("10.5281/zenodo");
+      });
+    });
+
+    it("names the record's publisher", () => {
+      const figshare = { ...record, doi: "10.6084/m9.figshare.1", metadata: { ...record.metadata, publisher: "Figshare" } };
+      expect(buildCitation(figshare, "apa")).toContain("[Version v2; Figure]. Figshare. https://doi.org/10.6084/m9.figshare.1");
+      expect(buildCitation(figshare, "vancouver")).toContain("Version v2. Figshare; 2025.");
+    });
+
+    it("shortens long author lists", () => {
+      const many = {
+        ...record,
+        metadata: {
+          ...record.metadata,
+          creators: Array.from({ length: 8 }, (_, i) => ({ name: `Author${i + 1}, Anna` }))
+        }
+      };
+      expect(buildCitation(many, "vancouver")).toMatch(/^Author1 A, .*Author6 A, et al\. Calendar/);
+      expect(buildCitation(many, "ieee")).toMatch(/^A\. Author1 ''et al\.'', “Calendar/);
+    });
+
+    it("returns an empty string without a style and rejects unknown styles", () => {
+      expect(buildCitation(record, "")).toBe("");
+      expect(() => buildCitation(record, "mla")).toThrow("Unknown citation style: mla");
+    });
+  });
+});
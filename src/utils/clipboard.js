@@ -0,0 +1,34 @@
+/**
+ * Clipboard helpers shared by the app's components.
+ */
+
+/**
+ * Copies text to the clipboard.
+ *
+ * @param {string} text - Text to copy
+ * @param {Clipboard} [clipboard] - Clipboard to write to (for testing)
+ * @returns {Promise<boolean>} - True if the text was copied
+ */
+export async function copyToClipboard(text, clipboard = globalThis.navigator?.clipboard) {
+  try {
+    await clipboard.writeText(text);
+    return true;
+  } catch (err) {
+    console.error("Failed to copy:", err);
+    return false;
+  }
+}
+
+/**
+ * Shows "✓ Copied" on a button for a moment.
+ *
+ * @param {HTMLElement} button - Button that was clicked
+ * @param {number} [duration] - Milliseconds until the label is restored
+ */
+export function showCopied(button, duration = 2000) {
+  const originalText = button.textContent;
+  button.textContent = "✓ Copied";
+  setTimeout(() => {
+    button.textContent = originalText;
+  }, duration);
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect } from "vitest";
+import { copyToClipboard, showCopied } from "./clipboard.js";
+
+describe("clipboard", () => {
+  describe("copyToClipboard", () => {
+    it("writes the text", async () => {
+      const written = [];
+      expect(await copyToClipboard("{{Information}}", { writeText: async (text) => written.push(text) })).toBe(true);
+      expect(written).toEqual(["{{Information}}"]);
+    });
+
+    it("returns false when the clipboard refuses", async () => {
+      const clipboard = { writeText: async () => { throw new Error("Not allowed"); } };
+      expect(await copyToClipboard("x", clipboard)).toBe(false);
+      expect(await copyToClipboard("x", undefined)).toBe(false);
+    });
+  });
+
+  describe("showCopied", () => {
+    it("confirms the copy and restores the label", async () => {
+      const button = { textContent: "Copy wikitext" };
+      showCopied(button, 10);
+      expect(button.textContent).toBe("✓ Copied");
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(button.textContent).toBe("Copy wikitext");
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Minimal client for the MediaWiki Action API.
+ *
+ * The endpoint is configurable so the same client can talk to Wikimedia
+ * Commons, a test wiki, or a local mock wiki. Requests are authenticated
+ * with an OAuth 2.0 bearer token when one is provided.
+ */
+
+export const COMMONS_API_URL = "https://commons.wikimedia.org/w/api.php";
+
+// Largest file action=upload accepts in a single, non-chunked request
+const MAX_DIRECT_UPLOAD_BYTES = 100 * 1024 * 1024;
+
+// Human-readable explanations for warnings returned by action=upload
+const UPLOAD_WARNING_MESSAGES = {
+  duplicate: "An identical file already exists on Commons",
+  "duplicate-archive": "An identical file was previously deleted from Commons",
+  duplicateversions: "An identical file exists among older versions of this file",
+  exists: "A file with this name already exists",
+  "exists-normalized": "A file with a similar name already exists",
+  "page-exists": "A page with this name already exists",
+  "was-deleted": "A file with this name was previously deleted",
+  badfilename: "The filename was changed to be valid",
+  "filetype-unwanted-type": "This file type is discouraged on Commons",
+  "large-file": "The file is larger than recommended",
+  emptyfile: "The file is empty",
+  nochange: "The file is identical to the current version",
+};
+
+/**
+ * Creates an Error carrying the API error code.
+ *
+ * @param {string} code - MediaWiki error code (e.g. "badtoken")
+ * @param {string} info - Human-readable error message
+ * @returns {Error} - Error with a `code` property
+ */
+function apiError(code, info) {
+  const error = new Error(info || code);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Converts the warnings object of an upload response into a list of messages.
+ *
+ * @param {Object} warnings - The `upload.warnings` object from the API
+ * @returns {Array<{code: string, message: string, detail: string|string[]}>} - Warning list;
+ *   the detail of "duplicate" is the list of identical files, of other codes a text
+ */
+export function describeUploadWarnings(warnings) {
+  if (!warnings) return [];
+  return Object.entries(warnings).map(([code, value]) => {
+    let detail;
+    if (code === "duplicate") {
+      detail = (Array.isArray(value) ? value : [value]).filter(Boolean).map(String);
+    } else {
+      detail = Array.isArray(value) ? value.join(", ") : String(value ?? "");
+    }
+    return {
+      code,
+      message: UPLOAD_WARNING_MESSAGES[code] || `Upload warning: ${code}`,
+      detail,
+    };
+  });
+}
+
+/**
+ * Creates an API client bound to one MediaWiki endpoint.
+ *
+ * @param {Object} [options] - Client options
+ * @param {string} [options.apiUrl] - URL of the wiki's api.php
+ * @param {string|null} [options.accessToken] - OAuth 2.0 access token
+ * @param {Function} [options.fetchFn] - fetch implementation (for testing)
+ * @returns {Object} - Client with `get`, `post`, `getCsrfToken`, `getUserInfo`,
+ *   `uploadFromUrl`, `uploadFile` and `editPage`
+ */
+export function createCommonsApiClient(options = {}) {
+  const {
+    apiUrl = COMMONS_API_URL,
+    accessToken = null,
+    fetchFn = (...args) => fetch(...args)
+  } = options;
+
+  let csrfToken = null;
+
+  async function request(params, method) {
+    const query = new URLSearchParams({ format: "json", formatversion: "2" });
+    // Cross-origin requests must opt in: with the OAuth token when signed
+    // in, or as anonymous requests otherwise
+    if (accessToken) {
+      query.set("crossorigin", "1");
+    } else {
+      query.set("origin", "*");
+    }
+
+    const init = { method, headers: {} };
+    if (accessToken) init.headers.Authorization = `Bearer ${accessToken}`;
+
+    let url = `${apiUrl}?${query.toString()}`;
+    if (method === "GET") {
+      url += `&${new URLSearchParams(params).toString()}`;
+    } else if (Object.values(params).some((value) => value instanceof Blob)) {
+      // File uploads must be sent as multipart/form-data
+      init.body = new FormData();
+      Object.entries(params).forEach(([name, value]) => init.body.append(name, value));
+    } else {
+      init.body = new URLSearchParams(params);
+    }
+
+    const res = await fetchFn(url, init);
+    if (!res.ok) throw new Error(`API request failed: ${res.status} ${res.statusText}`);
+    const data = await res.json();
+
+    if (data.error) throw apiError(data.error.code, data.error.info);
+    return data;
+  }
+
+  async function getCsrfToken(refresh = false) {
+    if (csrfToken && !refresh) return csrfToken;
+    const data = await request({ action: "query", meta: "tokens", type: "csrf" }, "GET");
+    csrfToken = data.query.tokens.csrftoken;
+    return csrfToken;
+  }
+
+  // Posts a write request with the CSRF token; tokens can expire between
+  // requests, so a badtoken error is retried once with a fresh one
+  async function postWithToken(params) {
+    try {
+      return await request({ ...params, token: await getCsrfToken() }, "POST");
+    } catch (e) {
+      if (e.code !== "badtoken") throw e;
+      return request({ ...params, token: await getCsrfToken(true) }, "POST");
+    }
+  }
+
+  async function getUserInfo() {
+    const data = await request({ action: "query", meta: "userinfo" }, "GET");
+    return data.query.userinfo;
+  }
+
+  /**
+   * Asks the wiki to fetch a file from a URL and publish it.
+   *
+   * @param {Object} params - Upload parameters
+   * @param {string} params.filename - Destination filename (without "File:")
+   * @param {string} params.url - URL the wiki should download the file from
+   * @param {string} params.text - Initial page wikitext
+   * @param {string} [params.comment] - Upload summary
+   * @param {boolean} [params.ignoreWarnings] - Upload despite warnings
+   * @returns {Promise<{result: string, filename: string|null, warnings: Array}>}
+   */
+  async function uploadFromUrl(params) {
+    const { filename, url, text, comment = "", ignoreWarnings = false } = params;
+
+    const uploadParams = {
+      action: "upload",
+      filename,
+      url,
+      text,
+      comment,
+    };
+    if (ignoreWarnings) uploadParams.ignorewarnings = "1";
+
+    const data = await postWithToken(uploadParams);
+    const upload = data.upload || {};
+    return {
+      result: upload.result || "Failure",
+      filename: upload.filename || null,
+      warnings: describeUploadWarnings(upload.warnings),
+    };
+  }
+
+  /**
+   * Uploads a file from the browser, e.g. an image extracted from an archive.
+   *
+   * @param {Object} params - Upload parameters
+   * @param {string} params.filename - Destination filename (without "File:")
+   * @param {Blob} params.file - File content
+   * @param {string} params.text - Initial page wikitext
+   * @param {string} [params.comment] - Upload summary
+   * @param {boolean} [params.ignoreWarnings] - Upload despite warnings
+   * @returns {Promise<{result: string, filename: string|null, warnings: Array}>}
+   * @throws {Error} - If the file is larger than a single request may carry
+   */
+  async function uploadFile(params) {
+    const { filename, file, text, comment = "", ignoreWarnings = false } = params;
+    if (file.size > MAX_DIRECT_UPLOAD_BYTES) {
+      throw new Error(`${filename} is too large to upload from the browser (over 100 MB).`);
+    }
+
+    const uploadParams = { action: "upload", filename, file, text, comment };
+    if (ignoreWarnings) uploadParams.ignorewarnings = "1";
+
+    const upload = (await postWithToken(uploadParams)).upload || {};
+    return {
+      result: upload.result || "Failure",
+      filename: upload.filename || null,
+      warnings: describeUploadWarnings(upload.warnings),
+    };
+  }
+
+  /**
+   * Creates or replaces a page.
+   *
+   * @param {Object} params - Edit parameters
+   * @param {string} params.title - Page title including the namespace
+   * @param {string} params.text - New page content
+   * @param {string} [params.summary] - Edit summary
+   * @param {boolean} [params.createOnly] - Fail with "articleexists" if the page exists
+   * @returns {Promise<{result: string, title: string, newRevisionId: number|null}>}
+   */
+  async function editPage(params) {
+    const { title, text, summary = "", createOnly = false } = params;
+
+    const editParams = { action: "edit", title, text, summary };
+    if (createOnly) editParams.createonly = "1";
+
+    const edit = (await postWithToken(editParams)).edit || {};
+    return {
+      result: edit.result || "Failure",
+      title: edit.title || title,
+      newRevisionId: edit.newrevid || null,
+    };
+  }
+
+  /**
+   * Edits the structured data of a file, e.g. to set its captions.
+   *
+   * @param {Object} params - Edit parameters
+   * @param {string} params.title - File page title including "File:"
+   * @param {Object} params.data - Entity data such as `{labels}` (see structuredData.buildSdcPayload)
+   * @param {string} [params.summary] - Edit summary
+   * @returns {Promise<{result: string}>}
+   */
+  async function editEntity(params) {
+    const { title, data, summary = "" } = params;
+
+    const response = await postWithToken({
+      action: "wbeditentity",
+      site: "commonswiki",
+      title,
+      data: JSON.stringify(data),
+      summary,
+    });
+    return { result: response.success ? "Success" : "Failure" };
+  }
+
+  return {
+    apiUrl,
+    get: (params) => request(params, "GET"),
+    post: (params) => request(params, "POST"),
+    getCsrfToken,
+    getUserInfo,
+    uploadFromUrl,
+    uploadFile,
+    editPage,
+    editEntity,
+  };
+}
@@ -0,0 +1,287 @@
+import { describe, it, expect } from "vitest";
+import {
+  COMMONS_API_URL,
+  createCommonsApiClient,
+  describeUploadWarnings
+} from "./commonsApi.js";
+
+/**
+ * Creates a fetch stand-in that answers like a tiny mock wiki and
+ * records every request it receives.
+ */
+function createMockWiki(handler) {
+  const calls = [];
+  const fetchFn = async (url, init = {}) => {
+    const parsed = new URL(url);
+    const params = Object.fromEntries(parsed.searchParams);
+    if (init.body) Object.assign(params, Object.fromEntries(init.body));
+    calls.push({ url, init, params });
+    const body = handler(params, calls.length);
+    return {
+      ok: true,
+      status: 200,
+      statusText: "OK",
+      json: async () => body,
+    };
+  };
+  return { fetchFn, calls };
+}
+
+describe("commonsApi", () => {
+  describe("describeUploadWarnings", () => {
+    it("returns an empty list when there are no warnings", () => {
+      expect(describeUploadWarnings(undefined)).toEqual([]);
+      expect(describeUploadWarnings(null)).toEqual([]);
+    });
+
+    it("explains known warning codes", () => {
+      const warnings = describeUploadWarnings({
+        duplicate: ["Existing_file.png", "Other_copy.png"],
+        exists: "Test.png",
+        badfilename: "Test_file.png"
+      });
+
+      expect(warnings).toHaveLength(3);
+      expect(warnings[0]).toEqual({
+        code: "duplicate",
+        message: "An identical file already exists on Commons",
+        detail: ["Existing_file.png", "Other_copy.png"]
+      });
+      expect(warnings[1].code).toBe("exists");
+      expect(warnings[1].detail).toBe("Test.png");
+      expect(warnings[2].message).toContain("changed to be valid");
+    });
+
+    it("falls back to a generic message for unknown codes", () => {
+      const [warning] = describeUploadWarnings({ "some-new-warning": "" });
+      expect(warning.message).toBe("Upload warning: some-new-warning");
+    });
+  });
+
+  describe("createCommonsApiClient", () => {
+    it("defaults to the Commons endpoint", () => {
+      const client = createCommonsApiClient({ fetchFn: async () => ({}) });
+      expect(client.apiUrl).toBe(COMMONS_API_URL);
+    });
+
+    it("sends requests to a configurable endpoint with the bearer token", async () => {
+      const { fetchFn, calls } = createMockWiki(() => ({
+        query: { userinfo: { id: 1, name: "Tester" } }
+      }));
+      const client = createCommonsApiClient({
+        apiUrl: "http://localhost:8080/w/api.php",
+        accessToken: "abc123",
+        fetchFn
+      });
+
+      const user = await client.getUserInfo();
+
+      expect(user.name).toBe("Tester");
+      expect(calls[0].url.startsWith("http://localhost:8080/w/api.php?")).toBe(true);
+      expect(calls[0].params.format).toBe("json");
+      expect(calls[0].params.crossorigin).toBe("1");
+      expect(calls[0].init.headers.Authorization).toBe("Bearer abc123");
+    });
+
+    it("makes anonymous cross-origin requests without a token", async () => {
+      const { fetchFn, calls } = createMockWiki(() => ({ query: { userinfo: { id: 0, anon: true } } }));
+      const client = createCommonsApiClient({ fetchFn });
+
+      await client.getUserInfo();
+
+      expect(calls[0].params.origin).toBe("*");
+      expect(calls[0].params.crossorigin).toBeUndefined();
+      expect(calls[0].init.headers.Authorization).toBeUndefined();
+    });
+
+    it("caches the CSRF token", async () => {
+      const { fetchFn, calls } = createMockWiki(() => ({
+        query: { tokens: { csrftoken: "token+\\" } }
+      }));
+      const client = createCommonsApiClient({ fetchFn });
+
+      expect(await client.getCsrfToken()).toBe("token+\\");
+      expect(await client.getCsrfToken()).toBe("token+\\");
+      expect(calls).toHaveLength(1);
+    });
+
+    it("throws API errors with their code", async () => {
+      const { fetchFn } = createMockWiki(() => ({
+        error: { code: "permissiondenied", info: "You do not have permission." }
+      }));
+      const client = createCommonsApiClient({ fetchFn });
+
+      await expect(client.getUserInfo()).rejects.toMatchObject({
+        code: "permissiondenied",
+        message: "You do not have permission."
+      });
+    });
+
+    it("throws on HTTP errors", async () => {
+      const client = createCommonsApiClient({
+        fetchFn: async () => ({ ok: false, status: 503, statusText: "Service Unavailable" })
+      });
+      await expect(client.getUserInfo()).rejects.toThrow("503");
+    });
+  });
+
+  describe("uploadFromUrl", () => {
+    const uploadParams = {
+      filename: "Test Record.png",
+      url: "https://zenodo.org/records/12345/files/test.png",
+      text: "{{Information\n|description=Test\n}}",
+      comment: "Uploaded with zenodo2commons"
+    };
+
+    it("posts an upload with the CSRF token and full text", async () => {
+      const { fetchFn, calls } = createMockWiki((params) => {
+        if (params.meta === "tokens") return { query: { tokens: { csrftoken: "csrf" } } };
+        return { upload: { result: "Success", filename: "Test_Record.png" } };
+      });
+      const client = createCommonsApiClient({ fetchFn });
+
+      const result = await client.uploadFromUrl(uploadParams);
+
+      expect(result).toEqual({ result: "Success", filename: "Test_Record.png", warnings: [] });
+      const upload = calls[1];
+      expect(upload.init.method).toBe("POST");
+      expect(upload.params.action).toBe("upload");
+      expect(upload.params.token).toBe("csrf");
+      expect(upload.params.url).toBe(uploadParams.url);
+      expect(upload.params.text).toBe(uploadParams.text);
+      expect(upload.params.ignorewarnings).toBeUndefined();
+    });
+
+    it("returns warnings such as duplicate and exists", async () => {
+      const { fetchFn } = createMockWiki((params) => {
+        if (params.meta === "tokens") return { query: { tokens: { csrftoken: "csrf" } } };
+        return {
+          upload: {
+            result: "Warning",
+            warnings: { duplicate: ["Other.png"], exists: "Test_Record.png" },
+            filekey: "abc.png"
+          }
+        };
+      });
+      const client = createCommonsApiClient({ fetchFn });
+
+      const result = await client.uploadFromUrl(uploadParams);
+
+      expect(result.result).toBe("Warning");
+      expect(result.warnings.map((w) => w.code)).toEqual(["duplicate", "exists"]);
+    });
+
+    it("passes ignorewarnings when requested", async () => {
+      const { fetchFn, calls } = createMockWiki((params) => {
+        if (params.meta === "tokens") return { query: { tokens: { csrftoken: "csrf" } } };
+        return { upload: { result: "Success", filename: "Test_Record.png" } };
+      });
+      const client = createCommonsApiClient({ fetchFn });
+
+      await client.uploadFromUrl({ ...uploadParams, ignoreWarnings: true });
+
+      expect(calls[1].params.ignorewarnings).toBe("1");
+    });
+
+    it("retries once with a fresh token on badtoken", async () => {
+      let uploads = 0;
+      const { fetchFn, calls } = createMockWiki((params) => {
+        if (params.meta === "tokens") return { query: { tokens: { csrftoken: `csrf${calls.length}` } } };
+        uploads++;
+        if (uploads === 1) return { error: { code: "badtoken", info: "Invalid CSRF token." } };
+        return { upload: { result: "Success", filename: "Test_Record.png" } };
+      });
+      const client = createCommonsApiClient({ fetchFn });
+
+      const result = await client.uploadFromUrl(uploadParams);
+
+      expect(result.result).toBe("Success");
+      expect(calls).toHaveLength(4);
+      expect(calls[3].params.token).toBe("csrf3");
+    });
+
+    it("surfaces upload errors such as copyuploadbaddomain", async () => {
+      const { fetchFn } = createMockWiki((params) => {
+        if (params.meta === "tokens") return { query: { tokens: { csrftoken: "csrf" } } };
+        return { error: { code: "copyuploadbaddomain", info: "Uploads by URL are not allowed from this domain." } };
+      });
+      const client = createCommonsApiClient({ fetchFn });
+
+      await expect(client.uploadFromUrl(uploadParams)).rejects.toMatchObject({
+        code: "copyuploadbaddomain"
+      });
+    });
+  });
+
+  describe("uploadFile", () => {
+    it("posts the file as multipart form data", async () => {
+      const { fetchFn, calls } = createMockWiki((params) => {
+        if (params.meta === "tokens") return { query: { tokens: { csrftoken: "csrf" } } };
+        return { upload: { result: "Success", filename: "Figure.png" } };
+      });
+      const client = createCommonsApiClient({ fetchFn });
+      const file = new Blob(["png"], { type: "image/png" });
+
+      const result = await client.uploadFile({ filename: "Figure.png", file, text: "wikitext" });
+
+      expect(result).toEqual({ result: "Success", filename: "Figure.png", warnings: [] });
+      expect(calls[1].init.body).toBeInstanceOf(FormData);
+      expect(calls[1].params).toMatchObject({ action: "upload", filename: "Figure.png", text: "wikitext", token: "csrf" });
+      expect(calls[1].params.file).toBeInstanceOf(Blob);
+    });
+
+    it("rejects files above the direct upload limit", async () => {
+      const client = createCommonsApiClient({ fetchFn: async () => ({}) });
+      const file = { size: 101 * 1024 * 1024 };
+      await expect(client.uploadFile({ filename: "Big.png", file, text: "" })).rejects.toThrow("too large");
+    });
+  });
+
+  describe("editPage", () => {
+    it("posts an edit with the CSRF token", async () => {
+      const { fetchFn, calls } = createMockWiki((params) => {
+        if (params.meta === "tokens") return { query: { tokens: { csrftoken: "csrf" } } };
+        return { edit: { result: "Success", title: "Data:Test.tab", newrevid: 42 } };
+      });
+      const client = createCommonsApiClient({ fetchFn });
+
+      const result = await client.editPage({ title: "Data:Test.tab", text: "{}", createOnly: true });
+
+      expect(result).toEqual({ result: "Success", title: "Data:Test.tab", newRevisionId: 42 });
+      expect(calls[1].init.method).toBe("POST");
+      expect(calls[1].params).toMatchObject({ action: "edit", title: "Data:Test.tab", text: "{}", createonly: "1", token: "csrf" });
+    });
+
+    it("surfaces edit errors such as articleexists", async () => {
+      const { fetchFn } = createMockWiki((params) => {
+        if (params.meta === "tokens") return { query: { tokens: { csrftoken: "csrf" } } };
+        return { error: { code: "articleexists", info: "The article you tried to create has been created already." } };
+      });
+      const client = createCommonsApiClient({ fetchFn });
+
+      await expect(client.editPage({ title: "Data:Test.tab", text: "{}" })).rejects.toMatchObject({
+        code: "articleexists"
+      });
+    });
+  });
+
+  describe("editEntity", () => {
+    it("posts entity data for a file page", async () => {
+      const { fetchFn, calls } = createMockWiki((params) => {
+        if (params.meta === "tokens") return { query: { tokens: { csrftoken: "csrf" } } };
+        return { success: 1, entity: { id: "M123" } };
+      });
+      const client = createCommonsApiClient({ fetchFn });
+      const data = { labels: { en: { language: "en", value: "Cover" }, pt: { language: "pt", value: "Capa" } } };
+
+      expect(await client.editEntity({ title: "File:Cover.png", data })).toEqual({ result: "Success" });
+      expect(calls[1].params).toMatchObject({
+        action: "wbeditentity",
+        site: "commonswiki",
+        title: "File:Cover.png",
+        data: JSON.stringify(data),
+        token: "csrf"
+      });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Helpers for turning Zenodo creator lists into Commons author fields.
+ */
+
+import { escapeWikitext } from "./wikitext.js";
+
+/**
+ * Strips the orcid.org prefix from an ORCID iD.
+ *
+ * @param {string} orcid - ORCID iD, bare or as a URL
+ * @returns {string} - Bare ORCID iD, or "" if none was given
+ */
+export function normalizeOrcid(orcid) {
+  if (!orcid) return "";
+  return orcid.replace(/^https?:\/\/orcid\.org\//i, "").trim();
+}
+
+/**
+ * Converts a Zenodo "Family, Given" name to display order ("Given Family").
+ * Names without exactly one comma are returned unchanged.
+ *
+ * @param {string} name - Name as stored on Zenodo
+ * @returns {string} - Name in display order
+ */
+export function toDisplayName(name) {
+  const value = (name || "").trim();
+  const parts = value.split(",");
+  if (parts.length !== 2) return value;
+  const [family, given] = parts.map((part) => part.trim());
+  if (!family || !given) return family || given;
+  return `${given} ${family}`;
+}
+
+/**
+ * Formats one creator, linking to Wikidata when a match is known.
+ *
+ * @param {{name: string, orcid?: string}} creator - Zenodo creator
+ * @param {Object|null} match - Match from resolveAuthors
+ * @param {string} style - "creator", "wikidata" or "link"
+ * @returns {string} - Wikitext for the creator
+ */
+function formatCreator(creator, match, style) {
+  // Names are plain text; "=" and "|" would break the author field
+  const name = escapeWikitext(toDisplayName(creator.name), { equals: true });
+  const orcid = normalizeOrcid(creator.orcid);
+  const orcidSuffix = orcid ? ` ({{ORCID|${orcid}}})` : "";
+
+  if (match?.wikidataId) {
+    if (style === "creator" && match.creatorTemplate) return `{{Creator:${match.creatorTemplate}}}`;
+    if (style === "wikidata") return `{{Wikidata|${match.wikidataId}}}${orcidSuffix}`;
+    return `[[d:${match.wikidataId}|${name || escapeWikitext(match.label, { equals: true }) || match.wikidataId}]]${orcidSuffix}`;
+  }
+
+  return orcid ? `${name}${orcidSuffix}` : name;
+}
+
+/**
+ * Formats Zenodo creators for the `|author=` field.
+ *
+ * Creators matched to Wikidata are rendered according to `style`:
+ * "creator" uses the Commons Creator template when the item has one and
+ * falls back to a `[[d:Q…]]` link, "wikidata" uses `{{Wikidata|Q…}}` and
+ * "link" always uses a `[[d:Q…]]` link.
+ *
+ * @param {Array<{name: string, orcid?: string}>} creators - Zenodo creators
+ * @param {Object} [options] - Options
+ * @param {Array<Object|null>} [options.matches] - Wikidata matches by creator index
+ * @param {string} [options.style] - How to render matched creators
+ * @returns {string} - Semicolon-separated author list with ORCID templates
+ *
+ * @example
+ * formatCreators([{ name: "Doe, Jane", orcid: "0000-0002-1825-0097" }])
+ * // Returns: "Jane Doe ({{ORCID|0000-0002-1825-0097}})"
+ */
+export function formatCreators(creators, options = {}) {
+  const { matches = [], style = "creator" } = options;
+  if (!Array.isArray(creators) || creators.length === 0) return "";
+  return creators
+    .map((creator, i) => formatCreator(creator, matches[i] || null, style))
+    .filter((value) => value.length > 0)
+    .join("; ");
+}
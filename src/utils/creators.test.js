@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import { normalizeOrcid, toDisplayName, formatCreators } from "./creators.js";
+
+describe("creators", () => {
+  describe("normalizeOrcid", () => {
+    it("strips the orcid.org prefix", () => {
+      expect(normalizeOrcid("https://orcid.org/0000-0002-1825-0097")).toBe("0000-0002-1825-0097");
+      expect(normalizeOrcid("http://ORCID.org/0000-0002-1825-0097 ")).toBe("0000-0002-1825-0097");
+    });
+
+    it("keeps bare ORCID iDs and handles empty input", () => {
+      expect(normalizeOrcid("0000-0002-1825-0097")).toBe("0000-0002-1825-0097");
+      expect(normalizeOrcid("")).toBe("");
+      expect(normalizeOrcid(undefined)).toBe("");
+    });
+  });
+
+  describe("toDisplayName", () => {
+    it("converts 'Family, Given' to display order", () => {
+      expect(toDisplayName("Doe, Jane")).toBe("Jane Doe");
+      expect(toDisplayName(" van der Berg ,  Anna M. ")).toBe("Anna M. van der Berg");
+    });
+
+    it("leaves names without exactly one comma unchanged", () => {
+      expect(toDisplayName("Jane Doe")).toBe("Jane Doe");
+      expect(toDisplayName("Example Consortium, Inc., Research")).toBe("Example Consortium, Inc., Research");
+      expect(toDisplayName("Doe,")).toBe("Doe");
+      expect(toDisplayName(undefined)).toBe("");
+    });
+  });
+
+  describe("formatCreators", () => {
+    it("joins creators and adds ORCID templates", () => {
+      const creators = [
+        { name: "Doe, Jane", orcid: "0000-0002-1825-0097" },
+        { name: "Roe, Richard" }
+      ];
+      expect(formatCreators(creators)).toBe("Jane Doe ({{ORCID|0000-0002-1825-0097}}); Richard Roe");
+    });
+
+    it("skips creators without a name or ORCID", () => {
+      expect(formatCreators([{ name: "" }, { name: "Roe, Richard" }])).toBe("Richard Roe");
+    });
+
+    it("escapes names that would break the author field", () => {
+      expect(formatCreators([{ name: "Lab | Group=1" }, { name: "Roe, {{Richard}}" }]))
+        .toBe("Lab {{!}} Group{{=}}1; <nowiki>{{</nowiki>Richard<nowiki>}}</nowiki> Roe");
+    });
+
+    describe("with Wikidata matches", () => {
+      const creators = [
+        { name: "Doe, Jane", orcid: "0000-0002-1825-0097" },
+        { name: "Roe, Richard" }
+      ];
+      const matches = [
+        { wikidataId: "Q42", label: "Jane Doe", creatorTemplate: "Jane Doe" },
+        { wikidataId: "Q7", label: "Richard Roe", creatorTemplate: null }
+      ];
+
+      it("uses Creator templates and falls back to Wikidata links", () => {
+        expect(formatCreators(creators, { matches })).toBe("{{Creator:Jane Doe}}; [[d:Q7|Richard Roe]]");
+      });
+
+      it("supports the Wikidata template and link styles", () => {
+        expect(formatCreators(creators, { matches, style: "wikidata" }))
+          .toBe("{{Wikidata|Q42}} ({{ORCID|0000-0002-1825-0097}}); {{Wikidata|Q7}}");
+        expect(formatCreators(creators, { matches, style: "link" }))
+          .toBe("[[d:Q42|Jane Doe]] ({{ORCID|0000-0002-1825-0097}}); [[d:Q7|Richard Roe]]");
+      });
+
+      it("formats unmatched creators as plain names", () => {
+        expect(formatCreators(creators, { matches: [null, matches[1]] }))
+          .toBe("Jane Doe ({{ORCID|0000-0002-1825-0097}}); [[d:Q7|Richard Roe]]");
+      });
+    });
+
+    it("returns an empty string for missing creators", () => {
+      expect(formatCreators([])).toBe("");
+      expect(formatCreators(undefined)).toBe("");
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Additional descriptions as sections of the file description.
+ *
+ * Besides the abstract, records can describe their methods, technical
+ * details, contents and notes (InvenioRDM `additional_descriptions`, legacy
+ * Zenodo `method` and `notes`). These follow the description as labelled
+ * paragraphs or collapsed boxes. Each kind has a priority: when the upload
+ * form URL gets too long, sections with the lowest priority go first.
+ */
+
+import { cleanDescription } from "./htmlToWiki.js";
+import { toLanguageCode } from "./languages.js";
+
+// Ways of writing sections, with their display names; "" leaves them out
+export const SECTION_STYLES = {
+  labelled: "Labelled sections",
+  collapsed: "Collapsed sections",
+};
+
+export const DEFAULT_SECTION_STYLE = "labelled";
+
+// Section kinds by InvenioRDM description type, in the order they are written
+const SECTION_TYPES = {
+  methods: { label: "Methods", priority: 4 },
+  "technical-info": { label: "Technical info", priority: 3 },
+  "table-of-contents": { label: "Table of contents", priority: 0 },
+  "series-information": { label: "Series information", priority: 1 },
+  other: { label: "Notes", priority: 2 },
+};
+
+// Legacy Zenodo fields and the description types they correspond to
+const LEGACY_FIELDS = {
+  method: "methods",
+  notes: "other",
+};
+
+/**
+ * Returns the description type of an additional description, e.g. "methods".
+ *
+ * @param {string|Object} type - Legacy string or InvenioRDM entry (`{id}`)
+ * @returns {string} - Type ID in lower case
+ */
+function getTypeId(type) {
+  const id = (typeof type === "string" ? type : type?.id || "").toLowerCase();
+  // Legacy spellings: "technicalinfo", "tableofcontents", "seriesinformation"
+  return { technicalinfo: "technical-info", tableofcontents: "table-of-contents", seriesinformation: "series-information" }[id] || id;
+}
+
+/**
+ * Collects the sections of a record. Additional descriptions in other
+ * languages are translations and are left to languages.getTranslations.
+ *
+ * @param {Object} metadata - Record metadata
+ * @param {string} language - Main language code, see languages.getRecordLanguage
+ * @returns {Array<{type: string, label: string, priority: number, text: string}>} - Sections
+ *   with wikitext, in writing order; several descriptions of one type are joined
+ */
+export function getDescriptionSections(metadata, language) {
+  const texts = {};
+  const add = (type, html) => {
+    const text = cleanDescription(html).description;
+    if (!SECTION_TYPES[type] || !text) return;
+    texts[type] = texts[type] ? `${texts[type]}\n\n${text}` : text;
+  };
+
+  (metadata?.additional_descriptions || []).forEach((description) => {
+    const code = toLanguageCode(description.lang);
+    if (code && code !== language) return;
+    add(getTypeId(description.type), description.description);
+  });
+  Object.entries(LEGACY_FIELDS).forEach(([field, type]) => {
+    if (typeof metadata?.[field] === "string") add(type, metadata[field]);
+  });
+
+  return Object.keys(SECTION_TYPES)
+    .filter((type) => texts[type])
+    .map((type) => ({ type, ...SECTION_TYPES[type], text: texts[type] }));
+}
+
+/**
+ * Writes one section.
+ *
+ * @param {{label: string, text: string}} section - Section
+ * @param {string} style - One of the SECTION_STYLES IDs
+ * @returns {string} - Wikitext
+ */
+export function formatSection(section, style) {
+  if (style === "collapsed") {
+    return `{{Collapse top|title=${section.label}}}\n${section.text}\n{{Collapse bottom}}`;
+  }
+  return `'''${section.label}:''' ${section.text}`;
+}
+
+/**
+ * Writes the sections that follow the description.
+ *
+ * @param {Array<Object>} sections - Sections from getDescriptionSections
+ * @param {string} style - One of the SECTION_STYLES IDs, or "" to leave the sections out
+ * @returns {string} - Wikitext starting with a blank line, or "" if there is nothing to write
+ */
+export function buildSectionsText(sections, style) {
+  if (!style || !sections || sections.length === 0) return "";
+  return sections.map((section) => `\n\n${formatSection(section, style)}`).join("");
+}
+
+/**
+ * Orders sections for dropping when space runs out: lowest priority first,
+ * later sections first among equals.
+ *
+ * @param {Array<Object>} sections - Sections from getDescriptionSections
+ * @returns {Array<Object>} - Sections in the order they are dropped
+ */
+export function getDropOrder(sections) {
+  return sections
+    .map((section, index) => ({ section, index }))
+    .sort((a, b) => a.section.priority - b.section.priority || b.index - a.index)
+    .map(({ section }) => section);
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import {
+  getDescriptionSections,
+  formatSection,
+  buildSectionsText,
+  getDropOrder
+} from "./descriptionSections.js";
+
+const metadata = {
+  additional_descriptions: [
+    { description: "<p>Kept in 70% ethanol.</p>", type: { id: "other" } },
+    { description: "<p>Quadrats of <b>1 m²</b>.</p>", type: { id: "methods" }, lang: { id: "eng" } },
+    { description: "<p>Métodos em português.</p>", type: { id: "methods" }, lang: { id: "por" } },
+    { description: "<p>Part of the reef series.</p>", type: "SeriesInformation" },
+    { description: "<p>Summary.</p>", type: { id: "abstract" } }
+  ],
+  method: "<p>Photographed at noon.</p>"
+};
+
+describe("descriptionSections", () => {
+  describe("getDescriptionSections", () => {
+    it("collects sections in writing order", () => {
+      expect(getDescriptionSections(metadata, "en")).toEqual([
+        {
+          type: "methods",
+          label: "Methods",
+          priority: 4,
+          text: "Quadrats of '''1 m²'''.\n\nPhotographed at noon."
+        },
+        { type: "series-information", label: "Series information", priority: 1, text: "Part of the reef series." },
+        { type: "other", label: "Notes", priority: 2, text: "Kept in 70% ethanol." }
+      ]);
+    });
+
+    it("leaves descriptions in other languages to the translations", () => {
+      const types = getDescriptionSections(metadata, "pt").map((section) => section.type);
+      expect(types).toEqual(["methods", "series-information", "other"]);
+      expect(getDescriptionSections(metadata, "pt")[0].text).toBe("Métodos em português.\n\nPhotographed at noon.");
+    });
+
+    it("reads legacy notes and skips empty descriptions", () => {
+      expect(getDescriptionSections({ notes: "<p>Funded by X.</p>", method: "<p></p>" }, "en")).toEqual([
+        { type: "other", label: "Notes", priority: 2, text: "Funded by X." }
+      ]);
+      expect(getDescriptionSections({}, "en")).toEqual([]);
+    });
+  });
+
+  describe("formatSection", () => {
+    const section = { label: "Methods", text: "Quadrats." };
+
+    it("writes labelled paragraphs", () => {
+      expect(formatSection(section, "labelled")).toBe("'''Methods:''' Quadrats.");
+    });
+
+    it("writes collapsed boxes", () => {
+      expect(formatSection(section, "collapsed")).toBe(
+        "{{Collapse top|title=Methods}}\nQuadrats.\n{{Collapse bottom}}"
+      );
+    });
+  });
+
+  describe("buildSectionsText", () => {
+    const sections = [
+      { label: "Methods", text: "Quadrats." },
+      { label: "Notes", text: "Ethanol." }
+    ];
+
+    it("separates sections with blank lines", () => {
+      expect(buildSectionsText(sections, "labelled")).toBe("\n\n'''Methods:''' Quadrats.\n\n'''Notes:''' Ethanol.");
+    });
+
+    it("writes nothing without sections or a style", () => {
+      expect(buildSectionsText(sections, "")).toBe("");
+      expect(buildSectionsText([], "labelled")).toBe("");
+    });
+  });
+
+  describe("getDropOrder", () => {
+    it("drops the lowest priority first, later sections first among equals", () => {
+      const sections = [
+        { type: "methods", priority: 4 },
+        { type: "a", priority: 1 },
+        { type: "other", priority: 2 },
+        { type: "b", priority: 1 }
+      ];
+      expect(getDropOrder(sections).map((section) => section.type)).toEqual(["b", "a", "other", "methods"]);
+    });
+  });
+});
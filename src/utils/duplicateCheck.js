@@ -0,0 +1,82 @@
+/**
+ * Pre-flight duplicate detection against Commons.
+ *
+ * Commons indexes every file by its SHA-1, so hashing a Zenodo file and
+ * querying `list=allimages&aisha1=` finds exact duplicates before upload.
+ */
+
+/**
+ * Finds Commons files with the given SHA-1.
+ *
+ * @param {Object} apiClient - Client from createCommonsApiClient
+ * @param {string} sha1 - Hex SHA-1 of the file
+ * @returns {Promise<Array<{title: string, url: string}>>} - Matching files
+ */
+export async function findCommonsFilesBySha1(apiClient, sha1) {
+  const data = await apiClient.get({
+    action: "query",
+    list: "allimages",
+    aisha1: sha1.toLowerCase(),
+    ailimit: "10",
+    aiprop: "url",
+  });
+
+  return (data.query?.allimages || []).map((image) => ({
+    title: image.title,
+    url: image.descriptionurl || "",
+  }));
+}
+
+/**
+ * Downloads and hashes a file in a Web Worker.
+ *
+ * @param {string} url - File URL
+ * @param {Function} [onProgress] - Called with (loadedBytes, totalBytes)
+ * @returns {Promise<string>} - Hex SHA-1 of the file
+ */
+export function hashFileInWorker(url, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./sha1.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === "progress") {
+        onProgress(message.loaded, message.total);
+        return;
+      }
+      worker.terminate();
+      if (message.type === "done") {
+        resolve(message.sha1);
+      } else {
+        reject(new Error(message.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || "Hashing worker failed"));
+    };
+    worker.postMessage({ url });
+  });
+}
+
+/**
+ * Hashes a file and looks for exact duplicates on Commons.
+ *
+ * @param {Object} params - Parameters object
+ * @param {string} params.url - URL to download the file from
+ * @param {Object} params.apiClient - Client from createCommonsApiClient
+ * @param {Function} [params.hashFn] - Hash implementation taking (url, onProgress)
+ * @param {Function} [params.onProgress] - Called with (loadedBytes, totalBytes)
+ * @returns {Promise<{sha1: string, duplicates: Array<{title: string, url: string}>}>}
+ */
+export async function checkForDuplicates(params) {
+  const {
+    url,
+    apiClient,
+    hashFn = hashFileInWorker,
+    onProgress = () => {}
+  } = params;
+
+  const sha1 = await hashFn(url, onProgress);
+  const duplicates = await findCommonsFilesBySha1(apiClient, sha1);
+  return { sha1, duplicates };
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import { findCommonsFilesBySha1, checkForDuplicates } from "./duplicateCheck.js";
+
+const SHA1 = "a9993e364706816aba3e25717850c26c9cd0d89d";
+
+describe("duplicateCheck", () => {
+  describe("findCommonsFilesBySha1", () => {
+    it("queries allimages by SHA-1", async () => {
+      let params;
+      const apiClient = {
+        get: async (p) => {
+          params = p;
+          return {
+            query: {
+              allimages: [
+                {
+                  title: "File:Existing figure.png",
+                  descriptionurl: "https://commons.wikimedia.org/wiki/File:Existing_figure.png"
+                }
+              ]
+            }
+          };
+        }
+      };
+
+      const files = await findCommonsFilesBySha1(apiClient, SHA1.toUpperCase());
+
+      expect(params.list).toBe("allimages");
+      expect(params.aisha1).toBe(SHA1);
+      expect(files).toEqual([
+        {
+          title: "File:Existing figure.png",
+          url: "https://commons.wikimedia.org/wiki/File:Existing_figure.png"
+        }
+      ]);
+    });
+
+    it("returns an empty list when no file matches", async () => {
+      const apiClient = { get: async () => ({ batchcomplete: true, query: { allimages: [] } }) };
+      expect(await findCommonsFilesBySha1(apiClient, SHA1)).toEqual([]);
+    });
+  });
+
+  describe("checkForDuplicates", () => {
+    it("hashes with the given function and reports duplicates", async () => {
+      const progress = [];
+      const apiClient = {
+        get: async () => ({ query: { allimages: [{ title: "File:A.png", descriptionurl: "u" }] } })
+      };
+
+      const result = await checkForDuplicates({
+        url: "https://zenodo.org/api/records/1/files/a.png/content",
+        apiClient,
+        hashFn: async (url, onProgress) => {
+          onProgress(10, 10);
+          return SHA1;
+        },
+        onProgress: (loaded, total) => progress.push([loaded, total])
+      });
+
+      expect(result.sha1).toBe(SHA1);
+      expect(result.duplicates.map((d) => d.title)).toEqual(["File:A.png"]);
+      expect(progress).toEqual([[10, 10]]);
+    });
+
+    it("propagates hashing errors", async () => {
+      await expect(checkForDuplicates({
+        url: "x",
+        apiClient: { get: async () => ({}) },
+        hashFn: async () => {
+          throw new Error("Failed to download file: Forbidden");
+        }
+      })).rejects.toThrow("Forbidden");
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Figshare provider.
+ *
+ * Reads articles from the public Figshare API and turns them into the
+ * normalized record layout (see providers.js), so that file names, the
+ * description, licenses and categories work as they do for Zenodo records.
+ */
+
+import { INSTANCE_PROFILES } from "./instances.js";
+import { FIGSHARE_HOST } from "./recordIdentifiers.js";
+
+// Figshare item types, by `defined_type_name`, as InvenioRDM resource type IDs
+const RESOURCE_TYPES = {
+  figure: "image-figure",
+  media: "video",
+  dataset: "dataset",
+  fileset: "dataset",
+  poster: "poster",
+  presentation: "presentation",
+  "journal contribution": "publication-article",
+  preprint: "publication-preprint",
+  thesis: "publication-thesis",
+  book: "publication-book",
+  chapter: "publication-section",
+  "conference contribution": "publication-conferencepaper",
+  report: "publication-report",
+  software: "software",
+  "educational resource": "lesson",
+  model: "model",
+  workflow: "workflow",
+};
+
+/**
+ * Maps a Figshare license to a license entry for licenses.resolveLicense.
+ *
+ * Figshare names Creative Commons licenses by their short form ("CC BY 4.0",
+ * "CC BY-NC-SA 4.0", "CC0"); anything else is resolved from its URL or name.
+ *
+ * @param {{value: number, name: string, url: string}} license - Figshare license
+ * @returns {{id: string, title: string, url: string}|null} - License entry, or null
+ *   if the article has no license
+ */
+export function mapFigshareLicense(license) {
+  if (!license || !license.name) return null;
+  const name = license.name.trim();
+  const url = license.url || "";
+  if (/^CC0(?: 1\.0)?$/i.test(name)) return { id: "cc0-1.0", title: name, url };
+  const cc = name.match(/^CC (BY(?:-(?:NC|ND|SA))*) (\d\.\d)$/i);
+  if (cc) return { id: `cc-${cc[1].toLowerCase()}-${cc[2]}`, title: name, url };
+  return { id: "", title: name, url };
+}
+
+/**
+ * Converts a Figshare author to a creator ("Family, Given" where the name
+ * parts are known).
+ *
+ * @param {Object} author - Figshare author (`full_name`, `first_name`, `last_name`, `orcid_id`)
+ * @returns {{name: string, orcid?: string}} - Creator
+ */
+function toCreator(author) {
+  const name = author.last_name && author.first_name
+    ? `${author.last_name}, ${author.first_name}`
+    : author.full_name || "";
+  return author.orcid_id ? { name, orcid: author.orcid_id } : { name };
+}
+
+/**
+ * Converts a Figshare item type to a resource type.
+ *
+ * @param {string} typeName - `defined_type_name`, e.g. "figure"
+ * @returns {{id: string, title: {en: string}}|null} - Resource type, or null if unknown
+ */
+function toResourceType(typeName) {
+  const name = (typeName || "").toLowerCase();
+  if (!RESOURCE_TYPES[name]) return null;
+  return { id: RESOURCE_TYPES[name], title: { en: name.charAt(0).toUpperCase() + name.substring(1) } };
+}
+
+/**
+ * Converts a Figshare article to a normalized record.
+ *
+ * @param {Object} article - Article JSON from the Figshare API
+ * @returns {Object} - Normalized record
+ */
+export function normalizeFigshareArticle(article) {
+  return {
+    id: article.id,
+    doi: article.doi || "",
+    metadata: {
+      title: article.title || "",
+      description: article.description || "",
+      publication_date: (article.published_date || article.created_date || "").substring(0, 10),
+      creators: (article.authors || []).map(toCreator),
+      license: mapFigshareLicense(article.license),
+      keywords: article.tags || [],
+      version: article.version ? String(article.version) : "",
+      resource_type: toResourceType(article.defined_type_name),
+      related_identifiers: (article.references || []).map((url) => ({
+        identifier: url,
+        relation: "references",
+        scheme: "url",
+      })),
+      publisher: "Figshare",
+    },
+    files: (article.files || []).map((file) => ({
+      id: String(file.id),
+      key: file.name,
+      size: file.size,
+      checksum: file.computed_md5 ? `md5:${file.computed_md5}` : "",
+      url: file.download_url,
+    })),
+  };
+}
+
+/**
+ * Checks whether JSON is a Figshare article, e.g. in a saved file.
+ *
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean} - True for Figshare articles
+ */
+export function isFigshareArticle(data) {
+  return Boolean(data && !data.metadata && (data.figshare_url || data.url_public_html) && Array.isArray(data.authors));
+}
+
+/**
+ * Fetches an article from the Figshare API.
+ *
+ * @param {string|number} id - Article ID
+ * @param {Function} [fetchFn] - fetch implementation (for testing)
+ * @param {string} [apiUrl] - Articles API
+ * @returns {Promise<Object>} - Normalized record
+ * @throws {Error} - If the article cannot be fetched
+ */
+export async function fetchFigshareArticle(
+  id,
+  fetchFn = (...args) => fetch(...args),
+  apiUrl = INSTANCE_PROFILES[FIGSHARE_HOST].apiUrl
+) {
+  const res = await fetchFn(`${apiUrl}/${id}`);
+  if (!res.ok) throw new Error(`Failed to fetch Figshare article: ${res.statusText}`);
+  return normalizeFigshareArticle(await res.json());
+}
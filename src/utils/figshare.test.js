@@ -0,0 +1,125 @@
+import { describe, it, expect } from "vitest";
+import article from "./fixtures/figshare-article.json";
+import {
+  mapFigshareLicense,
+  normalizeFigshareArticle,
+  isFigshareArticle,
+  fetchFigshareArticle
+} from "./figshare.js";
+import { getRecordLicense } from "./licenses.js";
+import { getUploadDetails, buildFileWikitext } from "./recordMapping.js";
+import { getInstanceProfile } from "./instances.js";
+
+describe("figshare", () => {
+  describe("mapFigshareLicense", () => {
+    it("maps Creative Commons short names to license IDs", () => {
+      expect(mapFigshareLicense(article.license)).toEqual({
+        id: "cc-by-4.0",
+        title: "CC BY 4.0",
+        url: "https://creativecommons.org/licenses/by/4.0/"
+      });
+      expect(mapFigshareLicense({ name: "CC BY-NC-SA 4.0" }).id).toBe("cc-by-nc-sa-4.0");
+      expect(mapFigshareLicense({ name: "CC0", url: "https://creativecommons.org/publicdomain/zero/1.0/" }).id)
+        .toBe("cc0-1.0");
+      expect(mapFigshareLicense(null)).toBe(null);
+    });
+
+    it("leaves other licenses to their URL or name", () => {
+      expect(mapFigshareLicense({ name: "MIT", url: "https://opensource.org/licenses/MIT" }))
+        .toEqual({ id: "", title: "MIT", url: "https://opensource.org/licenses/MIT" });
+    });
+
+    it("resolves to Commons-compatible licenses and explains the others", () => {
+      const license = (entry) => getRecordLicense({ license: mapFigshareLicense(entry) });
+      expect(license({ name: "CC BY 4.0" })).toMatchObject({ allowed: true, template: "cc-by-4.0" });
+      expect(license({ name: "CC0" })).toMatchObject({ allowed: true, template: "Cc-zero" });
+      expect(license({ name: "CC BY-NC 4.0" }).allowed).toBe(false);
+      expect(license({ name: "In Copyright", url: "http://rightsstatements.org/vocab/InC/1.0/" })).toMatchObject({
+        allowed: false,
+        reason: "In Copyright does not allow reuse, so the file cannot be uploaded to Commons."
+      });
+    });
+  });
+
+  describe("normalizeFigshareArticle", () => {
+    it("converts articles to the record layout", () => {
+      const record = normalizeFigshareArticle(article);
+      expect(record).toMatchObject({
+        id: 21545829,
+        doi: "10.6084/m9.figshare.21545829.v2",
+        metadata: {
+          title: "Confocal images of HeLa cells stained for tubulin",
+          publication_date: "2022-11-14",
+          creators: [
+            { name: "Doe, Jane", orcid: "0000-0002-1825-0097" },
+            { name: "Imaging Core Facility" }
+          ],
+          keywords: ["microscopy", "cell biology"],
+          version: "2",
+          resource_type: { id: "image-figure", title: { en: "Figure" } },
+          related_identifiers: [
+            { identifier: "https://doi.org/10.1000/example.2022.1", relation: "references", scheme: "url" }
+          ],
+          publisher: "Figshare"
+        }
+      });
+      expect(record.metadata.description).toContain("<b>HeLa</b>");
+      expect(record.files[0]).toEqual({
+        id: "38201447",
+        key: "hela_tubulin.png",
+        size: 2048576,
+        checksum: "md5:5d41402abc4b2a76b9719d911017c592",
+        url: "https://ndownloader.figshare.com/files/38201447"
+      });
+    });
+
+    it("handles sparse articles", () => {
+      const record = normalizeFigshareArticle({ id: 1, title: "Untitled" });
+      expect(record.metadata).toMatchObject({ creators: [], license: null, resource_type: null, publication_date: "" });
+      expect(record.files).toEqual([]);
+    });
+
+    it("feeds the upload mapping", () => {
+      const record = normalizeFigshareArticle(article);
+      const instance = getInstanceProfile("figshare.com");
+      const details = getUploadDetails(record.files[0], record, { instance });
+      expect(details).toMatchObject({
+        source: "https://figshare.com/articles/21545829",
+        fileUrl: "https://ndownloader.figshare.com/files/38201447",
+        wpLicense: "cc-by-4.0",
+        sourceTemplate: "{{Figshare|21545829}}",
+        uploadByUrl: false
+      });
+      const wikitext = buildFileWikitext(record.files[0], record, { instance });
+      expect(wikitext).toContain("'''HeLa'''");
+      expect(wikitext).toContain("''Confocal images of HeLa cells stained for tubulin'' [Version 2; Figure]. Figshare.");
+      expect(wikitext).toContain("[[Category:Media from Figshare]]");
+    });
+  });
+
+  describe("isFigshareArticle", () => {
+    it("tells Figshare articles from other JSON", () => {
+      expect(isFigshareArticle(article)).toBe(true);
+      expect(isFigshareArticle({ id: 1, metadata: { title: "x" } })).toBe(false);
+      expect(isFigshareArticle(null)).toBe(false);
+    });
+  });
+
+  describe("fetchFigshareArticle", () => {
+    it("fetches and normalizes articles", async () => {
+      const urls = [];
+      const fetchFn = async (url) => {
+        urls.push(url);
+        return { ok: true, json: async () => article };
+      };
+      const record = await fetchFigshareArticle(21545829, fetchFn);
+      expect(urls).toEqual(["https://api.figshare.com/v2/articles/21545829"]);
+      expect(record.files).toHaveLength(2);
+    });
+
+    it("throws on HTTP errors", async () => {
+      const fetchFn = async () => ({ ok: false, statusText: "Not Found" });
+      await expect(fetchFigshareArticle(1, fetchFn)).rejects.toThrow("Failed to fetch Figshare article: Not Found");
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * File page templates by resource type.
+ *
+ * Commons describes documents with `{{Book}}`, which has fields of its own
+ * for the title, publisher and language, and most other files with
+ * `{{Information}}`. Posters and presentations also name the event they
+ * were shown at, in an extra field (event categories are suggested by
+ * categories.suggestCategories). The template follows the record's
+ * `metadata.resource_type` unless one is picked.
+ */
+
+import { getResourceTypeId } from "./categories.js";
+import { escapeLinkTarget, escapeWikitext } from "./wikitext.js";
+
+// Templates, with their display names
+export const FILE_TEMPLATES = {
+  information: "{{Information}}",
+  book: "{{Book}}",
+  event: "{{Information}} with the event",
+};
+
+export const DEFAULT_FILE_TEMPLATE = "information";
+
+// Templates by resource type ID, or by the part before the "-" (legacy type)
+const RESOURCE_TYPE_TEMPLATES = {
+  publication: "book",
+  poster: "event",
+  presentation: "event",
+};
+
+/**
+ * Returns the template that suits a resource type: `{{Book}}` for
+ * publications, `{{Information}}` with the event for posters and
+ * presentations, and `{{Information}}` for figures, images, videos,
+ * datasets and anything else.
+ *
+ * @param {Object} resourceType - `metadata.resource_type`
+ * @returns {string} - One of the FILE_TEMPLATES IDs
+ */
+export function getFileTemplate(resourceType) {
+  const id = getResourceTypeId(resourceType);
+  return RESOURCE_TYPE_TEMPLATES[id] || RESOURCE_TYPE_TEMPLATES[id.split("-")[0]] || DEFAULT_FILE_TEMPLATE;
+}
+
+/**
+ * Formats an event as "[url Title (ACRONYM)], session, place, dates".
+ *
+ * @param {Object} meeting - Event from categories.getMeeting
+ * @returns {string} - Wikitext
+ */
+export function formatEvent(meeting) {
+  const { title, acronym, session, place, dates, url } = meeting;
+  const name = title && acronym ? `${title} (${acronym})` : title || acronym;
+  const link = /^https?:\/\//i.test(url)
+    ? `[${escapeLinkTarget(url)} ${escapeWikitext(name, { link: true })}]`
+    : escapeWikitext(name);
+  return [link, ...[session, place, dates].map((part) => escapeWikitext(part))].filter(Boolean).join(", ");
+}
+
+/**
+ * Writes the template of a file page.
+ *
+ * @param {string} template - One of the FILE_TEMPLATES IDs
+ * @param {Object} fields - Field values
+ * @param {string} fields.description - Description wikitext; for `{{Book}}`
+ *   without the title, which has a field of its own
+ * @param {string} fields.title - Record title, as plain text
+ * @param {string} fields.date - Publication date
+ * @param {string} fields.source - Source URL
+ * @param {string} fields.author - Author wikitext (see creators.formatCreators)
+ * @param {string} [fields.otherVersions] - Other versions wikitext
+ * @param {string} [fields.publisher] - Publisher, as plain text
+ * @param {string} [fields.language] - Language code of the title and description
+ * @param {Object|null} [fields.meeting] - Event from categories.getMeeting
+ * @returns {string} - Template wikitext
+ * @throws {Error} - If the template is unknown
+ */
+export function buildFileTemplate(template, fields) {
+  if (!FILE_TEMPLATES[template]) throw new Error(`Unknown file template: ${template}`);
+  const { description, title, date, source, author, otherVersions = "", publisher = "", language = "", meeting = null } = fields;
+  const versions = otherVersions ? `\n${otherVersions}` : "";
+
+  if (template === "book") {
+    return `{{Book
+|Author=${author}
+|Title=${escapeWikitext(title, { equals: true })}
+|Publisher=${escapeWikitext(publisher)}
+|Date=${date}
+|Language=${language ? `{{language|${language}}}` : ""}
+|Description=${description}
+|Source=${source}
+|Permission=
+|Other_versions=${versions}
+}}`;
+  }
+
+  const otherFields = template === "event" && meeting
+    ? `\n|other fields={{Information field|name=Event|value=${formatEvent(meeting)}}}`
+    : "";
+  return `{{Information
+|description=${description}
+|date=${date}
+|source=${source}
+|author=${author}
+|permission=
+|other versions=${versions}${otherFields}
+}}`;
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect } from "vitest";
+import { FILE_TEMPLATES, getFileTemplate, formatEvent, buildFileTemplate } from "./fileTemplates.js";
+import { buildFileWikitext } from "./recordMapping.js";
+import records from "./fixtures/resource-types.json";
+
+const fields = {
+  description: "{{en|1=Slides}}",
+  title: "Open Data = Open Science",
+  date: "2022-10-20",
+  source: "https://zenodo.org/records/1",
+  author: "Marco Rossi",
+  publisher: "Zenodo",
+  language: "en",
+  meeting: { title: "Open Science Days", acronym: "", dates: "20 October 2022", place: "Berlin", session: "", url: "" }
+};
+
+describe("fileTemplates", () => {
+  describe("getFileTemplate", () => {
+    it("chooses the template by resource type", () => {
+      expect(getFileTemplate({ id: "publication-article" })).toBe("book");
+      expect(getFileTemplate({ type: "publication", subtype: "book" })).toBe("book");
+      expect(getFileTemplate({ id: "poster" })).toBe("event");
+      expect(getFileTemplate({ type: "presentation" })).toBe("event");
+      expect(getFileTemplate({ id: "image-figure" })).toBe("information");
+      expect(getFileTemplate({ id: "dataset" })).toBe("information");
+      expect(getFileTemplate(undefined)).toBe("information");
+    });
+  });
+
+  describe("formatEvent", () => {
+    it("links the event and lists its details", () => {
+      expect(formatEvent({
+        title: "Intelligent Systems for Molecular Biology",
+        acronym: "ISMB",
+        dates: "12-16 July 2024",
+        place: "Montreal, Canada",
+        session: "Poster session B",
+        url: "https://example.org/ismb 2024"
+      })).toBe(
+        "[https://example.org/ismb%202024 Intelligent Systems for Molecular Biology (ISMB)], Poster session B, Montreal, Canada, 12-16 July 2024"
+      );
+    });
+
+    it("escapes the event text", () => {
+      expect(formatEvent({ title: "", acronym: "A|B", dates: "", place: "", session: "", url: "ftp://x" })).toBe("A{{!}}B");
+    });
+  });
+
+  describe("buildFileTemplate", () => {
+    it("writes {{Book}} with the title, publisher and language", () => {
+      const text = buildFileTemplate("book", fields);
+      expect(text).toContain("|Title=Open Data {{=}} Open Science\n");
+      expect(text).toContain("|Publisher=Zenodo\n");
+      expect(text).toContain("|Language={{language|en}}\n");
+      expect(text).not.toContain("Event");
+    });
+
+    it("adds the event only to the event template", () => {
+      expect(buildFileTemplate("event", fields)).toContain(
+        "|other fields={{Information field|name=Event|value=Open Science Days, Berlin, 20 October 2022}}\n}}"
+      );
+      expect(buildFileTemplate("information", fields)).not.toContain("other fields");
+      expect(buildFileTemplate("event", { ...fields, meeting: null })).not.toContain("other fields");
+    });
+
+    it("rejects unknown templates", () => {
+      expect(() => buildFileTemplate("artwork", fields)).toThrow("Unknown file template: artwork");
+    });
+
+    it("has a display name for each template", () => {
+      expect(Object.keys(FILE_TEMPLATES)).toEqual(["information", "book", "event"]);
+    });
+  });
+
+  describe("file pages by resource type", () => {
+    for (const [type, record] of Object.entries(records)) {
+      it(`writes the file page of a ${type} record`, () => {
+        expect(buildFileWikitext(record.files[0], record)).toMatchSnapshot();
+      });
+    }
+
+    it("uses the chosen template", () => {
+      const record = records["publication-article"];
+      const text = buildFileWikitext(record.files[0], record, { fileTemplate: "information" });
+      expect(text).toMatch(/^\{\{Information\n/);
+    });
+  });
+});
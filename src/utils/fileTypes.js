@@ -0,0 +1,185 @@
+/**
+ * Which record files Commons accepts, and what to do with the others.
+ *
+ * Commons only accepts a fixed list of media formats ($wgFileExtensions).
+ * Files outside that list are classified so the app can explain the
+ * rejection and, for common cases, offer a conversion.
+ */
+
+// File types Commons accepts, by lower-case extension
+const COMMONS_FILE_TYPES = {
+  png: { kind: "image", mimeTypes: ["image/png"] },
+  gif: { kind: "image", mimeTypes: ["image/gif"] },
+  jpg: { kind: "image", mimeTypes: ["image/jpeg"] },
+  jpeg: { kind: "image", mimeTypes: ["image/jpeg"] },
+  webp: { kind: "image", mimeTypes: ["image/webp"] },
+  tif: { kind: "image", mimeTypes: ["image/tiff"] },
+  tiff: { kind: "image", mimeTypes: ["image/tiff"] },
+  svg: { kind: "image", mimeTypes: ["image/svg+xml"] },
+  xcf: { kind: "image", mimeTypes: ["image/x-xcf", "image/x-compressed-xcf"] },
+  pdf: { kind: "document", mimeTypes: ["application/pdf"] },
+  djvu: { kind: "document", mimeTypes: ["image/vnd.djvu", "image/x-djvu"] },
+  ogg: { kind: "audio", mimeTypes: ["audio/ogg", "video/ogg", "application/ogg"] },
+  oga: { kind: "audio", mimeTypes: ["audio/ogg"] },
+  opus: { kind: "audio", mimeTypes: ["audio/ogg", "audio/opus"] },
+  flac: { kind: "audio", mimeTypes: ["audio/flac", "audio/x-flac"] },
+  wav: { kind: "audio", mimeTypes: ["audio/wav", "audio/x-wav", "audio/wave"] },
+  mp3: { kind: "audio", mimeTypes: ["audio/mpeg"] },
+  mid: { kind: "audio", mimeTypes: ["audio/midi", "audio/x-midi"] },
+  midi: { kind: "audio", mimeTypes: ["audio/midi", "audio/x-midi"] },
+  ogv: { kind: "video", mimeTypes: ["video/ogg"] },
+  webm: { kind: "video", mimeTypes: ["video/webm", "audio/webm"] },
+  mpg: { kind: "video", mimeTypes: ["video/mpeg"] },
+  mpeg: { kind: "video", mimeTypes: ["video/mpeg"] },
+  stl: { kind: "model", mimeTypes: ["model/stl", "application/sla", "application/vnd.ms-pki.stl"] },
+};
+
+// MIME types that say nothing about the content and are not checked
+const GENERIC_MIME_TYPES = ["application/octet-stream", "binary/octet-stream", ""];
+
+// Non-standard MIME types some servers still send, by the type they stand for
+const MIME_TYPE_ALIASES = {
+  "image/pjpeg": "image/jpeg",
+  "image/jpg": "image/jpeg",
+  "image/x-png": "image/png",
+  "image/x-tiff": "image/tiff",
+};
+
+// Formats Commons rejects, grouped by the advice we give
+const REJECTED_FILE_TYPES = {
+  presentation: ["ppt", "pptx", "odp", "key"],
+  document: ["doc", "docx", "odt", "rtf", "pages"],
+  tabular: ["csv", "tsv"],
+  spreadsheet: ["xls", "xlsx", "ods", "numbers"],
+  archive: ["zip", "tar", "gz", "tgz", "bz2", "xz", "7z", "rar"],
+  video: ["mp4", "m4v", "mov", "avi", "mkv", "wmv"],
+  audio: ["m4a", "aac", "wma"],
+  image: ["bmp", "heic", "heif", "avif", "psd", "eps", "ai", "jp2"],
+  jpeg: ["jpe", "jfif"],
+};
+
+const REJECTION_REASONS = {
+  presentation: "Commons does not accept presentation files. Export the slides to PDF and upload the PDF.",
+  document: "Commons does not accept word processor documents. Export the document to PDF and upload the PDF.",
+  tabular: "Commons does not accept CSV files as media, but the table can be published as a Data: page.",
+  spreadsheet: "Commons does not accept spreadsheets. Save the sheet as CSV to publish it as a Data: page.",
+  archive: "Commons does not accept archives. Upload the files inside it individually.",
+  video: "Commons does not accept this video format. Convert the video to WebM before uploading.",
+  audio: "Commons does not accept this audio format. Convert it to Ogg Vorbis, Opus, FLAC or MP3 first.",
+  image: "Commons does not accept this image format. Convert it to PNG, JPEG or TIFF first.",
+  jpeg: "Commons does not accept this extension for JPEG images. Download the file and upload it as .jpg.",
+  other: "Commons only accepts media files (images, audio, video, PDF and DjVu documents, STL models).",
+};
+
+// PNG files above this size are worth re-encoding losslessly
+export const LARGE_PNG_BYTES = 1024 * 1024;
+
+/**
+ * Returns the lower-case extension of a file name.
+ *
+ * @param {string} name - File name
+ * @returns {string} - Extension without the dot, or "" if there is none
+ */
+export function getFileExtension(name) {
+  const dot = (name || "").lastIndexOf(".");
+  return dot > 0 ? name.substring(dot + 1).toLowerCase() : "";
+}
+
+/**
+ * Returns the group of a rejected extension (see REJECTED_FILE_TYPES).
+ *
+ * @param {string} extension - Lower-case extension
+ * @returns {string} - Group name, or "other"
+ */
+function getRejectedGroup(extension) {
+  const entry = Object.entries(REJECTED_FILE_TYPES).find(([, extensions]) => extensions.includes(extension));
+  return entry ? entry[0] : "other";
+}
+
+/**
+ * Finds a PDF in the record with the same name as a file, e.g. "slides.pdf"
+ * next to "slides.pptx".
+ *
+ * @param {Object} file - Record file
+ * @param {Array<Object>} files - All files of the record
+ * @returns {string|null} - Key of the PDF, or null
+ */
+function findPdfVersion(file, files) {
+  const stem = file.key.replace(/\.[^.]+$/, "").toLowerCase();
+  const pdf = files.find((other) => other.key.toLowerCase() === `${stem}.pdf`);
+  return pdf ? pdf.key : null;
+}
+
+/**
+ * Decides whether Commons accepts a record file.
+ *
+ * The extension decides; a MIME type from the record (`mimetype`) that
+ * contradicts it makes the file unacceptable too, since Commons checks the
+ * content on upload.
+ *
+ * @param {Object} file - Record file (`key`, `size`, optional `mimetype`)
+ * @param {Array<Object>} [files] - All files of the record, to find PDF versions
+ * @returns {{extension: string, kind: string, accepted: boolean, reason: string,
+ *   conversion: {type: string, note: string, alternative?: string}|null}} - Classification;
+ *   `kind` is "image", "audio", "video", "document", "model" or "" for rejected
+ *   files, and `conversion` describes what can be done instead (or, for large
+ *   PNG files, what might make the upload smaller)
+ */
+export function classifyFile(file, files = []) {
+  const extension = getFileExtension(file.key);
+  const type = COMMONS_FILE_TYPES[extension];
+  // Parameters such as "; charset=binary" do not change the type
+  const reported = (file.mimetype || "").toLowerCase().split(";")[0].trim();
+  const mimetype = MIME_TYPE_ALIASES[reported] || reported;
+
+  if (type) {
+    if (!GENERIC_MIME_TYPES.includes(mimetype) && !type.mimeTypes.includes(mimetype)) {
+      return {
+        extension,
+        kind: "",
+        accepted: false,
+        reason: `The file is ${mimetype}, which does not match its .${extension} extension.`,
+        conversion: null,
+      };
+    }
+
+    const conversion = extension === "png" && file.size > LARGE_PNG_BYTES
+      ? {
+          type: "lossless-image",
+          note: "Large PNG files, such as screenshots, are often smaller as lossless WebP.",
+        }
+      : null;
+    return { extension, kind: type.kind, accepted: true, reason: "", conversion };
+  }
+
+  const group = getRejectedGroup(extension);
+  let conversion = null;
+  if (group === "presentation" || group === "document") {
+    const alternative = findPdfVersion(file, files);
+    conversion = alternative
+      ? { type: "pdf", note: `The record also contains ${alternative}; upload that instead.`, alternative }
+      : { type: "pdf", note: "Export it to PDF with the program that created it." };
+  } else if (extension === "zip") {
+    conversion = { type: "archive", note: "Open the archive to upload the images inside it one by one." };
+  } else if (group === "tabular") {
+    conversion = { type: "tabular", note: "Convert the table to a Data: page (.tab) on Commons." };
+  }
+
+  return {
+    extension,
+    kind: "",
+    accepted: false,
+    reason: extension ? REJECTION_REASONS[group] : `${REJECTION_REASONS.other} The file has no extension.`,
+    conversion,
+  };
+}
+
+/**
+ * Checks whether Commons accepts a record file.
+ *
+ * @param {Object} file - Record file
+ * @returns {boolean} - True if the file can be uploaded
+ */
+export function isAcceptedFile(file) {
+  return classifyFile(file).accepted;
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect } from "vitest";
+import { LARGE_PNG_BYTES, getFileExtension, classifyFile, isAcceptedFile } from "./fileTypes.js";
+
+describe("fileTypes", () => {
+  describe("getFileExtension", () => {
+    it("returns the lower-case extension", () => {
+      expect(getFileExtension("Figure.PNG")).toBe("png");
+      expect(getFileExtension("data.tar.gz")).toBe("gz");
+      expect(getFileExtension("README")).toBe("");
+      expect(getFileExtension(".gitignore")).toBe("");
+    });
+  });
+
+  describe("classifyFile", () => {
+    it("accepts media formats Commons allows", () => {
+      expect(classifyFile({ key: "cover.png", size: 10 })).toEqual({
+        extension: "png",
+        kind: "image",
+        accepted: true,
+        reason: "",
+        conversion: null
+      });
+      expect(classifyFile({ key: "talk.webm" }).kind).toBe("video");
+      expect(classifyFile({ key: "poster.pdf" }).kind).toBe("document");
+      expect(classifyFile({ key: "part.stl" }).kind).toBe("model");
+    });
+
+    it("rejects files whose MIME type contradicts the extension", () => {
+      const result = classifyFile({ key: "photo.jpg", mimetype: "application/zip" });
+      expect(result.accepted).toBe(false);
+      expect(result.reason).toBe("The file is application/zip, which does not match its .jpg extension.");
+      expect(classifyFile({ key: "photo.jpg", mimetype: "application/octet-stream" }).accepted).toBe(true);
+      expect(classifyFile({ key: "photo.jpg", mimetype: "image/jpeg" }).accepted).toBe(true);
+    });
+
+    it("accepts non-standard aliases of the expected MIME type", () => {
+      expect(classifyFile({ key: "photo.jpg", mimetype: "image/pjpeg" }).accepted).toBe(true);
+      expect(classifyFile({ key: "figure.png", mimetype: "image/x-png" }).accepted).toBe(true);
+      expect(classifyFile({ key: "scan.tif", mimetype: "image/TIFF; charset=binary" }).accepted).toBe(true);
+      expect(classifyFile({ key: "figure.png", mimetype: "image/pjpeg" }).accepted).toBe(false);
+    });
+
+    it("asks for JPEG files with other extensions to be renamed", () => {
+      const result = classifyFile({ key: "photo.jpe", mimetype: "image/jpeg" });
+      expect(result.accepted).toBe(false);
+      expect(result.reason).toContain("upload it as .jpg");
+    });
+
+    it("explains rejected formats", () => {
+      expect(classifyFile({ key: "data.tar.gz" })).toMatchObject({ accepted: false, conversion: null });
+      expect(classifyFile({ key: "data.tar.gz" }).reason).toContain("archives");
+      expect(classifyFile({ key: "table.xlsx" }).reason).toContain("CSV");
+      expect(classifyFile({ key: "code.py" }).reason).toContain("only accepts media files");
+      expect(classifyFile({ key: "notes" }).reason).toContain("no extension");
+    });
+
+    it("points office documents to a PDF version", () => {
+      const files = [{ key: "Slides.pptx" }, { key: "slides.pdf" }, { key: "paper.docx" }];
+      expect(classifyFile(files[0], files).conversion).toEqual({
+        type: "pdf",
+        note: "The record also contains slides.pdf; upload that instead.",
+        alternative: "slides.pdf"
+      });
+      expect(classifyFile(files[2], files).conversion).toMatchObject({ type: "pdf" });
+      expect(classifyFile(files[2], files).conversion.alternative).toBeUndefined();
+    });
+
+    it("offers to open ZIP archives", () => {
+      expect(classifyFile({ key: "figures.ZIP" })).toMatchObject({ accepted: false, conversion: { type: "archive" } });
+    });
+
+    it("offers Data: pages for CSV and TSV files", () => {
+      expect(classifyFile({ key: "measurements.csv" }).conversion.type).toBe("tabular");
+      expect(classifyFile({ key: "measurements.tsv" }).conversion.type).toBe("tabular");
+    });
+
+    it("suggests lossless re-encoding for large PNG files", () => {
+      expect(classifyFile({ key: "screenshot.png", size: LARGE_PNG_BYTES + 1 })).toMatchObject({
+        accepted: true,
+        conversion: { type: "lossless-image" }
+      });
+      expect(classifyFile({ key: "photo.jpg", size: LARGE_PNG_BYTES + 1 }).conversion).toBe(null);
+    });
+  });
+
+  describe("isAcceptedFile", () => {
+    it("tells whether a file can be uploaded", () => {
+      expect(isAcceptedFile({ key: "a.TIF" })).toBe(true);
+      expect(isAcceptedFile({ key: "a.csv" })).toBe(false);
+    });
+  });
+});
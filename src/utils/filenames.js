@@ -0,0 +1,295 @@
+/**
+ * Destination file names for Commons uploads.
+ *
+ * Names follow the Commons title rules (byte limit, forbidden characters,
+ * title blacklist) and are unique within a record, so that several files of
+ * one record never compete for the same `wpDestFile`.
+ */
+
+// Maximum length of a Commons file name (including the extension) in UTF-8 bytes
+export const MAX_FILENAME_BYTES = 240;
+
+// Characters MediaWiki does not allow in titles, plus characters that break
+// links and signatures or are rejected by the upload form
+const FORBIDDEN_CHARS = /[#<>[\]|{}~:/\\?*"\u0000-\u001f\u007f]/g;
+
+// Byte budget for the original file name when it is appended to the title
+const MAX_STEM_BYTES = 100;
+
+// Maximum number of titles per API query
+const TITLES_PER_REQUEST = 50;
+
+// Names the Commons title blacklist rejects, matched against the name without extension
+const BLACKLIST_PATTERNS = [
+  // Default camera and phone names such as "IMG_1234" or "DSC01234"
+  /^(CIMG|DC|DCP|DSC|DSCF|DSCN|DUW|GEDC|IMG|JD|KIF|KODAK|MG|MVC|P|PANA|PICT|PXL|SAM|SANY|SDC|SNC|SUNP)[\s_-]*\d+$/i,
+  // Meaningless names such as "Image 3", "Untitled" or "Screenshot"
+  /^(image|img|photo|picture|pic|file|untitled|unknown|unnamed|screenshot|scan|document|new)[\s_-]*\d*$/i,
+  // Names without letters, such as "2024-05-01" or "001"
+  /^[^\p{L}]*$/u,
+];
+
+// Figure numbers in file names such as "fig1.png" or "Figure_2b.tif"
+const FIGURE_NUMBER = /(?:^|[^a-z])fig(?:ure)?[\s_.-]*(\d+[a-z]?)(?![a-z\d])/i;
+
+const encoder = new TextEncoder();
+
+/**
+ * Returns the UTF-8 length of a string.
+ *
+ * @param {string} text - Text
+ * @returns {number} - Length in bytes
+ */
+function byteLength(text) {
+  return encoder.encode(text).length;
+}
+
+/**
+ * Shortens text to a number of UTF-8 bytes without splitting characters.
+ *
+ * @param {string} text - Text
+ * @param {number} maxBytes - Maximum length in bytes
+ * @returns {string} - Shortened text
+ */
+function truncateBytes(text, maxBytes) {
+  if (byteLength(text) <= maxBytes) return text;
+  let result = "";
+  let bytes = 0;
+  for (const char of text) {
+    bytes += byteLength(char);
+    if (bytes > maxBytes) break;
+    result += char;
+  }
+  return result;
+}
+
+/**
+ * Splits a file name into name and extension.
+ *
+ * @param {string} name - File name
+ * @returns {{stem: string, extension: string}} - Name without extension, and
+ *   the extension including the dot (empty if there is none)
+ */
+export function splitExtension(name) {
+  const dot = name.lastIndexOf(".");
+  if (dot <= 0) return { stem: name, extension: "" };
+  return { stem: name.substring(0, dot), extension: name.substring(dot) };
+}
+
+/**
+ * Removes forbidden characters and normalizes whitespace.
+ *
+ * @param {string} text - Part of a file name
+ * @returns {string} - Cleaned text
+ */
+function cleanPart(text) {
+  return (text || "")
+    .replace(FORBIDDEN_CHARS, "")
+    .replace(/[_\s]+/g, " ")
+    .trim();
+}
+
+/**
+ * Makes a file name valid on Commons: forbidden characters removed,
+ * whitespace normalized, no leading or trailing spaces and dots, first letter
+ * upper case and at most MAX_FILENAME_BYTES long.
+ *
+ * @param {string} stem - File name without extension
+ * @param {string} [extension] - Extension including the dot
+ * @returns {string} - Valid file name
+ */
+export function sanitizeFilename(stem, extension = "") {
+  const ext = cleanPart(extension).replace(/\s/g, "");
+  const trim = (text) => text.replace(/^[\s.]+|[\s.]+$/g, "");
+  const base = trim(truncateBytes(trim(cleanPart(stem)), MAX_FILENAME_BYTES - byteLength(ext)));
+  return `${base.charAt(0).toUpperCase()}${base.slice(1)}${ext}`;
+}
+
+/**
+ * Checks a file name against the Commons title blacklist.
+ *
+ * @param {string} name - File name with or without extension
+ * @returns {boolean} - True if Commons would reject the name
+ */
+export function isBlacklistedFilename(name) {
+  const { stem } = splitExtension(name);
+  return BLACKLIST_PATTERNS.some((pattern) => pattern.test(stem.trim()));
+}
+
+/**
+ * Joins the record title and a description of the file, shortening the
+ * title so that the file part survives the byte limit.
+ *
+ * @param {string} title - Record title
+ * @param {string} part - File part, e.g. the original file name
+ * @param {string} extension - Extension including the dot
+ * @returns {string} - Valid file name
+ */
+function joinTitle(title, part, extension) {
+  const suffix = ` - ${truncateBytes(cleanPart(part), MAX_STEM_BYTES)}`;
+  const room = MAX_FILENAME_BYTES - byteLength(suffix) - byteLength(extension);
+  return sanitizeFilename(`${truncateBytes(cleanPart(title), room)}${suffix}`, extension);
+}
+
+/**
+ * Builds the Commons file name for a record file.
+ *
+ * Names the title blacklist would reject get the original file name and, if
+ * that is not enough, the repository name and record ID.
+ *
+ * @param {string} key - File name within the record
+ * @param {string} title - Record title
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.useFilenameInTitle] - Append the file name to the title
+ * @param {string|number} [options.recordId] - Record ID, used for blacklisted names
+ * @param {string} [options.sourceName] - Name of the repository the record is
+ *   on (see instances.getInstanceProfile), used with the record ID
+ * @returns {string} - Destination file name including the extension
+ */
+export function buildFilename(key, title, options = {}) {
+  const { useFilenameInTitle = false, recordId, sourceName = "Zenodo" } = options;
+  const { stem, extension } = splitExtension(key);
+
+  let name = useFilenameInTitle ? joinTitle(title, stem, extension) : sanitizeFilename(title, extension);
+  if (isBlacklistedFilename(name) && !useFilenameInTitle) {
+    name = joinTitle(title, stem, extension);
+  }
+  if (isBlacklistedFilename(name) && recordId) {
+    name = joinTitle(`${sourceName} ${recordId}`, stem, extension);
+  }
+  return name;
+}
+
+/**
+ * Adds a numeric suffix before the extension, e.g. "Poster (2).png".
+ *
+ * @param {string} name - File name
+ * @param {number} number - Number to add
+ * @returns {string} - File name with suffix
+ */
+export function addNumberSuffix(name, number) {
+  const { stem, extension } = splitExtension(name);
+  const suffix = ` (${number})`;
+  const base = stem.replace(/ \(\d+\)$/, "");
+  return `${truncateBytes(base, MAX_FILENAME_BYTES - byteLength(suffix) - byteLength(extension))}${suffix}${extension}`;
+}
+
+/**
+ * Builds file names for all files of a record without collisions.
+ *
+ * Files that would share a name are told apart by their figure number
+ * ("Title - Figure 2.png"), then by their original file name, and finally
+ * by a numeric suffix.
+ *
+ * @param {string[]} keys - File names within the record
+ * @param {string} title - Record title
+ * @param {Object} [options] - Same options as buildFilename
+ * @returns {Object<string, string>} - Destination file name by key
+ */
+export function buildUniqueFilenames(keys, title, options = {}) {
+  const initial = keys.map((key) => buildFilename(key, title, options));
+  const counts = {};
+  initial.forEach((name) => {
+    counts[name] = (counts[name] || 0) + 1;
+  });
+
+  const figureNames = keys.map((key) => {
+    const figure = splitExtension(key).stem.match(FIGURE_NUMBER);
+    return figure ? joinTitle(title, `Figure ${figure[1]}`, splitExtension(key).extension) : null;
+  });
+  const figureCounts = {};
+  figureNames.filter(Boolean).forEach((name) => {
+    figureCounts[name] = (figureCounts[name] || 0) + 1;
+  });
+
+  const taken = new Set();
+  const result = {};
+  keys.forEach((key, i) => {
+    let name = initial[i];
+    if (counts[name] > 1) {
+      const { stem, extension } = splitExtension(key);
+      name = figureNames[i] && figureCounts[figureNames[i]] === 1
+        ? figureNames[i]
+        : joinTitle(title, stem, extension);
+    }
+    for (let number = 2; taken.has(name); number++) {
+      name = addNumberSuffix(name, number);
+    }
+    taken.add(name);
+    result[key] = name;
+  });
+  return result;
+}
+
+/**
+ * Checks which files exist on Commons.
+ *
+ * @param {Object} apiClient - Client with a `get(params)` method (see createCommonsApiClient)
+ * @param {string[]} names - File names without prefix
+ * @returns {Promise<Object<string, boolean>>} - Whether each file exists, by name
+ */
+export async function checkFilesExist(apiClient, names) {
+  const result = {};
+  const unique = [...new Set(names)];
+
+  for (let i = 0; i < unique.length; i += TITLES_PER_REQUEST) {
+    const batch = unique.slice(i, i + TITLES_PER_REQUEST);
+    const data = await apiClient.get({
+      action: "query",
+      titles: batch.map((name) => `File:${name}`).join("|"),
+    });
+
+    // Map titles MediaWiki normalized back to the names we asked for
+    const requested = {};
+    (data.query?.normalized || []).forEach(({ from, to }) => {
+      requested[to] = from;
+    });
+    (data.query?.pages || []).forEach((page) => {
+      const name = (requested[page.title] || page.title).replace(/^File:/, "");
+      result[name] = !page.missing && !page.invalid;
+    });
+  }
+
+  unique.forEach((name) => {
+    if (!(name in result)) result[name] = false;
+  });
+  return result;
+}
+
+/**
+ * Checks file names against Commons and suggests free alternatives for
+ * names that are taken.
+ *
+ * @param {Object} apiClient - Client with a `get(params)` method
+ * @param {string[]} names - File names without prefix, e.g. from buildUniqueFilenames
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxAlternatives] - Numbered alternatives to try per name
+ * @returns {Promise<Object<string, {exists: boolean, suggestion: string|null}>>} - Result by
+ *   name; `suggestion` is a free name for taken files, or null if none was found
+ */
+export async function checkFilenames(apiClient, names, options = {}) {
+  const { maxAlternatives = 5 } = options;
+  const exists = await checkFilesExist(apiClient, names);
+  const taken = names.filter((name) => exists[name]);
+
+  // Alternatives must not collide with the other names of the record either
+  const alternatives = {};
+  taken.forEach((name) => {
+    alternatives[name] = Array.from({ length: maxAlternatives }, (_, i) => addNumberSuffix(name, i + 2))
+      .filter((candidate) => !names.includes(candidate));
+  });
+  const alternativeExists = taken.length > 0
+    ? await checkFilesExist(apiClient, Object.values(alternatives).flat())
+    : {};
+
+  const suggested = new Set();
+  const result = {};
+  names.forEach((name) => {
+    const suggestion = exists[name]
+      ? alternatives[name].find((candidate) => !alternativeExists[candidate] && !suggested.has(candidate))
+      : null;
+    if (suggestion) suggested.add(suggestion);
+    result[name] = { exists: exists[name], suggestion: suggestion || null };
+  });
+  return result;
+}
@@ -0,0 +1,170 @@
+import { describe, it, expect } from "vitest";
+import {
+  MAX_FILENAME_BYTES,
+  splitExtension,
+  sanitizeFilename,
+  isBlacklistedFilename,
+  buildFilename,
+  addNumberSuffix,
+  buildUniqueFilenames,
+  checkFilesExist,
+  checkFilenames
+} from "./filenames.js";
+
+const byteLength = (text) => new TextEncoder().encode(text).length;
+
+// API client stub answering title queries for the given existing files
+function createClient(existing = [], normalized = []) {
+  const calls = [];
+  return {
+    calls,
+    get: async (params) => {
+      calls.push(params);
+      const pages = params.titles.split("|").map((title) => {
+        const rename = normalized.find((entry) => entry.from === title);
+        const pageTitle = rename ? rename.to : title;
+        const name = pageTitle.replace(/^File:/, "");
+        return existing.includes(name) ? { title: pageTitle, pageid: 1 } : { title: pageTitle, missing: true };
+      });
+      return { query: { normalized, pages } };
+    }
+  };
+}
+
+describe("filenames", () => {
+  describe("splitExtension", () => {
+    it("splits at the last dot", () => {
+      expect(splitExtension("data.tar.gz")).toEqual({ stem: "data.tar", extension: ".gz" });
+      expect(splitExtension("README")).toEqual({ stem: "README", extension: "" });
+      expect(splitExtension(".hidden")).toEqual({ stem: ".hidden", extension: "" });
+    });
+  });
+
+  describe("sanitizeFilename", () => {
+    it("removes forbidden characters and normalizes whitespace", () => {
+      expect(sanitizeFilename("Calendar Cover: 2025", ".png")).toBe("Calendar Cover 2025.png");
+      expect(sanitizeFilename("a#b[c]{d}~e|f", ".png")).toBe("Abcdef.png");
+      expect(sanitizeFilename("cell_image  one", ".tif")).toBe("Cell image one.tif");
+    });
+
+    it("removes leading and trailing spaces and dots", () => {
+      expect(sanitizeFilename(" ..Poster.. ", ".pdf")).toBe("Poster.pdf");
+    });
+
+    it("keeps names within the byte limit without splitting characters", () => {
+      const name = sanitizeFilename("ü".repeat(200), ".png");
+      expect(byteLength(name)).toBeLessThanOrEqual(MAX_FILENAME_BYTES);
+      expect(name).toBe(`Ü${"ü".repeat(117)}.png`);
+    });
+  });
+
+  describe("isBlacklistedFilename", () => {
+    it("rejects meaningless names", () => {
+      expect(isBlacklistedFilename("IMG_1234.jpg")).toBe(true);
+      expect(isBlacklistedFilename("DSC01234.JPG")).toBe(true);
+      expect(isBlacklistedFilename("Untitled.png")).toBe(true);
+      expect(isBlacklistedFilename("Image 3.png")).toBe(true);
+      expect(isBlacklistedFilename("2024-05-01.png")).toBe(true);
+    });
+
+    it("accepts descriptive names", () => {
+      expect(isBlacklistedFilename("Calendar Cover 2025.png")).toBe(false);
+      expect(isBlacklistedFilename("Image analysis workflow.png")).toBe(false);
+    });
+  });
+
+  describe("buildFilename", () => {
+    it("uses the sanitized title with the file extension", () => {
+      expect(buildFilename("cover.png", "Calendar Cover: 2025")).toBe("Calendar Cover 2025.png");
+      expect(buildFilename("notes", "Notes")).toBe("Notes");
+    });
+
+    it("can append the file name", () => {
+      expect(buildFilename("a/b?.png", "Title", { useFilenameInTitle: true })).toBe("Title - ab.png");
+    });
+
+    it("keeps the file name when the title is too long", () => {
+      const name = buildFilename("figure.png", "Long ".repeat(100), { useFilenameInTitle: true });
+      expect(byteLength(name)).toBeLessThanOrEqual(MAX_FILENAME_BYTES);
+      expect(name.endsWith(" - figure.png")).toBe(true);
+    });
+
+    it("avoids blacklisted names", () => {
+      expect(buildFilename("poster.png", "2024")).toBe("2024 - poster.png");
+      expect(buildFilename("2.jpg", "1", { recordId: 12345 })).toBe("Zenodo 12345 - 2.jpg");
+      expect(buildFilename("2.jpg", "1", { recordId: 21545829, sourceName: "Figshare" })).toBe("Figshare 21545829 - 2.jpg");
+    });
+  });
+
+  describe("addNumberSuffix", () => {
+    it("adds or replaces a number before the extension", () => {
+      expect(addNumberSuffix("Poster.png", 2)).toBe("Poster (2).png");
+      expect(addNumberSuffix("Poster (2).png", 3)).toBe("Poster (3).png");
+      expect(byteLength(addNumberSuffix(`${"a".repeat(236)}.png`, 2))).toBe(MAX_FILENAME_BYTES);
+    });
+  });
+
+  describe("buildUniqueFilenames", () => {
+    it("keeps the title for a single file", () => {
+      expect(buildUniqueFilenames(["poster.pdf", "poster.png"], "Poster")).toEqual({
+        "poster.pdf": "Poster.pdf",
+        "poster.png": "Poster.png"
+      });
+    });
+
+    it("tells files apart by figure number", () => {
+      expect(buildUniqueFilenames(["Fig1.png", "figure_2b.png"], "Study")).toEqual({
+        "Fig1.png": "Study - Figure 1.png",
+        "figure_2b.png": "Study - Figure 2b.png"
+      });
+    });
+
+    it("falls back to the original file name and numeric suffixes", () => {
+      expect(buildUniqueFilenames(["cells.png", "nuclei.png", "fig1.png", "fig_1.png"], "Study")).toEqual({
+        "cells.png": "Study - cells.png",
+        "nuclei.png": "Study - nuclei.png",
+        "fig1.png": "Study - fig1.png",
+        "fig_1.png": "Study - fig 1.png"
+      });
+      expect(buildUniqueFilenames(["a_b.png", "a b.png"], "Study", { useFilenameInTitle: true })).toEqual({
+        "a_b.png": "Study - a b.png",
+        "a b.png": "Study - a b (2).png"
+      });
+    });
+  });
+
+  describe("checkFilesExist", () => {
+    it("queries at most 50 titles at a time", async () => {
+      const client = createClient(["Poster.png"]);
+      const names = ["Poster.png", ...Array.from({ length: 60 }, (_, i) => `File ${i}.png`)];
+      const result = await checkFilesExist(client, names);
+      expect(client.calls.map((call) => call.titles.split("|").length)).toEqual([50, 11]);
+      expect(result["Poster.png"]).toBe(true);
+      expect(result["File 0.png"]).toBe(false);
+    });
+
+    it("maps normalized titles back to the requested names", async () => {
+      const client = createClient(["Poster é.png"], [{ from: "File:Poster é.png", to: "File:Poster é.png" }]);
+      expect(await checkFilesExist(client, ["Poster é.png"])).toEqual({ "Poster é.png": true });
+    });
+  });
+
+  describe("checkFilenames", () => {
+    it("suggests free alternatives for taken names", async () => {
+      const client = createClient(["Poster.png", "Poster (2).png", "Study.pdf"]);
+      const result = await checkFilenames(client, ["Poster.png", "Poster (3).png", "Study.pdf", "Free.png"]);
+      expect(result).toEqual({
+        "Poster.png": { exists: true, suggestion: "Poster (4).png" },
+        "Poster (3).png": { exists: false, suggestion: null },
+        "Study.pdf": { exists: true, suggestion: "Study (2).pdf" },
+        "Free.png": { exists: false, suggestion: null }
+      });
+    });
+
+    it("only queries once when no name is taken", async () => {
+      const client = createClient();
+      await checkFilenames(client, ["Free.png"]);
+      expect(client.calls).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Math and chemistry in descriptions.
+ *
+ * Formulas become `<math>` and `<chem>` wikitext: inline LaTeX in the text
+ * (`$…$`, `\(…\)`, `$$…$$`, `\[…\]`), MathML (see mathml.js) and chemical
+ * formulas written with subscripts and superscripts (`H<sub>2</sub>O`).
+ * Formulas that cannot be converted keep their text, visibly marked.
+ */
+
+import { escapeWikitext } from "./wikitext.js";
+
+// Label of formulas that could not be converted
+export const UNCONVERTED_FORMULA_LABEL = "formula not converted";
+
+// Inline LaTeX: display delimiters first, so that "$$" is not read as two "$"
+const INLINE_TEX = new RegExp(
+  [
+    /\$\$([^$]+?)\$\$/.source,
+    /\\\[([\s\S]+?)\\\]/.source,
+    /\\\(([\s\S]+?)\\\)/.source,
+    // "$…$" as in Pandoc: no space inside the dollars and no digit after them,
+    // so that prices ("$5 to $10") stay text
+    /(?<![\\$\w])\$(?![\s$])([^$\n]+?)(?<!\s)\$(?![\d$])/.source,
+  ].join("|"),
+  "g"
+);
+
+// Element symbols, for telling chemical formulas from other subscripts
+const ELEMENTS = new Set(
+  (
+    "H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn Ga Ge As Se Br Kr " +
+    "Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I Xe Cs Ba La Ce Pr Nd Pm Sm Eu Gd Tb Dy Ho Er Tm Yb Lu " +
+    "Hf Ta W Re Os Ir Pt Au Hg Tl Pb Bi Po At Rn Fr Ra Ac Th Pa U Np Pu Am Cm Bk Cf Es Fm Md No Lr " +
+    "Rf Db Sg Bh Hs Mt Ds Rg Cn Nh Fl Mc Lv Ts Og"
+  ).split(" ")
+);
+
+// Chemical formulas in converted wikitext: element symbols and groups with
+// subscript counts of 2 or more, and an optional charge
+const SUBSCRIPT = "(?:<sub>(?:[2-9]|[1-9]\\d+)</sub>)";
+const GROUP = `(?:[A-Z][a-z]?${SUBSCRIPT}?)`;
+const CHEMICAL_FORMULA = new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:(?:${GROUP}|\\(${GROUP}+\\))${SUBSCRIPT}?)+(?:<sup>\\d*[+\\-−]</sup>)?(?![\\p{L}\\p{N}])`,
+  "gu"
+);
+
+// Wikitext that is left alone: code, math and chemistry
+const PROTECTED = /(<syntaxhighlight[^>]*>[\s\S]*?<\/syntaxhighlight>|<math[^>]*>[\s\S]*?<\/math>|<chem>[\s\S]*?<\/chem>|<code>[\s\S]*?<\/code>)/;
+
+/**
+ * Marks a formula that could not be converted. Its text is escaped, as TeX
+ * is full of braces and pipes; pipes become character references, which
+ * also work in table cells.
+ *
+ * @param {string} text - Formula text
+ * @returns {string} - Wikitext
+ */
+export function markUnconverted(text) {
+  const escaped = escapeWikitext(text.replace(/\s+/g, " ").trim(), { table: true });
+  return `''[${UNCONVERTED_FORMULA_LABEL}: ${escaped}]''`;
+}
+
+/**
+ * Checks that TeX has balanced braces and no dollar signs, which would end
+ * or break a `<math>` tag.
+ *
+ * @param {string} tex - TeX
+ * @returns {boolean} - True if the TeX can go into a `<math>` tag
+ */
+function isUsableTex(tex) {
+  let depth = 0;
+  for (let i = 0; i < tex.length; i++) {
+    if (tex[i] === "\\") {
+      i++;
+    } else if (tex[i] === "{") {
+      depth++;
+    } else if (tex[i] === "}" && --depth < 0) {
+      return false;
+    } else if (tex[i] === "$") {
+      return false;
+    }
+  }
+  return depth === 0 && !/<\/?(?:math|chem)\b/i.test(tex);
+}
+
+/**
+ * Writes TeX as a `<math>` tag, or as a `<chem>` tag for mhchem's `\ce{…}`.
+ *
+ * @param {string} tex - TeX
+ * @param {boolean} [display] - Whether the formula is a block of its own
+ * @returns {string} - Wikitext, or the marked TeX if it cannot be used
+ */
+export function toMathTag(tex, display = false) {
+  const trimmed = tex.trim();
+  if (!trimmed || !isUsableTex(trimmed)) return markUnconverted(trimmed);
+  const chemistry = trimmed.match(/^\\ce\{([\s\S]*)\}$/);
+  if (chemistry && isUsableTex(chemistry[1])) return `<chem>${chemistry[1].trim()}</chem>`;
+  return display ? `<math display="block">${trimmed}</math>` : `<math>${trimmed}</math>`;
+}
+
+/**
+ * Converts inline LaTeX in text to `<math>` tags.
+ *
+ * @param {string} text - Text from a description
+ * @param {Function} [escape] - Applied to the text around the formulas, e.g.
+ *   wikitext.escapeWikitext
+ * @returns {string} - Text with formulas converted
+ */
+export function convertInlineTex(text, escape = (part) => part) {
+  if (!text.includes("$") && !text.includes("\\")) return escape(text);
+  let converted = "";
+  let end = 0;
+  for (const match of text.matchAll(INLINE_TEX)) {
+    const [, displayDollars, displayBrackets, inlineParens, inlineDollars] = match;
+    converted += escape(text.substring(end, match.index));
+    converted += toMathTag(displayDollars ?? displayBrackets ?? inlineParens ?? inlineDollars, Boolean(displayDollars ?? displayBrackets));
+    end = match.index + match[0].length;
+  }
+  return converted + escape(text.substring(end));
+}
+
+/**
+ * Converts chemical formulas written with `<sub>` and `<sup>` to `<chem>`
+ * tags. Only formulas made of element symbols are converted, so that
+ * subscripted variables (`T<sub>2</sub>`, `V<sub>max</sub>`) stay as they are.
+ *
+ * @param {string} wikitext - Converted description
+ * @returns {string} - Wikitext with `<chem>` tags
+ */
+export function convertChemicalFormulas(wikitext) {
+  if (!wikitext.includes("<sub>") && !wikitext.includes("<sup>")) return wikitext;
+  return wikitext
+    .split(PROTECTED)
+    .map((part, index) => {
+      if (index % 2 === 1) return part;
+      return part.replace(CHEMICAL_FORMULA, (match) => {
+        if (!match.includes("<su")) return match;
+        const symbols = match.replace(/<[^>]+>/g, "").match(/[A-Z][a-z]?/g) || [];
+        if (!symbols.every((symbol) => ELEMENTS.has(symbol))) return match;
+        const formula = match
+          .replace(/<\/?sub>|<\/sup>/g, "")
+          .replace(/<sup>/g, "^")
+          .replace(/−/g, "-");
+        return `<chem>${formula}</chem>`;
+      });
+    })
+    .join("");
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { convertInlineTex, convertChemicalFormulas, toMathTag, markUnconverted } from "./formulas.js";
+
+describe("formulas", () => {
+  describe("toMathTag", () => {
+    it("writes math and chemistry tags", () => {
+      expect(toMathTag("x^2")).toBe("<math>x^2</math>");
+      expect(toMathTag("x^2", true)).toBe('<math display="block">x^2</math>');
+      expect(toMathTag("\\ce{H2O}")).toBe("<chem>H2O</chem>");
+    });
+
+    it("marks TeX that would break the tag", () => {
+      expect(toMathTag("\\frac{1}{2")).toBe("''[formula not converted: \\frac{1}{2]''");
+      expect(toMathTag("a</math>b")).toBe("''[formula not converted: a&lt;/math>b]''");
+    });
+  });
+
+  describe("markUnconverted", () => {
+    it("keeps the text on one line", () => {
+      expect(markUnconverted(" a\n b ")).toBe("''[formula not converted: a b]''");
+    });
+
+    it("escapes braces and pipes in the text", () => {
+      expect(markUnconverted("{{a}} | b")).toBe(
+        "''[formula not converted: <nowiki>{{</nowiki>a<nowiki>}}</nowiki> &#124; b]''"
+      );
+    });
+  });
+
+  describe("convertInlineTex", () => {
+    it("converts inline and display delimiters", () => {
+      expect(convertInlineTex("Let $x_i$ and \\(y\\) be")).toBe("Let <math>x_i</math> and <math>y</math> be");
+      expect(convertInlineTex("$$a = b$$ and \\[c\\]"))
+        .toBe('<math display="block">a = b</math> and <math display="block">c</math>');
+    });
+
+    it("leaves prices and escaped dollars alone", () => {
+      expect(convertInlineTex("It costs $5 to $10.")).toBe("It costs $5 to $10.");
+      expect(convertInlineTex("Between $ 3 and $4")).toBe("Between $ 3 and $4");
+      expect(convertInlineTex("Use \\$HOME and \\$PATH")).toBe("Use \\$HOME and \\$PATH");
+    });
+
+    it("escapes only the text around formulas", () => {
+      const escape = (part) => part.toUpperCase();
+      expect(convertInlineTex("a $x$ b", escape)).toBe("A <math>x</math> B");
+      expect(convertInlineTex("no formula", escape)).toBe("NO FORMULA");
+    });
+  });
+
+  describe("convertChemicalFormulas", () => {
+    it("converts formulas made of element symbols", () => {
+      expect(convertChemicalFormulas("H<sub>2</sub>O and Fe<sub>2</sub>O<sub>3</sub>"))
+        .toBe("<chem>H2O</chem> and <chem>Fe2O3</chem>");
+      expect(convertChemicalFormulas("'''NH<sub>4</sub><sup>+</sup>''', Ca<sup>2+</sup>, PO<sub>4</sub><sup>3−</sup>"))
+        .toBe("'''<chem>NH4^+</chem>''', <chem>Ca^2+</chem>, <chem>PO4^3-</chem>");
+    });
+
+    it("leaves variables with subscripts alone", () => {
+      const text = "T<sub>2</sub>, V<sub>max</sub>, B<sub>0</sub>, x<sub>2</sub>, CD<sub>4</sub>";
+      expect(convertChemicalFormulas(text)).toBe(text);
+    });
+
+    it("leaves code and math alone", () => {
+      const text = "<code>H<sub>2</sub>O</code> <math>H_2O</math>";
+      expect(convertChemicalFormulas(text)).toBe(text);
+    });
+  });
+});
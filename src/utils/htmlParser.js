@@ -0,0 +1,283 @@
+/**
+ * A small HTML parser for record descriptions.
+ *
+ * Descriptions are converted to wikitext in the browser and in Node (the
+ * CLI and tests), and Node has no DOMParser, so descriptions are parsed
+ * here into a plain tree:
+ *
+ *   { type: "element", tag: "p", attributes: { class: "…" }, children: [ … ] }
+ *   { type: "text", text: "decoded text" }
+ *
+ * The parser follows the HTML rules that matter for descriptions written in
+ * rich-text editors: void elements, paragraphs and list items closed by the
+ * next block, stray end tags ignored, self-closing tags in MathML. Scripts,
+ * styles and comments are dropped.
+ */
+
+// Elements that have no content and no end tag
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr",
+]);
+
+// Elements whose content is dropped along with them
+const DROPPED_ELEMENTS = new Set(["script", "style", "template", "textarea", "title"]);
+
+// Roots of foreign (XML) content, where "/>" ends any element
+const FOREIGN_ELEMENTS = new Set(["math", "svg"]);
+
+// Elements that close an open paragraph
+const PARAGRAPH_CLOSERS = new Set([
+  "address", "article", "aside", "blockquote", "details", "div", "dl", "fieldset", "figcaption", "figure",
+  "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "main", "nav", "ol", "p", "pre",
+  "section", "table", "ul",
+]);
+
+// Elements an open paragraph is not looked for beyond
+const SCOPE_BOUNDARIES = new Set(["table", "td", "th", "caption", "button"]);
+
+// Elements that close the innermost open element of the listed kinds (with
+// anything open inside it), and where that search stops
+const IMPLIED_ENDS = {
+  li: { closes: ["li"], stopAt: ["ul", "ol"] },
+  dt: { closes: ["dt", "dd"], stopAt: ["dl"] },
+  dd: { closes: ["dt", "dd"], stopAt: ["dl"] },
+  tr: { closes: ["tr"], stopAt: ["table", "thead", "tbody", "tfoot"] },
+  td: { closes: ["td", "th"], stopAt: ["tr", "table"] },
+  th: { closes: ["td", "th"], stopAt: ["tr", "table"] },
+  thead: { closes: ["thead", "tbody", "tfoot"], stopAt: ["table"] },
+  tbody: { closes: ["thead", "tbody", "tfoot"], stopAt: ["table"] },
+  tfoot: { closes: ["thead", "tbody", "tfoot"], stopAt: ["table"] },
+};
+
+// Named character references, besides the Latin-1 and Greek ones below
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'",
+  ndash: "–", mdash: "—", hellip: "…", bull: "•", prime: "′", Prime: "″",
+  lsquo: "‘", rsquo: "’", sbquo: "‚", ldquo: "“", rdquo: "”", bdquo: "„",
+  thinsp: " ", ensp: " ", emsp: " ", zwnj: "‌", zwj: "‍",
+  euro: "€", trade: "™", permil: "‰", dagger: "†", Dagger: "‡",
+  larr: "←", uarr: "↑", rarr: "→", darr: "↓", harr: "↔", rArr: "⇒", lArr: "⇐", hArr: "⇔",
+  minus: "−", le: "≤", ge: "≥", ne: "≠", asymp: "≈", equiv: "≡", infin: "∞", sum: "∑", prod: "∏",
+  radic: "√", part: "∂", nabla: "∇", int: "∫", isin: "∈", notin: "∉", sub: "⊂", sup: "⊃",
+  cap: "∩", cup: "∪", and: "∧", or: "∨", forall: "∀", exist: "∃", empty: "∅", prop: "∝",
+  sim: "∼", cong: "≅", perp: "⊥", sdot: "⋅", lowast: "∗", deg: "°", micro: "µ",
+  OElig: "Œ", oelig: "œ", Scaron: "Š", scaron: "š", Yuml: "Ÿ", fnof: "ƒ", circ: "ˆ", tilde: "˜",
+  thetasym: "ϑ", upsih: "ϒ", piv: "ϖ",
+};
+
+// Latin-1 supplement, U+00A0 to U+00FF, in code point order
+const LATIN_1_NAMES = (
+  "nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 " +
+  "acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde Auml " +
+  "Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde " +
+  "Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde auml aring aelig " +
+  "ccedil egrave eacute ecirc euml igrave iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide " +
+  "oslash ugrave uacute ucirc uuml yacute thorn yuml"
+).split(" ");
+LATIN_1_NAMES.forEach((name, index) => {
+  NAMED_ENTITIES[name] = String.fromCodePoint(0xa0 + index);
+});
+
+// Greek letters, from U+0391 (capitals) and U+03B1 (small letters)
+const GREEK_NAMES = [
+  "alpha", "beta", "gamma", "delta", "epsilon", "zeta", "eta", "theta", "iota", "kappa", "lambda", "mu",
+  "nu", "xi", "omicron", "pi", "rho", "sigmaf", "sigma", "tau", "upsilon", "phi", "chi", "psi", "omega",
+];
+GREEK_NAMES.forEach((name, index) => {
+  NAMED_ENTITIES[name] = String.fromCodePoint(0x3b1 + index);
+  // There is no capital final sigma
+  if (name !== "sigmaf") NAMED_ENTITIES[name.charAt(0).toUpperCase() + name.substring(1)] = String.fromCodePoint(0x391 + index);
+});
+
+// Names that old HTML wrote without the ";", and which are still decoded
+// without it, e.g. "&copy 2024"
+const LEGACY_NAMES = new Set(["amp", "lt", "gt", "quot", ...LATIN_1_NAMES]);
+
+/**
+ * Decodes a named reference. Without a ";", only a legacy name at its start
+ * is decoded ("&notin" is "¬in"), except in attribute values, where
+ * "?a=1&not=2" and "&copyright" are left alone.
+ *
+ * @param {string} match - Whole reference, e.g. "&notin;"
+ * @param {string} name - Name, e.g. "not"
+ * @param {boolean} terminated - Whether the name is followed by ";"
+ * @param {string} next - Character after the reference
+ * @param {boolean} attribute - Whether the reference is in an attribute value
+ * @returns {string} - Decoded text
+ */
+function decodeName(match, name, terminated, next, attribute) {
+  if (terminated && name in NAMED_ENTITIES) return NAMED_ENTITIES[name];
+
+  let length = name.length;
+  while (length > 0 && !LEGACY_NAMES.has(name.substring(0, length))) length--;
+  if (length === 0) return match;
+
+  const rest = match.substring(length + 1);
+  if (attribute && /^[a-z0-9=]/i.test(rest || next)) return match;
+  return NAMED_ENTITIES[name.substring(0, length)] + rest;
+}
+
+/**
+ * Decodes character references ("&amp;", "&#916;", "&#x394;", "&Delta;").
+ * Named references need the ";" except for the legacy names of HTML (see
+ * decodeName); unknown names are kept as they are.
+ *
+ * @param {string} text - Text with character references
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.attribute] - Whether the text is an attribute value
+ * @returns {string} - Decoded text
+ */
+export function decodeEntities(text, options = {}) {
+  const pattern = /&(?:#(\d+);?|#x([0-9a-f]+);?|([a-z][a-z0-9]*)(;?))/gi;
+  return text.replace(pattern, (match, decimal, hex, name, semicolon, offset) => {
+    if (name) {
+      const next = text.charAt(offset + match.length);
+      return decodeName(match, name, Boolean(semicolon), next, Boolean(options.attribute));
+    }
+    const codePoint = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+    if (codePoint === 0 || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) return "�";
+    return String.fromCodePoint(codePoint);
+  });
+}
+
+/**
+ * Parses the attributes of a start tag.
+ *
+ * @param {string} source - Text between the tag name and ">"
+ * @returns {Object<string, string>} - Decoded attribute values by lower-case name
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) {
+      attributes[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "", { attribute: true });
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Creates an element node.
+ *
+ * @param {string} tag - Tag name in lower case
+ * @param {Object<string, string>} [attributes] - Attributes
+ * @returns {{type: string, tag: string, attributes: Object, children: Array}} - Element
+ */
+function createElement(tag, attributes = {}) {
+  return { type: "element", tag, attributes, children: [] };
+}
+
+/**
+ * Parses HTML into a tree.
+ *
+ * @param {string} html - HTML fragment
+ * @returns {Object} - Root element (tag "#root") holding the parsed nodes
+ */
+export function parseHtml(html) {
+  const root = createElement("#root");
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const source = html || "";
+
+  const addText = (text) => {
+    if (!text) return;
+    const children = current().children;
+    const last = children[children.length - 1];
+    if (last && last.type === "text") {
+      last.text += text;
+    } else {
+      children.push({ type: "text", text });
+    }
+  };
+
+  // Pops up to and including the innermost open element named in `tags`,
+  // unless one of `stopAt` is open in between
+  const closeOpen = (tags, stopAt) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (tags.includes(stack[i].tag)) {
+        stack.length = i;
+        return;
+      }
+      if (stopAt.includes(stack[i].tag)) return;
+    }
+  };
+
+  let pos = 0;
+  while (pos < source.length) {
+    const open = source.indexOf("<", pos);
+    if (open === -1) {
+      addText(decodeEntities(source.substring(pos)));
+      break;
+    }
+    addText(decodeEntities(source.substring(pos, open)));
+    pos = open;
+
+    if (source.startsWith("<!--", pos)) {
+      const end = source.indexOf("-->", pos + 4);
+      pos = end === -1 ? source.length : end + 3;
+      continue;
+    }
+    if (/^<[!?]/.test(source.substring(pos, pos + 2))) {
+      const end = source.indexOf(">", pos);
+      pos = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    const endTag = source.substring(pos).match(/^<\/([a-z][a-z0-9-]*)[^>]*>/i);
+    if (endTag) {
+      pos += endTag[0].length;
+      const tag = endTag[1].toLowerCase();
+      if (tag === "br") {
+        // </br> is read as <br>, as browsers do
+        current().children.push(createElement("br"));
+      } else {
+        closeOpen([tag], tag === "p" ? [...SCOPE_BOUNDARIES] : []);
+      }
+      continue;
+    }
+
+    const startTag = source.substring(pos).match(/^<([a-z][a-z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/i);
+    if (!startTag) {
+      // A "<" that does not start a tag is text
+      addText("<");
+      pos += 1;
+      continue;
+    }
+    pos += startTag[0].length;
+    const tag = startTag[1].toLowerCase();
+
+    if (DROPPED_ELEMENTS.has(tag)) {
+      const end = source.toLowerCase().indexOf(`</${tag}`, pos);
+      const close = end === -1 ? -1 : source.indexOf(">", end);
+      pos = close === -1 ? source.length : close + 1;
+      continue;
+    }
+
+    if (PARAGRAPH_CLOSERS.has(tag)) closeOpen(["p"], [...SCOPE_BOUNDARIES]);
+    if (IMPLIED_ENDS[tag]) closeOpen(IMPLIED_ENDS[tag].closes, IMPLIED_ENDS[tag].stopAt);
+
+    const element = createElement(tag, parseAttributes(startTag[2]));
+    current().children.push(element);
+    // As in browsers, "/>" only ends void elements, or any element in MathML and SVG
+    const foreign = FOREIGN_ELEMENTS.has(tag) || stack.some((open) => FOREIGN_ELEMENTS.has(open.tag));
+    const selfClosing = foreign && /\/\s*$/.test(startTag[2]);
+    if (!VOID_ELEMENTS.has(tag) && !selfClosing) stack.push(element);
+  }
+
+  return root;
+}
+
+/**
+ * Returns the text of a node and its descendants.
+ *
+ * @param {Object} node - Node from parseHtml
+ * @returns {string} - Text content
+ */
+export function getTextContent(node) {
+  if (node.type === "text") return node.text;
+  if (node.tag === "br") return "\n";
+  return node.children.map(getTextContent).join("");
+}
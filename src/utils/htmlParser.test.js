@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { parseHtml, decodeEntities, getTextContent } from "./htmlParser.js";
+
+/**
+ * Writes a parsed tree back as compact HTML-like text, for comparing structure.
+ */
+function serialize(node) {
+  if (node.type === "text") return node.text;
+  const inner = node.children.map(serialize).join("");
+  return node.tag === "#root" ? inner : `<${node.tag}>${inner}</${node.tag}>`;
+}
+
+describe("htmlParser", () => {
+  describe("decodeEntities", () => {
+    it("decodes named and numeric references", () => {
+      expect(decodeEntities("&amp; &lt;&gt; &quot;&apos;")).toBe("& <> \"'");
+      expect(decodeEntities("&Delta;&mu;&sigmaf;&Omega;")).toBe("ΔμςΩ");
+      expect(decodeEntities("&eacute;&uuml;&nbsp;&deg;&plusmn;&times;")).toBe("éü °±×");
+      expect(decodeEntities("&#916;&#x394;&#X3bc;")).toBe("ΔΔμ");
+    });
+
+    it("keeps unknown references", () => {
+      expect(decodeEntities("&unknown; AT&T")).toBe("&unknown; AT&T");
+      expect(decodeEntities("&#0;")).toBe("�");
+    });
+
+    it("decodes names without a semicolon only if HTML has them as legacy names", () => {
+      expect(decodeEntities("R&D &and more &sub")).toBe("R&D &and more &sub");
+      expect(decodeEntities("&copy 2024 &amp &notit")).toBe("© 2024 & ¬it");
+    });
+
+    it("leaves names without a semicolon alone in attribute values before = or letters", () => {
+      expect(decodeEntities("?a=1&not=3&copyright&amp;x", { attribute: true })).toBe("?a=1&not=3&copyright&x");
+      expect(decodeEntities("a&copy b", { attribute: true })).toBe("a© b");
+    });
+  });
+
+  describe("parseHtml", () => {
+    it("builds a tree with attributes", () => {
+      const root = parseHtml('<p class="intro">Hi <a href="https://example.org?a=1&amp;b=2" data-x>there</a></p>');
+      const [p] = root.children;
+      expect(p.attributes).toEqual({ class: "intro" });
+      expect(p.children[1].attributes).toEqual({ href: "https://example.org?a=1&b=2", "data-x": "" });
+      expect(serialize(root)).toBe("<p>Hi <a>there</a></p>");
+    });
+
+    it("handles void elements and unclosed paragraphs and items", () => {
+      expect(serialize(parseHtml("<p>One<br/>two<p>Three<hr>"))).toBe("<p>One<br></br>two</p><p>Three</p><hr></hr>");
+      expect(serialize(parseHtml("<ul><li>a<li>b</ul>after"))).toBe("<ul><li>a</li><li>b</li></ul>after");
+      expect(serialize(parseHtml("<table><tr><td>1<td>2<tr><td>3</table>")))
+        .toBe("<table><tr><td>1</td><td>2</td></tr><tr><td>3</td></tr></table>");
+    });
+
+    it("keeps nested lists inside their item", () => {
+      expect(serialize(parseHtml("<ul><li>a<ul><li>b</li></ul></li></ul>"))).toBe("<ul><li>a<ul><li>b</li></ul></li></ul>");
+    });
+
+    it("ignores stray end tags and text that only looks like a tag", () => {
+      expect(serialize(parseHtml("a</b>b < c <3"))).toBe("ab < c <3");
+    });
+
+    it("drops comments, declarations, scripts and styles", () => {
+      expect(serialize(parseHtml("<!DOCTYPE html><!-- x --><style>p{}</style><p>Text<script>x()</script></p>")))
+        .toBe("<p>Text</p>");
+    });
+
+    it("accepts tags in any case and quoted > in attributes", () => {
+      expect(serialize(parseHtml('<P TITLE="a > b">Text</P>'))).toBe("<p>Text</p>");
+    });
+  });
+
+  describe("getTextContent", () => {
+    it("joins the text of all descendants", () => {
+      expect(getTextContent(parseHtml("<p>a <b>b</b><br>c</p>"))).toBe("a b\nc");
+    });
+  });
+});
@@ -1,14 +1,50 @@
+import { parseHtml, getTextContent } from "./htmlParser.js";
+import { mathmlToTex } from "./mathml.js";
+import { convertChemicalFormulas, convertInlineTex, markUnconverted, toMathTag } from "./formulas.js";
+import { escapeWikitext } from "./wikitext.js";
+
+// Elements written as paragraphs of their own
+const BLOCK_ELEMENTS = new Set([
+  "address", "article", "aside", "center", "details", "div", "fieldset", "figcaption", "figure", "footer",
+  "form", "header", "main", "nav", "p", "section", "summary",
+]);
+
+// Inline elements with an HTML equivalent that wikitext allows, by tag
+const INLINE_TAGS = {
+  sub: "sub",
+  sup: "sup",
+  code: "code",
+  kbd: "code",
+  samp: "code",
+  tt: "code",
+  u: "u",
+  ins: "u",
+  s: "s",
+  strike: "s",
+  del: "s",
+};
+
+// Header cell scopes kept in wikitext
+const CELL_SCOPES = ["row", "col", "rowgroup", "colgroup"];
+
+// Placeholder for a table nested in a cell, around its index
+const NESTED_TABLE_MARK = "\u0000";
+const NESTED_TABLE = new RegExp(`${NESTED_TABLE_MARK}(\\d+)${NESTED_TABLE_MARK}`);
+
+// Link targets wikitext writes as external links
+const EXTERNAL_LINK = /^(?:https?|ftp|mailto):/i;
+
 /**
  * Converts HTML content from Zenodo API to WikiMarkup format.
- * 
+ *
  * This function preserves semantic formatting by converting HTML tags
  * to their WikiMarkup equivalents instead of just stripping them.
  * Tables are extracted and returned separately to avoid nesting issues
  * within MediaWiki templates.
- * 
+ *
  * @param {string} html - The HTML string to convert
  * @returns {{description: string, tables: string}} - Object with description text and extracted tables
- * 
+ *
  * @example
  * cleanDescription('<p>This is <strong>bold</strong> text</p>')
  * // Returns: { description: "This is '''bold''' text", tables: "" }
@@ -16,130 +52,370 @@
 export function cleanDescription(html) {
   if (!html) return { description: "", tables: "" };
 
-  // 1. Extract and convert tables to WikiMarkup, then remove them from the HTML
-  const extractedTables = [];
-  const htmlWithoutTables = html.replace(/<table[^>]*>.*?<\/table>/gis, (match) => {
-    extractedTables.push(match);
-    return ""; // Remove table from the main content
-  });
+  // The document is walked once; tables are collected on the way and
+  // left out of the description
+  const tables = [];
+  const text = renderChildren(parseHtml(html.replace(/\r\n?/g, "\n")), { tables });
+
+  return { description: convertChemicalFormulas(cleanupLines(text)), tables: tables.join("\n\n") };
+}
 
-  // 2. Convert other HTML to WikiMarkup formatting
-  let text = htmlWithoutTables
-    // Convert bold tags to WikiMarkup
-    .replace(/<strong[^>]*>(.*?)<\/strong>/gi, "'''$1'''")
-    .replace(/<b[^>]*>(.*?)<\/b>/gi, "'''$1'''")
-    // Convert italic tags to WikiMarkup
-    .replace(/<em[^>]*>(.*?)<\/em>/gi, "''$1''")
-    .replace(/<i[^>]*>(.*?)<\/i>/gi, "''$1''")
-    // Structural replacements
-    .replace(/<\/p>/gi, "\n\n") // Paragraphs to double newlines
-    .replace(/<br\s*\/?>/gi, "\n") // Breaks to newlines
-    .replace(/<li[^>]*>/gi, "\n* "); // List items
-
-  // 3. Strip remaining tags (after WikiMarkup conversion)
-  text = text.replace(/<[^>]+>/g, "");
-
-  // 4. Remove empty wiki markup (multiple apostrophes with nothing between them)
-  text = text.replace(/'{2,}/g, (match) => {
-    // Keep valid wiki markup: '' (italic) or ''' (bold)
-    // But remove invalid patterns like '''' or longer sequences
-    if (match === "''" || match === "'''") return match;
-    return ""; // Remove other apostrophe sequences
+/**
+ * Trims lines and removes empty ones, except inside preformatted blocks.
+ *
+ * @param {string} text - Wikitext
+ * @returns {string} - Wikitext without blank lines
+ */
+function cleanupLines(text) {
+  const lines = [];
+  let preformatted = false;
+  text.split("\n").forEach((line) => {
+    if (preformatted) {
+      lines.push(line);
+      if (line.startsWith("</syntaxhighlight>")) preformatted = false;
+      return;
+    }
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    lines.push(trimmed);
+    if (/^<syntaxhighlight[^>]*>$/.test(trimmed)) preformatted = true;
   });
+  return lines.join("\n");
+}
+
+/**
+ * Joins the lines of rendered content into one line.
+ *
+ * @param {string} text - Rendered content
+ * @param {string} separator - Put between lines, e.g. "<br />"
+ * @returns {string} - Single line
+ */
+function joinLines(text, separator) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join(separator);
+}
+
+/**
+ * Renders the children of an element.
+ *
+ * @param {Object} element - Element from htmlParser.parseHtml
+ * @param {Object} context - Rendering state: `tables` collects tables; `bold`,
+ *   `italic`, `link` and `code` are set inside those elements;
+ *   `singleLine` is set where line breaks in the HTML source must not end the
+ *   line; `table` is set in table cells and captions; `nestedTables` collects
+ *   tables inside a table cell
+ * @returns {string} - Wikitext
+ */
+function renderChildren(element, context) {
+  return element.children.map((child) => renderNode(child, context)).join("");
+}
 
-  // 5. Decode HTML entities using DOMParser (browser environment)
-  if (typeof DOMParser !== "undefined") {
-    const doc = new DOMParser().parseFromString(text, "text/html");
-    text = doc.documentElement.textContent;
-  } else {
-    // Fallback for Node.js environment (testing)
-    text = text
-      .replace(/&amp;/g, "&")
-      .replace(/&lt;/g, "<")
-      .replace(/&gt;/g, ">")
-      .replace(/&quot;/g, '"')
-      .replace(/&#39;/g, "'")
-      .replace(/&Delta;/g, "Δ");
+/**
+ * Renders one node.
+ *
+ * @param {Object} node - Node from htmlParser.parseHtml
+ * @param {Object} context - Rendering state, see renderChildren
+ * @returns {string} - Wikitext
+ */
+function renderNode(node, context) {
+  if (node.type === "text") {
+    const text = context.singleLine ? node.text.replace(/\n/g, " ") : node.text;
+    // Text shows as written, even inside the Information template
+    const escape = (part) => escapeWikitext(part, { table: context.table });
+    return context.code ? escape(text) : convertInlineTex(text, escape);
   }
 
-  // 6. Cleanup whitespace
-  const description = text
+  const { tag } = node;
+  if (tag === "strong" || tag === "b") return renderEmphasis(node, context, "bold", "'''");
+  if (tag === "em" || tag === "i") return renderEmphasis(node, context, "italic", "''");
+  if (INLINE_TAGS[tag]) {
+    const inner = renderChildren(node, INLINE_TAGS[tag] === "code" ? { ...context, code: true } : context);
+    return inner.trim() ? `<${INLINE_TAGS[tag]}>${inner}</${INLINE_TAGS[tag]}>` : inner;
+  }
+  if (/^h[1-6]$/.test(tag)) return renderHeading(node, context);
+  if (tag === "a") return renderLink(node, context);
+  if (tag === "math") return renderMath(node);
+  if (tag === "ul" || tag === "ol") return `\n${renderList(node, context, "")}\n`;
+  if (tag === "dl") return renderDefinitionList(node, context);
+  if (tag === "pre") return renderPreformatted(node);
+  if (tag === "table") {
+    // Tables in table cells stay in the cell (see renderCell); others are
+    // moved out of the description
+    if (context.nestedTables) {
+      context.nestedTables.push(convertTable(node, context, true));
+      return `${NESTED_TABLE_MARK}${context.nestedTables.length - 1}${NESTED_TABLE_MARK}`;
+    }
+    context.tables.push(convertTable(node, context));
+    return "";
+  }
+  if (tag === "blockquote") {
+    const inner = renderChildren(node, context).trim();
+    return inner ? `\n<blockquote>${inner}</blockquote>\n` : "";
+  }
+  if (tag === "br") return "\n";
+  if (tag === "hr") return "\n----\n";
+  if (tag === "img") return "";
+  if (BLOCK_ELEMENTS.has(tag)) return `\n${renderChildren(node, context)}\n`;
+  return renderChildren(node, context);
+}
+
+/**
+ * Renders bold or italic text. Markup is repeated on every line, as
+ * wikitext emphasis ends with the line, and left out inside the same
+ * emphasis (`<b>a <b>b</b></b>`).
+ *
+ * @param {Object} element - Element
+ * @param {Object} context - Rendering state
+ * @param {string} flag - "bold" or "italic"
+ * @param {string} markup - "'''" or "''"
+ * @returns {string} - Wikitext
+ */
+function renderEmphasis(element, context, flag, markup) {
+  if (context[flag]) return renderChildren(element, context);
+  const inner = renderChildren(element, { ...context, [flag]: true });
+  if (!inner.trim()) return inner;
+  return inner
     .split("\n")
-    .map((line) => line.trim())
-    .filter((line) => line.length > 0) // Remove empty lines
+    .map((line) => (line.trim() ? `${markup}${line}${markup}` : line))
     .join("\n");
+}
 
-  // 7. Convert extracted tables to WikiMarkup
-  const tables = extractedTables
-    .map(tableHtml => convertTableToWikiMarkup(tableHtml))
-    .join("\n\n");
+/**
+ * Renders a heading one level below its HTML level, as level 1 is the
+ * page title on wikis.
+ *
+ * @param {Object} element - h1 to h6 element
+ * @param {Object} context - Rendering state
+ * @returns {string} - Wikitext heading on a line of its own
+ */
+function renderHeading(element, context) {
+  const text = joinLines(renderChildren(element, { ...context, singleLine: true }), " ");
+  if (!text) return "\n";
+  const markup = "=".repeat(Math.min(Number(element.tag.charAt(1)) + 1, 6));
+  return `\n${markup} ${text} ${markup}\n`;
+}
 
-  return { description, tables };
+/**
+ * Renders MathML as a `<math>` tag, or as its marked text if it cannot be
+ * converted.
+ *
+ * @param {Object} element - math element
+ * @returns {string} - Wikitext
+ */
+function renderMath(element) {
+  const display = element.attributes.display === "block";
+  let tex;
+  try {
+    tex = mathmlToTex(element);
+  } catch (e) {
+    // Keep the formula readable; the alternative text is often TeX or a reading of it
+    return markUnconverted(element.attributes.alttext || getTextContent(element));
+  }
+  const wikitext = toMathTag(tex, display);
+  return display ? `\n${wikitext}\n` : wikitext;
 }
 
 /**
- * Converts a single HTML table to WikiMarkup table syntax.
- * 
- * @param {string} tableHtml - The HTML table string
- * @returns {string} - The WikiMarkup table string
+ * Returns the target of a link as an external link URL.
+ *
+ * @param {string} href - href attribute
+ * @returns {string} - URL, or "" if the target is not an external link
  */
-function convertTableToWikiMarkup(tableHtml) {
-  let wikiTable = '{| class="wikitable"\n';
-  
-  // Extract table content
-  const tableContent = tableHtml.match(/<table[^>]*>(.*?)<\/table>/is);
-  if (!tableContent) return "";
-  
-  // Process table rows
-  const rows = tableContent[1].match(/<tr[^>]*>(.*?)<\/tr>/gis);
-  if (!rows) return "";
-  
-  rows.forEach((row, rowIndex) => {
-    // Extract th cells
-    const thCells = row.match(/<th[^>]*>.*?<\/th>/gis) || [];
-    // Extract td cells
-    const tdCells = row.match(/<td[^>]*>.*?<\/td>/gis) || [];
-    
-    if (thCells.length === 0 && tdCells.length === 0) return;
-    
-    // Add row separator (except for first row)
-    if (rowIndex > 0) {
-      wikiTable += '|-\n';
+function getLinkTarget(href) {
+  let url = (href || "").trim();
+  if (url.startsWith("//")) url = `https:${url}`;
+  if (/^doi:/i.test(url)) url = `https://doi.org/${url.substring(4)}`;
+  if (!EXTERNAL_LINK.test(url)) return "";
+  // Spaces and brackets end external links; pipes and braces would break
+  // the template around the description
+  return url.replace(/[\s[\]<>"|{}]/g, (char) => encodeURIComponent(char));
+}
+
+/**
+ * Renders a link as an external link, or as its text where the target is
+ * relative, a fragment or a script.
+ *
+ * @param {Object} element - a element
+ * @param {Object} context - Rendering state
+ * @returns {string} - Wikitext
+ */
+function renderLink(element, context) {
+  const label = joinLines(renderChildren(element, { ...context, link: true, singleLine: true }), " ");
+  const url = context.link ? "" : getLinkTarget(element.attributes.href);
+  if (!url) return label;
+  if (!label || label === url || label === element.attributes.href) return url;
+  return `[${url} ${label.replace(/]/g, "&#93;")}]`;
+}
+
+/**
+ * Renders a list and the lists nested in it.
+ *
+ * @param {Object} list - ul or ol element
+ * @param {Object} context - Rendering state
+ * @param {string} prefix - Markup of the enclosing lists, e.g. "*#"
+ * @returns {string} - Wikitext lines
+ */
+function renderList(list, context, prefix) {
+  const markup = prefix + (list.tag === "ol" ? "#" : "*");
+  const itemContext = { ...context, singleLine: true };
+  const lines = [];
+
+  const addItem = (nodes) => {
+    const text = joinLines(nodes.map((node) => renderNode(node, itemContext)).join(""), "<br />");
+    if (text) lines.push(`${markup} ${text}`);
+  };
+  const isList = (node) => node.type === "element" && (node.tag === "ul" || node.tag === "ol");
+
+  list.children.forEach((child) => {
+    if (isList(child)) {
+      // A list directly inside a list belongs to the item before it
+      lines.push(renderList(child, context, markup));
+    } else if (child.type === "element" && child.tag === "li") {
+      addItem(child.children.filter((node) => !isList(node)));
+      child.children.filter(isList).forEach((nested) => lines.push(renderList(nested, context, markup)));
+    } else {
+      addItem([child]);
     }
-    
-    // Process header cells
-    thCells.forEach(cell => {
-      let content = cell.replace(/<th[^>]*>(.*?)<\/th>/is, '$1').trim();
-      content = convertInlineFormatting(content);
-      wikiTable += '! ' + content + '\n';
-    });
-    
-    // Process data cells
-    tdCells.forEach(cell => {
-      let content = cell.replace(/<td[^>]*>(.*?)<\/td>/is, '$1').trim();
-      content = convertInlineFormatting(content);
-      wikiTable += '| ' + content + '\n';
+  });
+
+  return lines.filter(Boolean).join("\n");
+}
+
+/**
+ * Renders a definition list as `; term` and `: definition` lines.
+ *
+ * @param {Object} list - dl element
+ * @param {Object} context - Rendering state
+ * @returns {string} - Wikitext lines
+ */
+function renderDefinitionList(list, context) {
+  const lines = list.children
+    .filter((child) => child.type === "element" && (child.tag === "dt" || child.tag === "dd"))
+    .map((child) => {
+      const text = joinLines(renderChildren(child, { ...context, singleLine: true }), "<br />");
+      return text ? `${child.tag === "dt" ? ";" : ":"} ${text}` : "";
+    })
+    .filter(Boolean);
+  return `\n${lines.join("\n")}\n`;
+}
+
+/**
+ * Renders preformatted text as a syntaxhighlight block, in the language
+ * named by a `language-…` class on the pre element or its code element.
+ *
+ * @param {Object} element - pre element
+ * @returns {string} - Wikitext block
+ */
+function renderPreformatted(element) {
+  const code = element.children.find((child) => child.type === "element" && child.tag === "code");
+  const classes = `${element.attributes.class || ""} ${code?.attributes.class || ""}`;
+  const language = classes.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/i)?.[1].toLowerCase() || "text";
+  // A line break right after <pre> is not part of the content
+  const text = getTextContent(element).replace(/^\n/, "").replace(/\s+$/, "");
+  if (!text.trim()) return "";
+  return `\n<syntaxhighlight lang="${language}">\n${text}\n</syntaxhighlight>\n`;
+}
+
+/**
+ * Collects the rows of a table in display order: header rows, body rows,
+ * footer rows. Rows of nested tables are left out.
+ *
+ * @param {Object} table - table element
+ * @returns {Array<{row: Object, footer: boolean}>} - tr elements, and whether each is in the footer
+ */
+function getTableRows(table) {
+  const collect = (element) =>
+    element.children.flatMap((child) => {
+      if (child.type !== "element" || child.tag === "table" || child.tag === "caption") return [];
+      return child.tag === "tr" ? [child] : collect(child);
     });
+  const sections = table.children.filter((child) => child.type === "element");
+  const rowsOf = (tags) => collect({ children: sections.filter((child) => tags.includes(child.tag)) });
+  const body = collect({ children: sections.filter((child) => child.tag !== "thead" && child.tag !== "tfoot") });
+  return [
+    ...rowsOf(["thead"]).map((row) => ({ row, footer: false })),
+    ...body.map((row) => ({ row, footer: false })),
+    ...rowsOf(["tfoot"]).map((row) => ({ row, footer: true })),
+  ];
+}
+
+/**
+ * Returns the wikitext attributes of a cell: spans and, for header cells,
+ * whether they head a row or a column.
+ *
+ * @param {Object} cell - th or td element
+ * @returns {string} - Attributes such as `colspan="2"`, or ""
+ */
+function getCellAttributes(cell) {
+  const attributes = [];
+  ["colspan", "rowspan"].forEach((name) => {
+    const span = parseInt(cell.attributes[name], 10);
+    if (span > 1) attributes.push(`${name}="${Math.min(span, 1000)}"`);
   });
-  
-  wikiTable += '|}';
-  return wikiTable;
+  const scope = (cell.attributes.scope || "").toLowerCase();
+  if (cell.tag === "th" && CELL_SCOPES.includes(scope)) attributes.push(`scope="${scope}"`);
+  return attributes.join(" ");
 }
 
 /**
- * Converts inline HTML formatting to WikiMarkup.
- * 
- * @param {string} html - HTML string with inline formatting
- * @returns {string} - String with WikiMarkup formatting
+ * Renders the content of a cell on one line, followed by any tables nested
+ * in it on lines of their own.
+ *
+ * @param {Object} cell - th or td element
+ * @param {Object} context - Rendering state
+ * @returns {string} - Cell content
  */
-function convertInlineFormatting(html) {
-  return html
-    // Convert bold tags to WikiMarkup
-    .replace(/<strong[^>]*>(.*?)<\/strong>/gi, "'''$1'''")
-    .replace(/<b[^>]*>(.*?)<\/b>/gi, "'''$1'''")
-    // Convert italic tags to WikiMarkup
-    .replace(/<em[^>]*>(.*?)<\/em>/gi, "''$1''")
-    .replace(/<i[^>]*>(.*?)<\/i>/gi, "''$1''")
-    // Strip any remaining tags
-    .replace(/<[^>]+>/g, "");
+function renderCell(cell, context) {
+  const nestedTables = [];
+  const text = joinLines(renderChildren(cell, { ...context, singleLine: true, table: true, nestedTables }), "<br />");
+  // Nested tables are written where NESTED_TABLE placeholders were left
+  return text
+    .split(NESTED_TABLE)
+    .map((part, index) => (index % 2 === 1 ? `\n${nestedTables[part]}\n` : part.replace(/^(?:\s|<br \/>)+|(?:\s|<br \/>)+$/g, "")))
+    .join("")
+    .replace(/\n+$/, "");
+}
+
+/**
+ * Converts a single HTML table to WikiMarkup table syntax.
+ *
+ * @param {Object} table - The table element
+ * @param {Object} context - Rendering state
+ * @param {boolean} [nested] - Whether the table is inside another table's cell
+ * @returns {string} - The WikiMarkup table string
+ */
+function convertTable(table, context, nested = false) {
+  const rows = getTableRows(table)
+    .map(({ row, footer }) => ({
+      cells: row.children.filter((cell) => cell.type === "element" && (cell.tag === "th" || cell.tag === "td")),
+      footer,
+    }))
+    .filter(({ cells }) => cells.length > 0);
+  if (rows.length === 0) return "";
+
+  // Only the outer table is sortable; sorting does not reach into cells
+  let wikiTable = nested ? '{| class="wikitable"\n' : '{| class="wikitable sortable"\n';
+  const caption = table.children.find((child) => child.type === "element" && child.tag === "caption");
+  const captionText = caption ? joinLines(renderChildren(caption, { ...context, singleLine: true, table: true }), " ") : "";
+  if (captionText) {
+    wikiTable += `|+ ${captionText}\n`;
+  }
+  rows.forEach(({ cells, footer }, rowIndex) => {
+    // Add row separator (except for first row); footer rows stay at the
+    // bottom when the table is sorted
+    if (rowIndex > 0) {
+      wikiTable += footer && !nested ? '|- class="sortbottom"\n' : '|-\n';
+    }
+    // Cells stay in document order, so row headers keep their place
+    cells.forEach((cell) => {
+      const attributes = getCellAttributes(cell);
+      const marker = cell.tag === "th" ? "!" : "|";
+      wikiTable += `${marker}${attributes ? ` ${attributes} |` : ""} ${renderCell(cell, context)}\n`;
+    });
+  });
+  wikiTable += '|}';
+  return nested ? wikiTable : convertChemicalFormulas(wikiTable);
 }
@@ -1,5 +1,7 @@
 import { describe, it, expect } from "vitest";
 import { cleanDescription } from "./htmlToWiki.js";
+import { validateWikitext } from "./wikitext.js";
+import mathDescriptions from "./fixtures/math-descriptions.json";
 
 describe("cleanDescription", () => {
   describe("HTML to WikiMarkup conversion", () => {
@@ -66,6 +68,160 @@ describe("cleanDescription", () => {
     });
   });
 
+  describe("Links", () => {
+    it("converts links to external links", () => {
+      const input = '<p>See <a href="https://doi.org/10.1000/xyz">the paper</a>.</p>';
+      expect(cleanDescription(input).description).toBe("See [https://doi.org/10.1000/xyz the paper].");
+    });
+
+    it("writes links labelled with their URL as bare URLs", () => {
+      const input = '<a href="https://example.org/data">https://example.org/data</a>';
+      expect(cleanDescription(input).description).toBe("https://example.org/data");
+    });
+
+    it("resolves DOI and protocol-relative targets", () => {
+      expect(cleanDescription('<a href="doi:10.1000/xyz">DOI</a>').description).toBe("[https://doi.org/10.1000/xyz DOI]");
+      expect(cleanDescription('<a href="//example.org">site</a>').description).toBe("[https://example.org site]");
+    });
+
+    it("keeps only the text of other links", () => {
+      expect(cleanDescription('<a href="#methods">Methods</a> and <a href="javascript:void(0)">more</a>').description)
+        .toBe("Methods and more");
+    });
+
+    it("keeps query strings and ampersands that are not character references", () => {
+      const input = '<p><a href="https://x.org/?a=1&sub=2&not=3">x</a> R&D &and more</p>';
+      expect(cleanDescription(input).description).toBe("[https://x.org/?a=1&sub=2&not=3 x] R&D &and more");
+    });
+
+    it("escapes characters that end a link", () => {
+      const input = '<a href="https://example.org/a b">data [raw]</a>';
+      expect(cleanDescription(input).description).toBe("[https://example.org/a%20b data [raw&#93;]");
+    });
+  });
+
+  describe("Headings", () => {
+    it("converts headings one level down", () => {
+      expect(cleanDescription("<h1>Data</h1><h2>Methods</h2><p>Text</p>").description)
+        .toBe("== Data ==\n=== Methods ===\nText");
+    });
+
+    it("keeps headings on one line", () => {
+      expect(cleanDescription("<h3>Study\n<em>design</em></h3>").description).toBe("==== Study ''design'' ====");
+    });
+  });
+
+  describe("Lists", () => {
+    it("converts ordered lists to numbered items", () => {
+      const input = "<ol><li>First</li><li>Second</li></ol>";
+      expect(cleanDescription(input).description).toBe("# First\n# Second");
+    });
+
+    it("keeps the nesting of lists", () => {
+      const input = "<ol><li>Sampling<ul><li>Site A</li><li>Site B<ol><li>Plot 1</li></ol></li></ul></li><li>Analysis</li></ol>";
+      expect(cleanDescription(input).description).toBe("# Sampling\n#* Site A\n#* Site B\n#*# Plot 1\n# Analysis");
+    });
+
+    it("keeps list items on one line", () => {
+      const input = "<ul><li><p>First paragraph</p><p>Second paragraph</p></li><li>Wrapped\nline</li></ul>";
+      expect(cleanDescription(input).description).toBe("* First paragraph<br />Second paragraph\n* Wrapped line");
+    });
+
+    it("converts definition lists", () => {
+      expect(cleanDescription("<dl><dt>Organism</dt><dd>Homo sapiens</dd></dl>").description)
+        .toBe("; Organism\n: Homo sapiens");
+    });
+  });
+
+  describe("Other inline and block elements", () => {
+    it("keeps subscripts and superscripts", () => {
+      expect(cleanDescription("<p>x<sub>2</sub> at 10<sup>3</sup> K</p>").description)
+        .toBe("x<sub>2</sub> at 10<sup>3</sup> K");
+    });
+
+    it("keeps inline code", () => {
+      expect(cleanDescription("<p>Run <code>make all</code></p>").description).toBe("Run <code>make all</code>");
+    });
+
+    it("converts preformatted text to syntaxhighlight blocks", () => {
+      const input = '<pre><code class="language-python">def f():\n    return 1\n\n# &lt;done&gt;</code></pre><p>After</p>';
+      expect(cleanDescription(input).description).toBe(
+        '<syntaxhighlight lang="python">\ndef f():\n    return 1\n\n# <done>\n</syntaxhighlight>\nAfter'
+      );
+      expect(cleanDescription("<pre>plain</pre>").description).toBe('<syntaxhighlight lang="text">\nplain\n</syntaxhighlight>');
+    });
+
+    it("converts block quotes", () => {
+      expect(cleanDescription("<blockquote><p>Quoted text</p></blockquote>").description)
+        .toBe("<blockquote>Quoted text</blockquote>");
+    });
+
+    it("handles bold and italic nested either way", () => {
+      expect(cleanDescription("<strong><em>both</em></strong>").description).toBe("'''''both'''''");
+      expect(cleanDescription("<em>a <strong>b</strong></em>").description).toBe("''a '''b'''''");
+      expect(cleanDescription("<b>a <b>b</b></b>").description).toBe("'''a b'''");
+    });
+
+    it("repeats emphasis on each line", () => {
+      expect(cleanDescription("<strong>one<br>two</strong>").description).toBe("'''one'''\n'''two'''");
+    });
+
+    it("drops images, scripts and comments", () => {
+      expect(cleanDescription('<p>A<img src="x.png" alt="x"><!-- note --><script>alert(1)</script>B</p>').description)
+        .toBe("AB");
+    });
+  });
+
+  describe("Math and chemistry", () => {
+    it("converts equation editor MathML", () => {
+      const { description } = cleanDescription(mathDescriptions["mathml-equation-editor"]);
+      expect(description).toContain(
+        "The displacement follows <math>x ( t ) = A_0 e^{- \\gamma t} \\cos ( \\omega t )</math> with damping rate <math>\\gamma</math>."
+      );
+      expect(description).toContain(
+        'Energy is computed as\n<math display="block">E = \\frac{1}{2} m {\\dot{x}}^2 + \\frac{1}{2} k x^2</math>\nFiles are in HDF5.'
+      );
+    });
+
+    it("uses the TeX annotation of MathJax output", () => {
+      expect(cleanDescription(mathDescriptions["mathjax-semantics"]).description).toBe(
+        "We report the mean squared displacement <math>\\langle r^{2} \\rangle</math> for each trajectory."
+      );
+    });
+
+    it("converts inline LaTeX and leaves prices alone", () => {
+      expect(cleanDescription(mathDescriptions["latex-in-text"]).description).toBe(
+        "Code and data for the paper. The loss is <math>\\mathcal{L} = \\sum_i (y_i - \\hat{y}_i)^2</math> " +
+        "and the learning rate is <math>\\eta = 10^{-3}</math>.\n" +
+        "Compute costs were about $200 per run, or $1,500 in total.\n" +
+        '<math display="block">\\nabla \\cdot \\mathbf{u} = 0</math>'
+      );
+    });
+
+    it("converts chemical formulas but not subscripted variables", () => {
+      const { description } = cleanDescription(mathDescriptions["chemistry-subscripts"]);
+      expect(description).toContain("Adsorption isotherms of <chem>CO2</chem> and <chem>CH4</chem>");
+      expect(description).toContain("washed in <chem>H2SO4</chem> and <chem>Ca(OH)2</chem>");
+      expect(description).toContain("<chem>NH4^+</chem> and <chem>SO4^2-</chem> concentrations are in <code>ions.csv</code>");
+      expect(description).toContain("Relaxation times T<sub>1</sub> and T<sub>2</sub> were measured at B<sub>0</sub> = 9.4 T.");
+    });
+
+    it("marks MathML it cannot convert", () => {
+      expect(cleanDescription(mathDescriptions["unsupported-mathml"]).description).toBe(
+        "The tensor ''[formula not converted: {}^{14}_{6}C]'' decays."
+      );
+    });
+
+    it("leaves code alone", () => {
+      expect(cleanDescription("<p><code>echo $HOME$</code></p>").description).toBe("<code>echo $HOME$</code>");
+    });
+
+    it("converts formulas in tables", () => {
+      const { tables } = cleanDescription("<table><tr><td>H<sub>2</sub>O</td><td>$x^2$</td></tr></table>");
+      expect(tables).toContain("| <chem>H2O</chem>\n| <math>x^2</math>");
+    });
+  });
+
   describe("HTML table to WikiMarkup conversion", () => {
     it("converts simple HTML table to WikiMarkup table", () => {
       const input = `<table>
@@ -75,7 +231,7 @@ describe("cleanDescription", () => {
       
       const result = cleanDescription(input);
       
-      expect(result.tables).toContain("{| class=\"wikitable\"");
+      expect(result.tables).toContain("{| class=\"wikitable sortable\"");
       expect(result.tables).toContain("! Header 1");
       expect(result.tables).toContain("! Header 2");
       expect(result.tables).toContain("|-");
@@ -121,7 +277,7 @@ describe("cleanDescription", () => {
       
       const result = cleanDescription(input);
       
-      expect(result.tables).toContain("{| class=\"wikitable\"");
+      expect(result.tables).toContain("{| class=\"wikitable sortable\"");
       expect(result.tables).toContain("| Cell 1");
       expect(result.tables).toContain("| Cell 2");
       expect(result.tables).toContain("|-");
@@ -149,7 +305,7 @@ describe("cleanDescription", () => {
       
       const result = cleanDescription(input);
       
-      expect(result.tables).toContain("{| class=\"wikitable\"");
+      expect(result.tables).toContain("{| class=\"wikitable sortable\"");
       expect(result.tables).toContain("! Study");
       expect(result.tables).toContain("! Study Component");
       expect(result.tables).toContain("! Biosample");
@@ -167,13 +323,95 @@ describe("cleanDescription", () => {
       
       const result = cleanDescription(input);
       
-      expect(result.tables).toContain("{| class=\"wikitable\"");
+      expect(result.tables).toContain("{| class=\"wikitable sortable\"");
       expect(result.tables).toContain("! Name");
       expect(result.tables).toContain("| John Doe");
       expect(result.tables).toContain("! Age");
       expect(result.tables).toContain("| 30");
       expect(result.tables).toContain("|}");
     });
+    it("makes tables sortable and keeps footer rows at the bottom", () => {
+      const input = "<table><tfoot><tr><td>Total</td><td>9</td></tr></tfoot><tbody><tr><td>Apis</td><td>4</td></tr></tbody>" +
+        "<thead><tr><th>Taxon</th><th>Count</th></tr></thead></table>";
+      expect(cleanDescription(input).tables).toBe(
+        '{| class="wikitable sortable"\n! Taxon\n! Count\n|-\n| Apis\n| 4\n|- class="sortbottom"\n| Total\n| 9\n|}'
+      );
+    });
+
+    it("writes captions", () => {
+      const input = "<table><caption>Specimens <em>examined</em></caption><tr><td>1</td></tr></table>";
+      expect(cleanDescription(input).tables).toBe('{| class="wikitable sortable"\n|+ Specimens \'\'examined\'\'\n| 1\n|}');
+    });
+
+    it("keeps column and row spans and header scopes", () => {
+      const input = '<table><tr><th scope="col">Taxon</th><th colspan="2">Length (mm)</th></tr>' +
+        '<tr><th scope="row" rowspan="2">Apis mellifera</th><td>12</td><td>14</td></tr><tr><td>11</td><td>13</td></tr></table>';
+      expect(cleanDescription(input).tables).toBe(
+        '{| class="wikitable sortable"\n! scope="col" | Taxon\n! colspan="2" | Length (mm)\n|-\n' +
+        '! rowspan="2" scope="row" | Apis mellifera\n| 12\n| 14\n|-\n| 11\n| 13\n|}'
+      );
+    });
+
+    it("ignores invalid spans", () => {
+      const input = '<table><tr><td colspan="1">a</td><td rowspan="x">b</td><td scope="row">c</td></tr></table>';
+      expect(cleanDescription(input).tables).toBe('{| class="wikitable sortable"\n| a\n| b\n| c\n|}');
+    });
+
+    it("keeps row header cells in place", () => {
+      const input = "<table><tr><td>1</td><th>Row</th><td>2</td></tr></table>";
+      expect(cleanDescription(input).tables).toBe('{| class="wikitable sortable"\n| 1\n! Row\n| 2\n|}');
+    });
+
+    it("keeps nested tables inside their cell", () => {
+      const input = "<table><tr><td>Sites<table><tr><td>A</td><td>B</td></tr></table></td><td>2</td></tr></table>";
+      const result = cleanDescription(input);
+      expect(result.tables).toBe(
+        '{| class="wikitable sortable"\n| Sites\n{| class="wikitable"\n| A\n| B\n|}\n| 2\n|}'
+      );
+      expect(result.tables.match(/\{\|/g)).toHaveLength(2);
+    });
+  });
+
+  describe("Wikitext escaping", () => {
+    it("escapes pipes, braces and links in text", () => {
+      expect(cleanDescription("<p>p | q for {{x}} and [[y]]</p>").description).toBe(
+        "p {{!}} q for <nowiki>{{</nowiki>x<nowiki>}}</nowiki> and <nowiki>[[</nowiki>y<nowiki>]]</nowiki>"
+      );
+    });
+
+    it("keeps signatures, behavior switches, quotes and tags as text", () => {
+      expect(cleanDescription("<p>~~~~ __NOTOC__ a 5'' screen &lt;nowiki&gt;</p>").description).toBe(
+        "<nowiki>~~~~</nowiki> <nowiki>__NOTOC__</nowiki> a 5<nowiki>''</nowiki> screen &lt;nowiki>"
+      );
+    });
+
+    it("escapes code but not math", () => {
+      expect(cleanDescription("<p><code>a|b</code> and $|x|$</p>").description).toBe(
+        "<code>a{{!}}b</code> and <math>|x|</math>"
+      );
+    });
+
+    it("uses character references for pipes in tables", () => {
+      const result = cleanDescription(
+        "<table><caption>p | q</caption><tr><th>Test !! value</th><td>p || q</td></tr></table>"
+      );
+      expect(result.tables).toBe(
+        '{| class="wikitable sortable"\n|+ p &#124; q\n! Test !&#33; value\n| p &#124;&#124; q\n|}'
+      );
+    });
+
+    it("encodes pipes and braces in link targets", () => {
+      expect(cleanDescription('<a href="https://example.org/?q=a|b{c}">search</a>').description).toBe(
+        "[https://example.org/?q=a%7Cb%7Bc%7D search]"
+      );
+    });
+
+    it("writes wikitext without problems", () => {
+      const result = cleanDescription(
+        "<p>p = 0.01 | n = 3 '' ~~~ {{</p><table><tr><td>}} | ]]</td></tr></table>"
+      );
+      expect(validateWikitext(`{{Information\n|description=${result.description}\n}}\n${result.tables}`)).toEqual([]);
+    });
   });
 
   describe("HTML entities", () => {
@@ -277,7 +515,7 @@ describe("cleanDescription", () => {
       expect(result.description).toContain("Image from the NFDI4BIOIMAGE Calendar September 2025.");
       expect(result.description).toContain("The scanning electron micrograph");
       expect(result.description).toContain("Image Metadata (using REMBI template):");
-      expect(result.tables).toContain("{| class=\"wikitable\"");
+      expect(result.tables).toContain("{| class=\"wikitable sortable\"");
       expect(result.tables).toContain("! Study");
       expect(result.tables).toContain("| Ultrastructure of the immune synapse");
       expect(result.tables).toContain("! Biosample");
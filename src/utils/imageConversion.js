@@ -0,0 +1,65 @@
+/**
+ * In-browser lossless re-encoding of images.
+ *
+ * Screenshots and diagrams saved as PNG are often much smaller as lossless
+ * WebP, which Commons accepts. Browsers decide themselves whether their WebP
+ * encoder is lossless, so every conversion is decoded again and compared
+ * pixel by pixel before it is offered.
+ */
+
+/**
+ * Draws an image into a new canvas.
+ *
+ * @param {Object} image - Decoded image (`width`, `height`)
+ * @param {Function} createCanvas - Creates a canvas of the given size
+ * @returns {Object} - Canvas with the image drawn at full size
+ */
+function drawImage(image, createCanvas) {
+  const canvas = createCanvas(image.width, image.height);
+  canvas.getContext("2d").drawImage(image, 0, 0);
+  return canvas;
+}
+
+/**
+ * Returns the RGBA pixels of a canvas.
+ *
+ * @param {Object} canvas - Canvas
+ * @returns {Uint8ClampedArray} - Pixel data
+ */
+function getPixels(canvas) {
+  return canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height).data;
+}
+
+/**
+ * Re-encodes an image as lossless WebP.
+ *
+ * @param {Blob} blob - Image, e.g. a PNG file
+ * @param {Object} [options] - Browser APIs (for testing)
+ * @param {Function} [options.decode] - Decodes a blob to an image (createImageBitmap)
+ * @param {Function} [options.createCanvas] - Creates a canvas (OffscreenCanvas)
+ * @returns {Promise<{blob: Blob, size: number, originalSize: number, smaller: boolean}>}
+ *   - Converted image; `smaller` tells whether it is worth uploading instead
+ * @throws {Error} - If the browser cannot encode WebP losslessly
+ */
+export async function convertToLosslessWebp(blob, options = {}) {
+  const {
+    decode = (source) => createImageBitmap(source),
+    createCanvas = (width, height) => new OffscreenCanvas(width, height)
+  } = options;
+
+  const canvas = drawImage(await decode(blob), createCanvas);
+  // Chromium encodes lossless WebP at quality 1; the pixel check below
+  // catches browsers that do not
+  const webp = await canvas.convertToBlob({ type: "image/webp", quality: 1 });
+  if (webp.type !== "image/webp") {
+    throw new Error("This browser cannot create WebP images.");
+  }
+
+  const original = getPixels(canvas);
+  const converted = getPixels(drawImage(await decode(webp), createCanvas));
+  if (original.length !== converted.length || original.some((value, i) => value !== converted[i])) {
+    throw new Error("This browser cannot create lossless WebP images.");
+  }
+
+  return { blob: webp, size: webp.size, originalSize: blob.size, smaller: webp.size < blob.size };
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import { convertToLosslessWebp } from "./imageConversion.js";
+
+// Canvas stand-in whose "images" are plain pixel arrays
+function createCanvasStub({ type = "image/webp", size = 100, alter = false } = {}) {
+  return (width, height) => {
+    let pixels = new Uint8ClampedArray(width * height * 4);
+    return {
+      width,
+      height,
+      getContext: () => ({
+        drawImage: (image) => {
+          pixels = Uint8ClampedArray.from(image.pixels);
+        },
+        getImageData: () => ({ data: pixels })
+      }),
+      convertToBlob: async () => ({
+        type,
+        size,
+        pixels: alter ? pixels.map((value) => value ^ 1) : pixels
+      })
+    };
+  };
+}
+
+const png = { type: "image/png", size: 500, pixels: [1, 2, 3, 255, 4, 5, 6, 255] };
+const decode = async (blob) => ({ width: 2, height: 1, pixels: blob.pixels });
+
+describe("imageConversion", () => {
+  describe("convertToLosslessWebp", () => {
+    it("returns the WebP image and whether it is smaller", async () => {
+      const result = await convertToLosslessWebp(png, { decode, createCanvas: createCanvasStub() });
+      expect(result).toMatchObject({ size: 100, originalSize: 500, smaller: true });
+      expect(result.blob.type).toBe("image/webp");
+
+      const larger = await convertToLosslessWebp(png, { decode, createCanvas: createCanvasStub({ size: 900 }) });
+      expect(larger.smaller).toBe(false);
+    });
+
+    it("fails when the browser cannot encode WebP", async () => {
+      await expect(
+        convertToLosslessWebp(png, { decode, createCanvas: createCanvasStub({ type: "image/png" }) })
+      ).rejects.toThrow("cannot create WebP images");
+    });
+
+    it("fails when the encoding is lossy", async () => {
+      await expect(
+        convertToLosslessWebp(png, { decode, createCanvas: createCanvasStub({ alter: true }) })
+      ).rejects.toThrow("cannot create lossless WebP images");
+    });
+  });
+});
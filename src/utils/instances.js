@@ -0,0 +1,193 @@
+/**
+ * Repository instance profiles.
+ *
+ * Zenodo runs on InvenioRDM, and so do other repositories. A profile says
+ * where an instance's API and files live, which provider reads its records
+ * (see providers.js) and how uploads from it are marked on Commons: the
+ * template after the Information template, the tracking category and, in
+ * structured data, the Wikidata item of the operator and the property for
+ * record IDs. Instances without those get no operator or ID statement. Hosts
+ * without a built-in profile get a generic InvenioRDM one, which can be
+ * adjusted and saved as a custom profile.
+ */
+
+import { FIGSHARE_HOST, getRecordsApiUrl } from "./recordIdentifiers.js";
+
+// Added to every upload, whatever the instance
+export const TOOL_CATEGORY = "Uploaded with zenodo2commons";
+
+// Domains Commons fetches files from for uploads by URL, as listed on
+// https://commons.wikimedia.org/wiki/MediaWiki:Copyupload-allowed-domains
+export const COPY_UPLOAD_DOMAINS = ["zenodo.org"];
+
+// Page holding the live upload-by-URL allowlist
+const COPY_UPLOAD_DOMAINS_PAGE = "MediaWiki:Copyupload-allowed-domains";
+
+// localStorage key for custom profiles
+const STORAGE_KEY = "instanceProfiles";
+
+/**
+ * Builds a profile from a host name and a few overrides. Patterns use
+ * `{id}` for the record ID and `{key}` for the file name.
+ *
+ * @param {string} host - Host name
+ * @param {Object} [overrides] - Profile fields to set
+ * @returns {{host: string, name: string, provider: string, apiUrl: string, recordUrl: string,
+ *   fileUrl: string, sourceTemplate: string, trackingCategory: string, sdcOperator: string,
+ *   sdcIdProperty: string, custom: boolean}} - Profile
+ */
+export function createInstanceProfile(host, overrides = {}) {
+  return {
+    host,
+    name: host,
+    provider: "invenio",
+    apiUrl: getRecordsApiUrl(host),
+    recordUrl: `https://${host}/records/{id}`,
+    fileUrl: `https://${host}/records/{id}/files/{key}`,
+    sourceTemplate: "",
+    trackingCategory: "",
+    sdcOperator: "",
+    sdcIdProperty: "",
+    custom: false,
+    ...overrides,
+  };
+}
+
+export const INSTANCE_PROFILES = {
+  "zenodo.org": createInstanceProfile("zenodo.org", {
+    name: "Zenodo",
+    sourceTemplate: "{{Zenodo|{id}}}",
+    trackingCategory: "Media from Zenodo",
+    // Zenodo (Q22661177) and the Zenodo ID property (P4901)
+    sdcOperator: "Q22661177",
+    sdcIdProperty: "P4901",
+  }),
+  "sandbox.zenodo.org": createInstanceProfile("sandbox.zenodo.org", { name: "Zenodo Sandbox" }),
+  "data.caltech.edu": createInstanceProfile("data.caltech.edu", { name: "CaltechDATA" }),
+  "researchdata.tuwien.ac.at": createInstanceProfile("researchdata.tuwien.ac.at", { name: "TU Wien Research Data" }),
+  "repository.tugraz.at": createInstanceProfile("repository.tugraz.at", { name: "TU Graz Repository" }),
+  // Figshare files have their own download URLs, so there is no file URL pattern
+  [FIGSHARE_HOST]: createInstanceProfile(FIGSHARE_HOST, {
+    name: "Figshare",
+    provider: "figshare",
+    apiUrl: "https://api.figshare.com/v2/articles",
+    recordUrl: "https://figshare.com/articles/{id}",
+    fileUrl: "",
+    sourceTemplate: "{{Figshare|{id}}}",
+    trackingCategory: "Media from Figshare",
+  }),
+};
+
+/**
+ * Returns the profile of a host: a custom one, a built-in one or a generic one.
+ *
+ * @param {string} host - Host name
+ * @param {Object<string, Object>} [customProfiles] - Custom profiles by host (see loadCustomProfiles)
+ * @returns {Object} - Profile
+ */
+export function getInstanceProfile(host, customProfiles = {}) {
+  const base = INSTANCE_PROFILES[host] || createInstanceProfile(host);
+  return customProfiles[host] ? { ...base, ...customProfiles[host], host, custom: true } : base;
+}
+
+/**
+ * Fills `{id}` and `{key}` in a profile pattern.
+ *
+ * @param {string} pattern - Pattern, e.g. a profile's `fileUrl`
+ * @param {Object} values - Values
+ * @param {string|number} values.id - Record ID
+ * @param {string} [values.key] - File name, URL-encoded where it ends up in a URL path
+ * @returns {string} - Expanded text
+ */
+export function expandPattern(pattern, values) {
+  return pattern.replace(/\{(id|key)\}/g, (match, name) => String(values[name] ?? ""));
+}
+
+/**
+ * Returns the categories every upload from an instance gets.
+ *
+ * @param {Object} profile - Instance profile
+ * @returns {string[]} - Tracking categories
+ */
+export function getTrackingCategories(profile) {
+  return [profile.trackingCategory, TOOL_CATEGORY].filter(Boolean);
+}
+
+/**
+ * Loads custom profiles.
+ *
+ * @param {Storage|null} storage - Storage to read from (e.g. localStorage)
+ * @returns {Object<string, Object>} - Profile fields by host
+ */
+export function loadCustomProfiles(storage) {
+  try {
+    return JSON.parse(storage?.getItem(STORAGE_KEY) || "{}");
+  } catch (e) {
+    // Corrupt or unavailable storage: use the built-in profiles
+    return {};
+  }
+}
+
+/**
+ * Saves custom profiles.
+ *
+ * @param {Storage|null} storage - Storage to write to (e.g. localStorage)
+ * @param {Object<string, Object>} profiles - Profile fields by host
+ */
+export function saveCustomProfiles(storage, profiles) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch (e) {
+    // Storage may be full or disabled; profiles are kept for this session only
+  }
+}
+
+/**
+ * Parses the upload-by-URL allowlist page: one domain per line, `#` comments.
+ *
+ * @param {string} text - Page content
+ * @returns {string[]} - Domains, possibly with a leading `*.` wildcard
+ */
+export function parseCopyUploadDomains(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/#.*/, "").trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Fetches the domains Commons accepts for uploads by URL.
+ *
+ * @param {Object} apiClient - Client from createCommonsApiClient
+ * @returns {Promise<string[]>} - Domains
+ */
+export async function fetchCopyUploadDomains(apiClient) {
+  const data = await apiClient.get({
+    action: "query",
+    prop: "revisions",
+    titles: COPY_UPLOAD_DOMAINS_PAGE,
+    rvprop: "content",
+    rvslots: "main",
+  });
+  const content = data.query?.pages?.[0]?.revisions?.[0]?.slots?.main?.content;
+  return content ? parseCopyUploadDomains(content) : COPY_UPLOAD_DOMAINS;
+}
+
+/**
+ * Checks whether Commons can fetch a file by URL.
+ *
+ * @param {string} url - File URL
+ * @param {string[]} [domains] - Allowed domains, e.g. from fetchCopyUploadDomains
+ * @returns {boolean} - True if the URL's host is on the allowlist
+ */
+export function isCopyUploadAllowed(url, domains = COPY_UPLOAD_DOMAINS) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return false;
+  }
+  return domains.some((domain) =>
+    domain.startsWith("*.") ? host.endsWith(domain.substring(1)) : host === domain
+  );
+}
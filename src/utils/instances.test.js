@@ -0,0 +1,143 @@
+import { describe, it, expect } from "vitest";
+import {
+  INSTANCE_PROFILES,
+  createInstanceProfile,
+  getInstanceProfile,
+  expandPattern,
+  getTrackingCategories,
+  loadCustomProfiles,
+  saveCustomProfiles,
+  parseCopyUploadDomains,
+  fetchCopyUploadDomains,
+  isCopyUploadAllowed
+} from "./instances.js";
+
+// In-memory stand-in for localStorage
+function createStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+    items
+  };
+}
+
+describe("instances", () => {
+  describe("createInstanceProfile", () => {
+    it("derives URLs from the host", () => {
+      expect(createInstanceProfile("repo.example.org")).toEqual({
+        host: "repo.example.org",
+        name: "repo.example.org",
+        provider: "invenio",
+        apiUrl: "https://repo.example.org/api/records",
+        recordUrl: "https://repo.example.org/records/{id}",
+        fileUrl: "https://repo.example.org/records/{id}/files/{key}",
+        sourceTemplate: "",
+        trackingCategory: "",
+        sdcOperator: "",
+        sdcIdProperty: "",
+        custom: false
+      });
+    });
+  });
+
+  describe("getInstanceProfile", () => {
+    it("returns built-in profiles", () => {
+      expect(getInstanceProfile("zenodo.org")).toBe(INSTANCE_PROFILES["zenodo.org"]);
+      expect(getInstanceProfile("data.caltech.edu").name).toBe("CaltechDATA");
+    });
+
+    it("names the Zenodo operator and ID property only for zenodo.org", () => {
+      expect(getInstanceProfile("zenodo.org")).toMatchObject({ sdcOperator: "Q22661177", sdcIdProperty: "P4901" });
+      ["sandbox.zenodo.org", "data.caltech.edu", "researchdata.tuwien.ac.at", "repository.tugraz.at"].forEach((host) => {
+        expect(getInstanceProfile(host)).toMatchObject({ sdcOperator: "", sdcIdProperty: "" });
+      });
+    });
+
+    it("falls back to a generic profile", () => {
+      expect(getInstanceProfile("repo.example.org")).toEqual(createInstanceProfile("repo.example.org"));
+    });
+
+    it("applies custom fields", () => {
+      const custom = { "data.caltech.edu": { trackingCategory: "Media from CaltechDATA" } };
+      expect(getInstanceProfile("data.caltech.edu", custom)).toMatchObject({
+        name: "CaltechDATA",
+        trackingCategory: "Media from CaltechDATA",
+        apiUrl: "https://data.caltech.edu/api/records",
+        custom: true
+      });
+    });
+  });
+
+  describe("expandPattern", () => {
+    it("fills record IDs and file names", () => {
+      expect(expandPattern(INSTANCE_PROFILES["zenodo.org"].fileUrl, { id: 5, key: "a.png" }))
+        .toBe("https://zenodo.org/records/5/files/a.png");
+      expect(expandPattern("{{Zenodo|{id}}}", { id: "5" })).toBe("{{Zenodo|5}}");
+      expect(expandPattern("", { id: "5" })).toBe("");
+    });
+  });
+
+  describe("getTrackingCategories", () => {
+    it("adds the tool category", () => {
+      expect(getTrackingCategories(INSTANCE_PROFILES["zenodo.org"]))
+        .toEqual(["Media from Zenodo", "Uploaded with zenodo2commons"]);
+      expect(getTrackingCategories(INSTANCE_PROFILES["data.caltech.edu"])).toEqual(["Uploaded with zenodo2commons"]);
+    });
+  });
+
+  describe("custom profile storage", () => {
+    it("round-trips through storage", () => {
+      const storage = createStorage();
+      const profiles = { "repo.example.org": { name: "Example" } };
+      saveCustomProfiles(storage, profiles);
+      expect(loadCustomProfiles(storage)).toEqual(profiles);
+    });
+
+    it("ignores missing or corrupt storage", () => {
+      expect(loadCustomProfiles(null)).toEqual({});
+      expect(loadCustomProfiles(createStorage({ instanceProfiles: "{" }))).toEqual({});
+      expect(() => saveCustomProfiles({ setItem: () => { throw new Error("QuotaExceededError"); } }, {})).not.toThrow();
+    });
+  });
+
+  describe("parseCopyUploadDomains", () => {
+    it("reads one domain per line and drops comments", () => {
+      expect(parseCopyUploadDomains("# Allowed\nzenodo.org\n*.Figshare.com # files\n\n")).toEqual([
+        "zenodo.org",
+        "*.figshare.com"
+      ]);
+    });
+  });
+
+  describe("fetchCopyUploadDomains", () => {
+    it("reads the allowlist page", async () => {
+      let params;
+      const apiClient = {
+        get: async (query) => {
+          params = query;
+          return { query: { pages: [{ revisions: [{ slots: { main: { content: "zenodo.org\ndata.caltech.edu" } } }] }] } };
+        }
+      };
+      expect(await fetchCopyUploadDomains(apiClient)).toEqual(["zenodo.org", "data.caltech.edu"]);
+      expect(params.titles).toBe("MediaWiki:Copyupload-allowed-domains");
+    });
+
+    it("falls back to the built-in list when the page is missing", async () => {
+      const apiClient = { get: async () => ({ query: { pages: [{ missing: true }] } }) };
+      expect(await fetchCopyUploadDomains(apiClient)).toEqual(["zenodo.org"]);
+    });
+  });
+
+  describe("isCopyUploadAllowed", () => {
+    it("matches hosts and wildcards", () => {
+      expect(isCopyUploadAllowed("https://zenodo.org/records/1/files/a.png")).toBe(true);
+      expect(isCopyUploadAllowed("https://sandbox.zenodo.org/records/1/files/a.png")).toBe(false);
+      expect(isCopyUploadAllowed("https://sandbox.zenodo.org/x", ["*.zenodo.org"])).toBe(true);
+      expect(isCopyUploadAllowed("https://notzenodo.org/x", ["*.zenodo.org"])).toBe(false);
+      expect(isCopyUploadAllowed("not a url")).toBe(false);
+    });
+  });
+});
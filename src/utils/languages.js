@@ -0,0 +1,181 @@
+/**
+ * Languages of record titles and descriptions.
+ *
+ * Descriptions on Commons are wrapped in language templates (`{{en|1=…}}`),
+ * so that each reader sees the text in their language. Records name their
+ * language with ISO 639-3 codes ("eng", "por"), either in the legacy
+ * `metadata.language` field or in InvenioRDM's `metadata.languages`; titles
+ * and descriptions in other languages come from `additional_titles` and
+ * `additional_descriptions`.
+ */
+
+import { cleanDescription } from "./htmlToWiki.js";
+
+// Language of records that do not name one
+export const DEFAULT_LANGUAGE = "en";
+
+// ISO 639-3 codes of common languages and their ISO 639-1 codes, which
+// Commons uses for its language templates
+const ISO_639_1 = {
+  ara: "ar",
+  bul: "bg",
+  cat: "ca",
+  ces: "cs",
+  cze: "cs",
+  dan: "da",
+  deu: "de",
+  ger: "de",
+  ell: "el",
+  gre: "el",
+  eng: "en",
+  spa: "es",
+  est: "et",
+  eus: "eu",
+  baq: "eu",
+  fas: "fa",
+  per: "fa",
+  fin: "fi",
+  fra: "fr",
+  fre: "fr",
+  gle: "ga",
+  glg: "gl",
+  heb: "he",
+  hin: "hi",
+  hrv: "hr",
+  hun: "hu",
+  ind: "id",
+  isl: "is",
+  ice: "is",
+  ita: "it",
+  jpn: "ja",
+  kor: "ko",
+  lit: "lt",
+  lav: "lv",
+  nld: "nl",
+  dut: "nl",
+  nor: "no",
+  nob: "nb",
+  nno: "nn",
+  pol: "pl",
+  por: "pt",
+  ron: "ro",
+  rum: "ro",
+  rus: "ru",
+  slk: "sk",
+  slo: "sk",
+  slv: "sl",
+  srp: "sr",
+  swe: "sv",
+  swa: "sw",
+  tha: "th",
+  tur: "tr",
+  ukr: "uk",
+  vie: "vi",
+  zho: "zh",
+  chi: "zh",
+};
+
+// Description types that can hold a translation of the main description
+const TRANSLATABLE_TYPES = ["", "abstract", "other"];
+
+/**
+ * Converts a language code to the code of its Commons language template.
+ *
+ * @param {string|Object} language - ISO 639-1 or 639-3 code, optionally with a
+ *   region ("pt-BR"), or an InvenioRDM vocabulary entry (`{id}`)
+ * @returns {string} - Template code such as "en" or "pt", or "" if there is none
+ */
+export function toLanguageCode(language) {
+  const code = (typeof language === "string" ? language : language?.id || "").trim().toLowerCase();
+  if (!/^[a-z]{2,3}(?:[-_][a-z0-9]+)*$/.test(code)) return "";
+  const [base] = code.split(/[-_]/);
+  return ISO_639_1[base] || base;
+}
+
+/**
+ * Returns the language of a record's title and description.
+ *
+ * @param {Object} metadata - Record metadata
+ * @returns {string} - Language code, DEFAULT_LANGUAGE if the record names none
+ */
+export function getRecordLanguage(metadata) {
+  const language = metadata?.language || (Array.isArray(metadata?.languages) ? metadata.languages[0] : "");
+  return toLanguageCode(language) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Returns the vocabulary ID of a type or language, legacy strings and
+ * InvenioRDM entries (`{id}`) alike.
+ *
+ * @param {string|Object} value - Value
+ * @returns {string} - ID in lower case
+ */
+function getId(value) {
+  return (typeof value === "string" ? value : value?.id || "").toLowerCase();
+}
+
+/**
+ * Collects the titles and descriptions of a record in languages other than
+ * its main one, one entry per language.
+ *
+ * Tables in translated descriptions are left out; the main description
+ * already carries them.
+ *
+ * @param {Object} metadata - Record metadata
+ * @param {string} [language] - Main language, see getRecordLanguage
+ * @returns {Array<{language: string, title: string, description: string}>} - Translations,
+ *   in the order the record lists them
+ */
+export function getTranslations(metadata, language = getRecordLanguage(metadata)) {
+  const translations = new Map();
+  const entry = (code) => {
+    if (!translations.has(code)) translations.set(code, { language: code, title: "", description: "" });
+    return translations.get(code);
+  };
+
+  (metadata?.additional_titles || []).forEach((title) => {
+    const code = toLanguageCode(title.lang);
+    if (!code || code === language || !title.title) return;
+    const translation = entry(code);
+    if (!translation.title) translation.title = title.title.trim();
+  });
+
+  (metadata?.additional_descriptions || []).forEach((description) => {
+    const code = toLanguageCode(description.lang);
+    if (!code || code === language || !TRANSLATABLE_TYPES.includes(getId(description.type))) return;
+    const text = cleanDescription(description.description).description;
+    if (!text) return;
+    const translation = entry(code);
+    translation.description = translation.description ? `${translation.description}\n\n${text}` : text;
+  });
+
+  return Array.from(translations.values());
+}
+
+/**
+ * Wraps a title and description in a language template.
+ *
+ * @param {string} language - Language code
+ * @param {string} title - Title, followed by a colon
+ * @param {string} description - Description wikitext
+ * @returns {string} - Wikitext such as "{{pt|1=Título:\nDescrição}}"
+ */
+export function buildLanguageBlock(language, title, description) {
+  const text = title && description ? `${title}:\n${description}` : title || description;
+  return `{{${language}|1=${text}}}`;
+}
+
+/**
+ * Returns the captions of an upload, one per language with a title.
+ *
+ * @param {Object} details - Upload details (`title`, `language`, `translations`)
+ * @returns {Object<string, string>} - Captions by language code
+ */
+export function buildCaptions(details) {
+  const captions = {};
+  if (details.title) captions[details.language || DEFAULT_LANGUAGE] = details.title;
+  (details.translations || []).forEach((translation) => {
+    if (translation.title && !captions[translation.language]) captions[translation.language] = translation.title;
+  });
+  return captions;
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import {
+  toLanguageCode,
+  getRecordLanguage,
+  getTranslations,
+  buildLanguageBlock,
+  buildCaptions
+} from "./languages.js";
+
+const metadata = {
+  title: "Coral reef survey",
+  languages: [{ id: "eng", title: { en: "English" } }],
+  additional_titles: [
+    { title: "Levantamento de recifes de coral", type: { id: "translated-title" }, lang: { id: "por" } },
+    { title: "Reef survey 2024", type: { id: "alternative-title" }, lang: { id: "eng" } },
+    { title: "Relevé des récifs coralliens", type: "translated-title", lang: "fra" }
+  ],
+  additional_descriptions: [
+    { description: "<p>Fotografias de <b>recifes</b>.</p>", type: { id: "abstract" }, lang: { id: "por" } },
+    { description: "<p>Quadrats of 1 m².</p>", type: { id: "methods" }, lang: { id: "eng" } },
+    { description: "<p>Métodos em português.</p>", type: { id: "methods" }, lang: { id: "por" } },
+    { description: "<p>Fotos de arrecifes.</p>", type: { id: "other" }, lang: { id: "spa" } }
+  ]
+};
+
+describe("languages", () => {
+  describe("toLanguageCode", () => {
+    it("converts ISO 639-3 codes to template codes", () => {
+      expect(toLanguageCode("eng")).toBe("en");
+      expect(toLanguageCode("ger")).toBe("de");
+      expect(toLanguageCode({ id: "por" })).toBe("pt");
+      expect(toLanguageCode("pt-BR")).toBe("pt");
+      expect(toLanguageCode("EN")).toBe("en");
+      expect(toLanguageCode("haw")).toBe("haw");
+    });
+
+    it("rejects values that are not language codes", () => {
+      expect(toLanguageCode("")).toBe("");
+      expect(toLanguageCode(null)).toBe("");
+      expect(toLanguageCode("English")).toBe("");
+    });
+  });
+
+  describe("getRecordLanguage", () => {
+    it("reads legacy and InvenioRDM fields", () => {
+      expect(getRecordLanguage({ language: "deu" })).toBe("de");
+      expect(getRecordLanguage(metadata)).toBe("en");
+    });
+
+    it("assumes English when the record names no language", () => {
+      expect(getRecordLanguage({})).toBe("en");
+      expect(getRecordLanguage({ languages: [] })).toBe("en");
+    });
+  });
+
+  describe("getTranslations", () => {
+    it("groups titles and abstracts in other languages", () => {
+      expect(getTranslations(metadata)).toEqual([
+        {
+          language: "pt",
+          title: "Levantamento de recifes de coral",
+          description: "Fotografias de '''recifes'''."
+        },
+        { language: "fr", title: "Relevé des récifs coralliens", description: "" },
+        { language: "es", title: "", description: "Fotos de arrecifes." }
+      ]);
+    });
+
+    it("treats texts in the main language as untranslated", () => {
+      expect(getTranslations(metadata, "pt").map((translation) => translation.language)).toEqual(["en", "fr", "es"]);
+      expect(getTranslations({})).toEqual([]);
+    });
+  });
+
+  describe("buildLanguageBlock", () => {
+    it("wraps titles and descriptions", () => {
+      expect(buildLanguageBlock("pt", "Título", "Descrição = texto")).toBe("{{pt|1=Título:\nDescrição = texto}}");
+      expect(buildLanguageBlock("fr", "Titre", "")).toBe("{{fr|1=Titre}}");
+      expect(buildLanguageBlock("es", "", "Texto")).toBe("{{es|1=Texto}}");
+    });
+  });
+
+  describe("buildCaptions", () => {
+    it("captions every language with a title", () => {
+      expect(buildCaptions({ title: "Coral reef survey", language: "en", translations: getTranslations(metadata) }))
+        .toEqual({ en: "Coral reef survey", pt: "Levantamento de recifes de coral", fr: "Relevé des récifs coralliens" });
+      expect(buildCaptions({ title: "Untitled" })).toEqual({ en: "Untitled" });
+    });
+  });
+});
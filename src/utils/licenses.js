@@ -0,0 +1,351 @@
+/**
+ * Maps Zenodo / InvenioRDM licenses to Commons license templates.
+ *
+ * Licenses can arrive as legacy Zenodo IDs ("cc-by", "cc-zero"), SPDX-style
+ * IDs ("cc-by-sa-3.0-de"), or InvenioRDM `rights` entries with only a title
+ * or URL. Every license resolves to the same shape, so callers can decide
+ * between uploading and explaining why a file cannot go to Commons.
+ */
+
+// Values offered by the license selector of Special:Upload on Commons
+// (MediaWiki:Licenses). Other licenses must be written into the description.
+const UPLOAD_FORM_LICENSES = {
+  "cc-by-4.0": "cc-by-4.0",
+  "cc-by-sa-4.0": "cc-by-sa-4.0",
+  "Cc-zero": "Cc-zero",
+};
+
+// Wikidata items of unported Creative Commons licenses, used for structured data
+const CC_LICENSE_ITEMS = {
+  "cc-by-1.0": "Q30942811",
+  "cc-by-2.0": "Q19125117",
+  "cc-by-2.5": "Q18810333",
+  "cc-by-3.0": "Q14947546",
+  "cc-by-4.0": "Q20007257",
+  "cc-by-sa-1.0": "Q47001652",
+  "cc-by-sa-2.0": "Q19068220",
+  "cc-by-sa-2.5": "Q19113751",
+  "cc-by-sa-3.0": "Q14946043",
+  "cc-by-sa-4.0": "Q18199165",
+};
+
+// Creative Commons versions; 2.1 only exists as ported licenses
+const CC_VERSIONS = ["1.0", "2.0", "2.1", "2.5", "3.0", "4.0"];
+
+const CC_ELEMENT_NAMES = {
+  by: "Attribution",
+  sa: "ShareAlike",
+  nc: "NonCommercial",
+  nd: "NoDerivatives",
+};
+
+const CC0 = {
+  id: "cc0-1.0",
+  name: "CC0 1.0 Universal",
+  template: "Cc-zero",
+  wikidataId: "Q6938433",
+  kind: "dedication",
+};
+
+const PUBLIC_DOMAIN_MARK = {
+  id: "cc-pdm-1.0",
+  name: "Public Domain Mark 1.0",
+  template: "PDM-owner",
+  wikidataId: null,
+  kind: "mark",
+};
+
+// Licenses other than CC BY/BY-SA that Commons accepts, by lowercase ID
+const OTHER_LICENSES = {
+  "cc0-1.0": CC0,
+  "cc-zero": CC0,
+  cc0: CC0,
+  "cc-pdm-1.0": PUBLIC_DOMAIN_MARK,
+  "pdm-1.0": PUBLIC_DOMAIN_MARK,
+  "etalab-2.0": {
+    id: "etalab-2.0",
+    name: "Licence Ouverte / Open Licence 2.0",
+    template: "Licence Ouverte 2",
+    wikidataId: null,
+    kind: "license",
+  },
+  "ogl-uk-3.0": {
+    id: "ogl-uk-3.0",
+    name: "Open Government Licence v3.0",
+    template: "OGL3",
+    wikidataId: null,
+    kind: "license",
+  },
+  "lal-1.3": {
+    id: "lal-1.3",
+    name: "Free Art License 1.3",
+    template: "FAL",
+    wikidataId: null,
+    kind: "license",
+  },
+  mit: {
+    id: "mit",
+    name: "MIT License",
+    template: "MIT",
+    wikidataId: null,
+    kind: "license",
+  },
+};
+
+// Titles that identify a license without a usable ID
+const TITLE_PATTERNS = [
+  [/\bcc0\b|creative commons zero|public domain dedication/i, "cc0-1.0"],
+  [/public domain mark/i, "cc-pdm-1.0"],
+  [/licen[cs]e ouverte|etalab/i, "etalab-2.0"],
+  [/open government licen[cs]e.*\b(v|version )?3(\.0)?\b/i, "ogl-uk-3.0"],
+  [/free art licen[cs]e|licence art libre/i, "lal-1.3"],
+  [/^mit( licen[cs]e)?$/i, "mit"],
+];
+
+// Words in CC titles that mean "not ported"
+const UNPORTED_WORDS = /^(international|unported|generic|universal)?$/i;
+
+/**
+ * Builds a result for a license Commons cannot accept.
+ *
+ * @param {string} id - License ID as given
+ * @param {string} name - Human-readable name
+ * @param {string} reason - Why the file cannot be uploaded
+ * @param {string[]} [choices] - Templates the uploader may choose from instead
+ * @returns {Object} - License result
+ */
+function rejected(id, name, reason, choices = []) {
+  return { id, name, template: "", wpLicense: "", wikidataId: null, kind: "", allowed: false, reason, choices };
+}
+
+/**
+ * Builds a result for a license Commons accepts.
+ *
+ * @param {Object} license - License definition
+ * @returns {Object} - License result
+ */
+function accepted(license) {
+  return {
+    ...license,
+    wpLicense: UPLOAD_FORM_LICENSES[license.template] || "",
+    allowed: true,
+    reason: "",
+    choices: [],
+  };
+}
+
+/**
+ * Resolves a Creative Commons license from its parts.
+ *
+ * @param {string[]} elements - License elements, e.g. ["by", "sa"]
+ * @param {string} version - Version, e.g. "3.0" ("" if unknown)
+ * @param {string} jurisdiction - Port, e.g. "de" ("" for unported)
+ * @returns {Object} - License result
+ */
+function resolveCreativeCommons(elements, version, jurisdiction) {
+  const code = elements.join("-");
+  const id = ["cc", code, version, jurisdiction].filter(Boolean).join("-");
+  const name = ["CC", code.toUpperCase(), version, jurisdiction.toUpperCase()].filter(Boolean).join(" ");
+
+  const restrictions = elements.filter((element) => element === "nc" || element === "nd");
+  if (restrictions.length > 0) {
+    const problems = restrictions.map((element) =>
+      element === "nc"
+        ? "forbids commercial use (NonCommercial), but Commons requires that anyone may use files for any purpose, including commercially"
+        : "forbids modified versions (NoDerivatives), but Commons requires that anyone may adapt files"
+    );
+    return rejected(
+      id,
+      name,
+      `${name} ${problems.join(", and ")}. The file cannot be uploaded unless the copyright holder also releases it under a free license such as CC BY or CC BY-SA.`
+    );
+  }
+
+  if (elements[0] !== "by" || !elements.every((element) => element in CC_ELEMENT_NAMES)) {
+    return rejected(id, name, `${name} is not a Creative Commons license Commons is known to accept.`);
+  }
+
+  if (!version) {
+    // Unported versions, newest first
+    const choices = [...CC_VERSIONS].reverse().map((v) => `${id}-${v}`).filter((template) => template in CC_LICENSE_ITEMS);
+    return rejected(
+      id,
+      name,
+      `${name} does not say which version applies. Commons needs the exact version (e.g. ${id}-3.0 or ${id}-4.0), so check the license on Zenodo and choose it by hand.`,
+      jurisdiction ? [] : choices
+    );
+  }
+
+  if (!CC_VERSIONS.includes(version) || (version === "2.1" && !jurisdiction) || (version === "4.0" && jurisdiction)) {
+    return rejected(id, name, `${name} is not a known Creative Commons license version.`);
+  }
+
+  return accepted({
+    id,
+    name,
+    template: id,
+    wikidataId: CC_LICENSE_ITEMS[id] || null,
+    kind: "license",
+  });
+}
+
+/**
+ * Resolves a license ID (Zenodo legacy or SPDX style).
+ *
+ * @param {string} value - License ID
+ * @returns {Object|null} - License result, or null if the ID is not recognized
+ */
+function resolveId(value) {
+  const id = value.trim().toLowerCase();
+  if (OTHER_LICENSES[id]) return accepted(OTHER_LICENSES[id]);
+
+  const match = id.match(/^cc-((?:by|sa|nc|nd)(?:-(?:by|sa|nc|nd))*)(?:-(\d\.\d))?(?:-([a-z]{2,3}))?$/);
+  if (!match) return null;
+  const [, code, version = "", jurisdiction = ""] = match;
+  return resolveCreativeCommons(code.split("-"), version, jurisdiction);
+}
+
+/**
+ * Resolves a creativecommons.org license or public domain URL.
+ *
+ * @param {string} url - License URL
+ * @returns {Object|null} - License result, or null if the URL is not recognized
+ */
+function resolveUrl(url) {
+  // The port must be a whole path segment, so ".../4.0/legalcode" is not read as port "leg"
+  const match = (url || "").match(
+    /creativecommons\.org\/(licenses|publicdomain)\/([a-z-]+)\/(\d\.\d)(?:\/([a-z]{2,3}))?(?=\/|$|[?#])/i
+  );
+  if (!match) return null;
+  const [, type, code, version, jurisdiction = ""] = match;
+  if (type.toLowerCase() === "publicdomain") {
+    if (code === "zero") return accepted(CC0);
+    if (code === "mark") return accepted(PUBLIC_DOMAIN_MARK);
+    return null;
+  }
+  return resolveCreativeCommons(code.toLowerCase().split("-"), version, jurisdiction.toLowerCase());
+}
+
+/**
+ * Resolves a license from its title, e.g. "Creative Commons Attribution 4.0 International".
+ *
+ * @param {string} title - License title
+ * @returns {Object|null} - License result, or null if the title is not recognized
+ */
+function resolveTitle(title) {
+  const text = (title || "").trim();
+  if (!text) return null;
+
+  for (const [pattern, id] of TITLE_PATTERNS) {
+    if (pattern.test(text)) return accepted(OTHER_LICENSES[id]);
+  }
+
+  const cc = text.match(/^creative commons (.+?)(?:\s+v?(\d\.\d)\s*(.*))?$/i);
+  if (!cc) return null;
+  const [, words, version = "", rest = ""] = cc;
+  const normalized = words.toLowerCase().replace(/[-\s]+/g, "");
+  const elements = [
+    /attribution/.test(normalized) && "by",
+    /noncommercial/.test(normalized) && "nc",
+    /noderiv/.test(normalized) && "nd",
+    /sharealike/.test(normalized) && "sa",
+  ].filter(Boolean);
+  if (elements[0] !== "by") return null;
+
+  if (!UNPORTED_WORDS.test(rest.trim())) {
+    // The port is named in words ("3.0 Germany"), which does not map to a template
+    const result = resolveCreativeCommons(elements, version, "");
+    if (!result.allowed) return result;
+    return rejected(
+      result.id,
+      text,
+      `${text} is a ported license. Choose the matching Commons template (e.g. ${result.id}-de) by hand.`
+    );
+  }
+
+  return resolveCreativeCommons(elements, version, "");
+}
+
+/**
+ * Resolves one license: an ID string, a legacy Zenodo license object
+ * (`{id}`), or an InvenioRDM rights entry (`{id, title, props: {url}, link}`).
+ *
+ * @param {string|Object} license - License to resolve
+ * @returns {{id: string, name: string, template: string, wpLicense: string,
+ *   wikidataId: string|null, kind: string, allowed: boolean, reason: string,
+ *   choices: string[]} -
+ *   `template` is the Commons license template and `wpLicense` the Special:Upload
+ *   selector value ("" when the template has to go into the description);
+ *   `reason` explains why a license is not allowed and `choices` lists the
+ *   templates the uploader may pick instead (e.g. the versions of an unversioned
+ *   CC license)
+ */
+export function resolveLicense(license) {
+  if (!license) return rejected("", "", "The record has no license, so it cannot be uploaded to Commons.");
+
+  const entry = typeof license === "string" ? { id: license } : license;
+  const title = typeof entry.title === "string" ? entry.title : entry.title?.en || Object.values(entry.title || {})[0] || "";
+  const label = entry.id || title || "Unknown license";
+
+  const result = (entry.id && resolveId(entry.id))
+    || resolveUrl(entry.props?.url || entry.link || entry.url)
+    || resolveTitle(title);
+  if (result) return result;
+
+  if (/^other-(closed|nc)$|all rights reserved|^in copyright$/i.test(label)) {
+    return rejected(entry.id || "", label, `${label} does not allow reuse, so the file cannot be uploaded to Commons.`);
+  }
+
+  return rejected(
+    entry.id || "",
+    label,
+    `${label} is not a license Commons is known to accept. Check Commons:Licensing before uploading by hand.`
+  );
+}
+
+/**
+ * Resolves the license of a Zenodo record, preferring the first Commons-compatible
+ * entry of InvenioRDM `rights` and falling back to the legacy `license` field.
+ *
+ * @param {Object} metadata - Record metadata
+ * @returns {Object} - License result as returned by resolveLicense
+ */
+export function getRecordLicense(metadata) {
+  const candidates = [
+    ...(Array.isArray(metadata?.rights) ? metadata.rights : []),
+    metadata?.license,
+  ].filter(Boolean);
+
+  const results = candidates.map(resolveLicense);
+  return results.find((result) => result.allowed) || results[0] || resolveLicense(null);
+}
+
+/**
+ * Finds the license behind a Commons license template.
+ *
+ * @param {string} template - Commons template name (e.g. "cc-by-4.0", "Cc-zero")
+ * @returns {Object|null} - License result, or null if the template is unknown
+ */
+export function findLicenseByTemplate(template) {
+  const name = (template || "").toLowerCase();
+  if (!name) return null;
+  const other = Object.values(OTHER_LICENSES).find((license) => license.template.toLowerCase() === name);
+  if (other) return accepted(other);
+  const result = resolveId(name);
+  return result && result.allowed ? result : null;
+}
+
+/**
+ * Resolves the license files of a record are uploaded under: the record license,
+ * or the template chosen by the uploader if the record license is one of the
+ * `choices` of an otherwise rejected license.
+ *
+ * @param {Object} metadata - Record metadata
+ * @param {string} [chosenTemplate] - Template chosen in the metadata editor
+ * @returns {Object} - License result as returned by resolveLicense
+ */
+export function getUploadLicense(metadata, chosenTemplate = "") {
+  const license = getRecordLicense(metadata);
+  if (license.allowed || !license.choices.includes(chosenTemplate)) return license;
+  return findLicenseByTemplate(chosenTemplate);
+}
@@ -0,0 +1,201 @@
+import { describe, it, expect } from "vitest";
+import { resolveLicense, getRecordLicense, findLicenseByTemplate, getUploadLicense } from "./licenses.js";
+
+describe("licenses", () => {
+  describe("resolveLicense", () => {
+    describe("Creative Commons IDs", () => {
+      it("accepts CC BY and CC BY-SA at every version", () => {
+        ["1.0", "2.0", "2.5", "3.0", "4.0"].forEach((version) => {
+          expect(resolveLicense(`cc-by-${version}`).template).toBe(`cc-by-${version}`);
+          expect(resolveLicense(`CC-BY-SA-${version}`).template).toBe(`cc-by-sa-${version}`);
+        });
+      });
+
+      it("keeps ported versions", () => {
+        const result = resolveLicense("cc-by-sa-3.0-de");
+        expect(result.allowed).toBe(true);
+        expect(result.template).toBe("cc-by-sa-3.0-de");
+        expect(result.name).toBe("CC BY-SA 3.0 DE");
+        expect(resolveLicense("cc-by-2.1-jp").template).toBe("cc-by-2.1-jp");
+        expect(resolveLicense("CC-BY-3.0-IGO").template).toBe("cc-by-3.0-igo");
+      });
+
+      it("rejects versions that do not exist", () => {
+        expect(resolveLicense("cc-by-2.1").allowed).toBe(false);
+        expect(resolveLicense("cc-by-4.0-de").allowed).toBe(false);
+        expect(resolveLicense("cc-by-5.0").allowed).toBe(false);
+      });
+
+      it("does not guess the version of unversioned licenses", () => {
+        const result = resolveLicense("cc-by");
+        expect(result.allowed).toBe(false);
+        expect(result.template).toBe("");
+        expect(result.reason).toContain("does not say which version applies");
+        expect(resolveLicense("cc-by-sa").reason).toContain("cc-by-sa-4.0");
+      });
+
+      it("offers the versions of unversioned licenses as choices", () => {
+        expect(resolveLicense("cc-by").choices).toEqual(["cc-by-4.0", "cc-by-3.0", "cc-by-2.5", "cc-by-2.0", "cc-by-1.0"]);
+        expect(resolveLicense("cc-by-sa").choices[0]).toBe("cc-by-sa-4.0");
+        expect(resolveLicense("cc-by-nc").choices).toEqual([]);
+        expect(resolveLicense("cc-by-4.0").choices).toEqual([]);
+      });
+
+      it("uses the upload form selector only where it offers the license", () => {
+        expect(resolveLicense("cc-by-4.0").wpLicense).toBe("cc-by-4.0");
+        expect(resolveLicense("cc-by-sa-4.0").wpLicense).toBe("cc-by-sa-4.0");
+        expect(resolveLicense("cc-by-3.0").wpLicense).toBe("");
+      });
+    });
+
+    describe("NonCommercial and NoDerivatives licenses", () => {
+      it("explains NonCommercial restrictions", () => {
+        const result = resolveLicense("cc-by-nc-4.0");
+        expect(result.allowed).toBe(false);
+        expect(result.reason).toContain("CC BY-NC 4.0 forbids commercial use (NonCommercial)");
+        expect(result.reason).not.toContain("NoDerivatives");
+      });
+
+      it("explains NoDerivatives restrictions", () => {
+        const result = resolveLicense("cc-by-nd-3.0");
+        expect(result.reason).toContain("forbids modified versions (NoDerivatives)");
+        expect(result.reason).not.toContain("NonCommercial");
+      });
+
+      it("explains both restrictions", () => {
+        const result = resolveLicense("cc-by-nc-nd-4.0");
+        expect(result.reason).toContain("NonCommercial");
+        expect(result.reason).toContain("NoDerivatives");
+      });
+    });
+
+    describe("public domain and other licenses", () => {
+      it("maps CC0 aliases", () => {
+        ["cc0-1.0", "cc-zero", "CC0"].forEach((id) => {
+          const result = resolveLicense(id);
+          expect(result.template).toBe("Cc-zero");
+          expect(result.wpLicense).toBe("Cc-zero");
+          expect(result.kind).toBe("dedication");
+        });
+      });
+
+      it("maps the Public Domain Mark", () => {
+        const result = resolveLicense("cc-pdm-1.0");
+        expect(result.allowed).toBe(true);
+        expect(result.kind).toBe("mark");
+        expect(result.wpLicense).toBe("");
+      });
+
+      it("maps government and other free licenses", () => {
+        expect(resolveLicense("etalab-2.0").template).toBe("Licence Ouverte 2");
+        expect(resolveLicense("OGL-UK-3.0").template).toBe("OGL3");
+        expect(resolveLicense("mit").template).toBe("MIT");
+      });
+
+      it("explains closed and unknown licenses", () => {
+        expect(resolveLicense("other-closed").reason).toContain("does not allow reuse");
+        expect(resolveLicense("gpl-3.0").reason).toContain("not a license Commons is known to accept");
+        expect(resolveLicense(null).reason).toContain("no license");
+      });
+    });
+
+    describe("InvenioRDM rights entries", () => {
+      it("uses the ID when present", () => {
+        const result = resolveLicense({
+          id: "cc-by-4.0",
+          title: { en: "Creative Commons Attribution 4.0 International" }
+        });
+        expect(result.template).toBe("cc-by-4.0");
+      });
+
+      it("falls back to the license URL", () => {
+        expect(resolveLicense({
+          title: { en: "Attribution" },
+          props: { url: "https://creativecommons.org/licenses/by-sa/3.0/de/legalcode" }
+        }).template).toBe("cc-by-sa-3.0-de");
+        expect(resolveLicense({ link: "https://creativecommons.org/publicdomain/zero/1.0/" }).template)
+          .toBe("Cc-zero");
+        expect(resolveLicense({ link: "https://creativecommons.org/licenses/by-nc/2.0/" }).allowed).toBe(false);
+      });
+
+      it("does not read legalcode or deed paths as a port", () => {
+        expect(resolveLicense({ link: "https://creativecommons.org/licenses/by/4.0/legalcode" }).template)
+          .toBe("cc-by-4.0");
+        expect(resolveLicense({ link: "https://creativecommons.org/licenses/by-sa/4.0/deed.en" }).template)
+          .toBe("cc-by-sa-4.0");
+        expect(resolveLicense({ link: "https://creativecommons.org/licenses/by/3.0/de?ref=x" }).template)
+          .toBe("cc-by-3.0-de");
+        expect(resolveLicense({ link: "https://creativecommons.org/publicdomain/zero/1.0/legalcode" }).template)
+          .toBe("Cc-zero");
+      });
+
+      it("falls back to the title", () => {
+        expect(resolveLicense({ title: { en: "Creative Commons Attribution 4.0 International" } }).template)
+          .toBe("cc-by-4.0");
+        expect(resolveLicense({ title: { en: "Creative Commons Attribution-ShareAlike 3.0 Unported" } }).template)
+          .toBe("cc-by-sa-3.0");
+        expect(resolveLicense({ title: { en: "Creative Commons Zero v1.0 Universal" } }).template)
+          .toBe("Cc-zero");
+        expect(resolveLicense({ title: { en: "Open Government Licence v3.0" } }).template).toBe("OGL3");
+      });
+
+      it("explains NC titles and ported titles it cannot map", () => {
+        expect(resolveLicense({
+          title: { en: "Creative Commons Attribution Non Commercial 4.0 International" }
+        }).reason).toContain("NonCommercial");
+
+        const ported = resolveLicense({ title: { en: "Creative Commons Attribution 3.0 Germany" } });
+        expect(ported.allowed).toBe(false);
+        expect(ported.reason).toContain("ported license");
+      });
+    });
+  });
+
+  describe("getRecordLicense", () => {
+    it("prefers a compatible rights entry", () => {
+      const result = getRecordLicense({
+        rights: [{ id: "cc-by-nc-4.0" }, { id: "cc-by-4.0" }],
+        license: { id: "cc-by-nc-4.0" }
+      });
+      expect(result.template).toBe("cc-by-4.0");
+    });
+
+    it("falls back to the legacy license field", () => {
+      expect(getRecordLicense({ license: { id: "cc-by-sa-4.0" } }).template).toBe("cc-by-sa-4.0");
+    });
+
+    it("explains the first license when none is compatible", () => {
+      const result = getRecordLicense({ rights: [{ id: "cc-by-nd-4.0" }], license: { id: "cc-by-nc-4.0" } });
+      expect(result.reason).toContain("NoDerivatives");
+      expect(getRecordLicense({}).reason).toContain("no license");
+    });
+  });
+
+  describe("getUploadLicense", () => {
+    it("uses a chosen version of an unversioned license", () => {
+      const result = getUploadLicense({ license: { id: "cc-by-sa" } }, "cc-by-sa-3.0");
+      expect(result.allowed).toBe(true);
+      expect(result.template).toBe("cc-by-sa-3.0");
+    });
+
+    it("ignores choices that are not offered or not needed", () => {
+      expect(getUploadLicense({ license: { id: "cc-by-nc-4.0" } }, "cc-by-4.0").allowed).toBe(false);
+      expect(getUploadLicense({ license: { id: "cc-by" } }, "cc-by-sa-4.0").allowed).toBe(false);
+      expect(getUploadLicense({ license: { id: "cc-by-4.0" } }, "cc-by-3.0").template).toBe("cc-by-4.0");
+    });
+  });
+
+  describe("findLicenseByTemplate", () => {
+    it("finds licenses by Commons template", () => {
+      expect(findLicenseByTemplate("cc-by-sa-4.0").wikidataId).toBe("Q18199165");
+      expect(findLicenseByTemplate("Cc-zero").id).toBe("cc0-1.0");
+      expect(findLicenseByTemplate("OGL3").id).toBe("ogl-uk-3.0");
+    });
+
+    it("returns null for unknown or non-free templates", () => {
+      expect(findLicenseByTemplate("")).toBe(null);
+      expect(findLicenseByTemplate("cc-by-nc-4.0")).toBe(null);
+      expect(findLicenseByTemplate("Not a template")).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * Converts MathML to TeX for `<math>` wikitext.
+ *
+ * Works on elements from htmlParser.parseHtml and covers presentation
+ * MathML as written by equation editors and MathJax: tokens, scripts,
+ * fractions, roots, accents, fences and matrices. A TeX annotation
+ * (`<semantics>…<annotation encoding="application/x-tex">`) is used as it
+ * is. Anything else throws, so that callers can fall back to plain text.
+ */
+
+import { getTextContent } from "./htmlParser.js";
+
+// Characters with a TeX command of their own
+const SYMBOLS = {
+  "±": "\\pm", "∓": "\\mp", "×": "\\times", "÷": "\\div", "·": "\\cdot", "⋅": "\\cdot", "∗": "\\ast",
+  "−": "-", "≤": "\\leq", "≥": "\\geq", "≠": "\\neq", "≈": "\\approx", "≡": "\\equiv", "∼": "\\sim",
+  "≃": "\\simeq", "≅": "\\cong", "∝": "\\propto", "≪": "\\ll", "≫": "\\gg", "∞": "\\infty",
+  "∑": "\\sum", "∏": "\\prod", "∫": "\\int", "∬": "\\iint", "∮": "\\oint", "∂": "\\partial", "∇": "\\nabla",
+  "∈": "\\in", "∉": "\\notin", "∋": "\\ni", "⊂": "\\subset", "⊃": "\\supset", "⊆": "\\subseteq",
+  "⊇": "\\supseteq", "∪": "\\cup", "∩": "\\cap", "∀": "\\forall", "∃": "\\exists", "∅": "\\emptyset",
+  "∧": "\\wedge", "∨": "\\vee", "¬": "\\neg", "⊥": "\\perp", "∥": "\\parallel", "∘": "\\circ",
+  "⊗": "\\otimes", "⊕": "\\oplus", "→": "\\rightarrow", "←": "\\leftarrow", "↔": "\\leftrightarrow",
+  "⇒": "\\Rightarrow", "⇐": "\\Leftarrow", "⇔": "\\Leftrightarrow", "↦": "\\mapsto", "↑": "\\uparrow",
+  "↓": "\\downarrow", "…": "\\ldots", "⋯": "\\cdots", "⋮": "\\vdots", "⋱": "\\ddots", "°": "^\\circ",
+  "′": "'", "″": "''", "ℏ": "\\hbar", "ℓ": "\\ell", "ℜ": "\\Re", "ℑ": "\\Im", "ℵ": "\\aleph",
+  "⟨": "\\langle", "⟩": "\\rangle", "‖": "\\|", "∣": "|", "√": "\\surd",
+  // Invisible operators (function application, times, separator, plus)
+  "⁡": "", "⁢": "", "⁣": "", "⁤": "",
+  " ": "\\ ",
+};
+
+// Greek letters; capitals that look like Latin letters have no command
+const GREEK_SMALL = [
+  "alpha", "beta", "gamma", "delta", "epsilon", "zeta", "eta", "theta", "iota", "kappa", "lambda", "mu",
+  "nu", "xi", "o", "pi", "rho", "varsigma", "sigma", "tau", "upsilon", "phi", "chi", "psi", "omega",
+];
+GREEK_SMALL.forEach((name, index) => {
+  SYMBOLS[String.fromCodePoint(0x3b1 + index)] = name === "o" ? "o" : `\\${name}`;
+});
+["Gamma", "Delta", "Theta", "Lambda", "Xi", "Pi", "Sigma", "Upsilon", "Phi", "Psi", "Omega"].forEach((name) => {
+  SYMBOLS[String.fromCodePoint(0x391 + GREEK_SMALL.indexOf(name.toLowerCase()))] = `\\${name}`;
+});
+Object.assign(SYMBOLS, { "ϵ": "\\epsilon", "ε": "\\varepsilon", "ϕ": "\\phi", "φ": "\\varphi", "ϑ": "\\vartheta" });
+
+// Multi-letter identifiers TeX writes as functions
+const FUNCTIONS = new Set([
+  "sin", "cos", "tan", "cot", "sec", "csc", "arcsin", "arccos", "arctan", "sinh", "cosh", "tanh", "coth",
+  "log", "ln", "lg", "exp", "lim", "max", "min", "sup", "inf", "det", "dim", "ker", "deg", "gcd", "arg", "Pr",
+]);
+
+// Operators written above or below a base as limits rather than accents
+const LARGE_OPERATORS = new Set(["\\sum", "\\prod", "\\int", "\\iint", "\\oint", "\\lim", "\\max", "\\min", "\\sup", "\\inf"]);
+
+// Accents over a base, by the character of the <mo>
+const OVER_ACCENTS = {
+  "^": "\\hat", "ˆ": "\\hat", "̂": "\\hat", "~": "\\tilde", "˜": "\\tilde", "̃": "\\tilde",
+  "¯": "\\overline", "‾": "\\overline", "_": "\\overline", "̅": "\\overline", "→": "\\vec",
+  "⃗": "\\vec", "˙": "\\dot", ".": "\\dot", "¨": "\\ddot", "⏞": "\\overbrace",
+};
+
+const UNDER_ACCENTS = { "_": "\\underline", "̲": "\\underline", "¯": "\\underline", "⏟": "\\underbrace" };
+
+// TeX annotation encodings
+const TEX_ENCODINGS = ["application/x-tex", "tex", "latex", "application/x-latex"];
+
+/**
+ * Escapes characters TeX reads as markup.
+ *
+ * @param {string} char - One character
+ * @returns {string} - TeX
+ */
+function escapeChar(char) {
+  if (char === "\\") return "\\backslash ";
+  return /[{}#$%&_]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Converts the characters of a token, with a space after each command.
+ *
+ * @param {string} text - Token text
+ * @returns {string} - TeX
+ */
+function convertChars(text) {
+  return Array.from(text)
+    .map((char) => {
+      const symbol = SYMBOLS[char];
+      if (symbol === undefined) return escapeChar(char);
+      return /\\[a-z]+$/i.test(symbol) ? `${symbol} ` : symbol;
+    })
+    .join("");
+}
+
+/**
+ * Returns the element children of a MathML element; whitespace between
+ * them carries no meaning.
+ *
+ * @param {Object} element - Element
+ * @returns {Object[]} - Child elements
+ */
+function elementChildren(element) {
+  return element.children.filter((child) => child.type === "element");
+}
+
+/**
+ * Braces TeX unless it is a single character or command.
+ *
+ * @param {string} tex - TeX
+ * @returns {string} - TeX usable as one argument
+ */
+function group(tex) {
+  const trimmed = tex.trim();
+  return /^(?:[A-Za-z0-9]|\\[A-Za-z]+)$/.test(trimmed) ? trimmed : `{${trimmed}}`;
+}
+
+/**
+ * Returns the children of a script or layout element, checking their number.
+ *
+ * @param {Object} element - Element
+ * @param {number} count - Expected number of children
+ * @returns {Object[]} - Child elements
+ * @throws {Error} - If the element has another number of children
+ */
+function getArguments(element, count) {
+  const children = elementChildren(element);
+  if (children.length !== count) throw new Error(`<${element.tag}> needs ${count} children.`);
+  return children;
+}
+
+/**
+ * Returns the operator text of an <mo> element, or "" for other elements.
+ *
+ * @param {Object} element - Element
+ * @returns {string} - Operator text
+ */
+function getOperator(element) {
+  return element.tag === "mo" ? getTextContent(element).trim() : "";
+}
+
+/**
+ * Converts an identifier.
+ *
+ * @param {Object} element - mi element
+ * @returns {string} - TeX
+ */
+function convertIdentifier(element) {
+  const text = getTextContent(element).trim();
+  const variant = element.attributes.mathvariant;
+  if (FUNCTIONS.has(text)) return `\\${text} `;
+  const tex = convertChars(text);
+  if (variant === "bold") return `\\mathbf{${tex}}`;
+  if (variant === "double-struck") return `\\mathbb{${tex}}`;
+  if (variant === "script") return `\\mathcal{${tex}}`;
+  if (Array.from(text).length > 1 || variant === "normal") {
+    return /^[\w ]+$/.test(text) ? `\\mathrm{${tex}}` : tex;
+  }
+  return tex;
+}
+
+/**
+ * Converts a base with something above it: an accent, limits or a label.
+ *
+ * @param {string} base - Base TeX
+ * @param {Object} overElement - Element above the base
+ * @returns {string} - TeX
+ */
+function convertOver(base, overElement) {
+  const accent = OVER_ACCENTS[getOperator(overElement)];
+  if (accent) return `${accent}{${base.trim()}}`;
+  const over = convertElement(overElement);
+  if (LARGE_OPERATORS.has(base.trim())) return `${base.trim()}^${group(over)}`;
+  return `\\overset{${over.trim()}}{${base.trim()}}`;
+}
+
+/**
+ * Converts a base with something below it.
+ *
+ * @param {string} base - Base TeX
+ * @param {Object} underElement - Element below the base
+ * @returns {string} - TeX
+ */
+function convertUnder(base, underElement) {
+  const accent = UNDER_ACCENTS[getOperator(underElement)];
+  if (accent) return `${accent}{${base.trim()}}`;
+  const under = convertElement(underElement);
+  if (LARGE_OPERATORS.has(base.trim())) return `${base.trim()}_${group(under)}`;
+  return `\\underset{${under.trim()}}{${base.trim()}}`;
+}
+
+/**
+ * Converts a semantics element: its TeX annotation if it has one, else its
+ * presentation markup.
+ *
+ * @param {Object} element - semantics element
+ * @returns {string} - TeX
+ */
+function convertSemantics(element) {
+  const children = elementChildren(element);
+  const annotation = children.find(
+    (child) => child.tag === "annotation" && TEX_ENCODINGS.includes((child.attributes.encoding || "").toLowerCase())
+  );
+  if (annotation) return getTextContent(annotation).trim();
+  const presentation = children.find((child) => child.tag !== "annotation" && child.tag !== "annotation-xml");
+  if (!presentation) throw new Error("<semantics> has no presentation markup.");
+  return convertElement(presentation);
+}
+
+/**
+ * Converts fences: `<mfenced open="[" close="]">`.
+ *
+ * @param {Object} element - mfenced element
+ * @returns {string} - TeX
+ */
+function convertFenced(element) {
+  const fence = (char) => (char ? convertChars(char).trim() || "." : ".");
+  const open = fence(element.attributes.open ?? "(");
+  const close = fence(element.attributes.close ?? ")");
+  const separators = Array.from((element.attributes.separators ?? ",").replace(/\s/g, ""));
+  const items = elementChildren(element).map(convertElement);
+  const inner = items
+    .map((item, index) => (index === 0 ? item : `${convertChars(separators[Math.min(index - 1, separators.length - 1)] || "")} ${item}`))
+    .join(" ");
+  return `\\left${open} ${inner} \\right${close}`;
+}
+
+/**
+ * Converts a table to a matrix.
+ *
+ * @param {Object} element - mtable element
+ * @returns {string} - TeX
+ */
+function convertTable(element) {
+  const rows = elementChildren(element).map((row) => {
+    if (row.tag !== "mtr") throw new Error(`Unsupported table row <${row.tag}>.`);
+    return elementChildren(row)
+      .map((cell) => elementChildren(cell).map(convertElement).join(" "))
+      .join(" & ");
+  });
+  return `\\begin{matrix} ${rows.join(" \\\\ ")} \\end{matrix}`;
+}
+
+/**
+ * Converts one MathML element.
+ *
+ * @param {Object} element - Element
+ * @returns {string} - TeX
+ * @throws {Error} - For elements without a conversion
+ */
+function convertElement(element) {
+  const children = () => elementChildren(element).map(convertElement).join(" ");
+  switch (element.tag) {
+    case "math":
+    case "mrow":
+    case "mstyle":
+    case "mpadded":
+    case "merror":
+      return children();
+    case "mi":
+      return convertIdentifier(element);
+    case "mn":
+    case "mo":
+      return convertChars(getTextContent(element).trim());
+    case "mtext":
+    case "ms": {
+      const text = getTextContent(element).replace(/\s+/g, " ");
+      if (!text.trim()) return "\\ ";
+      // \text takes plain characters only
+      return `\\text{${text.replace(/[\\{}$]/g, "")}}`;
+    }
+    case "mspace":
+      return "\\,";
+    case "msub": {
+      const [base, sub] = getArguments(element, 2).map(convertElement);
+      return `${group(base)}_${group(sub)}`;
+    }
+    case "msup": {
+      const [base, sup] = getArguments(element, 2).map(convertElement);
+      return `${group(base)}^${group(sup)}`;
+    }
+    case "msubsup": {
+      const [base, sub, sup] = getArguments(element, 3).map(convertElement);
+      return `${group(base)}_${group(sub)}^${group(sup)}`;
+    }
+    case "mfrac": {
+      const [numerator, denominator] = getArguments(element, 2).map(convertElement);
+      if (element.attributes.linethickness === "0") return `\\binom{${numerator.trim()}}{${denominator.trim()}}`;
+      return `\\frac{${numerator.trim()}}{${denominator.trim()}}`;
+    }
+    case "msqrt":
+      return `\\sqrt{${children().trim()}}`;
+    case "mroot": {
+      const [base, index] = getArguments(element, 2).map(convertElement);
+      return `\\sqrt[${index.trim()}]{${base.trim()}}`;
+    }
+    case "mover": {
+      const [base, over] = getArguments(element, 2);
+      return convertOver(convertElement(base), over);
+    }
+    case "munder": {
+      const [base, under] = getArguments(element, 2);
+      return convertUnder(convertElement(base), under);
+    }
+    case "munderover": {
+      const [base, under, over] = getArguments(element, 3);
+      const baseTex = convertElement(base).trim();
+      if (LARGE_OPERATORS.has(baseTex)) {
+        return `${baseTex}_${group(convertElement(under))}^${group(convertElement(over))}`;
+      }
+      return convertOver(convertUnder(baseTex, under), over);
+    }
+    case "mfenced":
+      return convertFenced(element);
+    case "mtable":
+      return convertTable(element);
+    case "menclose":
+      if ((element.attributes.notation || "longdiv") !== "box") throw new Error("Unsupported <menclose> notation.");
+      return `\\boxed{${children().trim()}}`;
+    case "mphantom":
+      return `\\phantom{${children().trim()}}`;
+    case "semantics":
+      return convertSemantics(element);
+    default:
+      throw new Error(`Unsupported MathML element <${element.tag}>.`);
+  }
+}
+
+/**
+ * Converts a MathML <math> element to TeX.
+ *
+ * @param {Object} element - math element from htmlParser.parseHtml
+ * @returns {string} - TeX for a `<math>` tag
+ * @throws {Error} - If the element uses MathML without a conversion
+ */
+export function mathmlToTex(element) {
+  const tex = convertElement(element).replace(/\s+/g, " ").trim();
+  if (!tex) throw new Error("The formula is empty.");
+  return tex;
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { mathmlToTex } from "./mathml.js";
+import { parseHtml } from "./htmlParser.js";
+
+const toTex = (html) => mathmlToTex(parseHtml(html).children[0]);
+
+describe("mathml", () => {
+  describe("mathmlToTex", () => {
+    it("converts tokens and symbols", () => {
+      expect(toTex("<math><mi>x</mi><mo>&le;</mo><mn>2</mn><mi>&pi;</mi></math>")).toBe("x \\leq 2 \\pi");
+      expect(toTex("<math><mi>sin</mi><mo>&#x2061;</mo><mi>&theta;</mi></math>")).toBe("\\sin \\theta");
+      expect(toTex('<math><mi mathvariant="normal">d</mi><mi>kg</mi><mtext>in total</mtext></math>'))
+        .toBe("\\mathrm{d} \\mathrm{kg} \\text{in total}");
+      expect(toTex("<math><mo>{</mo><mi>a</mi><mo>%</mo></math>")).toBe("\\{ a \\%");
+    });
+
+    it("converts scripts, fractions and roots", () => {
+      expect(toTex("<math><msubsup><mi>x</mi><mi>i</mi><mn>2</mn></msubsup></math>")).toBe("x_i^2");
+      expect(toTex("<math><msup><mi>e</mi><mrow><mo>-</mo><mi>t</mi></mrow></msup></math>")).toBe("e^{- t}");
+      expect(toTex("<math><mfrac><mi>a</mi><mrow><mi>b</mi><mo>+</mo><mn>1</mn></mrow></mfrac></math>"))
+        .toBe("\\frac{a}{b + 1}");
+      expect(toTex("<math><mroot><mi>x</mi><mn>3</mn></mroot><msqrt><mn>2</mn></msqrt></math>"))
+        .toBe("\\sqrt[3]{x} \\sqrt{2}");
+    });
+
+    it("converts accents and limits", () => {
+      expect(toTex("<math><mover><mi>x</mi><mo>^</mo></mover><mover><mi>v</mi><mo>&rarr;</mo></mover></math>"))
+        .toBe("\\hat{x} \\vec{v}");
+      expect(toTex("<math><munderover><mo>&sum;</mo><mrow><mi>i</mi><mo>=</mo><mn>1</mn></mrow><mi>n</mi></munderover></math>"))
+        .toBe("\\sum_{i = 1}^n");
+      expect(toTex("<math><munder><mi>lim</mi><mrow><mi>x</mi><mo>&rarr;</mo><mn>0</mn></mrow></munder></math>"))
+        .toBe("\\lim_{x \\rightarrow 0}");
+    });
+
+    it("converts fences and matrices", () => {
+      expect(toTex('<math><mfenced open="[" close="]"><mi>a</mi><mi>b</mi></mfenced></math>'))
+        .toBe("\\left[ a , b \\right]");
+      expect(toTex("<math><mtable><mtr><mtd><mn>1</mn></mtd><mtd><mn>0</mn></mtd></mtr><mtr><mtd><mn>0</mn></mtd><mtd><mn>1</mn></mtd></mtr></mtable></math>"))
+        .toBe("\\begin{matrix} 1 & 0 \\\\ 0 & 1 \\end{matrix}");
+    });
+
+    it("prefers a TeX annotation", () => {
+      const html = '<math><semantics><mi>x</mi><annotation encoding="application/x-tex">\\bar{x}</annotation></semantics></math>';
+      expect(toTex(html)).toBe("\\bar{x}");
+      expect(toTex('<math><semantics><mi>y</mi><annotation-xml encoding="MathML-Content"><ci>y</ci></annotation-xml></semantics></math>'))
+        .toBe("y");
+    });
+
+    it("reads self-closing MathML elements", () => {
+      expect(toTex('<math><mi>a</mi><mspace width="1em"/><mi>b</mi></math>')).toBe("a \\, b");
+    });
+
+    it("throws on elements without a conversion", () => {
+      expect(() => toTex("<math><mmultiscripts><mi>C</mi><mprescripts/><mn>6</mn></mmultiscripts></math>"))
+        .toThrow("Unsupported MathML element <mmultiscripts>.");
+      expect(() => toTex("<math><mfrac><mi>a</mi></mfrac></math>")).toThrow("<mfrac> needs 2 children.");
+      expect(() => toTex("<math></math>")).toThrow("The formula is empty.");
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Manual edits to the generated upload metadata.
+ *
+ * Edits are stored per record, either for the whole record or for a single
+ * file; file edits win over record edits. Records are keyed by host and ID
+ * (the app uses recordIdentifiers.formatRecordIdentifier), since IDs of
+ * different instances can collide. The edits object is treated as
+ * immutable so it can be assigned straight to Svelte state, and it is
+ * persisted to localStorage so an editing session can be resumed.
+ */
+
+import { findLicenseByTemplate } from "./licenses.js";
+
+// Fields of getUploadDetails that can be edited
+export const EDITABLE_FIELDS = [
+  "title",
+  "destFile",
+  "description",
+  "language",
+  "date",
+  "authors",
+  "commonsLicense",
+  "categories",
+  "extraTemplates",
+  "otherVersions",
+  "relatedWorks",
+  "citation",
+];
+
+// Fields that only make sense for a single file; all files of a record sharing
+// one file name would overwrite each other
+const FILE_FIELDS = ["destFile"];
+
+// localStorage key for saved edits
+const STORAGE_KEY = "metadataEdits";
+
+/**
+ * Loads saved edits.
+ *
+ * @param {Storage|null} storage - Storage to read from (e.g. localStorage)
+ * @returns {Object} - Edits by record key: `{record: {...}, files: {fileKey: {...}}}`
+ */
+export function loadEdits(storage) {
+  try {
+    return JSON.parse(storage?.getItem(STORAGE_KEY) || "{}");
+  } catch (e) {
+    // Corrupt or unavailable storage: start without edits
+    return {};
+  }
+}
+
+/**
+ * Saves edits.
+ *
+ * @param {Storage|null} storage - Storage to write to (e.g. localStorage)
+ * @param {Object} edits - Edits from setEdit / clearEdits
+ */
+export function saveEdits(storage, edits) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(edits));
+  } catch (e) {
+    // Storage may be full or disabled; edits are kept for this session only
+  }
+}
+
+/**
+ * Sets one field for a record or file.
+ *
+ * Setting a field for the whole record removes the same field from the
+ * file being edited, so that file shows the record-wide value. The file
+ * name is always set for the file being edited only.
+ *
+ * @param {Object} edits - Current edits
+ * @param {string} recordKey - Record key (host and ID)
+ * @param {string|null} fileKey - File key, or null to edit the whole record
+ * @param {string} field - One of EDITABLE_FIELDS
+ * @param {*} value - New value
+ * @param {string|null} [editingFileKey] - File being edited when `fileKey` is null
+ * @returns {Object} - Updated edits
+ * @throws {Error} - If the field cannot be edited, or is a file field without a file
+ */
+export function setEdit(edits, recordKey, fileKey, field, value, editingFileKey = null) {
+  if (!EDITABLE_FIELDS.includes(field)) throw new Error(`Unknown metadata field: ${field}`);
+  if (!fileKey && FILE_FIELDS.includes(field)) {
+    if (!editingFileKey) throw new Error(`${field} can only be edited for a single file`);
+    return setEdit(edits, recordKey, editingFileKey, field, value);
+  }
+
+  const recordEdits = edits[recordKey] || { record: {}, files: {} };
+  let files = recordEdits.files;
+  let record = recordEdits.record;
+
+  if (fileKey) {
+    files = { ...files, [fileKey]: { ...files[fileKey], [field]: value } };
+  } else {
+    record = { ...record, [field]: value };
+    if (editingFileKey && files[editingFileKey] && field in files[editingFileKey]) {
+      const { [field]: removed, ...rest } = files[editingFileKey];
+      files = { ...files, [editingFileKey]: rest };
+    }
+  }
+
+  return { ...edits, [recordKey]: { record, files } };
+}
+
+/**
+ * Removes the edits of a record or of one of its files.
+ *
+ * @param {Object} edits - Current edits
+ * @param {string} recordKey - Record key (host and ID)
+ * @param {string|null} [fileKey] - File key, or null to remove all edits of the record
+ * @returns {Object} - Updated edits
+ */
+export function clearEdits(edits, recordKey, fileKey = null) {
+  if (!edits[recordKey]) return edits;
+  if (!fileKey) {
+    const { [recordKey]: removed, ...rest } = edits;
+    return rest;
+  }
+  const { [fileKey]: removed, ...files } = edits[recordKey].files;
+  return { ...edits, [recordKey]: { ...edits[recordKey], files } };
+}
+
+/**
+ * Returns the edits that apply to one file.
+ *
+ * @param {Object} edits - Current edits
+ * @param {string} recordKey - Record key (host and ID)
+ * @param {string|null} fileKey - File key, or null for the record edits only
+ * @returns {Object} - Edited fields, file edits overriding record edits
+ */
+export function getEdits(edits, recordKey, fileKey) {
+  const recordEdits = edits[recordKey];
+  if (!recordEdits) return {};
+  // Saved edits may still hold file fields for the whole record
+  const record = Object.fromEntries(
+    Object.entries(recordEdits.record).filter(([field]) => !FILE_FIELDS.includes(field))
+  );
+  return { ...record, ...recordEdits.files[fileKey] };
+}
+
+/**
+ * Applies edits to upload details.
+ *
+ * @param {Object} details - Details from getUploadDetails
+ * @param {Object} fileEdits - Edits from getEdits
+ * @returns {Object} - Edited details; an edited license also updates `wpLicense`
+ */
+export function applyEdits(details, fileEdits = {}) {
+  const result = { ...details };
+  EDITABLE_FIELDS.forEach((field) => {
+    if (fileEdits[field] !== undefined) result[field] = fileEdits[field];
+  });
+
+  if (fileEdits.commonsLicense !== undefined && fileEdits.commonsLicense !== details.commonsLicense) {
+    // Only licenses the upload form offers can be selected there
+    result.wpLicense = findLicenseByTemplate(fileEdits.commonsLicense)?.wpLicense || "";
+  }
+
+  return result;
+}
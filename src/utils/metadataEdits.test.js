@@ -0,0 +1,117 @@
+import { describe, it, expect } from "vitest";
+import { loadEdits, saveEdits, setEdit, clearEdits, getEdits, applyEdits } from "./metadataEdits.js";
+
+// Minimal in-memory Storage
+function createStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    }
+  };
+}
+
+const details = {
+  title: "Calendar Cover 2025",
+  description: "Image from the calendar.",
+  commonsLicense: "cc-by-4.0",
+  wpLicense: "cc-by-4.0",
+  categories: [],
+  extraTemplates: "",
+  destFile: "Calendar Cover 2025.png"
+};
+
+describe("metadataEdits", () => {
+  describe("loadEdits / saveEdits", () => {
+    it("round-trips edits through storage", () => {
+      const storage = createStorage();
+      const edits = setEdit({}, 1, "a.png", "title", "Edited");
+      saveEdits(storage, edits);
+      expect(JSON.parse(storage.items.metadataEdits)).toEqual(edits);
+      expect(loadEdits(storage)).toEqual(edits);
+    });
+
+    it("ignores missing or corrupt storage", () => {
+      expect(loadEdits(null)).toEqual({});
+      expect(loadEdits(createStorage({ metadataEdits: "{not json" }))).toEqual({});
+      const full = { setItem: () => { throw new Error("QuotaExceededError"); } };
+      expect(() => saveEdits(full, {})).not.toThrow();
+    });
+  });
+
+  describe("setEdit", () => {
+    it("stores file and record edits without changing the original", () => {
+      const original = {};
+      const edits = setEdit(setEdit(original, 1, "a.png", "title", "A"), 1, null, "date", "2025");
+      expect(original).toEqual({});
+      expect(edits).toEqual({ 1: { record: { date: "2025" }, files: { "a.png": { title: "A" } } } });
+    });
+
+    it("lets a record edit replace the edited file's own value", () => {
+      let edits = setEdit({}, 1, "a.png", "title", "A");
+      edits = setEdit(edits, 1, "b.png", "title", "B");
+      edits = setEdit(edits, 1, null, "title", "Both", "a.png");
+      expect(getEdits(edits, 1, "a.png").title).toBe("Both");
+      expect(getEdits(edits, 1, "b.png").title).toBe("B");
+    });
+
+    it("sets the file name for the edited file only", () => {
+      const edits = setEdit({}, "1", null, "destFile", "Name.png", "a.png");
+      expect(edits["1"].record).toEqual({});
+      expect(edits["1"].files["a.png"]).toEqual({ destFile: "Name.png" });
+      expect(() => setEdit({}, "1", null, "destFile", "Name.png")).toThrow("only be edited for a single file");
+    });
+
+    it("rejects unknown fields", () => {
+      expect(() => setEdit({}, 1, null, "fileUrl", "x")).toThrow("Unknown metadata field: fileUrl");
+    });
+  });
+
+  describe("clearEdits", () => {
+    it("removes the edits of one file or the whole record", () => {
+      let edits = setEdit({}, 1, "a.png", "title", "A");
+      edits = setEdit(edits, 1, null, "date", "2025");
+      expect(getEdits(clearEdits(edits, 1, "a.png"), 1, "a.png")).toEqual({ date: "2025" });
+      expect(clearEdits(edits, 1)).toEqual({});
+      expect(clearEdits(edits, 2)).toBe(edits);
+    });
+  });
+
+  describe("getEdits", () => {
+    it("merges record edits with file edits", () => {
+      let edits = setEdit({}, 1, null, "title", "Record");
+      edits = setEdit(edits, 1, null, "date", "2025");
+      edits = setEdit(edits, 1, "a.png", "title", "File");
+      expect(getEdits(edits, 1, "a.png")).toEqual({ title: "File", date: "2025" });
+      expect(getEdits(edits, 1, "b.png")).toEqual({ title: "Record", date: "2025" });
+      expect(getEdits(edits, 2, "a.png")).toEqual({});
+    });
+
+    it("keeps records of different hosts apart", () => {
+      const edits = setEdit({}, "sandbox.zenodo.org/records/1", null, "title", "Sandbox");
+      expect(getEdits(edits, "sandbox.zenodo.org/records/1", "a.png")).toEqual({ title: "Sandbox" });
+      expect(getEdits(edits, "1", "a.png")).toEqual({});
+    });
+
+    it("ignores file names saved for the whole record", () => {
+      const saved = { 1: { record: { destFile: "Same.png", date: "2025" }, files: {} } };
+      expect(getEdits(saved, 1, "a.png")).toEqual({ date: "2025" });
+    });
+  });
+
+  describe("applyEdits", () => {
+    it("overrides edited fields only", () => {
+      const result = applyEdits(details, { description: "Edited", categories: ["Calendars"] });
+      expect(result).toEqual({ ...details, description: "Edited", categories: ["Calendars"] });
+      expect(applyEdits(details)).toEqual(details);
+    });
+
+    it("updates the upload form license with the license template", () => {
+      expect(applyEdits(details, { commonsLicense: "Cc-zero" }).wpLicense).toBe("Cc-zero");
+      expect(applyEdits(details, { commonsLicense: "cc-by-sa-3.0" }).wpLicense).toBe("");
+      expect(applyEdits(details, { commonsLicense: "cc-by-4.0" }).wpLicense).toBe("cc-by-4.0");
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * OAuth 2.0 helpers for signing in to Wikimedia with the PKCE flow.
+ *
+ * The app is a static site without a backend, so it registers as a
+ * non-confidential client: no client secret is involved, and the
+ * authorization code is bound to a one-time code verifier instead.
+ */
+
+// Wikimedia's central OAuth 2.0 endpoints (shared by all wikis)
+export const WIKIMEDIA_OAUTH_BASE_URL = "https://meta.wikimedia.org/w/rest.php/oauth2";
+
+// Length of the generated code verifier (RFC 7636 allows 43-128 characters)
+const CODE_VERIFIER_LENGTH = 64;
+
+const VERIFIER_CHARSET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~";
+
+/**
+ * Encodes bytes as unpadded base64url, as required for PKCE challenges.
+ *
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} - The base64url string
+ */
+function base64UrlEncode(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Generates a random string suitable as a PKCE code verifier or state value.
+ *
+ * @param {number} [length] - Number of characters to generate
+ * @returns {string} - Random string from the unreserved URL character set
+ */
+export function generateRandomString(length = CODE_VERIFIER_LENGTH) {
+  const values = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(values, (value) => VERIFIER_CHARSET[value % VERIFIER_CHARSET.length]).join("");
+}
+
+/**
+ * Derives the S256 code challenge for a code verifier.
+ *
+ * @param {string} codeVerifier - The code verifier
+ * @returns {Promise<string>} - The base64url-encoded SHA-256 digest
+ */
+export async function createCodeChallenge(codeVerifier) {
+  const data = new TextEncoder().encode(codeVerifier);
+  const digest = await crypto.subtle.digest("SHA-256", data);
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+/**
+ * Builds the URL the user is sent to in order to authorize the app.
+ *
+ * @param {Object} params - Parameters object
+ * @param {string} params.clientId - OAuth 2.0 client ID
+ * @param {string} params.redirectUri - Callback URL registered for the client
+ * @param {string} params.codeChallenge - PKCE code challenge
+ * @param {string} params.state - Opaque value checked on return
+ * @param {string} [params.oauthBaseUrl] - OAuth endpoint base URL
+ * @returns {string} - The authorization URL
+ */
+export function buildAuthorizeUrl(params) {
+  const {
+    clientId,
+    redirectUri,
+    codeChallenge,
+    state,
+    oauthBaseUrl = WIKIMEDIA_OAUTH_BASE_URL
+  } = params;
+
+  const urlParams = new URLSearchParams({
+    response_type: "code",
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+    state,
+  });
+
+  return `${oauthBaseUrl}/authorize?${urlParams.toString()}`;
+}
+
+/**
+ * Exchanges an authorization code for an access token.
+ *
+ * @param {Object} params - Parameters object
+ * @param {string} params.clientId - OAuth 2.0 client ID
+ * @param {string} params.code - Authorization code from the callback
+ * @param {string} params.codeVerifier - The verifier the challenge was made from
+ * @param {string} params.redirectUri - The same redirect URI used to authorize
+ * @param {string} [params.oauthBaseUrl] - OAuth endpoint base URL
+ * @param {Function} [params.fetchFn] - fetch implementation (for testing)
+ * @returns {Promise<{accessToken: string, refreshToken: string|null, expiresAt: number|null}>}
+ */
+export async function exchangeCodeForToken(params) {
+  const {
+    clientId,
+    code,
+    codeVerifier,
+    redirectUri,
+    oauthBaseUrl = WIKIMEDIA_OAUTH_BASE_URL,
+    fetchFn = (...args) => fetch(...args)
+  } = params;
+
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    client_id: clientId,
+    code,
+    code_verifier: codeVerifier,
+    redirect_uri: redirectUri,
+  });
+
+  const res = await fetchFn(`${oauthBaseUrl}/access_token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body,
+  });
+  const data = await res.json().catch(() => ({}));
+
+  if (!res.ok || !data.access_token) {
+    const reason = data.error_description || data.message || data.error || res.statusText;
+    throw new Error(`Failed to sign in: ${reason}`);
+  }
+
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null,
+    expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+  };
+}
+
+/**
+ * Checks whether a stored token is still usable.
+ *
+ * @param {{accessToken: string, expiresAt: number|null}|null} token - Stored token
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} - True if the token exists and has not expired
+ */
+export function isTokenValid(token, now = Date.now()) {
+  if (!token || !token.accessToken) return false;
+  return !token.expiresAt || token.expiresAt > now;
+}
@@ -0,0 +1,123 @@
+import { describe, it, expect } from "vitest";
+import {
+  WIKIMEDIA_OAUTH_BASE_URL,
+  generateRandomString,
+  createCodeChallenge,
+  buildAuthorizeUrl,
+  exchangeCodeForToken,
+  isTokenValid
+} from "./oauth.js";
+
+describe("oauth", () => {
+  describe("generateRandomString", () => {
+    it("generates verifiers of the requested length from unreserved characters", () => {
+      const verifier = generateRandomString();
+      expect(verifier).toHaveLength(64);
+      expect(verifier).toMatch(/^[A-Za-z0-9\-._~]+$/);
+      expect(generateRandomString(43)).toHaveLength(43);
+    });
+
+    it("generates different values each time", () => {
+      expect(generateRandomString()).not.toBe(generateRandomString());
+    });
+  });
+
+  describe("createCodeChallenge", () => {
+    it("matches the RFC 7636 example", async () => {
+      const challenge = await createCodeChallenge("dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk");
+      expect(challenge).toBe("E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM");
+    });
+  });
+
+  describe("buildAuthorizeUrl", () => {
+    it("builds a PKCE authorization URL", () => {
+      const url = new URL(buildAuthorizeUrl({
+        clientId: "client",
+        redirectUri: "https://example.org/zenodo2commons/",
+        codeChallenge: "challenge",
+        state: "xyz"
+      }));
+
+      expect(`${url.origin}${url.pathname}`).toBe(`${WIKIMEDIA_OAUTH_BASE_URL}/authorize`);
+      expect(url.searchParams.get("response_type")).toBe("code");
+      expect(url.searchParams.get("client_id")).toBe("client");
+      expect(url.searchParams.get("redirect_uri")).toBe("https://example.org/zenodo2commons/");
+      expect(url.searchParams.get("code_challenge_method")).toBe("S256");
+      expect(url.searchParams.get("state")).toBe("xyz");
+    });
+
+    it("supports a custom OAuth endpoint", () => {
+      const url = buildAuthorizeUrl({
+        clientId: "client",
+        redirectUri: "http://localhost:5173/",
+        codeChallenge: "challenge",
+        state: "xyz",
+        oauthBaseUrl: "http://localhost:8080/w/rest.php/oauth2"
+      });
+      expect(url.startsWith("http://localhost:8080/w/rest.php/oauth2/authorize?")).toBe(true);
+    });
+  });
+
+  describe("exchangeCodeForToken", () => {
+    it("posts the code and verifier and returns the token", async () => {
+      let request;
+      const fetchFn = async (url, init) => {
+        request = { url, params: Object.fromEntries(init.body) };
+        return {
+          ok: true,
+          json: async () => ({ access_token: "token", refresh_token: "refresh", expires_in: 3600 })
+        };
+      };
+
+      const before = Date.now();
+      const token = await exchangeCodeForToken({
+        clientId: "client",
+        code: "code",
+        codeVerifier: "verifier",
+        redirectUri: "http://localhost:5173/",
+        fetchFn
+      });
+
+      expect(request.url).toBe(`${WIKIMEDIA_OAUTH_BASE_URL}/access_token`);
+      expect(request.params).toEqual({
+        grant_type: "authorization_code",
+        client_id: "client",
+        code: "code",
+        code_verifier: "verifier",
+        redirect_uri: "http://localhost:5173/"
+      });
+      expect(token.accessToken).toBe("token");
+      expect(token.refreshToken).toBe("refresh");
+      expect(token.expiresAt).toBeGreaterThanOrEqual(before + 3600 * 1000);
+    });
+
+    it("throws a readable error when the exchange fails", async () => {
+      const fetchFn = async () => ({
+        ok: false,
+        statusText: "Bad Request",
+        json: async () => ({ error: "invalid_grant", error_description: "Code expired" })
+      });
+
+      await expect(exchangeCodeForToken({
+        clientId: "client",
+        code: "code",
+        codeVerifier: "verifier",
+        redirectUri: "http://localhost:5173/",
+        fetchFn
+      })).rejects.toThrow("Failed to sign in: Code expired");
+    });
+  });
+
+  describe("isTokenValid", () => {
+    it("rejects missing tokens", () => {
+      expect(isTokenValid(null)).toBe(false);
+      expect(isTokenValid({})).toBe(false);
+    });
+
+    it("checks expiry", () => {
+      expect(isTokenValid({ accessToken: "a", expiresAt: 2000 }, 1000)).toBe(true);
+      expect(isTokenValid({ accessToken: "a", expiresAt: 500 }, 1000)).toBe(false);
+      expect(isTokenValid({ accessToken: "a", expiresAt: null }, 1000)).toBe(true);
+    });
+  });
+});
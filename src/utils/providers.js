@@ -0,0 +1,84 @@
+/**
+ * Source repository providers.
+ *
+ * A provider fetches records from one kind of repository and returns them
+ * as normalized records, which follow the Zenodo record layout the rest of
+ * the tool reads:
+ *
+ *   { id, doi, metadata: { title, creators: [{name, orcid}], license,
+ *     publication_date, description (HTML), keywords, resource_type, … },
+ *     files: [{ key, size, checksum, url? }] }
+ *
+ * `url` is set for files whose download URL does not follow the instance's
+ * file URL pattern. Which provider reads a host is part of its instance
+ * profile (see instances.js).
+ */
+
+import { fetchRecord } from "./recordMapping.js";
+import { fetchFigshareArticle, normalizeFigshareArticle, isFigshareArticle } from "./figshare.js";
+import { getInstanceProfile } from "./instances.js";
+import { FIGSHARE_HOST, ZENODO_HOST } from "./recordIdentifiers.js";
+
+export const PROVIDERS = {
+  invenio: {
+    id: "invenio",
+    name: "InvenioRDM",
+    fetchRecord: (id, instance, fetchFn) => fetchRecord(id, fetchFn, instance.apiUrl),
+    isRecord: (data) => Boolean(data && data.metadata),
+    normalizeRecord: (data) => data,
+  },
+  figshare: {
+    id: "figshare",
+    name: "Figshare",
+    fetchRecord: (id, instance, fetchFn) => fetchFigshareArticle(id, fetchFn, instance.apiUrl),
+    isRecord: isFigshareArticle,
+    normalizeRecord: normalizeFigshareArticle,
+  },
+};
+
+/**
+ * Returns the provider that reads an instance's records.
+ *
+ * @param {Object} instance - Instance profile
+ * @returns {Object} - Provider
+ */
+export function getProvider(instance) {
+  return PROVIDERS[instance.provider] || PROVIDERS.invenio;
+}
+
+/**
+ * Fetches a record through the provider of its host.
+ *
+ * @param {{id: string, host: string}} reference - Record reference from parseRecordIdentifier
+ * @param {Object} [options] - Options
+ * @param {Function} [options.fetchFn] - fetch implementation (for testing)
+ * @param {Object<string, Object>} [options.customProfiles] - Custom instance profiles
+ * @returns {Promise<{record: Object, instance: Object}>} - Normalized record and the
+ *   profile of its instance
+ */
+export async function fetchProviderRecord(reference, options = {}) {
+  const { fetchFn = (...args) => fetch(...args), customProfiles = {} } = options;
+  const instance = getInstanceProfile(reference.host, customProfiles);
+  return { record: await getProvider(instance).fetchRecord(reference.id, instance, fetchFn), instance };
+}
+
+/**
+ * Normalizes record JSON saved from any provider's API.
+ *
+ * @param {Object} data - Parsed JSON
+ * @returns {{record: Object, instance: Object}|null} - Normalized record and the
+ *   profile of its instance, or null if the JSON is not a record
+ */
+export function normalizeRecordJson(data) {
+  if (PROVIDERS.figshare.isRecord(data)) {
+    return { record: normalizeFigshareArticle(data), instance: getInstanceProfile(FIGSHARE_HOST) };
+  }
+  if (!PROVIDERS.invenio.isRecord(data)) return null;
+  let host = ZENODO_HOST;
+  try {
+    host = data.links?.self ? new URL(data.links.self).hostname : ZENODO_HOST;
+  } catch (e) {
+    // Keep Zenodo for records with malformed links
+  }
+  return { record: data, instance: getInstanceProfile(host) };
+}
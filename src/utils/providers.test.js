@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import article from "./fixtures/figshare-article.json";
+import zenodoRecord from "./fixtures/zenodo-record.json";
+import { PROVIDERS, getProvider, fetchProviderRecord, normalizeRecordJson } from "./providers.js";
+import { getInstanceProfile } from "./instances.js";
+
+// Serves recorded API responses by URL
+function createFixtureFetch(responses) {
+  const urls = [];
+  const fetchFn = async (url) => {
+    urls.push(url);
+    if (!(url in responses)) return { ok: false, statusText: "Not Found" };
+    return { ok: true, json: async () => responses[url] };
+  };
+  return { fetchFn, urls };
+}
+
+describe("providers", () => {
+  describe("getProvider", () => {
+    it("picks the provider of an instance", () => {
+      expect(getProvider(getInstanceProfile("zenodo.org"))).toBe(PROVIDERS.invenio);
+      expect(getProvider(getInstanceProfile("data.caltech.edu"))).toBe(PROVIDERS.invenio);
+      expect(getProvider(getInstanceProfile("figshare.com"))).toBe(PROVIDERS.figshare);
+    });
+  });
+
+  describe("fetchProviderRecord", () => {
+    it("fetches Zenodo records as they are", async () => {
+      const { fetchFn, urls } = createFixtureFetch({ "https://zenodo.org/api/records/17607828": zenodoRecord });
+      const { record, instance } = await fetchProviderRecord({ id: "17607828", host: "zenodo.org" }, { fetchFn });
+      expect(urls).toEqual(["https://zenodo.org/api/records/17607828"]);
+      expect(record).toEqual(zenodoRecord);
+      expect(instance.name).toBe("Zenodo");
+    });
+
+    it("normalizes Figshare articles", async () => {
+      const { fetchFn } = createFixtureFetch({ "https://api.figshare.com/v2/articles/21545829": article });
+      const { record, instance } = await fetchProviderRecord({ id: "21545829", host: "figshare.com" }, { fetchFn });
+      expect(record.metadata.title).toBe(article.title);
+      expect(record.files.map((file) => file.key)).toEqual(["hela_tubulin.png", "hela_tubulin_raw.czi"]);
+      expect(instance.name).toBe("Figshare");
+    });
+
+    it("uses custom API URLs", async () => {
+      const { fetchFn, urls } = createFixtureFetch({ "https://mirror.example.org/api/records/5": zenodoRecord });
+      const customProfiles = { "repo.example.org": { apiUrl: "https://mirror.example.org/api/records" } };
+      await fetchProviderRecord({ id: "5", host: "repo.example.org" }, { fetchFn, customProfiles });
+      expect(urls).toEqual(["https://mirror.example.org/api/records/5"]);
+    });
+  });
+
+  describe("normalizeRecordJson", () => {
+    it("recognizes saved records of every provider", () => {
+      expect(normalizeRecordJson(zenodoRecord)).toMatchObject({ record: zenodoRecord, instance: { host: "zenodo.org" } });
+      expect(normalizeRecordJson(article)).toMatchObject({
+        record: { id: 21545829, metadata: { publisher: "Figshare" } },
+        instance: { host: "figshare.com" }
+      });
+    });
+
+    it("takes the instance from the record's links", () => {
+      const record = { ...zenodoRecord, links: { self: "https://data.caltech.edu/api/records/ab1cd-ef234" } };
+      expect(normalizeRecordJson(record).instance.name).toBe("CaltechDATA");
+    });
+
+    it("returns null for other JSON", () => {
+      expect(normalizeRecordJson({ hits: [] })).toBe(null);
+      expect(normalizeRecordJson(null)).toBe(null);
+    });
+  });
+});
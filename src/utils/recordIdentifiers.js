@@ -0,0 +1,150 @@
+/**
+ * Parses the many ways a record can be referred to: record IDs, DOIs and
+ * DOI URLs, and record, upload and API URLs of Zenodo, the Zenodo sandbox,
+ * other InvenioRDM instances and Figshare.
+ */
+
+export const ZENODO_HOST = "zenodo.org";
+export const SANDBOX_HOST = "sandbox.zenodo.org";
+export const FIGSHARE_HOST = "figshare.com";
+
+// DOI prefixes whose suffix names a record, with the host and the suffix pattern
+const DOI_PREFIXES = {
+  "10.5281": { host: ZENODO_HOST, suffix: /^zenodo\.(\d+)$/i },
+  "10.5072": { host: SANDBOX_HOST, suffix: /^zenodo\.(\d+)$/i },
+  // Figshare DOIs may name a version: 10.6084/m9.figshare.12345.v2
+  "10.6084": { host: FIGSHARE_HOST, suffix: /^m9\.figshare\.(\d+)(?:\.v\d+)?$/i },
+};
+
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+// Zenodo uses numeric IDs, other InvenioRDM instances IDs such as "abcde-12345"
+const RECORD_ID = "(\\d+|[a-z0-9]{5}-[a-z0-9]{5})";
+
+// Paths that contain a record ID, after an optional "/api"
+const RECORD_PATHS = [
+  new RegExp(`^/records?/${RECORD_ID}(?:/|$)`, "i"),
+  new RegExp(`^/uploads/${RECORD_ID}(?:/|$)`, "i"),
+  new RegExp(`^/deposit/${RECORD_ID}(?:/|$)`, "i"),
+  new RegExp(`^/deposit/depositions/${RECORD_ID}(?:/|$)`, "i"),
+];
+
+// Figshare article pages ("/articles/figure/Some_title/12345/2") and API URLs,
+// also on institutional portals such as springernature.figshare.com
+const FIGSHARE_PATH = /^\/(?:v2\/)?articles\/(?:[^/]+\/[^/]+\/)?(\d+)(?:\/\d+)?\/?$/i;
+
+/**
+ * Parses a bare DOI.
+ *
+ * @param {string} doi - DOI without resolver prefix
+ * @returns {{id: string|null, host: string|null, doi: string}|null} - Reference; `id`
+ *   and `host` are null for DOIs that do not name a known instance's record
+ */
+function parseDoi(doi) {
+  if (!DOI_PATTERN.test(doi)) return null;
+  const [prefix, suffix] = doi.split(/\/(.*)/s);
+  const known = DOI_PREFIXES[prefix];
+  const match = known && suffix.match(known.suffix);
+  if (match) return { id: match[1], host: known.host, doi: `${prefix}/${suffix.toLowerCase()}` };
+  return { id: null, host: null, doi };
+}
+
+/**
+ * Parses a record reference.
+ *
+ * Recognized forms:
+ * - record IDs: `12345`
+ * - DOIs: `10.5281/zenodo.12345`, `doi:10.5281/zenodo.12345`,
+ *   `https://doi.org/10.5281/zenodo.12345`, `https://zenodo.org/doi/10.5281/zenodo.12345`
+ * - record URLs: `https://zenodo.org/records/12345` (also `/record/`, `/api/records/`,
+ *   with file paths, query strings such as `?preview=1` and fragments)
+ * - upload and deposit URLs: `https://zenodo.org/uploads/12345`, `/deposit/12345`,
+ *   `/api/deposit/depositions/12345`
+ * - the same URLs on `sandbox.zenodo.org` and other InvenioRDM hosts, also
+ *   without the scheme (`sandbox.zenodo.org/records/12345`)
+ * - Figshare DOIs (`10.6084/m9.figshare.12345`) and article URLs
+ *   (`https://figshare.com/articles/figure/Title/12345`)
+ *
+ * @param {string} input - User input or route
+ * @returns {{id: string|null, host: string|null, doi: string}|null} - Reference, or null
+ *   if the input is not recognized. DOIs of other repositories have no `id`
+ *   and `host` yet; see resolveDoi
+ */
+export function parseRecordIdentifier(input) {
+  const value = (input || "").trim();
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return { id: value, host: ZENODO_HOST, doi: "" };
+
+  const bareDoi = value.replace(/^doi:\s*/i, "");
+  if (/^10\./.test(bareDoi)) return parseDoi(bareDoi);
+
+  // Scheme-less URLs and URLs whose double slash was collapsed in a route
+  let url;
+  let path;
+  try {
+    url = new URL(/^https?:/i.test(value) ? value.replace(/^(https?:)\/*/i, "$1//") : `https://${value}`);
+    path = decodeURIComponent(url.pathname);
+  } catch (e) {
+    return null;
+  }
+  if (!url.hostname.includes(".")) return null;
+
+  const host = url.hostname.toLowerCase();
+  if (host === "doi.org" || host === "dx.doi.org") return parseDoi(path.substring(1));
+
+  const doiPath = path.match(/^\/doi\/(10\..+)$/i);
+  if (doiPath) return parseDoi(doiPath[1]);
+
+  const figshare = (host === FIGSHARE_HOST || host.endsWith(`.${FIGSHARE_HOST}`)) && path.match(FIGSHARE_PATH);
+  if (figshare) return { id: figshare[1], host: FIGSHARE_HOST, doi: "" };
+
+  const recordPath = path.replace(/^\/api(?=\/)/i, "");
+  for (const pattern of RECORD_PATHS) {
+    const match = recordPath.match(pattern);
+    if (match) return { id: match[1], host, doi: "" };
+  }
+  return null;
+}
+
+/**
+ * Formats a reference for the app's URL path, so that reloading the page
+ * opens the same record: the bare ID on Zenodo, `figshare.com/articles/id` for
+ * Figshare and `host/records/id` elsewhere.
+ *
+ * @param {{id: string, host: string}} reference - Reference with an ID
+ * @returns {string} - Route, parseable by parseRecordIdentifier
+ */
+export function formatRecordIdentifier(reference) {
+  if (reference.host === ZENODO_HOST) return reference.id;
+  if (reference.host === FIGSHARE_HOST) return `${FIGSHARE_HOST}/articles/${reference.id}`;
+  return `${reference.host}/records/${reference.id}`;
+}
+
+/**
+ * Returns the records API of an InvenioRDM host.
+ *
+ * @param {string} host - Host name, e.g. "sandbox.zenodo.org"
+ * @returns {string} - Records API URL
+ */
+export function getRecordsApiUrl(host) {
+  return `https://${host}/api/records`;
+}
+
+/**
+ * Looks up where a DOI points and parses that URL, for DOIs of InvenioRDM
+ * instances without a known prefix.
+ *
+ * @param {string} doi - Bare DOI
+ * @param {Function} [fetchFn] - fetch implementation (for testing)
+ * @returns {Promise<{id: string, host: string, doi: string}|null>} - Reference, or null
+ *   if the DOI does not point to a record page
+ * @throws {Error} - If the DOI cannot be resolved
+ */
+export async function resolveDoi(doi, fetchFn = (...args) => fetch(...args)) {
+  const res = await fetchFn(`https://doi.org/api/handles/${encodeURI(doi)}?type=URL`);
+  if (!res.ok) throw new Error(`Failed to resolve DOI ${doi}: ${res.statusText}`);
+  const data = await res.json();
+  const target = (data.values || []).find((value) => value.type === "URL")?.data?.value;
+  const reference = target ? parseRecordIdentifier(target) : null;
+  return reference?.id ? { ...reference, doi } : null;
+}
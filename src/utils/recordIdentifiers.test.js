@@ -0,0 +1,165 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseRecordIdentifier,
+  formatRecordIdentifier,
+  getRecordsApiUrl,
+  resolveDoi
+} from "./recordIdentifiers.js";
+
+const zenodo = (id, doi = "") => ({ id, host: "zenodo.org", doi });
+
+describe("recordIdentifiers", () => {
+  describe("parseRecordIdentifier", () => {
+    it("parses record IDs", () => {
+      expect(parseRecordIdentifier("17607828")).toEqual(zenodo("17607828"));
+      expect(parseRecordIdentifier("  17607828\n")).toEqual(zenodo("17607828"));
+    });
+
+    it("parses DOI forms", () => {
+      const expected = zenodo("17607828", "10.5281/zenodo.17607828");
+      expect(parseRecordIdentifier("10.5281/zenodo.17607828")).toEqual(expected);
+      expect(parseRecordIdentifier("doi:10.5281/zenodo.17607828")).toEqual(expected);
+      expect(parseRecordIdentifier("DOI: 10.5281/ZENODO.17607828")).toEqual(expected);
+      expect(parseRecordIdentifier("https://doi.org/10.5281/zenodo.17607828")).toEqual(expected);
+      expect(parseRecordIdentifier("http://dx.doi.org/10.5281/zenodo.17607828")).toEqual(expected);
+      expect(parseRecordIdentifier("doi.org/10.5281/zenodo.17607828")).toEqual(expected);
+      expect(parseRecordIdentifier("https://doi.org/10.5281%2Fzenodo.17607828")).toEqual(expected);
+      expect(parseRecordIdentifier("https://zenodo.org/doi/10.5281/zenodo.17607828")).toEqual(expected);
+    });
+
+    it("parses sandbox DOIs", () => {
+      expect(parseRecordIdentifier("10.5072/zenodo.123")).toEqual({
+        id: "123",
+        host: "sandbox.zenodo.org",
+        doi: "10.5072/zenodo.123"
+      });
+    });
+
+    it("keeps DOIs of other repositories for resolving", () => {
+      expect(parseRecordIdentifier("10.22002/D1.20095")).toEqual({ id: null, host: null, doi: "10.22002/D1.20095" });
+      expect(parseRecordIdentifier("https://doi.org/10.1000/xyz123")).toEqual({ id: null, host: null, doi: "10.1000/xyz123" });
+    });
+
+    it("parses Zenodo record URLs", () => {
+      expect(parseRecordIdentifier("https://zenodo.org/records/123")).toEqual(zenodo("123"));
+      expect(parseRecordIdentifier("https://zenodo.org/record/123")).toEqual(zenodo("123"));
+      expect(parseRecordIdentifier("https://zenodo.org/records/123?preview=1")).toEqual(zenodo("123"));
+      expect(parseRecordIdentifier("https://zenodo.org/records/123#files")).toEqual(zenodo("123"));
+      expect(parseRecordIdentifier("https://zenodo.org/records/123/files/cover.png?download=1")).toEqual(zenodo("123"));
+      expect(parseRecordIdentifier("https://zenodo.org/records/123/latest")).toEqual(zenodo("123"));
+      expect(parseRecordIdentifier("https://www.zenodo.org/records/123")).toEqual({ id: "123", host: "www.zenodo.org", doi: "" });
+      expect(parseRecordIdentifier("zenodo.org/records/123")).toEqual(zenodo("123"));
+    });
+
+    it("parses upload, deposit and API URLs", () => {
+      expect(parseRecordIdentifier("https://zenodo.org/uploads/123")).toEqual(zenodo("123"));
+      expect(parseRecordIdentifier("https://zenodo.org/deposit/123")).toEqual(zenodo("123"));
+      expect(parseRecordIdentifier("https://zenodo.org/api/records/123")).toEqual(zenodo("123"));
+      expect(parseRecordIdentifier("https://zenodo.org/api/deposit/depositions/123")).toEqual(zenodo("123"));
+    });
+
+    it("parses sandbox and InvenioRDM URLs", () => {
+      expect(parseRecordIdentifier("https://sandbox.zenodo.org/records/5")).toEqual({
+        id: "5",
+        host: "sandbox.zenodo.org",
+        doi: ""
+      });
+      expect(parseRecordIdentifier("https://data.caltech.edu/records/ab1cd-ef234")).toEqual({
+        id: "ab1cd-ef234",
+        host: "data.caltech.edu",
+        doi: ""
+      });
+      expect(parseRecordIdentifier("inveniordm.web.cern.ch/uploads/ab1cd-ef234")).toEqual({
+        id: "ab1cd-ef234",
+        host: "inveniordm.web.cern.ch",
+        doi: ""
+      });
+    });
+
+    it("parses Figshare DOIs and article URLs", () => {
+      const figshare = (doi = "") => ({ id: "21545829", host: "figshare.com", doi });
+      expect(parseRecordIdentifier("10.6084/m9.figshare.21545829")).toEqual(figshare("10.6084/m9.figshare.21545829"));
+      expect(parseRecordIdentifier("https://doi.org/10.6084/M9.FIGSHARE.21545829.V2"))
+        .toEqual(figshare("10.6084/m9.figshare.21545829.v2"));
+      expect(parseRecordIdentifier("https://figshare.com/articles/figure/Confocal_images/21545829")).toEqual(figshare());
+      expect(parseRecordIdentifier("https://figshare.com/articles/dataset/Counts/21545829/2?file=1")).toEqual(figshare());
+      expect(parseRecordIdentifier("https://springernature.figshare.com/articles/figure/X/21545829")).toEqual(figshare());
+      expect(parseRecordIdentifier("figshare.com/articles/21545829")).toEqual(figshare());
+      expect(parseRecordIdentifier("https://api.figshare.com/v2/articles/21545829")).toEqual(figshare());
+      expect(parseRecordIdentifier("https://figshare.com/authors/Jane_Doe/1001")).toBe(null);
+    });
+
+    it("accepts URLs whose double slash was collapsed", () => {
+      expect(parseRecordIdentifier("https:/zenodo.org/records/123")).toEqual(zenodo("123"));
+    });
+
+    it("rejects other input", () => {
+      expect(parseRecordIdentifier("")).toBe(null);
+      expect(parseRecordIdentifier(null)).toBe(null);
+      expect(parseRecordIdentifier("coral reefs")).toBe(null);
+      expect(parseRecordIdentifier("hello-world")).toBe(null);
+      expect(parseRecordIdentifier("https://zenodo.org/communities/biosyslit")).toBe(null);
+      expect(parseRecordIdentifier("https://zenodo.org/uploads/new")).toBe(null);
+      expect(parseRecordIdentifier("https://zenodo.org/records/%E0%A4%A")).toBe(null);
+      expect(parseRecordIdentifier("10.5281")).toBe(null);
+    });
+  });
+
+  describe("formatRecordIdentifier", () => {
+    it("round-trips through parseRecordIdentifier", () => {
+      [
+        zenodo("123"),
+        { id: "5", host: "sandbox.zenodo.org" },
+        { id: "ab1cd-ef234", host: "data.caltech.edu" },
+        { id: "21545829", host: "figshare.com" }
+      ]
+        .forEach((reference) => {
+          expect(parseRecordIdentifier(formatRecordIdentifier(reference))).toMatchObject({
+            id: reference.id,
+            host: reference.host
+          });
+        });
+      expect(formatRecordIdentifier(zenodo("123"))).toBe("123");
+      expect(formatRecordIdentifier({ id: "5", host: "sandbox.zenodo.org" })).toBe("sandbox.zenodo.org/records/5");
+      expect(formatRecordIdentifier({ id: "21545829", host: "figshare.com" })).toBe("figshare.com/articles/21545829");
+    });
+  });
+
+  describe("getRecordsApiUrl", () => {
+    it("returns the records API of a host", () => {
+      expect(getRecordsApiUrl("sandbox.zenodo.org")).toBe("https://sandbox.zenodo.org/api/records");
+    });
+  });
+
+  describe("resolveDoi", () => {
+    it("follows DOIs to InvenioRDM record pages", async () => {
+      const urls = [];
+      const fetchFn = async (url) => {
+        urls.push(url);
+        return {
+          ok: true,
+          json: async () => ({ values: [{ type: "URL", data: { value: "https://data.caltech.edu/records/ab1cd-ef234" } }] })
+        };
+      };
+      expect(await resolveDoi("10.22002/D1.20095", fetchFn)).toEqual({
+        id: "ab1cd-ef234",
+        host: "data.caltech.edu",
+        doi: "10.22002/D1.20095"
+      });
+      expect(urls).toEqual(["https://doi.org/api/handles/10.22002/D1.20095?type=URL"]);
+    });
+
+    it("returns null for DOIs that point elsewhere", async () => {
+      const fetchFn = async () => ({
+        ok: true,
+        json: async () => ({ values: [{ type: "URL", data: { value: "https://www.nature.com/articles/x" } }] })
+      });
+      expect(await resolveDoi("10.1038/x", fetchFn)).toBe(null);
+    });
+
+    it("throws when the DOI cannot be resolved", async () => {
+      const fetchFn = async () => ({ ok: false, statusText: "Not Found" });
+      await expect(resolveDoi("10.1000/missing", fetchFn)).rejects.toThrow("Failed to resolve DOI 10.1000/missing: Not Found");
+    });
+  });
+});
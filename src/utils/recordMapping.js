@@ -0,0 +1,322 @@
+/**
+ * Maps a Zenodo record to Commons upload data.
+ *
+ * Framework-free, so the web app and the `zenodo2commons` CLI produce the
+ * same file names, wikitext and Special:Upload URLs.
+ */
+
+import { cleanDescription } from "./htmlToWiki.js";
+import { getRecordLanguage, getTranslations } from "./languages.js";
+import { DEFAULT_SECTION_STYLE, getDescriptionSections } from "./descriptionSections.js";
+import { formatCreators } from "./creators.js";
+import { getRecordLicense, getUploadLicense } from "./licenses.js";
+import { getMeeting, suggestCategories } from "./categories.js";
+import { getFileTemplate } from "./fileTemplates.js";
+import { applyEdits } from "./metadataEdits.js";
+import { buildUniqueFilenames } from "./filenames.js";
+import { buildCitation, buildRelatedWorks, DEFAULT_CITATION_STYLE } from "./citations.js";
+import { classifyFile, isAcceptedFile } from "./fileTypes.js";
+import { buildConstrainedUploadUrl, buildFullMetadata } from "./urlTrimmer.js";
+import { escapeWikitext, validateWikitext } from "./wikitext.js";
+import { ZENODO_RECORDS_API_URL } from "./zenodoSearch.js";
+import { parseRecordIdentifier, ZENODO_HOST } from "./recordIdentifiers.js";
+import {
+  INSTANCE_PROFILES,
+  COPY_UPLOAD_DOMAINS,
+  expandPattern,
+  getTrackingCategories,
+  isCopyUploadAllowed
+} from "./instances.js";
+
+const ZENODO_PROFILE = INSTANCE_PROFILES[ZENODO_HOST];
+
+/**
+ * Extracts a Zenodo record ID from an ID, record URL or Zenodo DOI.
+ *
+ * @param {string} input - e.g. "12345", "https://zenodo.org/records/12345",
+ *   "10.5281/zenodo.12345" or "https://doi.org/10.5281/zenodo.12345"
+ * @returns {string|null} - Record ID, or null if the input is not recognized or
+ *   refers to another host (see recordIdentifiers.parseRecordIdentifier)
+ */
+export function parseRecordReference(input) {
+  const reference = parseRecordIdentifier(input);
+  return reference?.host === ZENODO_HOST ? reference.id : null;
+}
+
+/**
+ * Fetches a record from the Zenodo API.
+ *
+ * @param {string} id - Record ID
+ * @param {Function} [fetchFn] - fetch implementation (for testing)
+ * @param {string} [apiUrl] - Records API of the instance (see recordIdentifiers.getRecordsApiUrl)
+ * @returns {Promise<Object>} - Record JSON
+ */
+export async function fetchRecord(id, fetchFn = (...args) => fetch(...args), apiUrl = ZENODO_RECORDS_API_URL) {
+  const res = await fetchFn(`${apiUrl}/${id}`);
+  if (!res.ok) throw new Error(`Failed to fetch record: ${res.statusText}`);
+  return res.json();
+}
+
+/**
+ * Returns the download URL of a record file.
+ *
+ * @param {string|number} recordId - Record ID
+ * @param {string} key - File name within the record
+ * @param {Object} [instance] - Instance profile (see instances.getInstanceProfile)
+ * @returns {string} - File URL
+ */
+export function getFileUrl(recordId, key, instance = ZENODO_PROFILE) {
+  // The record page URL, not the API content endpoint
+  return expandPattern(instance.fileUrl, { id: recordId, key });
+}
+
+/**
+ * Returns the page URL of a record.
+ *
+ * @param {string|number} recordId - Record ID
+ * @param {Object} [instance] - Instance profile
+ * @returns {string} - Record URL
+ */
+export function getRecordUrl(recordId, instance = ZENODO_PROFILE) {
+  return expandPattern(instance.recordUrl, { id: recordId });
+}
+
+/**
+ * Collects everything needed to upload one record file.
+ *
+ * @param {Object} file - Record file (`key`, `size`)
+ * @param {Object} record - Zenodo record
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.useFilenameInTitle] - Append the file name to the title
+ * @param {Array<Object|null>} [options.authorMatches] - Wikidata matches by creator index
+ * @param {string} [options.authorStyle] - How matched authors are written (see formatCreators)
+ * @param {string[]} [options.categories] - Accepted categories besides the tracking categories
+ * @param {string} [options.otherVersions] - Links to files from other versions of the
+ *   record (see versions.buildOtherVersions)
+ * @param {string} [options.citationStyle] - Style of the record citation (see
+ *   citations.CITATION_STYLES), or "" to leave the citation out
+ * @param {string} [options.sectionStyle] - How methods, notes and other additional
+ *   descriptions are written (see descriptionSections.SECTION_STYLES), or "" to leave them out
+ * @param {string} [options.fileTemplate] - Template of the file page (see
+ *   fileTemplates.FILE_TEMPLATES), or "" to choose it by resource type
+ * @param {Object} [options.instance] - Profile of the instance the record is on
+ *   (see instances.getInstanceProfile); defaults to Zenodo
+ * @param {string[]} [options.copyUploadDomains] - Domains Commons fetches files from
+ *   (see instances.fetchCopyUploadDomains)
+ * @param {Object} [options.edits] - Manual edits for this file (see metadataEdits.getEdits)
+ * @returns {Object|null} - Upload details, or null if the license or the file
+ *   type does not allow uploading (an edited `commonsLicense` may pick one of the
+ *   license `choices`, see licenses.getUploadLicense). `uploadByUrl` says whether
+ *   Commons can fetch `fileUrl` itself
+ */
+export function getUploadDetails(file, record, options = {}) {
+  const {
+    useFilenameInTitle = false,
+    authorMatches,
+    authorStyle,
+    categories = [],
+    otherVersions = "",
+    citationStyle = DEFAULT_CITATION_STYLE,
+    sectionStyle = DEFAULT_SECTION_STYLE,
+    fileTemplate = "",
+    instance = ZENODO_PROFILE,
+    copyUploadDomains = COPY_UPLOAD_DOMAINS,
+    edits = {}
+  } = options;
+  const metadata = record.metadata;
+  const license = getUploadLicense(metadata, edits.commonsLicense);
+
+  if (!license.allowed || !isAcceptedFile(file)) return null;
+
+  const { description, tables } = cleanDescription(metadata.description);
+  const language = getRecordLanguage(metadata);
+  // An edited title also renames the file unless the file name was edited too
+  const title = edits.title ?? metadata.title;
+  // Normalized records may carry download URLs of their own (see providers.js)
+  const fileUrl = file.url || getFileUrl(record.id, file.key, instance);
+
+  return applyEdits({
+    title,
+    description,
+    tables,
+    language,
+    translations: getTranslations(metadata, language),
+    sections: getDescriptionSections(metadata, language),
+    sectionStyle,
+    fileTemplate: fileTemplate || getFileTemplate(metadata.resource_type),
+    publisher: metadata.publisher || instance.name,
+    meeting: getMeeting(record),
+    date: metadata.publication_date,
+    source: getRecordUrl(record.id, instance),
+    authors: formatCreators(metadata.creators, { matches: authorMatches, style: authorStyle }),
+    recordId: record.id,
+    commonsLicense: license.template,
+    wpLicense: license.wpLicense,
+    categories,
+    extraTemplates: "",
+    otherVersions,
+    relatedWorks: buildRelatedWorks(metadata.related_identifiers),
+    citation: buildCitation(record, citationStyle, instance),
+    sourceTemplate: expandPattern(instance.sourceTemplate, { id: record.id }),
+    trackingCategories: getTrackingCategories(instance),
+    // Files Commons rejects do not take part in the file names
+    destFile: buildUniqueFilenames((record.files || []).filter(isAcceptedFile).map((f) => f.key), title, {
+      useFilenameInTitle,
+      recordId: record.id,
+      sourceName: instance.name,
+    })[file.key],
+    fileUrl,
+    uploadByUrl: isCopyUploadAllowed(fileUrl, copyUploadDomains),
+  }, edits);
+}
+
+/**
+ * Lists the entries of an archive that can be uploaded to Commons, skipping
+ * folders, encrypted entries and files added by macOS.
+ *
+ * @param {Array<Object>} entries - Entries from readZipDirectory
+ * @returns {Array<Object>} - Uploadable entries
+ */
+export function listArchiveImages(entries) {
+  return entries.filter((entry) => {
+    const name = entry.path.split("/").pop();
+    return !entry.directory
+      && !entry.encrypted
+      && !entry.path.startsWith("__MACOSX/")
+      && !name.startsWith(".")
+      && isAcceptedFile({ key: name, size: entry.size });
+  });
+}
+
+/**
+ * Collects everything needed to upload one image from an archive.
+ *
+ * Entries are named like record files, using the entry name (or its path
+ * when names repeat across folders). The description notes where in the
+ * archive the image came from. The image cannot be uploaded by URL; upload
+ * the extracted bytes instead.
+ *
+ * @param {Object} entry - Entry from listArchiveImages
+ * @param {Object} archive - Record file of the archive
+ * @param {Object} record - Zenodo record
+ * @param {Object} [options] - Same options as getUploadDetails, plus:
+ * @param {Array<Object>} [options.entries] - All entries offered from the
+ *   archive, so that each gets its own file name
+ * @returns {Object|null} - Upload details with `archivePath`, or null if the
+ *   license does not allow uploading
+ */
+export function getArchiveEntryDetails(entry, archive, record, options = {}) {
+  const { entries = [entry], ...rest } = options;
+
+  const names = entries.map((other) => other.path.split("/").pop());
+  const keyOf = (other) => {
+    const name = other.path.split("/").pop();
+    return names.filter((n) => n === name).length > 1 ? other.path.replace(/\//g, " ") : name;
+  };
+  const files = entries.map((other) => ({ key: keyOf(other), size: other.size }));
+
+  const details = getUploadDetails({ key: keyOf(entry), size: entry.size }, { ...record, files }, {
+    ...rest,
+    useFilenameInTitle: true,
+  });
+  if (!details) return null;
+
+  const archiveUrl = archive.url || getFileUrl(record.id, archive.key, rest.instance);
+  // Entry paths are whatever the archive says; "<" keeps them from closing
+  // the <nowiki>, and "]" would end the link label
+  const path = entry.path.replace(/</g, "&lt;");
+  const label = escapeWikitext(archive.key).replace(/\]/g, "&#93;");
+  return {
+    ...details,
+    description: `${details.description}\n\nFile <code><nowiki>${path}</nowiki></code> from the archive [${archiveUrl} ${label}].`,
+    fileUrl: archiveUrl,
+    uploadByUrl: false,
+    archivePath: `${archive.key}/${entry.path}`,
+  };
+}
+
+/**
+ * Builds the complete file page wikitext, including the license section.
+ *
+ * @param {Object} file - Record file
+ * @param {Object} record - Zenodo record
+ * @param {Object} [options] - Same options as getUploadDetails
+ * @returns {string|null} - Wikitext, or null if the file cannot be uploaded
+ */
+export function buildFileWikitext(file, record, options = {}) {
+  const details = getUploadDetails(file, record, options);
+  return details ? buildFullMetadata(details) : null;
+}
+
+/**
+ * Builds a prefilled Special:Upload URL for a record file.
+ *
+ * @param {Object} file - Record file
+ * @param {Object} record - Zenodo record
+ * @param {Object} [options] - Same options as getUploadDetails
+ * @returns {{url: string, wasTruncated: boolean}|null} - URL, or null if the
+ *   file cannot be uploaded
+ */
+export function buildUploadUrl(file, record, options = {}) {
+  const details = getUploadDetails(file, record, options);
+  return details ? buildConstrainedUploadUrl(details) : null;
+}
+
+/**
+ * Describes a whole record as a manifest of uploads.
+ *
+ * @param {Object} record - Zenodo record
+ * @param {Object} [options] - Same options as getUploadDetails
+ * @returns {{recordId: string, title: string, source: string, license: Object,
+ *   suggestedCategories: Array<Object>, files: Array<Object>}} - Manifest; suggested
+ *   categories are not checked against Commons and not in the wikitext. Files that
+ *   cannot be uploaded have `uploadable: false`, a `reason` and possibly a
+ *   `conversion` (see classifyFile) instead of wikitext; others list
+ *   `wikitextProblems` (see wikitext.validateWikitext)
+ */
+export function buildRecordManifest(record, options = {}) {
+  const license = getRecordLicense(record.metadata);
+
+  return {
+    recordId: String(record.id),
+    title: record.metadata.title,
+    source: getRecordUrl(record.id, options.instance),
+    license: {
+      id: license.id,
+      name: license.name,
+      template: license.template,
+      wpLicense: license.wpLicense,
+      allowed: license.allowed,
+      reason: license.reason,
+    },
+    suggestedCategories: suggestCategories(record),
+    files: (record.files || []).map((file) => {
+      const details = getUploadDetails(file, record, options);
+      if (!details) {
+        const fileType = classifyFile(file, record.files);
+        return {
+          key: file.key,
+          size: file.size,
+          uploadable: false,
+          reason: license.allowed ? fileType.reason : license.reason,
+          conversion: license.allowed ? fileType.conversion : null,
+        };
+      }
+      const upload = buildConstrainedUploadUrl(details);
+      const wikitext = buildFullMetadata(details);
+      return {
+        key: file.key,
+        size: file.size,
+        uploadable: true,
+        destFile: details.destFile,
+        fileTemplate: details.fileTemplate,
+        fileUrl: details.fileUrl,
+        uploadByUrl: details.uploadByUrl,
+        wikitext,
+        wikitextProblems: validateWikitext(wikitext),
+        uploadUrl: upload.url,
+        uploadUrlTruncated: upload.wasTruncated,
+      };
+    }),
+  };
+}
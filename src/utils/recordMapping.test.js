@@ -0,0 +1,366 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseRecordReference,
+  fetchRecord,
+  getUploadDetails,
+  buildFileWikitext,
+  buildUploadUrl,
+  buildRecordManifest,
+  listArchiveImages,
+  getArchiveEntryDetails
+} from "./recordMapping.js";
+import { getInstanceProfile } from "./instances.js";
+import { buildFullMetadata } from "./urlTrimmer.js";
+import { validateWikitext } from "./wikitext.js";
+
+const record = {
+  id: 12345,
+  metadata: {
+    title: "Calendar Cover: 2025",
+    description: "<p>Image from the <strong>calendar</strong>.</p>",
+    publication_date: "2025-01-15",
+    license: { id: "cc-by-4.0" },
+    creators: [{ name: "Doe, Jane", orcid: "0000-0002-1825-0097" }]
+  },
+  files: [
+    { key: "cover.png", size: 1024 },
+    { key: "notes", size: 10 }
+  ]
+};
+
+describe("recordMapping", () => {
+  describe("parseRecordReference", () => {
+    it("accepts IDs, record URLs and Zenodo DOIs", () => {
+      expect(parseRecordReference(" 12345 ")).toBe("12345");
+      expect(parseRecordReference("https://zenodo.org/records/12345")).toBe("12345");
+      expect(parseRecordReference("https://zenodo.org/record/12345#files")).toBe("12345");
+      expect(parseRecordReference("10.5281/zenodo.12345")).toBe("12345");
+      expect(parseRecordReference("https://doi.org/10.5281/ZENODO.12345")).toBe("12345");
+      expect(parseRecordReference("doi:10.5281/zenodo.12345")).toBe("12345");
+    });
+
+    it("rejects other input", () => {
+      expect(parseRecordReference("10.1000/xyz123")).toBe(null);
+      expect(parseRecordReference("coral reefs")).toBe(null);
+      expect(parseRecordReference("")).toBe(null);
+    });
+  });
+
+  describe("fetchRecord", () => {
+    it("fetches from the records API", async () => {
+      let requested;
+      const fetchFn = async (url) => {
+        requested = url;
+        return { ok: true, json: async () => record };
+      };
+      expect(await fetchRecord("12345", fetchFn)).toBe(record);
+      expect(requested).toBe("https://zenodo.org/api/records/12345");
+    });
+
+    it("throws on HTTP errors", async () => {
+      const fetchFn = async () => ({ ok: false, statusText: "Not Found" });
+      await expect(fetchRecord("1", fetchFn)).rejects.toThrow("Failed to fetch record: Not Found");
+    });
+  });
+
+  describe("getUploadDetails", () => {
+    it("collects upload details", () => {
+      const details = getUploadDetails(record.files[0], record);
+      expect(details).toMatchObject({
+        title: "Calendar Cover: 2025",
+        date: "2025-01-15",
+        source: "https://zenodo.org/records/12345",
+        authors: "Jane Doe ({{ORCID|0000-0002-1825-0097}})",
+        recordId: 12345,
+        commonsLicense: "cc-by-4.0",
+        wpLicense: "cc-by-4.0",
+        destFile: "Calendar Cover 2025.png",
+        fileUrl: "https://zenodo.org/records/12345/files/cover.png"
+      });
+      expect(details.description).toContain("'''calendar'''");
+    });
+
+    it("passes Wikidata matches to the author list", () => {
+      const details = getUploadDetails(record.files[0], record, {
+        authorMatches: [{ wikidataId: "Q42", creatorTemplate: null }],
+        authorStyle: "wikidata"
+      });
+      expect(details.authors).toBe("{{Wikidata|Q42}} ({{ORCID|0000-0002-1825-0097}})");
+    });
+
+    it("applies manual edits", () => {
+      const details = getUploadDetails(record.files[0], record, {
+        edits: { title: "Cover", description: "Edited", commonsLicense: "cc-by-3.0" }
+      });
+      expect(details).toMatchObject({
+        title: "Cover",
+        description: "Edited",
+        destFile: "Cover.png",
+        commonsLicense: "cc-by-3.0",
+        wpLicense: ""
+      });
+      const renamed = getUploadDetails(record.files[0], record, {
+        edits: { title: "Cover", destFile: "Calendar cover.png" }
+      });
+      expect(renamed.destFile).toBe("Calendar cover.png");
+    });
+
+    it("adds related works and a citation in the chosen style", () => {
+      const withRelated = {
+        ...record,
+        metadata: {
+          ...record.metadata,
+          related_identifiers: [
+            { identifier: "10.1000/xyz", relation: "isSupplementTo", scheme: "doi", resource_type: "publication-article" }
+          ]
+        }
+      };
+      const details = getUploadDetails(withRelated.files[0], withRelated);
+      expect(details.relatedWorks).toBe("* Supplement to: {{Cite journal |doi=10.1000/xyz}}");
+      expect(details.citation).toMatch(/^Doe, J\. \(2025\)\. ''Calendar Cover: 2025''/);
+      expect(getUploadDetails(record.files[0], record, { citationStyle: "ieee" }).citation).toMatch(/^J\. Doe, “/);
+      expect(getUploadDetails(record.files[0], record, { citationStyle: "" }).citation).toBe("");
+    });
+
+    it("links files from other versions", () => {
+      const otherVersions = "* [[:File:Calendar Cover 2024.png]] (Zenodo version 1)";
+      expect(getUploadDetails(record.files[0], record).otherVersions).toBe("");
+      expect(getUploadDetails(record.files[0], record, { otherVersions }).otherVersions).toBe(otherVersions);
+      expect(buildFileWikitext(record.files[0], record, { otherVersions })).toContain(
+        `|other versions=\n${otherVersions}\n}}`
+      );
+    });
+
+    it("names blacklisted file names after the record's repository", () => {
+      const untitled = { ...record, id: 21545829, metadata: { ...record.metadata, title: "1" }, files: [{ key: "2.jpg" }] };
+      const instance = getInstanceProfile("figshare.com");
+      expect(getUploadDetails(untitled.files[0], untitled, { instance }).destFile).toBe("Figshare 21545829 - 2.jpg");
+    });
+
+    it("uses the profile of the record's instance", () => {
+      const instance = getInstanceProfile("data.caltech.edu", {
+        "data.caltech.edu": { sourceTemplate: "{{CaltechDATA|{id}}}", trackingCategory: "Media from CaltechDATA" }
+      });
+      const details = getUploadDetails(record.files[0], record, { instance });
+      expect(details).toMatchObject({
+        source: "https://data.caltech.edu/records/12345",
+        fileUrl: "https://data.caltech.edu/records/12345/files/cover.png",
+        sourceTemplate: "{{CaltechDATA|12345}}",
+        trackingCategories: ["Media from CaltechDATA", "Uploaded with zenodo2commons"],
+        uploadByUrl: false
+      });
+      expect(buildFileWikitext(record.files[0], record, { instance })).toContain(
+        "{{CaltechDATA|12345}}\n\n=={{int:license-header}}==\n{{cc-by-4.0}}\n[[Category:Media from CaltechDATA]]"
+      );
+      expect(getUploadDetails(record.files[0], record, { instance, copyUploadDomains: ["data.caltech.edu"] }).uploadByUrl)
+        .toBe(true);
+      expect(getUploadDetails(record.files[0], record).uploadByUrl).toBe(true);
+    });
+
+    it("wraps descriptions in language templates", () => {
+      const multilingual = {
+        ...record,
+        metadata: {
+          ...record.metadata,
+          language: "por",
+          additional_titles: [{ title: "Calendar cover", type: { id: "translated-title" }, lang: { id: "eng" } }]
+        }
+      };
+      const details = getUploadDetails(record.files[0], multilingual);
+      expect(details.language).toBe("pt");
+      expect(details.translations).toEqual([{ language: "en", title: "Calendar cover", description: "" }]);
+      expect(buildFileWikitext(record.files[0], multilingual)).toContain(
+        "|description={{pt|1=Calendar Cover: 2025:\nImage from the '''calendar'''.}}\n{{en|1=Calendar cover}}\n"
+      );
+      expect(getUploadDetails(record.files[0], multilingual, { edits: { language: "de" } }).language).toBe("de");
+    });
+
+    it("writes methods and notes as sections", () => {
+      const described = {
+        ...record,
+        metadata: {
+          ...record.metadata,
+          additional_descriptions: [{ description: "<p>Scanned at 600 dpi.</p>", type: { id: "methods" } }],
+          notes: "Printed in 2024."
+        }
+      };
+      const details = getUploadDetails(described.files[0], described);
+      expect(details.sections.map((section) => section.label)).toEqual(["Methods", "Notes"]);
+      expect(buildFileWikitext(described.files[0], described)).toContain(
+        "Image from the '''calendar'''.\n\n'''Methods:''' Scanned at 600 dpi.\n\n'''Notes:''' Printed in 2024."
+      );
+      expect(buildFileWikitext(described.files[0], described, { sectionStyle: "" })).not.toContain("'''Methods:'''");
+    });
+
+    it("chooses the file page template by resource type unless one is given", () => {
+      const poster = {
+        ...record,
+        metadata: { ...record.metadata, resource_type: { id: "poster" } },
+        custom_fields: { "meeting:meeting": { title: "Open Science Days", place: "Berlin" } }
+      };
+      expect(getUploadDetails(record.files[0], record)).toMatchObject({ fileTemplate: "information", meeting: null });
+      expect(getUploadDetails(poster.files[0], poster)).toMatchObject({
+        fileTemplate: "event",
+        publisher: "Zenodo",
+        meeting: { title: "Open Science Days", place: "Berlin" }
+      });
+      expect(getUploadDetails(poster.files[0], poster, { fileTemplate: "book" }).fileTemplate).toBe("book");
+      expect(buildRecordManifest(poster).files[0].fileTemplate).toBe("event");
+    });
+
+    it("gives every file of the record its own file name", () => {
+      const figures = { ...record, files: [{ key: "fig1.png" }, { key: "fig2.png" }] };
+      expect(getUploadDetails(figures.files[1], figures).destFile).toBe("Calendar Cover 2025 - Figure 2.png");
+    });
+
+    it("returns null for file types Commons does not accept", () => {
+      expect(getUploadDetails(record.files[1], record)).toBe(null);
+      expect(getUploadDetails({ key: "data.zip", size: 10 }, record)).toBe(null);
+    });
+
+    it("returns null when the license does not allow uploading", () => {
+      const nc = { ...record, metadata: { ...record.metadata, license: { id: "cc-by-nc-4.0" } } };
+      expect(getUploadDetails(record.files[0], nc)).toBe(null);
+      expect(buildFileWikitext(record.files[0], nc)).toBe(null);
+      expect(buildUploadUrl(record.files[0], nc)).toBe(null);
+    });
+
+    it("uploads unversioned licenses once a version is chosen", () => {
+      const unversioned = { ...record, metadata: { ...record.metadata, license: { id: "cc-by" } } };
+      expect(getUploadDetails(record.files[0], unversioned)).toBe(null);
+
+      const details = getUploadDetails(record.files[0], unversioned, { edits: { commonsLicense: "cc-by-4.0" } });
+      expect(details).toMatchObject({ commonsLicense: "cc-by-4.0", wpLicense: "cc-by-4.0" });
+      expect(getUploadDetails(record.files[0], unversioned, { edits: { commonsLicense: "cc-by-3.0" } }).wpLicense)
+        .toBe("");
+    });
+  });
+
+  describe("listArchiveImages", () => {
+    it("keeps images Commons accepts", () => {
+      const entries = [
+        { path: "figures/", directory: true },
+        { path: "figures/fig1.png", size: 10 },
+        { path: "figures/data.csv", size: 10 },
+        { path: "__MACOSX/figures/._fig1.png", size: 10 },
+        { path: "figures/.hidden.png", size: 10 },
+        { path: "secret.png", size: 10, encrypted: true }
+      ];
+      expect(listArchiveImages(entries).map((entry) => entry.path)).toEqual(["figures/fig1.png"]);
+    });
+  });
+
+  describe("getArchiveEntryDetails", () => {
+    const archive = { key: "figures.zip", size: 100 };
+    const entries = [
+      { path: "a/fig1.png", size: 10 },
+      { path: "b/fig1.png", size: 10 },
+      { path: "b/overview.png", size: 10 }
+    ];
+
+    it("names entries after the entry and notes the archive path", () => {
+      const details = getArchiveEntryDetails(entries[2], archive, record, { entries });
+      expect(details.destFile).toBe("Calendar Cover 2025 - overview.png");
+      expect(details.archivePath).toBe("figures.zip/b/overview.png");
+      expect(details.fileUrl).toBe("https://zenodo.org/records/12345/files/figures.zip");
+      expect(details.description).toContain(
+        "File <code><nowiki>b/overview.png</nowiki></code> from the archive [https://zenodo.org/records/12345/files/figures.zip figures.zip]."
+      );
+    });
+
+    it("keeps hostile entry paths and archive names from injecting wikitext", () => {
+      const hostile = { path: "x</nowiki>}}{{Delete|reason=x}}[[Category:Spam]]|/fig.png", size: 10 };
+      const details = getArchiveEntryDetails(hostile, { key: "a]b|c.zip", size: 100 }, record, { entries: [hostile] });
+      expect(details.description).toContain(
+        "<code><nowiki>x&lt;/nowiki>}}{{Delete|reason=x}}[[Category:Spam]]|/fig.png</nowiki></code>"
+      );
+      expect(details.description).toContain(" a&#93;b{{!}}c.zip].");
+      const wikitext = buildFullMetadata(details);
+      expect(validateWikitext(wikitext)).toEqual([]);
+    });
+
+    it("uses the path when entry names repeat", () => {
+      expect(getArchiveEntryDetails(entries[0], archive, record, { entries }).destFile)
+        .toBe("Calendar Cover 2025 - a fig1.png");
+      expect(getArchiveEntryDetails(entries[1], archive, record, { entries }).destFile)
+        .toBe("Calendar Cover 2025 - b fig1.png");
+    });
+
+    it("returns null when the license does not allow uploading", () => {
+      const nc = { ...record, metadata: { ...record.metadata, license: { id: "cc-by-nc-4.0" } } };
+      expect(getArchiveEntryDetails(entries[0], archive, nc)).toBe(null);
+    });
+  });
+
+  describe("buildFileWikitext", () => {
+    it("includes the license section", () => {
+      const wikitext = buildFileWikitext(record.files[0], record);
+      expect(wikitext).toContain("{{Information");
+      expect(wikitext).toContain("=={{int:license-header}}==\n{{cc-by-4.0}}");
+    });
+  });
+
+  describe("buildUploadUrl", () => {
+    it("builds a Special:Upload URL", () => {
+      const { url, wasTruncated } = buildUploadUrl(record.files[0], record);
+      const params = new URL(url).searchParams;
+      expect(params.get("wpDestFile")).toBe("Calendar Cover 2025.png");
+      expect(params.get("wpLicense")).toBe("cc-by-4.0");
+      expect(wasTruncated).toBe(false);
+    });
+  });
+
+  describe("buildRecordManifest", () => {
+    it("describes every file", () => {
+      const manifest = buildRecordManifest(record);
+      expect(manifest.recordId).toBe("12345");
+      expect(manifest.license).toMatchObject({ id: "cc-by-4.0", allowed: true, reason: "" });
+      expect(manifest.files).toHaveLength(2);
+      expect(manifest.files[0]).toMatchObject({
+        key: "cover.png",
+        uploadable: true,
+        destFile: "Calendar Cover 2025.png"
+      });
+      expect(manifest.files[0].wikitext).toContain("{{Zenodo|12345}}");
+      expect(manifest.files[0].wikitextProblems).toEqual([]);
+      expect(manifest.files[0].uploadUrl).toContain("Special:Upload");
+    });
+
+    it("escapes titles and names with pipes and equals signs", () => {
+      const piped = {
+        ...record,
+        metadata: { ...record.metadata, title: "P-values | n = 12", creators: [{ name: "Lab=1 | B" }] }
+      };
+      const [file] = buildRecordManifest(piped).files;
+      expect(file.wikitext).toContain("|description={{en|1=P-values {{!}} n {{=}} 12:");
+      expect(file.wikitext).toContain("|author=Lab{{=}}1 {{!}} B");
+      expect(file.wikitextProblems).toEqual([]);
+    });
+
+    it("marks files as not uploadable when the license is incompatible", () => {
+      const nd = { ...record, metadata: { ...record.metadata, license: { id: "cc-by-nd-4.0" } } };
+      const manifest = buildRecordManifest(nd);
+      expect(manifest.license.allowed).toBe(false);
+      expect(manifest.license.reason).toContain("NoDerivatives");
+      expect(manifest.files[0]).toEqual({
+        key: "cover.png",
+        size: 1024,
+        uploadable: false,
+        reason: manifest.license.reason,
+        conversion: null
+      });
+    });
+
+    it("explains file types Commons does not accept", () => {
+      const slides = { ...record, files: [{ key: "talk.pptx", size: 10 }, { key: "talk.pdf", size: 10 }] };
+      const manifest = buildRecordManifest(slides);
+      expect(manifest.files[0]).toMatchObject({
+        key: "talk.pptx",
+        uploadable: false,
+        conversion: { type: "pdf", alternative: "talk.pdf" }
+      });
+      expect(manifest.files[0].reason).toContain("presentation");
+      expect(manifest.files[1]).toMatchObject({ uploadable: true, destFile: "Calendar Cover 2025.pdf" });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Incremental SHA-1 hashing.
+ *
+ * Web Crypto can only hash a complete buffer, but record files can be
+ * hundreds of megabytes. This implementation accepts the file chunk by
+ * chunk, so it can be fed straight from a download stream.
+ */
+
+/**
+ * Creates an incremental SHA-1 hasher.
+ *
+ * @returns {{update: function(Uint8Array): Object, digest: function(): string}} - Hasher;
+ *   `digest` returns the lowercase hex hash and must be called only once
+ */
+export function createSha1() {
+  const state = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]);
+  const words = new Uint32Array(80);
+  const buffer = new Uint8Array(64);
+  let bufferLength = 0;
+  let totalLength = 0;
+
+  function processBlock(bytes, offset) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      words[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 80; i++) {
+      const x = words[i - 3] ^ words[i - 8] ^ words[i - 14] ^ words[i - 16];
+      words[i] = (x << 1) | (x >>> 31);
+    }
+
+    let a = state[0];
+    let b = state[1];
+    let c = state[2];
+    let d = state[3];
+    let e = state[4];
+
+    for (let i = 0; i < 80; i++) {
+      let f;
+      let k;
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      const temp = (((a << 5) | (a >>> 27)) + f + e + k + words[i]) >>> 0;
+      e = d;
+      d = c;
+      c = ((b << 30) | (b >>> 2)) >>> 0;
+      b = a;
+      a = temp;
+    }
+
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+  }
+
+  const hasher = {
+    update(chunk) {
+      totalLength += chunk.length;
+      let offset = 0;
+
+      // Complete a partially filled block first
+      if (bufferLength > 0) {
+        const take = Math.min(64 - bufferLength, chunk.length);
+        buffer.set(chunk.subarray(0, take), bufferLength);
+        bufferLength += take;
+        offset = take;
+        if (bufferLength === 64) {
+          processBlock(buffer, 0);
+          bufferLength = 0;
+        }
+      }
+
+      while (offset + 64 <= chunk.length) {
+        processBlock(chunk, offset);
+        offset += 64;
+      }
+
+      if (offset < chunk.length) {
+        buffer.set(chunk.subarray(offset), 0);
+        bufferLength = chunk.length - offset;
+      }
+
+      return hasher;
+    },
+
+    digest() {
+      const bitLength = totalLength * 8;
+      const padLength = (bufferLength < 56 ? 56 : 120) - bufferLength;
+      const padding = new Uint8Array(padLength + 8);
+      padding[0] = 0x80;
+
+      // Message length in bits as a 64-bit big-endian integer
+      const view = new DataView(padding.buffer);
+      view.setUint32(padLength, Math.floor(bitLength / 0x100000000));
+      view.setUint32(padLength + 4, bitLength >>> 0);
+      hasher.update(padding);
+
+      return Array.from(state, (value) => value.toString(16).padStart(8, "0")).join("");
+    },
+  };
+
+  return hasher;
+}
+
+/**
+ * Hashes a complete buffer or string.
+ *
+ * @param {Uint8Array|string} data - Data to hash (strings are UTF-8 encoded)
+ * @returns {string} - Lowercase hex SHA-1
+ */
+export function sha1Hex(data) {
+  const bytes = typeof data === "string" ? new TextEncoder().encode(data) : data;
+  return createSha1().update(bytes).digest();
+}
+
+/**
+ * Downloads a file and hashes it while it streams in.
+ *
+ * @param {string} url - File URL
+ * @param {Object} [options] - Options
+ * @param {Function} [options.fetchFn] - fetch implementation (for testing)
+ * @param {Function} [options.onProgress] - Called with (loadedBytes, totalBytes)
+ * @returns {Promise<string>} - Lowercase hex SHA-1 of the file
+ */
+export async function hashUrl(url, options = {}) {
+  const {
+    fetchFn = (...args) => fetch(...args),
+    onProgress = () => {}
+  } = options;
+
+  const res = await fetchFn(url);
+  if (!res.ok) throw new Error(`Failed to download file: ${res.statusText}`);
+
+  const total = Number(res.headers?.get("content-length")) || 0;
+  const hasher = createSha1();
+
+  if (res.body && typeof res.body.getReader === "function") {
+    const reader = res.body.getReader();
+    let loaded = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      hasher.update(value);
+      loaded += value.length;
+      onProgress(loaded, total);
+    }
+  } else {
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    hasher.update(bytes);
+    onProgress(bytes.length, total);
+  }
+
+  return hasher.digest();
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import { createHash } from "node:crypto";
+import { createSha1, sha1Hex, hashUrl } from "./sha1.js";
+
+const nodeSha1 = (bytes) => createHash("sha1").update(bytes).digest("hex");
+
+describe("sha1", () => {
+  describe("sha1Hex", () => {
+    it("hashes the standard test vectors", () => {
+      expect(sha1Hex("")).toBe("da39a3ee5e6b4b0d3255bfef95601890afd80709");
+      expect(sha1Hex("abc")).toBe("a9993e364706816aba3e25717850c26c9cd0d89d");
+      expect(sha1Hex("abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq"))
+        .toBe("84983e441c3bd26ebaae4aa1f95129e5e54670f1");
+    });
+
+    it("hashes a million repetitions of 'a'", () => {
+      expect(sha1Hex("a".repeat(1000000))).toBe("34aa973cd4c4daa4f61eeb2bdbad27316534016f");
+    });
+
+    it("matches Node's implementation around block boundaries", () => {
+      [55, 56, 63, 64, 65, 119, 120, 128].forEach((length) => {
+        const bytes = new Uint8Array(length).map((_, i) => (i * 31 + 7) % 256);
+        expect(sha1Hex(bytes)).toBe(nodeSha1(bytes));
+      });
+    });
+  });
+
+  describe("createSha1", () => {
+    it("gives the same result for chunked and whole input", () => {
+      const bytes = new Uint8Array(1000).map((_, i) => (i * 13) % 256);
+      const hasher = createSha1();
+      [1, 63, 64, 100, 200, 572].reduce((offset, size) => {
+        hasher.update(bytes.subarray(offset, offset + size));
+        return offset + size;
+      }, 0);
+      expect(hasher.digest()).toBe(nodeSha1(bytes));
+    });
+  });
+
+  describe("hashUrl", () => {
+    it("hashes a streamed response and reports progress", async () => {
+      const chunks = [new TextEncoder().encode("ab"), new TextEncoder().encode("c")];
+      const progress = [];
+      const fetchFn = async () => ({
+        ok: true,
+        headers: new Map([["content-length", "3"]]),
+        body: {
+          getReader: () => ({
+            read: async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true })
+          })
+        }
+      });
+
+      const sha1 = await hashUrl("https://example.org/file", {
+        fetchFn,
+        onProgress: (loaded, total) => progress.push([loaded, total])
+      });
+
+      expect(sha1).toBe("a9993e364706816aba3e25717850c26c9cd0d89d");
+      expect(progress).toEqual([[2, 3], [3, 3]]);
+    });
+
+    it("falls back to reading the whole body", async () => {
+      const fetchFn = async () => ({
+        ok: true,
+        headers: new Map(),
+        body: null,
+        arrayBuffer: async () => new TextEncoder().encode("abc").buffer
+      });
+      expect(await hashUrl("https://example.org/file", { fetchFn }))
+        .toBe("a9993e364706816aba3e25717850c26c9cd0d89d");
+    });
+
+    it("throws when the download fails", async () => {
+      const fetchFn = async () => ({ ok: false, statusText: "Not Found" });
+      await expect(hashUrl("https://example.org/file", { fetchFn }))
+        .rejects.toThrow("Failed to download file: Not Found");
+    });
+  });
+});
@@ -0,0 +1,15 @@
+// Web Worker that downloads and hashes files off the main thread,
+// so large record files don't freeze the UI.
+import { hashUrl } from "./sha1.js";
+
+self.onmessage = async (event) => {
+  const { url } = event.data;
+  try {
+    const sha1 = await hashUrl(url, {
+      onProgress: (loaded, total) => self.postMessage({ type: "progress", loaded, total }),
+    });
+    self.postMessage({ type: "done", sha1 });
+  } catch (e) {
+    self.postMessage({ type: "error", message: e.message });
+  }
+};
@@ -0,0 +1,275 @@
+/**
+ * Structured Data on Commons (SDC) statements generated from Zenodo metadata.
+ *
+ * The statements are built once as a `wbeditentity` payload; the
+ * QuickStatements export is derived from that payload so both always agree.
+ */
+
+import { normalizeOrcid, toDisplayName } from "./creators.js";
+import { findLicenseByTemplate } from "./licenses.js";
+
+// Properties used on Commons media files
+export const PROPERTIES = {
+  creator: "P170",
+  authorNameString: "P2093",
+  orcid: "P496",
+  license: "P275",
+  copyrightStatus: "P6216",
+  publicationDate: "P577",
+  title: "P1476",
+  sourceOfFile: "P7482",
+  describedAtUrl: "P973",
+  operator: "P137",
+  zenodoId: "P4901",
+};
+
+const ITEMS = {
+  copyrighted: "Q50423863",
+  dedicatedToPublicDomain: "Q88088423",
+  publicDomain: "Q19652",
+  fileAvailableOnInternet: "Q74228490",
+};
+
+// Copyright status by license kind (see licenses.js)
+const COPYRIGHT_STATUS = {
+  license: ITEMS.copyrighted,
+  dedication: ITEMS.dedicatedToPublicDomain,
+  mark: ITEMS.publicDomain,
+};
+
+// Captions are limited to 250 characters
+const MAX_CAPTION_LENGTH = 250;
+
+function itemValue(id) {
+  return {
+    value: { "entity-type": "item", "numeric-id": Number(id.slice(1)), id },
+    type: "wikibase-entityid",
+  };
+}
+
+function stringValue(value) {
+  return { value, type: "string" };
+}
+
+function valueSnak(property, datavalue) {
+  return { snaktype: "value", property, datavalue };
+}
+
+function statement(mainsnak, qualifierSnaks = []) {
+  const result = { mainsnak, type: "statement", rank: "normal" };
+  if (qualifierSnaks.length > 0) {
+    result.qualifiers = {};
+    result["qualifiers-order"] = [];
+    qualifierSnaks.forEach((snak) => {
+      if (!result.qualifiers[snak.property]) {
+        result.qualifiers[snak.property] = [];
+        result["qualifiers-order"].push(snak.property);
+      }
+      result.qualifiers[snak.property].push(snak);
+    });
+  }
+  return result;
+}
+
+/**
+ * Converts a Zenodo date (YYYY, YYYY-MM or YYYY-MM-DD) to a Wikibase time value.
+ *
+ * @param {string} date - Publication date
+ * @returns {Object|null} - Wikibase time datavalue, or null if the date is not recognized
+ */
+export function toWikibaseTime(date) {
+  const match = (date || "").match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  return {
+    value: {
+      time: `+${year}-${month || "00"}-${day || "00"}T00:00:00Z`,
+      timezone: 0,
+      before: 0,
+      after: 0,
+      // 11 = day, 10 = month, 9 = year
+      precision: day ? 11 : month ? 10 : 9,
+      calendarmodel: "http://www.wikidata.org/entity/Q1985727",
+    },
+    type: "time",
+  };
+}
+
+/**
+ * Builds the creator (P170) statement for one Zenodo creator.
+ *
+ * Creators without a Wikidata item are recorded as "unknown value" with the
+ * name and ORCID as qualifiers, following Commons conventions.
+ *
+ * @param {{name: string, orcid?: string, wikidataId?: string}} creator - Zenodo creator
+ * @returns {Object} - Statement
+ */
+function creatorStatement(creator) {
+  const qualifiers = [];
+  const name = toDisplayName(creator.name);
+  if (name) {
+    qualifiers.push(valueSnak(PROPERTIES.authorNameString, stringValue(name)));
+  }
+  const orcid = normalizeOrcid(creator.orcid);
+  if (orcid) {
+    qualifiers.push(valueSnak(PROPERTIES.orcid, stringValue(orcid)));
+  }
+
+  const mainsnak = creator.wikidataId
+    ? valueSnak(PROPERTIES.creator, itemValue(creator.wikidataId))
+    : { snaktype: "somevalue", property: PROPERTIES.creator };
+
+  return statement(mainsnak, qualifiers);
+}
+
+/**
+ * Builds a `wbeditentity` payload with SDC statements and captions.
+ *
+ * @param {Object} params - Parameters object
+ * @param {string} params.title - Record title
+ * @param {string} params.date - Publication date
+ * @param {Array<Object>} params.creators - Zenodo creators
+ * @param {string} params.commonsLicense - Commons license template
+ * @param {string} params.source - Record URL
+ * @param {string|number} params.recordId - Record ID
+ * @param {Object} [params.instance] - Profile of the instance the record is on
+ *   (see instances.getInstanceProfile); its `sdcOperator` qualifies the source
+ *   and its `sdcIdProperty` holds the record ID. Without them, or without a
+ *   profile, there is no operator qualifier and no ID statement
+ * @param {string} [params.language] - Language code of the title
+ * @param {Object<string, string>} [params.captions] - Captions by language code;
+ *   defaults to the title in `language`
+ * @returns {{labels: Object, claims: Array<Object>}} - Payload for the `data` parameter
+ */
+export function buildSdcPayload(params) {
+  const {
+    title,
+    date,
+    creators = [],
+    commonsLicense,
+    source,
+    recordId,
+    instance = {},
+    language = "en",
+    captions = { [language]: title }
+  } = params;
+
+  const claims = [];
+
+  (creators || []).forEach((creator) => {
+    claims.push(creatorStatement(creator));
+  });
+
+  const license = findLicenseByTemplate(commonsLicense);
+  if (license?.wikidataId) {
+    claims.push(statement(valueSnak(PROPERTIES.license, itemValue(license.wikidataId))));
+  }
+  if (license) {
+    claims.push(statement(valueSnak(PROPERTIES.copyrightStatus, itemValue(COPYRIGHT_STATUS[license.kind]))));
+  }
+
+  const time = toWikibaseTime(date);
+  if (time) {
+    claims.push(statement(valueSnak(PROPERTIES.publicationDate, time)));
+  }
+
+  if (title) {
+    claims.push(statement(valueSnak(PROPERTIES.title, {
+      value: { text: title, language },
+      type: "monolingualtext",
+    })));
+  }
+
+  if (source) {
+    claims.push(statement(
+      valueSnak(PROPERTIES.sourceOfFile, itemValue(ITEMS.fileAvailableOnInternet)),
+      [
+        valueSnak(PROPERTIES.describedAtUrl, stringValue(source)),
+        ...(instance.sdcOperator ? [valueSnak(PROPERTIES.operator, itemValue(instance.sdcOperator))] : []),
+      ]
+    ));
+  }
+
+  if (recordId && instance.sdcIdProperty) {
+    claims.push(statement(valueSnak(instance.sdcIdProperty, stringValue(String(recordId)))));
+  }
+
+  const labels = {};
+  Object.entries(captions || {}).forEach(([lang, text]) => {
+    if (!text) return;
+    labels[lang] = { language: lang, value: text.substring(0, MAX_CAPTION_LENGTH) };
+  });
+
+  return { labels, claims };
+}
+
+/**
+ * Formats a snak value in QuickStatements syntax.
+ *
+ * @param {Object} snak - Snak from a payload
+ * @returns {string} - QuickStatements value
+ */
+function quickStatementsValue(snak) {
+  if (snak.snaktype === "somevalue") return "somevalue";
+  if (snak.snaktype === "novalue") return "novalue";
+
+  const { type, value } = snak.datavalue;
+  // QuickStatements has no escape for double quotes inside strings
+  const quote = (text) => `"${text.replace(/"/g, "'")}"`;
+
+  switch (type) {
+    case "wikibase-entityid":
+      return value.id;
+    case "monolingualtext":
+      return `${value.language}:${quote(value.text)}`;
+    case "time":
+      return `${value.time}/${value.precision}`;
+    default:
+      return quote(String(value));
+  }
+}
+
+/**
+ * Converts a payload into QuickStatements commands for an existing file.
+ *
+ * @param {string} mediaId - MediaInfo ID of the file (e.g. "M12345")
+ * @param {{labels: Object, claims: Array<Object>}} payload - Payload from buildSdcPayload
+ * @returns {string} - Tab-separated QuickStatements commands, one per line
+ */
+export function toQuickStatements(mediaId, payload) {
+  const lines = [];
+
+  Object.values(payload.labels || {}).forEach((label) => {
+    lines.push([mediaId, `L${label.language}`, quickStatementsValue({
+      snaktype: "value",
+      datavalue: { type: "string", value: label.value },
+    })].join("\t"));
+  });
+
+  (payload.claims || []).forEach((claim) => {
+    const parts = [mediaId, claim.mainsnak.property, quickStatementsValue(claim.mainsnak)];
+    (claim["qualifiers-order"] || []).forEach((property) => {
+      claim.qualifiers[property].forEach((snak) => {
+        parts.push(property, quickStatementsValue(snak));
+      });
+    });
+    lines.push(parts.join("\t"));
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Looks up the MediaInfo ID of a Commons file.
+ *
+ * @param {Object} apiClient - Client from createCommonsApiClient
+ * @param {string} title - File title, with or without the "File:" prefix
+ * @returns {Promise<string|null>} - MediaInfo ID, or null if the file does not exist
+ */
+export async function getMediaId(apiClient, title) {
+  const fileTitle = title.startsWith("File:") ? title : `File:${title}`;
+  const data = await apiClient.get({ action: "query", titles: fileTitle, prop: "info" });
+  const page = data.query?.pages?.[0];
+  if (!page || page.missing || !page.pageid) return null;
+  return `M${page.pageid}`;
+}
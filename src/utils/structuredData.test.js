@@ -0,0 +1,216 @@
+import { describe, it, expect } from "vitest";
+import {
+  PROPERTIES,
+  toWikibaseTime,
+  buildSdcPayload,
+  toQuickStatements,
+  getMediaId
+} from "./structuredData.js";
+import { getInstanceProfile } from "./instances.js";
+import { normalizeRecordJson } from "./providers.js";
+import { getUploadDetails } from "./recordMapping.js";
+import figshareArticle from "./fixtures/figshare-article.json";
+
+const baseParams = {
+  title: "NFDI4BIOIMAGE Calendar Cover 2025",
+  date: "2025-01-15",
+  creators: [
+    { name: "Doe, Jane", orcid: "https://orcid.org/0000-0002-1825-0097" },
+    { name: "Roe, Richard" }
+  ],
+  commonsLicense: "cc-by-4.0",
+  source: "https://zenodo.org/records/12345",
+  recordId: 12345,
+  instance: getInstanceProfile("zenodo.org")
+};
+
+const claimsFor = (payload, property) =>
+  payload.claims.filter((claim) => claim.mainsnak.property === property);
+
+describe("structuredData", () => {
+  describe("toWikibaseTime", () => {
+    it("converts full dates with day precision", () => {
+      expect(toWikibaseTime("2025-01-15").value).toMatchObject({
+        time: "+2025-01-15T00:00:00Z",
+        precision: 11
+      });
+    });
+
+    it("uses month and year precision for partial dates", () => {
+      expect(toWikibaseTime("2025-01").value.precision).toBe(10);
+      expect(toWikibaseTime("2025").value).toMatchObject({ time: "+2025-00-00T00:00:00Z", precision: 9 });
+    });
+
+    it("returns null for unrecognized dates", () => {
+      expect(toWikibaseTime("")).toBe(null);
+      expect(toWikibaseTime("January 2025")).toBe(null);
+    });
+  });
+
+  describe("buildSdcPayload", () => {
+    it("adds one creator statement per creator with ORCID qualifiers", () => {
+      const creators = claimsFor(buildSdcPayload(baseParams), PROPERTIES.creator);
+
+      expect(creators).toHaveLength(2);
+      expect(creators[0].mainsnak.snaktype).toBe("somevalue");
+      expect(creators[0]["qualifiers-order"]).toEqual(["P2093", "P496"]);
+      expect(creators[0].qualifiers.P2093[0].datavalue.value).toBe("Jane Doe");
+      expect(creators[0].qualifiers.P496[0].datavalue.value).toBe("0000-0002-1825-0097");
+      expect(creators[1].qualifiers.P496).toBeUndefined();
+    });
+
+    it("uses the Wikidata item when a creator has one", () => {
+      const payload = buildSdcPayload({ ...baseParams, creators: [{ name: "Doe, Jane", wikidataId: "Q42" }] });
+      const [creator] = claimsFor(payload, PROPERTIES.creator);
+      expect(creator.mainsnak.snaktype).toBe("value");
+      expect(creator.mainsnak.datavalue.value.id).toBe("Q42");
+      expect(creator.mainsnak.datavalue.value["numeric-id"]).toBe(42);
+    });
+
+    it("maps licenses to license and copyright status items", () => {
+      const ccBy = buildSdcPayload(baseParams);
+      expect(claimsFor(ccBy, PROPERTIES.license)[0].mainsnak.datavalue.value.id).toBe("Q20007257");
+      expect(claimsFor(ccBy, PROPERTIES.copyrightStatus)[0].mainsnak.datavalue.value.id).toBe("Q50423863");
+
+      const cc0 = buildSdcPayload({ ...baseParams, commonsLicense: "Cc-zero" });
+      expect(claimsFor(cc0, PROPERTIES.license)[0].mainsnak.datavalue.value.id).toBe("Q6938433");
+      expect(claimsFor(cc0, PROPERTIES.copyrightStatus)[0].mainsnak.datavalue.value.id).toBe("Q88088423");
+
+      const ccBySa3 = buildSdcPayload({ ...baseParams, commonsLicense: "cc-by-sa-3.0" });
+      expect(claimsFor(ccBySa3, PROPERTIES.license)[0].mainsnak.datavalue.value.id).toBe("Q14946043");
+    });
+
+    it("adds only the copyright status for licenses without a known item", () => {
+      const ported = buildSdcPayload({ ...baseParams, commonsLicense: "cc-by-3.0-de" });
+      expect(claimsFor(ported, PROPERTIES.license)).toHaveLength(0);
+      expect(claimsFor(ported, PROPERTIES.copyrightStatus)[0].mainsnak.datavalue.value.id).toBe("Q50423863");
+
+      const mark = buildSdcPayload({ ...baseParams, commonsLicense: "PDM-owner" });
+      expect(claimsFor(mark, PROPERTIES.copyrightStatus)[0].mainsnak.datavalue.value.id).toBe("Q19652");
+    });
+
+    it("omits license statements for unknown licenses", () => {
+      const payload = buildSdcPayload({ ...baseParams, commonsLicense: "" });
+      expect(claimsFor(payload, PROPERTIES.license)).toHaveLength(0);
+      expect(claimsFor(payload, PROPERTIES.copyrightStatus)).toHaveLength(0);
+    });
+
+    it("adds date, title, source and Zenodo ID statements", () => {
+      const payload = buildSdcPayload(baseParams);
+
+      expect(claimsFor(payload, PROPERTIES.publicationDate)[0].mainsnak.datavalue.type).toBe("time");
+      expect(claimsFor(payload, PROPERTIES.title)[0].mainsnak.datavalue.value).toEqual({
+        text: "NFDI4BIOIMAGE Calendar Cover 2025",
+        language: "en"
+      });
+
+      const [source] = claimsFor(payload, PROPERTIES.sourceOfFile);
+      expect(source.mainsnak.datavalue.value.id).toBe("Q74228490");
+      expect(source.qualifiers.P973[0].datavalue.value).toBe("https://zenodo.org/records/12345");
+      expect(source.qualifiers.P137[0].datavalue.value.id).toBe("Q22661177");
+
+      expect(claimsFor(payload, PROPERTIES.zenodoId)[0].mainsnak.datavalue).toEqual({
+        value: "12345",
+        type: "string"
+      });
+    });
+
+    it("credits Figshare records to no Zenodo ID or operator", () => {
+      const { record, instance } = normalizeRecordJson(figshareArticle);
+      const details = getUploadDetails(record.files[0], record, { instance });
+      const payload = buildSdcPayload({
+        ...baseParams,
+        source: details.source,
+        recordId: record.id,
+        instance
+      });
+      const [source] = claimsFor(payload, PROPERTIES.sourceOfFile);
+      expect(source.qualifiers.P973[0].datavalue.value).toBe("https://figshare.com/articles/21545829");
+      expect(source["qualifiers-order"]).toEqual([PROPERTIES.describedAtUrl]);
+      expect(claimsFor(payload, PROPERTIES.zenodoId)).toHaveLength(0);
+      expect(toQuickStatements("M1", payload)).not.toMatch(/P4901|Q22661177/);
+    });
+
+    it("leaves out the operator and ID for other InvenioRDM instances", () => {
+      const payload = buildSdcPayload({
+        ...baseParams,
+        source: "https://data.caltech.edu/records/abc12-3de45",
+        recordId: "abc12-3de45",
+        instance: getInstanceProfile("data.caltech.edu")
+      });
+      const [source] = claimsFor(payload, PROPERTIES.sourceOfFile);
+      expect(source.qualifiers.P973[0].datavalue.value).toBe("https://data.caltech.edu/records/abc12-3de45");
+      expect(source.qualifiers.P137).toBeUndefined();
+      expect(claimsFor(payload, PROPERTIES.zenodoId)).toHaveLength(0);
+      expect(buildSdcPayload({ ...baseParams, instance: undefined }).claims.some((claim) =>
+        claim.mainsnak.property === PROPERTIES.zenodoId)).toBe(false);
+    });
+
+    it("uses the title as default caption", () => {
+      expect(buildSdcPayload(baseParams).labels).toEqual({
+        en: { language: "en", value: "NFDI4BIOIMAGE Calendar Cover 2025" }
+      });
+    });
+
+    it("supports multilingual captions and truncates long ones", () => {
+      const payload = buildSdcPayload({
+        ...baseParams,
+        captions: { en: "Calendar cover", de: "Kalenderdeckblatt", fr: "", pt: "x".repeat(300) }
+      });
+      expect(Object.keys(payload.labels)).toEqual(["en", "de", "pt"]);
+      expect(payload.labels.de.value).toBe("Kalenderdeckblatt");
+      expect(payload.labels.pt.value).toHaveLength(250);
+    });
+
+    it("produces JSON accepted as a wbeditentity data parameter", () => {
+      const payload = buildSdcPayload(baseParams);
+      expect(JSON.parse(JSON.stringify(payload))).toEqual(payload);
+      payload.claims.forEach((claim) => {
+        expect(claim.type).toBe("statement");
+        expect(claim.mainsnak.property).toMatch(/^P\d+$/);
+      });
+    });
+  });
+
+  describe("toQuickStatements", () => {
+    it("converts captions and statements to commands", () => {
+      const lines = toQuickStatements("M123", buildSdcPayload(baseParams)).split("\n");
+
+      expect(lines).toEqual([
+        'M123\tLen\t"NFDI4BIOIMAGE Calendar Cover 2025"',
+        'M123\tP170\tsomevalue\tP2093\t"Jane Doe"\tP496\t"0000-0002-1825-0097"',
+        'M123\tP170\tsomevalue\tP2093\t"Richard Roe"',
+        "M123\tP275\tQ20007257",
+        "M123\tP6216\tQ50423863",
+        "M123\tP577\t+2025-01-15T00:00:00Z/11",
+        'M123\tP1476\ten:"NFDI4BIOIMAGE Calendar Cover 2025"',
+        'M123\tP7482\tQ74228490\tP973\t"https://zenodo.org/records/12345"\tP137\tQ22661177',
+        'M123\tP4901\t"12345"'
+      ]);
+    });
+
+    it("replaces double quotes inside strings", () => {
+      const qs = toQuickStatements("M1", buildSdcPayload({ title: 'The "best" figure', captions: {} }));
+      expect(qs).toBe("M1\tP1476\ten:\"The 'best' figure\"");
+    });
+  });
+
+  describe("getMediaId", () => {
+    it("returns the MediaInfo ID from the page ID", async () => {
+      let params;
+      const apiClient = {
+        get: async (p) => {
+          params = p;
+          return { query: { pages: [{ pageid: 98765, ns: 6, title: "File:Test.png" }] } };
+        }
+      };
+      expect(await getMediaId(apiClient, "Test.png")).toBe("M98765");
+      expect(params.titles).toBe("File:Test.png");
+    });
+
+    it("returns null for missing files", async () => {
+      const apiClient = { get: async () => ({ query: { pages: [{ ns: 6, title: "File:X.png", missing: true }] } }) };
+      expect(await getMediaId(apiClient, "File:X.png")).toBe(null);
+    });
+  });
+});
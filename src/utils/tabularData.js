@@ -0,0 +1,220 @@
+/**
+ * Converts CSV files to Commons tabular data pages.
+ *
+ * Commons does not host CSV files, but tables can live in the Data:
+ * namespace as `.tab` pages holding JSON with a typed schema
+ * (https://www.mediawiki.org/wiki/Help:Tabular_data).
+ */
+
+import { buildFilename } from "./filenames.js";
+import { INSTANCE_PROFILES, expandPattern } from "./instances.js";
+
+// Licenses Data: pages accept, by license ID (see licenses.resolveLicense)
+const TABULAR_LICENSES = {
+  "cc0-1.0": "CC0-1.0",
+  "cc-by-1.0": "CC-BY-1.0",
+  "cc-by-2.0": "CC-BY-2.0",
+  "cc-by-2.5": "CC-BY-2.5",
+  "cc-by-3.0": "CC-BY-3.0",
+  "cc-by-4.0": "CC-BY-4.0",
+  "cc-by-sa-1.0": "CC-BY-SA-1.0",
+  "cc-by-sa-2.0": "CC-BY-SA-2.0",
+  "cc-by-sa-2.5": "CC-BY-SA-2.5",
+  "cc-by-sa-3.0": "CC-BY-SA-3.0",
+  "cc-by-sa-4.0": "CC-BY-SA-4.0",
+};
+
+// Data: pages must stay below the 2 MB page size limit
+export const MAX_TABULAR_BYTES = 2 * 1024 * 1024;
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Parses CSV text (RFC 4180 quoting). The delimiter is detected from the
+ * first line when not given: comma, semicolon or tab.
+ *
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Field delimiter
+ * @returns {string[][]} - Rows of fields; empty lines are skipped
+ */
+export function parseCsv(text, delimiter) {
+  const source = text.replace(/^\uFEFF/, "");
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const separator = delimiter || [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Turns a column header into a field name Data: pages accept
+ * (letters, digits and underscores, not starting with a digit).
+ *
+ * @param {string} header - Column header
+ * @param {number} index - Column index, for empty headers
+ * @returns {string} - Field name
+ */
+function toFieldName(header, index) {
+  const name = header
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9_]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  if (!name) return `column_${index + 1}`;
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Guesses the type of a column from its values.
+ *
+ * @param {string[]} values - Non-empty values of the column
+ * @returns {string} - "number", "boolean" or "string"
+ */
+function detectType(values) {
+  if (values.length === 0) return "string";
+  if (values.every((value) => NUMBER.test(value))) return "number";
+  if (values.every((value) => /^(true|false)$/i.test(value))) return "boolean";
+  return "string";
+}
+
+/**
+ * Returns the Data: page license for a record license.
+ *
+ * @param {string} licenseId - License ID from resolveLicense
+ * @returns {string|null} - Tabular data license code, or null if Data: pages do not accept it
+ */
+export function getTabularLicense(licenseId) {
+  return TABULAR_LICENSES[(licenseId || "").toLowerCase()] || null;
+}
+
+/**
+ * Builds the title of the Data: page for a record file.
+ *
+ * @param {string} key - CSV file name within the record
+ * @param {string} title - Record title
+ * @returns {string} - Page title, e.g. "Data:Study - measurements.tab"
+ */
+export function buildDataPageTitle(key, title) {
+  const stem = key.replace(/\.[^.]+$/, "");
+  return `Data:${buildFilename(`${stem}.tab`, title, { useFilenameInTitle: true })}`;
+}
+
+/**
+ * Converts parsed CSV rows to the JSON of a Data: page.
+ *
+ * The first row holds the headers. Columns where every value is a number
+ * or a boolean get that type; empty cells become null.
+ *
+ * @param {string[][]} rows - Rows from parseCsv
+ * @param {Object} params - Page metadata
+ * @param {string} params.license - Tabular data license code (see getTabularLicense)
+ * @param {string} params.description - English description
+ * @param {string} params.sources - Wikitext naming the source of the data
+ * @returns {Object} - Data page content
+ * @throws {Error} - If there are no rows
+ */
+export function buildTabularData(rows, params) {
+  const { license, description, sources } = params;
+  if (rows.length === 0) throw new Error("The table is empty.");
+
+  const [headers, ...body] = rows;
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const columns = Array.from({ length: width }, (_, i) => body.map((row) => (row[i] ?? "").trim()));
+
+  const names = [];
+  const fields = columns.map((values, i) => {
+    let name = toFieldName(headers[i] || "", i);
+    while (names.includes(name)) name = `${name}_${i + 1}`;
+    names.push(name);
+    return {
+      name,
+      type: detectType(values.filter((value) => value !== "")),
+      title: { en: (headers[i] || "").trim() || name },
+    };
+  });
+
+  const data = body.map((row) =>
+    fields.map((field, i) => {
+      const value = (row[i] ?? "").trim();
+      if (value === "") return null;
+      if (field.type === "number") return Number(value);
+      if (field.type === "boolean") return value.toLowerCase() === "true";
+      return value;
+    })
+  );
+
+  return {
+    license,
+    description: { en: description },
+    sources,
+    schema: { fields },
+    data,
+  };
+}
+
+/**
+ * Converts a CSV file of a record to a Data: page.
+ *
+ * @param {string} text - CSV text
+ * @param {Object} file - Record file (`key`)
+ * @param {Object} record - Zenodo record
+ * @param {string} licenseId - Record license ID from getRecordLicense
+ * @param {Object} [instance] - Profile of the instance the record is on (see instances.getInstanceProfile)
+ * @returns {{title: string, content: string}} - Page title and JSON text
+ * @throws {Error} - If the license is not accepted or the page would be too large
+ */
+export function convertCsvToDataPage(text, file, record, licenseId, instance = INSTANCE_PROFILES["zenodo.org"]) {
+  const license = getTabularLicense(licenseId);
+  if (!license) {
+    throw new Error("Data: pages only accept CC0 and unported CC BY or CC BY-SA licenses.");
+  }
+
+  const page = buildTabularData(parseCsv(text, file.key.toLowerCase().endsWith(".tsv") ? "\t" : undefined), {
+    license,
+    description: record.metadata.title,
+    sources: `${file.key} from [${expandPattern(instance.recordUrl, { id: record.id })} ${instance.name} record ${record.id}]`,
+  });
+  const content = JSON.stringify(page, null, "\t");
+  if (new TextEncoder().encode(content).length > MAX_TABULAR_BYTES) {
+    throw new Error("The table is too large for a Data: page (2 MB).");
+  }
+
+  return { title: buildDataPageTitle(file.key, record.metadata.title), content };
+}
@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseCsv,
+  getTabularLicense,
+  buildDataPageTitle,
+  buildTabularData,
+  convertCsvToDataPage
+} from "./tabularData.js";
+import { getInstanceProfile } from "./instances.js";
+
+const record = { id: 12345, metadata: { title: "Cell counts" } };
+
+describe("tabularData", () => {
+  describe("parseCsv", () => {
+    it("parses quoted fields and line endings", () => {
+      expect(parseCsv('name,note\r\n"Doe, Jane","said ""hi""\nthen left"\n\nRoe,\n')).toEqual([
+        ["name", "note"],
+        ["Doe, Jane", 'said "hi"\nthen left'],
+        ["Roe", ""]
+      ]);
+    });
+
+    it("detects semicolons and tabs", () => {
+      expect(parseCsv("a;b\n1,5;2")).toEqual([["a", "b"], ["1,5", "2"]]);
+      expect(parseCsv("a\tb\n1\t2")).toEqual([["a", "b"], ["1", "2"]]);
+    });
+
+    it("removes a byte order mark", () => {
+      expect(parseCsv("\uFEFFa,b")[0][0]).toBe("a");
+    });
+  });
+
+  describe("getTabularLicense", () => {
+    it("maps licenses Data: pages accept", () => {
+      expect(getTabularLicense("cc-by-4.0")).toBe("CC-BY-4.0");
+      expect(getTabularLicense("cc0-1.0")).toBe("CC0-1.0");
+      expect(getTabularLicense("cc-by-3.0-de")).toBe(null);
+      expect(getTabularLicense("mit")).toBe(null);
+    });
+  });
+
+  describe("buildDataPageTitle", () => {
+    it("names the page after the record and the file", () => {
+      expect(buildDataPageTitle("counts_2024.csv", "Cell counts")).toBe("Data:Cell counts - counts 2024.tab");
+    });
+  });
+
+  describe("buildTabularData", () => {
+    it("builds a typed schema", () => {
+      const rows = [
+        ["Cell type", "Count", "Fixed", "2nd count", ""],
+        ["HeLa", "12", "true", "1e3", "x"],
+        ["U2OS", "", "FALSE", "-4.5", ""]
+      ];
+      const page = buildTabularData(rows, { license: "CC0-1.0", description: "Counts", sources: "Zenodo" });
+      expect(page.license).toBe("CC0-1.0");
+      expect(page.description).toEqual({ en: "Counts" });
+      expect(page.schema.fields).toEqual([
+        { name: "Cell_type", type: "string", title: { en: "Cell type" } },
+        { name: "Count", type: "number", title: { en: "Count" } },
+        { name: "Fixed", type: "boolean", title: { en: "Fixed" } },
+        { name: "_2nd_count", type: "number", title: { en: "2nd count" } },
+        { name: "column_5", type: "string", title: { en: "column_5" } }
+      ]);
+      expect(page.data).toEqual([
+        ["HeLa", 12, true, 1000, "x"],
+        ["U2OS", null, false, -4.5, null]
+      ]);
+    });
+
+    it("keeps field names unique", () => {
+      const page = buildTabularData([["a b", "a-b"], ["1", "2"]], { license: "CC0-1.0", description: "", sources: "" });
+      expect(page.schema.fields.map((field) => field.name)).toEqual(["a_b", "a_b_2"]);
+    });
+
+    it("rejects empty tables", () => {
+      expect(() => buildTabularData([], { license: "CC0-1.0" })).toThrow("The table is empty.");
+    });
+  });
+
+  describe("convertCsvToDataPage", () => {
+    it("converts a record file", () => {
+      const page = convertCsvToDataPage("type,count\nHeLa,12", { key: "counts.csv" }, record, "cc-by-4.0");
+      expect(page.title).toBe("Data:Cell counts - counts.tab");
+      const content = JSON.parse(page.content);
+      expect(content.license).toBe("CC-BY-4.0");
+      expect(content.sources).toBe("counts.csv from [https://zenodo.org/records/12345 Zenodo record 12345]");
+      expect(content.data).toEqual([["HeLa", 12]]);
+    });
+
+    it("credits the record's instance", () => {
+      const page = convertCsvToDataPage("a\n1", { key: "a.csv" }, record, "cc0-1.0", getInstanceProfile("data.caltech.edu"));
+      expect(JSON.parse(page.content).sources).toBe("a.csv from [https://data.caltech.edu/records/12345 CaltechDATA record 12345]");
+    });
+
+    it("rejects licenses Data: pages do not accept", () => {
+      expect(() => convertCsvToDataPage("a\n1", { key: "a.csv" }, record, "cc-by-3.0-de")).toThrow("only accept");
+    });
+
+    it("rejects tables above the page size limit", () => {
+      const csv = `value\n${"abcdefghij\n".repeat(200000)}`;
+      expect(() => convertCsvToDataPage(csv, { key: "a.csv" }, record, "cc0-1.0")).toThrow("too large");
+    });
+  });
+});
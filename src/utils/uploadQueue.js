@@ -0,0 +1,244 @@
+/**
+ * Batch upload queue with pause/resume, limited concurrency and rate limiting.
+ *
+ * The queue does not know how to upload anything itself; it calls the
+ * provided `uploadFn` for each item and interprets the result, which uses
+ * the same shape as `uploadFromUrl` in commonsApi.js.
+ */
+
+export const DEFAULT_CONCURRENCY = 2;
+
+// Default minimum delay between the start of two uploads (milliseconds)
+export const DEFAULT_RATE_LIMIT_MS = 1000;
+
+/**
+ * Maps an upload result to a queue item status.
+ *
+ * @param {{result: string}} result - Result returned by the upload function
+ * @returns {string} - "done", "warning" or "failed"
+ */
+function statusFromResult(result) {
+  if (result.result === "Success") return "done";
+  if (result.result === "Warning") return "warning";
+  return "failed";
+}
+
+/**
+ * Creates an upload queue.
+ *
+ * Items move through the statuses pending → uploading → done | warning | failed.
+ * Pausing lets in-flight uploads finish but starts no new ones.
+ *
+ * @param {Object} options - Queue options
+ * @param {Function} options.uploadFn - Async function receiving an item and returning
+ *   `{result, filename, warnings}`
+ * @param {number} [options.concurrency] - Maximum number of simultaneous uploads
+ * @param {number} [options.rateLimitMs] - Minimum delay between upload starts
+ * @param {Function} [options.onChange] - Called with a snapshot of all items after every change
+ * @param {Function} [options.wait] - Delay implementation (for testing)
+ * @returns {Object} - Queue with `add`, `start`, `pause`, `retry`, `retryFailed`,
+ *   `setConcurrency`, `setRateLimit`, `getItems`, `isPaused` and `whenIdle`
+ */
+export function createUploadQueue(options) {
+  const {
+    uploadFn,
+    onChange = () => {},
+    wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+  } = options;
+
+  let concurrency = Math.max(1, options.concurrency ?? DEFAULT_CONCURRENCY);
+  let rateLimitMs = Math.max(0, options.rateLimitMs ?? DEFAULT_RATE_LIMIT_MS);
+  let items = [];
+  let paused = true;
+  let running = 0;
+  let nextStartAt = 0;
+  let idleResolvers = [];
+
+  function getItems() {
+    return items.map((item) => ({ ...item }));
+  }
+
+  function notify() {
+    onChange(getItems());
+  }
+
+  function update(key, changes) {
+    items = items.map((item) => (item.key === key ? { ...item, ...changes } : item));
+    notify();
+  }
+
+  function isIdle() {
+    return running === 0 && (paused || !items.some((item) => item.status === "pending"));
+  }
+
+  function settleIdle() {
+    if (!isIdle()) return;
+    const resolvers = idleResolvers;
+    idleResolvers = [];
+    resolvers.forEach((resolve) => resolve());
+  }
+
+  async function run(item) {
+    running++;
+    update(item.key, { status: "uploading", attempts: item.attempts + 1 });
+
+    // Space out upload starts to respect the rate limit
+    const now = Date.now();
+    const delay = Math.max(0, nextStartAt - now);
+    const spacing = rateLimitMs;
+    nextStartAt = Math.max(now, nextStartAt) + spacing;
+    if (delay > 0) await wait(delay);
+
+    if (paused) {
+      // Paused while waiting for a slot: give the item and its slot back, so
+      // that the next upload after resuming does not wait for it
+      nextStartAt -= spacing;
+      running--;
+      update(item.key, { status: "pending", attempts: item.attempts });
+      settleIdle();
+      return;
+    }
+
+    try {
+      const result = (await uploadFn(item)) || {};
+      const status = statusFromResult(result);
+      update(item.key, {
+        status,
+        title: result.filename ? `File:${result.filename}` : null,
+        warnings: result.warnings || [],
+        message: status === "failed" ? `Upload result: ${result.result || "unknown"}` : null,
+      });
+    } catch (e) {
+      update(item.key, {
+        status: "failed",
+        message: e.code ? `${e.message} (${e.code})` : e.message,
+      });
+    }
+
+    running--;
+    pump();
+  }
+
+  function pump() {
+    while (!paused && running < concurrency) {
+      const next = items.find((item) => item.status === "pending");
+      if (!next) break;
+      run(next);
+    }
+    settleIdle();
+  }
+
+  /**
+   * Adds items to the queue. Items whose key is already queued are ignored.
+   *
+   * @param {Array<{key: string}>} newItems - Items to add; extra fields are passed to `uploadFn`
+   */
+  function add(newItems) {
+    const existing = new Set(items.map((item) => item.key));
+    const added = newItems
+      .filter((item) => !existing.has(item.key))
+      .map((item) => ({
+        ...item,
+        status: "pending",
+        title: null,
+        message: null,
+        warnings: [],
+        attempts: 0,
+      }));
+    items = [...items, ...added];
+    notify();
+    pump();
+  }
+
+  function start() {
+    paused = false;
+    pump();
+  }
+
+  function pause() {
+    paused = true;
+    notify();
+    settleIdle();
+  }
+
+  /**
+   * Puts a failed item, or one that got warnings, back in the queue. Other
+   * items are left alone, so that an item is never uploaded twice at once.
+   *
+   * @param {string} key - Item key
+   * @param {Object} [changes] - Fields to change before retrying (e.g. `ignoreWarnings`)
+   */
+  function retry(key, changes = {}) {
+    const item = items.find((other) => other.key === key);
+    if (!item || (item.status !== "failed" && item.status !== "warning")) return;
+    update(key, { ...changes, status: "pending", message: null, warnings: [] });
+    pump();
+  }
+
+  function retryFailed() {
+    items = items.map((item) =>
+      item.status === "failed" ? { ...item, status: "pending", message: null } : item
+    );
+    notify();
+    pump();
+  }
+
+  return {
+    add,
+    start,
+    pause,
+    resume: start,
+    retry,
+    retryFailed,
+    setConcurrency: (value) => {
+      concurrency = Math.max(1, value);
+      pump();
+    },
+    setRateLimit: (value) => {
+      rateLimitMs = Math.max(0, value);
+    },
+    getItems,
+    isPaused: () => paused,
+    whenIdle: () => new Promise((resolve) => {
+      idleResolvers.push(resolve);
+      settleIdle();
+    }),
+  };
+}
+
+/**
+ * Builds a JSON-serializable report of a batch upload session.
+ *
+ * Items may come from several records; each file entry carries the
+ * `recordId` of its queue item.
+ *
+ * @param {Object} params - Parameters object
+ * @param {Array<Object>} params.items - Queue items from `getItems`
+ * @param {string} [params.startedAt] - ISO timestamp of the session start
+ * @param {string} [params.finishedAt] - ISO timestamp of the session end
+ * @returns {Object} - Session report with a summary and one entry per file
+ */
+export function buildSessionReport(params) {
+  const { items, startedAt = null, finishedAt = new Date().toISOString() } = params;
+
+  const summary = { total: items.length, done: 0, warning: 0, failed: 0, pending: 0, uploading: 0 };
+  items.forEach((item) => {
+    summary[item.status] = (summary[item.status] || 0) + 1;
+  });
+
+  return {
+    startedAt,
+    finishedAt,
+    summary,
+    files: items.map((item) => ({
+      recordId: item.recordId ? String(item.recordId) : null,
+      key: item.key,
+      destFile: item.filename || null,
+      status: item.status,
+      commonsTitle: item.title || null,
+      attempts: item.attempts,
+      message: item.message || null,
+      warnings: (item.warnings || []).map((warning) => warning.code),
+    })),
+  };
+}
@@ -0,0 +1,259 @@
+import { describe, it, expect } from "vitest";
+import { createUploadQueue, buildSessionReport } from "./uploadQueue.js";
+
+const files = ["a.png", "b.png", "c.png", "d.png"].map((key) => ({
+  key,
+  filename: `Record - ${key}`
+}));
+
+// Upload function that succeeds and tracks how many uploads run at once
+function createTrackingUpload(results = {}) {
+  const stats = { active: 0, maxActive: 0, calls: [] };
+  const uploadFn = async (item) => {
+    stats.calls.push(item.key);
+    stats.active++;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    stats.active--;
+    const result = results[item.key];
+    if (result instanceof Error) throw result;
+    return result || { result: "Success", filename: item.filename.replace(/ /g, "_"), warnings: [] };
+  };
+  return { uploadFn, stats };
+}
+
+describe("uploadQueue", () => {
+  describe("createUploadQueue", () => {
+    it("starts paused and uploads everything once started", async () => {
+      const { uploadFn, stats } = createTrackingUpload();
+      const queue = createUploadQueue({ uploadFn, rateLimitMs: 0 });
+
+      queue.add(files);
+      expect(queue.isPaused()).toBe(true);
+      expect(queue.getItems().every((item) => item.status === "pending")).toBe(true);
+
+      queue.start();
+      await queue.whenIdle();
+
+      const items = queue.getItems();
+      expect(stats.calls).toEqual(["a.png", "b.png", "c.png", "d.png"]);
+      expect(items.every((item) => item.status === "done")).toBe(true);
+      expect(items[0].title).toBe("File:Record_-_a.png");
+      expect(items[0].attempts).toBe(1);
+    });
+
+    it("respects the concurrency limit", async () => {
+      const { uploadFn, stats } = createTrackingUpload();
+      const queue = createUploadQueue({ uploadFn, concurrency: 2, rateLimitMs: 0 });
+
+      queue.add(files);
+      queue.start();
+      await queue.whenIdle();
+
+      expect(stats.maxActive).toBe(2);
+    });
+
+    it("spaces upload starts according to the rate limit", async () => {
+      const { uploadFn } = createTrackingUpload();
+      const delays = [];
+      const queue = createUploadQueue({
+        uploadFn,
+        concurrency: 4,
+        rateLimitMs: 1000,
+        wait: async (ms) => delays.push(ms)
+      });
+
+      queue.add(files);
+      queue.start();
+      await queue.whenIdle();
+
+      expect(delays).toHaveLength(3);
+      expect(delays[0]).toBeGreaterThan(900);
+      expect(delays[2]).toBeGreaterThan(2900);
+    });
+
+    it("records warnings and failures", async () => {
+      const apiError = new Error("Upload by URL is not allowed");
+      apiError.code = "copyuploaddisabled";
+      const { uploadFn } = createTrackingUpload({
+        "b.png": { result: "Warning", warnings: [{ code: "duplicate", message: "Duplicate", detail: "X.png" }] },
+        "c.png": apiError
+      });
+      const queue = createUploadQueue({ uploadFn, rateLimitMs: 0 });
+
+      queue.add(files.slice(0, 3));
+      queue.start();
+      await queue.whenIdle();
+
+      const [a, b, c] = queue.getItems();
+      expect(a.status).toBe("done");
+      expect(b.status).toBe("warning");
+      expect(b.warnings[0].code).toBe("duplicate");
+      expect(c.status).toBe("failed");
+      expect(c.message).toBe("Upload by URL is not allowed (copyuploaddisabled)");
+    });
+
+    it("stops starting new uploads when paused and continues on resume", async () => {
+      let queue;
+      const calls = [];
+      const uploadFn = async (item) => {
+        calls.push(item.key);
+        if (item.key === "a.png") queue.pause();
+        return { result: "Success", filename: item.key };
+      };
+      queue = createUploadQueue({ uploadFn, concurrency: 1, rateLimitMs: 0 });
+
+      queue.add(files);
+      queue.start();
+      await queue.whenIdle();
+
+      expect(calls).toEqual(["a.png"]);
+      expect(queue.getItems().filter((item) => item.status === "pending")).toHaveLength(3);
+
+      queue.resume();
+      await queue.whenIdle();
+
+      expect(calls).toEqual(["a.png", "b.png", "c.png", "d.png"]);
+    });
+
+    it("gives the slots of items paused while waiting back", async () => {
+      let queue;
+      let pauseNext = true;
+      const delays = [];
+      const wait = async (ms) => {
+        delays.push(ms);
+        if (pauseNext) {
+          pauseNext = false;
+          queue.pause();
+        }
+      };
+      queue = createUploadQueue({ uploadFn: createTrackingUpload().uploadFn, concurrency: 4, rateLimitMs: 1000, wait });
+
+      queue.add(files);
+      queue.start();
+      await queue.whenIdle();
+      expect(queue.getItems().map((item) => item.status)).toEqual(["done", "pending", "pending", "pending"]);
+
+      delays.length = 0;
+      queue.resume();
+      await queue.whenIdle();
+      expect(delays).toHaveLength(3);
+      expect(delays[0]).toBeLessThanOrEqual(1000);
+      expect(delays[2]).toBeLessThanOrEqual(3000);
+    });
+
+    it("retries failed items", async () => {
+      let attempt = 0;
+      const uploadFn = async (item) => {
+        attempt++;
+        if (attempt === 1) throw new Error("Network error");
+        return { result: "Success", filename: item.key };
+      };
+      const queue = createUploadQueue({ uploadFn, rateLimitMs: 0 });
+
+      queue.add(files.slice(0, 1));
+      queue.start();
+      await queue.whenIdle();
+      expect(queue.getItems()[0].status).toBe("failed");
+
+      queue.retryFailed();
+      await queue.whenIdle();
+
+      const [item] = queue.getItems();
+      expect(item.status).toBe("done");
+      expect(item.attempts).toBe(2);
+      expect(item.message).toBe(null);
+    });
+
+    it("retries a single item with changed options", async () => {
+      const seen = [];
+      const uploadFn = async (item) => {
+        seen.push(item.ignoreWarnings);
+        return item.ignoreWarnings
+          ? { result: "Success", filename: item.key }
+          : { result: "Warning", warnings: [{ code: "exists" }] };
+      };
+      const queue = createUploadQueue({ uploadFn, rateLimitMs: 0 });
+
+      queue.add(files.slice(0, 1));
+      queue.start();
+      await queue.whenIdle();
+      queue.retry("a.png", { ignoreWarnings: true });
+      await queue.whenIdle();
+
+      expect(seen).toEqual([undefined, true]);
+      expect(queue.getItems()[0].status).toBe("done");
+    });
+
+    it("does not retry items that are pending, uploading or done", async () => {
+      const { uploadFn, stats } = createTrackingUpload();
+      const queue = createUploadQueue({ uploadFn, rateLimitMs: 0 });
+
+      queue.add(files.slice(0, 2));
+      queue.retry("b.png");
+      queue.start();
+      expect(queue.getItems()[0].status).toBe("uploading");
+      queue.retry("a.png");
+      queue.retry("a.png");
+      await queue.whenIdle();
+      queue.retry("a.png");
+      await queue.whenIdle();
+
+      expect(stats.calls).toEqual(["a.png", "b.png"]);
+      expect(stats.maxActive).toBe(2);
+      expect(queue.getItems().map((item) => item.attempts)).toEqual([1, 1]);
+    });
+
+    it("ignores items that are already queued", () => {
+      const queue = createUploadQueue({ uploadFn: async () => ({}) });
+      queue.add(files.slice(0, 2));
+      queue.add(files.slice(1, 3));
+      expect(queue.getItems().map((item) => item.key)).toEqual(["a.png", "b.png", "c.png"]);
+    });
+
+    it("notifies listeners with item snapshots", async () => {
+      const snapshots = [];
+      const queue = createUploadQueue({
+        uploadFn: async (item) => ({ result: "Success", filename: item.key }),
+        rateLimitMs: 0,
+        onChange: (items) => snapshots.push(items.map((item) => item.status))
+      });
+
+      queue.add(files.slice(0, 1));
+      queue.start();
+      await queue.whenIdle();
+
+      expect(snapshots).toEqual([["pending"], ["uploading"], ["done"]]);
+    });
+  });
+
+  describe("buildSessionReport", () => {
+    it("lists every file with its record and final Commons title", () => {
+      const report = buildSessionReport({
+        startedAt: "2025-01-15T10:00:00.000Z",
+        finishedAt: "2025-01-15T10:05:00.000Z",
+        items: [
+          { key: "12345/a.png", recordId: 12345, filename: "Record - a.png", status: "done", title: "File:Record_-_a.png", attempts: 1, warnings: [] },
+          { key: "12345/b.png", recordId: 12345, filename: "Record - b.png", status: "warning", title: null, attempts: 1, warnings: [{ code: "duplicate" }] },
+          { key: "678/c.png", recordId: "678", filename: "Record - c.png", status: "failed", title: null, attempts: 2, message: "Timeout", warnings: [] }
+        ]
+      });
+
+      expect(report.summary).toEqual({ total: 3, done: 1, warning: 1, failed: 1, pending: 0, uploading: 0 });
+      expect(report.files[0]).toEqual({
+        recordId: "12345",
+        key: "12345/a.png",
+        destFile: "Record - a.png",
+        status: "done",
+        commonsTitle: "File:Record_-_a.png",
+        attempts: 1,
+        message: null,
+        warnings: []
+      });
+      expect(report.files[1].warnings).toEqual(["duplicate"]);
+      expect(report.files[2].recordId).toBe("678");
+      expect(report.files[2].message).toBe("Timeout");
+      expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+    });
+  });
+});
@@ -6,6 +6,12 @@
  * to ensure compatibility across different servers and proxies.
  */
 
+import { DEFAULT_CATEGORIES, formatCategories } from "./categories.js";
+import { buildLanguageBlock } from "./languages.js";
+import { DEFAULT_SECTION_STYLE, buildSectionsText, getDropOrder } from "./descriptionSections.js";
+import { escapeWikitext, findSafeCut } from "./wikitext.js";
+import { DEFAULT_FILE_TEMPLATE, buildFileTemplate } from "./fileTemplates.js";
+
 // Conservative URL length limit (4KB instead of typical 8KB server limit)
 const MAX_URL_LENGTH = 4000;
 
@@ -18,6 +24,12 @@ const TABLE_SPACE_RATIO = 0.4;
 // Safety margin to account for URL encoding overhead and other factors
 const URL_ENCODING_MARGIN = 100;
 
+// Start of a wikitext table
+const TABLE_START = /^\{\|/m;
+
+// Added after the description when translations had to be left out
+const TRANSLATIONS_OMITTED_NOTE = "(Descriptions in other languages omitted. See full description at source.)";
+
 /**
  * Checks if a URL exceeds the maximum allowed length.
  * 
@@ -44,10 +56,19 @@ export function truncateTables(tables, maxLength) {
   // Split by row separator and table end
   const lines = tables.split('\n');
   
+  // Nesting depth before each line: 0 between tables, 1 in a table, more in
+  // tables nested in cells
+  const depths = [];
+  lines.reduce((depth, line) => {
+    depths.push(depth);
+    if (line.startsWith('{|')) return depth + 1;
+    return line.startsWith('|}') ? Math.max(depth - 1, 0) : depth;
+  }, 0);
+
   // Find all table start positions
   const tableStarts = [];
   lines.forEach((line, i) => {
-    if (line.includes('{| class="wikitable"')) {
+    if (depths[i] === 0 && line.startsWith('{|')) {
       tableStarts.push(i);
     }
   });
@@ -69,10 +90,13 @@ export function truncateTables(tables, maxLength) {
   const truncationNote = '\n|}\n\n(Table truncated due to length constraints. See full metadata at source.)';
   
   for (let i = lines.length - 2; i >= 0; i--) { // -2 to skip the closing |}
-    if (lines[i] === '|-' || lines[i].startsWith('|') || lines[i].startsWith('!')) {
+    // Rows and cells of an outer table, so that nested tables are not cut open
+    const isRowLine = (lines[i].startsWith('|') && !/^\|[}+]/.test(lines[i])) || lines[i].startsWith('!');
+    // Cutting at a row's first cell would leave an empty row behind
+    if (depths[i] === 1 && isRowLine && lines[i - 1] !== '|-') {
       const truncated = lines.slice(0, i).join('\n') + truncationNote;
       // Verify we have a valid table opening
-      if (truncated.includes('{| class="wikitable"') && truncated.length <= maxLength) {
+      if (TABLE_START.test(truncated) && truncated.length <= maxLength) {
         return truncated;
       }
     }
@@ -80,7 +104,7 @@ export function truncateTables(tables, maxLength) {
   
   // If we can at least keep the table header
   const minTable = lines.slice(0, 2).join('\n') + truncationNote;
-  if (minTable.includes('{| class="wikitable"') && minTable.length <= maxLength) {
+  if (TABLE_START.test(minTable) && minTable.length <= maxLength) {
     return minTable;
   }
   
@@ -90,7 +114,9 @@ export function truncateTables(tables, maxLength) {
 
 /**
  * Truncates description text to fit within length constraints.
- * Tries to break at sentence or paragraph boundaries when possible.
+ * Tries to break at sentence or paragraph boundaries when possible, and
+ * never inside a template, link, table, tag, bold or italic text (see
+ * wikitext.findSafeCut).
  * 
  * Note: Sentence detection uses a simple regex that may not handle
  * abbreviations (like "Dr.", "etc.") correctly. This is acceptable
@@ -106,17 +132,22 @@ export function truncateDescription(description, maxLength) {
   }
   
   const truncationNote = '\n\n(Description truncated. See full description at source.)';
+  const isComplete = (text) => findSafeCut(text, text.length) === text.length;
   
   // Try to break at paragraph boundary
   const paragraphs = description.split('\n\n');
   let truncated = '';
+  let candidate = '';
   
   for (const para of paragraphs) {
-    const nextTruncated = truncated ? truncated + '\n\n' + para : para;
-    if (nextTruncated.length + truncationNote.length > maxLength) {
+    candidate = candidate ? candidate + '\n\n' + para : para;
+    if (candidate.length + truncationNote.length > maxLength) {
       break;
     }
-    truncated = nextTruncated;
+    // A template or table may span paragraphs
+    if (isComplete(candidate)) {
+      truncated = candidate;
+    }
   }
   
   if (truncated) {
@@ -127,13 +158,17 @@ export function truncateDescription(description, maxLength) {
   // Note: This regex doesn't handle abbreviations well, but is acceptable for truncation
   const sentences = description.match(/[^.!?]+[.!?]+/g) || [description];
   truncated = '';
+  candidate = '';
   const ellipsisNote = '... (Description truncated. See full description at source.)';
   
   for (const sentence of sentences) {
-    if ((truncated + sentence).length + ellipsisNote.length > maxLength) {
+    if ((candidate + sentence).length + ellipsisNote.length > maxLength) {
       break;
     }
-    truncated += sentence;
+    candidate += sentence;
+    if (isComplete(candidate)) {
+      truncated = candidate;
+    }
   }
   
   if (truncated) {
@@ -143,12 +178,71 @@ export function truncateDescription(description, maxLength) {
   // Last resort: hard truncate
   const hardTruncateLength = maxLength - ellipsisNote.length;
   if (hardTruncateLength > 0) {
-    return description.substring(0, hardTruncateLength) + ellipsisNote;
+    return description.substring(0, findSafeCut(description, hardTruncateLength)) + ellipsisNote;
   }
   
   return ellipsisNote;
 }
 
+/**
+ * Builds the `|description=` text: the title, description and sections, and
+ * with a language, one language template per language.
+ *
+ * @param {Object} parts - Parts of the description
+ * @param {string} parts.title - Record title, as plain text; "" when the template has a title field
+ * @param {string} parts.description - Description wikitext
+ * @param {string} parts.language - Language code of the title and description, "" for plain text
+ * @param {Array<{language: string, title: string, description: string}>} parts.translations - Titles
+ *   (plain text) and descriptions (wikitext) in other languages (see languages.getTranslations)
+ * @param {Array<Object>} parts.sections - Sections in the main language (see
+ *   descriptionSections.getDescriptionSections)
+ * @param {string} parts.sectionStyle - How sections are written, "" to leave them out
+ * @param {string[]} [parts.omittedSections] - Labels of sections left out for length
+ * @returns {string} - Wikitext
+ */
+function buildDescriptionText(parts) {
+  const { language, translations, sections, sectionStyle, omittedSections = [] } = parts;
+  const title = escapeWikitext(parts.title, { equals: true });
+  const omitted = omittedSections.length > 0
+    ? `\n\n(${omittedSections.join(", ")} omitted. See full description at source.)`
+    : "";
+  const description = `${parts.description}${buildSectionsText(sections, sectionStyle)}${omitted}`;
+  if (!language) return title ? `${title}:\n${description}` : description;
+  return [
+    buildLanguageBlock(language, title, description),
+    ...translations.map((translation) =>
+      buildLanguageBlock(translation.language, escapeWikitext(translation.title, { equals: true }), translation.description)
+    ),
+  ].join("\n");
+}
+
+/**
+ * Builds the related works and citation paragraphs that follow the description.
+ * They are short and never truncated.
+ *
+ * @param {string} relatedWorks - Related works list
+ * @param {string} citation - Citation of the record
+ * @returns {string} - Wikitext starting with a blank line, or "" if both are empty
+ */
+function buildReferences(relatedWorks, citation) {
+  let text = "";
+  if (relatedWorks) text += `\n\n${relatedWorks.trim()}`;
+  if (citation) text += `\n\nCite as: ${citation.trim()}`;
+  return text;
+}
+
+/**
+ * Joins the source template and any extra templates, each on its own line
+ * after the Information template.
+ *
+ * @param {string} sourceTemplate - Template marking the source repository
+ * @param {string} extraTemplates - Additional wikitext
+ * @returns {string} - Wikitext
+ */
+function buildTemplates(sourceTemplate, extraTemplates) {
+  return [sourceTemplate, extraTemplates.trim()].filter(Boolean).map((template) => `\n${template}`).join("");
+}
+
 /**
  * Builds the full WikiMarkup metadata without URL length constraints.
  * This is the metadata that would be used if URL size limits were infinite.
@@ -161,100 +255,227 @@ export function truncateDescription(description, maxLength) {
  * @param {string} params.source - Source URL
  * @param {string} params.authors - Author string
  * @param {string} params.recordId - Zenodo record ID
+ * @param {string} [params.commonsLicense] - Commons license template; when given,
+ *   a license section is included (needed when uploading through the API)
+ * @param {string[]} [params.categories] - Accepted categories besides the tracking categories
+ * @param {string} [params.extraTemplates] - Additional wikitext placed after `{{Zenodo}}`
+ * @param {string} [params.otherVersions] - Value of `|other versions=`, e.g. from
+ *   versions.buildOtherVersions
+ * @param {string} [params.relatedWorks] - Related works list from citations.buildRelatedWorks
+ * @param {string} [params.citation] - Citation of the record from citations.buildCitation
+ * @param {string} [params.sourceTemplate] - Template marking the source repository;
+ *   defaults to `{{Zenodo|recordId}}`, "" for none
+ * @param {string[]} [params.trackingCategories] - Categories every upload gets;
+ *   defaults to the Zenodo tracking categories
+ * @param {string} [params.language] - Language code of the title and description; when
+ *   set, the description is wrapped in language templates
+ * @param {Array<Object>} [params.translations] - Titles and descriptions in other
+ *   languages, each in its own language template (see languages.getTranslations)
+ * @param {Array<Object>} [params.sections] - Methods, notes and other sections after the
+ *   description (see descriptionSections.getDescriptionSections)
+ * @param {string} [params.sectionStyle] - How sections are written (see
+ *   descriptionSections.SECTION_STYLES), "" to leave them out
+ * @param {string} [params.fileTemplate] - Template of the file page (see
+ *   fileTemplates.FILE_TEMPLATES); defaults to `{{Information}}`
+ * @param {string} [params.publisher] - Publisher of the record, for `{{Book}}`
+ * @param {Object} [params.meeting] - Event the record was presented at (see
+ *   categories.getMeeting), for `{{Information}}` with the event
  * @returns {string} - Full WikiMarkup metadata
  */
 export function buildFullMetadata(params) {
+  const options = withDefaults(params);
+  return buildPageText(options, {
+    description: options.description,
+    tables: options.tables,
+    translations: options.translations,
+    sections: options.sectionStyle ? options.sections : [],
+    license: Boolean(options.commonsLicense),
+  });
+}
+
+/**
+ * Fills in the defaults of the optional parameters of buildFullMetadata.
+ *
+ * @param {Object} params - Parameters of buildFullMetadata
+ * @returns {Object} - Parameters with defaults
+ */
+function withDefaults(params) {
+  const {
+    categories = [],
+    extraTemplates = "",
+    otherVersions = "",
+    relatedWorks = "",
+    citation = "",
+    sourceTemplate = `{{Zenodo|${params.recordId}}}`,
+    trackingCategories = DEFAULT_CATEGORIES,
+    language = "",
+    translations = [],
+    sections = [],
+    sectionStyle = DEFAULT_SECTION_STYLE,
+    fileTemplate = DEFAULT_FILE_TEMPLATE,
+    publisher = "",
+    meeting = null
+  } = params;
+  return {
+    ...params,
+    categories,
+    extraTemplates,
+    otherVersions,
+    relatedWorks,
+    citation,
+    sourceTemplate,
+    trackingCategories,
+    language,
+    translations,
+    sections,
+    sectionStyle,
+    fileTemplate,
+    publisher,
+    meeting,
+  };
+}
+
+/**
+ * Writes the file page from the parts of the description that were kept.
+ * The full metadata keeps everything; the upload form keeps less until its
+ * URL is short enough, and notes what was left out.
+ *
+ * @param {Object} params - Parameters of buildFullMetadata, with defaults (see withDefaults)
+ * @param {Object} kept - Parts that were kept
+ * @param {string} kept.description - Description wikitext, possibly truncated
+ * @param {string} kept.tables - WikiMarkup tables, possibly truncated, or ""
+ * @param {Array<Object>} kept.translations - The first of `params.translations`
+ * @param {Array<Object>} kept.sections - Sections still written
+ * @param {boolean} kept.license - Whether to write the license section
+ * @returns {string} - WikiMarkup metadata
+ */
+function buildPageText(params, kept) {
   const {
     title,
-    description,
-    tables,
     date,
     source,
     authors,
-    recordId
+    commonsLicense,
+    categories,
+    extraTemplates,
+    otherVersions,
+    relatedWorks,
+    citation,
+    sourceTemplate,
+    trackingCategories,
+    language,
+    translations,
+    sections,
+    sectionStyle,
+    fileTemplate,
+    publisher,
+    meeting
   } = params;
-  
-  let template = `{{Information
-|description=${title}:
-${description}
-|date=${date}
-|source=${source}
-|author=${authors}
-|permission=
-|other versions=
-}}
-{{Zenodo|${recordId}}}
-[[Category:Media from Zenodo]]
-[[Category:Uploaded with zenodo2commons]]`;
-  
-  if (tables) {
-    template += `\n\n${tables}`;
+
+  const omittedTranslations = kept.translations.length < translations.length
+    ? `\n${TRANSLATIONS_OMITTED_NOTE}`
+    : "";
+  // Only sections that are written at all count as omitted when dropped
+  const omittedSections = (sectionStyle ? sections : [])
+    .filter((section) => !kept.sections.includes(section))
+    .map((section) => section.label);
+  const licenseSection = kept.license
+    ? `\n\n=={{int:license-header}}==\n{{${commonsLicense}}}\n`
+    : "\n";
+
+  const text = buildDescriptionText({
+    // {{Book}} has a title field of its own
+    title: fileTemplate === "book" ? "" : title,
+    description: kept.description,
+    language,
+    translations: kept.translations,
+    sections: kept.sections,
+    sectionStyle,
+    omittedSections,
+  });
+  const fileTemplateText = buildFileTemplate(fileTemplate, {
+    description: `${text}${omittedTranslations}${buildReferences(relatedWorks, citation)}`,
+    title,
+    date,
+    source,
+    author: authors,
+    otherVersions,
+    publisher,
+    language,
+    meeting,
+  });
+  let template = `${fileTemplateText}${buildTemplates(sourceTemplate, extraTemplates)}${licenseSection}${formatCategories([...trackingCategories, ...categories])}`;
+
+  if (kept.tables) {
+    template += `\n\n${kept.tables}`;
   }
-  
+
   return template;
 }
 
+/**
+ * Returns the description a Special:Upload URL prefills, e.g. to show what
+ * buildConstrainedUploadUrl kept after trimming.
+ *
+ * @param {string} url - Upload URL
+ * @returns {string} - Value of `wpUploadDescription`
+ */
+export function getUploadDescription(url) {
+  return new URL(url).searchParams.get("wpUploadDescription") || "";
+}
+
 /**
  * Builds metadata that fits within URL length constraints.
  * Progressively truncates tables and description as needed.
  * 
- * @param {Object} params - Parameters object
- * @param {string} params.title - Record title
- * @param {string} params.description - Cleaned description text
- * @param {string} params.tables - WikiMarkup tables
- * @param {string} params.date - Publication date
- * @param {string} params.source - Source URL
- * @param {string} params.authors - Author string
- * @param {string} params.recordId - Zenodo record ID
- * @param {string} params.commonsLicense - Commons license identifier
+ * @param {Object} params - Parameters of buildFullMetadata, where `commonsLicense`
+ *   is required, and:
+ * @param {string} [params.wpLicense] - Value for the upload form's license selector;
+ *   defaults to `commonsLicense`. When empty, the license template is written
+ *   into the description instead
+ * @param {boolean} [params.uploadByUrl] - Whether Commons can fetch `fileUrl`; when false,
+ *   the form asks for a local file instead (see instances.isCopyUploadAllowed)
  * @param {string} params.destFile - Destination filename
  * @param {string} params.fileUrl - File URL
  * @returns {{url: string, wasTruncated: boolean}} - Upload URL and truncation flag
  */
 export function buildConstrainedUploadUrl(params) {
+  const options = withDefaults(params);
   const {
-    title,
     description,
     tables,
-    date,
-    source,
-    authors,
-    recordId,
+    translations,
+    sections,
+    sectionStyle,
     commonsLicense,
+    wpLicense = commonsLicense,
+    uploadByUrl = true,
     destFile,
     fileUrl
-  } = params;
-  
-  // Helper to build info template
-  function buildInfoTemplate(desc, tbl) {
-    let template = `{{Information
-|description=${title}:
-${desc}
-|date=${date}
-|source=${source}
-|author=${authors}
-|permission=
-|other versions=
-}}
-{{Zenodo|${recordId}}}
-[[Category:Media from Zenodo]]
-[[Category:Uploaded with zenodo2commons]]`;
-    
-    if (tbl) {
-      template += `\n\n${tbl}`;
-    }
-    
-    return template;
+  } = options;
+
+  // Sections that are written at all
+  const writtenSections = sectionStyle ? sections : [];
+
+  // Helper to build info template; licenses missing from the upload form's
+  // selector go into the description
+  function buildInfoTemplate(desc, tbl, blocks = translations, keptSections = writtenSections) {
+    return buildPageText(options, {
+      description: desc,
+      tables: tbl,
+      translations: blocks,
+      sections: keptSections,
+      license: !wpLicense,
+    });
   }
   
   // Helper to build full URL
   function buildUrl(infoTemplate) {
     const urlParams = new URLSearchParams({
       wpUploadDescription: infoTemplate,
-      wpLicense: commonsLicense,
+      wpLicense,
       wpDestFile: destFile,
-      wpSourceType: "url",
-      wpUploadFileURL: fileUrl,
+      ...(uploadByUrl ? { wpSourceType: "url", wpUploadFileURL: fileUrl } : { wpSourceType: "file" }),
     });
     
     return `https://commons.wikimedia.org/wiki/Special:Upload?${urlParams.toString()}`;
@@ -274,7 +495,7 @@ ${desc}
     const baseTemplate = buildInfoTemplate(description, '');
     const baseParams = new URLSearchParams({
       wpUploadDescription: baseTemplate,
-      wpLicense: commonsLicense,
+      wpLicense,
       wpDestFile: destFile,
       wpSourceType: "url",
       wpUploadFileURL: fileUrl,
@@ -302,12 +523,30 @@ ${desc}
     return { url, wasTruncated: true };
   }
   
-  // Strategy 3: Truncate description too
+  // Strategy 3: Drop sections, lowest priority first
+  let keptSections = writtenSections;
+  for (const dropped of getDropOrder(writtenSections)) {
+    keptSections = keptSections.filter((section) => section !== dropped);
+    url = buildUrl(buildInfoTemplate(description, '', translations, keptSections));
+    if (!isUrlTooLong(url)) {
+      return { url, wasTruncated: true };
+    }
+  }
+
+  // Strategy 4: Drop whole translations, last first, keeping the main language
+  for (let kept = translations.length - 1; kept >= 0; kept--) {
+    url = buildUrl(buildInfoTemplate(description, '', translations.slice(0, kept), []));
+    if (!isUrlTooLong(url)) {
+      return { url, wasTruncated: true };
+    }
+  }
+
+  // Strategy 5: Truncate the main description too
   const baseUrl = `https://commons.wikimedia.org/wiki/Special:Upload?`;
-  const minimalTemplate = buildInfoTemplate('', '');
+  const minimalTemplate = buildInfoTemplate('', '', [], []);
   const minimalParams = new URLSearchParams({
     wpUploadDescription: minimalTemplate,
-    wpLicense: commonsLicense,
+    wpLicense,
     wpDestFile: destFile,
     wpSourceType: "url",
     wpUploadFileURL: fileUrl,
@@ -316,5 +555,5 @@ ${desc}
   const maxDescLength = MAX_URL_LENGTH - minimalLength - URL_ENCODING_MARGIN;
   
   const truncatedDesc = truncateDescription(description, maxDescLength);
-  return { url: buildUrl(buildInfoTemplate(truncatedDesc, '')), wasTruncated: true };
+  return { url: buildUrl(buildInfoTemplate(truncatedDesc, '', [], [])), wasTruncated: true };
 }
@@ -4,7 +4,8 @@ import {
   truncateTables,
   truncateDescription,
   buildConstrainedUploadUrl,
-  buildFullMetadata
+  buildFullMetadata,
+  getUploadDescription
 } from "./urlTrimmer.js";
 
 describe("urlTrimmer", () => {
@@ -69,6 +70,32 @@ describe("urlTrimmer", () => {
       expect(result).not.toContain("Analysis");
     });
 
+    it("recognises sortable tables and keeps nested tables whole", () => {
+      const tables = `{| class="wikitable sortable"
+! Site
+|-
+| A
+{| class="wikitable"
+| nested 1
+| nested 2
+|}
+|-
+| ${"B".repeat(200)}
+|}`;
+      const result = truncateTables(tables, 200);
+      expect(result).toBe(`{| class="wikitable sortable"
+! Site
+|-
+| A
+{| class="wikitable"
+| nested 1
+| nested 2
+|}
+|}
+
+(Table truncated due to length constraints. See full metadata at source.)`);
+    });
+
     it("returns truncation notice for extremely short limits", () => {
       const tables = `{| class="wikitable"
 ! Header
@@ -113,6 +140,22 @@ describe("urlTrimmer", () => {
       expect(result).toContain("...");
       expect(result.length).toBeLessThan(200);
     });
+
+    it("does not break inside a template that spans paragraphs", () => {
+      const desc = `First paragraph.\n\n{{Quote|Second\n\n${"x".repeat(300)}}}`;
+      expect(truncateDescription(desc, 120)).toBe(
+        "First paragraph.\n\n(Description truncated. See full description at source.)"
+      );
+    });
+
+    it("does not hard truncate inside bold text or links", () => {
+      expect(truncateDescription(`Some words '''${"y".repeat(300)}'''`, 150)).toBe(
+        "Some words ... (Description truncated. See full description at source.)"
+      );
+      expect(truncateDescription(`Some words [[Target|${"y".repeat(300)}]]`, 150)).toBe(
+        "Some words ... (Description truncated. See full description at source.)"
+      );
+    });
   });
 
   describe("buildConstrainedUploadUrl", () => {
@@ -245,6 +288,13 @@ describe("urlTrimmer", () => {
       expect(isUrlTooLong(result.url)).toBe(false);
     });
 
+    it("writes the license into the description when the form cannot select it", () => {
+      const result = buildConstrainedUploadUrl({ ...baseParams, commonsLicense: "cc-by-sa-3.0-de", wpLicense: "" });
+      const description = new URL(result.url).searchParams.get("wpUploadDescription");
+      expect(new URL(result.url).searchParams.get("wpLicense")).toBe("");
+      expect(description).toContain("{{Zenodo|12345}}\n\n=={{int:license-header}}==\n{{cc-by-sa-3.0-de}}\n[[Category:Media from Zenodo]]");
+    });
+
     it("handles real-world example structure", () => {
       const realWorldDesc = `NFDI4BIOIMAGE Calendar Cover 2025:
 Image from the NFDI4BIOIMAGE Calendar Cover 2025.
@@ -279,6 +329,12 @@ The image is a visualization showing the integration of multimodal data includin
       expect(isUrlTooLong(result.url)).toBe(false);
       expect(result.url).toContain("NFDI4BIOIMAGE");
     });
+
+    it("leaves the file to the uploader when Commons cannot fetch it", () => {
+      const params = new URL(buildConstrainedUploadUrl({ ...baseParams, uploadByUrl: false }).url).searchParams;
+      expect(params.get("wpSourceType")).toBe("file");
+      expect(params.has("wpUploadFileURL")).toBe(false);
+    });
   });
 
   describe("buildFullMetadata", () => {
@@ -305,6 +361,22 @@ The image is a visualization showing the integration of multimodal data includin
       expect(metadata).toContain("[[Category:Media from Zenodo]]");
     });
 
+    it("escapes titles that would break the template", () => {
+      const metadata = buildFullMetadata({
+        title: "p | q = 1 {{x}}",
+        description: "Text",
+        tables: "",
+        date: "2025-01-15",
+        source: "https://zenodo.org/records/12345",
+        authors: "John Doe",
+        recordId: "12345",
+        language: "en",
+        translations: [{ language: "de", title: "a|b", description: "Text" }]
+      });
+      expect(metadata).toContain("{{en|1=p {{!}} q {{=}} 1 <nowiki>{{</nowiki>x<nowiki>}}</nowiki>:\nText}}");
+      expect(metadata).toContain("{{de|1=a{{!}}b:\nText}}");
+    });
+
     it("includes all tables regardless of length", () => {
       const longTables = `{| class="wikitable"\n` + 
         Array(200).fill(0).map((_, i) => `! Header ${i}\n|-\n| Value ${i}`).join('\n') + 
@@ -324,5 +396,282 @@ The image is a visualization showing the integration of multimodal data includin
       expect(metadata).toContain("Header 199"); // Last table header
       expect(metadata).toContain("Value 199"); // Last table value
     });
+
+    it("adds a license section when a Commons license is given", () => {
+      const params = {
+        title: "Test",
+        description: "Description",
+        tables: "",
+        date: "2025-01-15",
+        source: "https://zenodo.org/records/12345",
+        authors: "John Doe",
+        recordId: "12345",
+        commonsLicense: "cc-by-4.0"
+      };
+
+      const metadata = buildFullMetadata(params);
+      expect(metadata).toContain("=={{int:license-header}}==\n{{cc-by-4.0}}");
+      expect(metadata.indexOf("{{cc-by-4.0}}")).toBeLessThan(metadata.indexOf("[[Category:"));
+    });
+
+    it("adds accepted categories after the tracking categories", () => {
+      const metadata = buildFullMetadata({
+        title: "Test",
+        description: "Description",
+        tables: "",
+        date: "2025-01-15",
+        source: "https://zenodo.org/records/12345",
+        authors: "John Doe",
+        recordId: "12345",
+        categories: ["Microscopy", "Media from Zenodo"]
+      });
+      expect(metadata).toContain(
+        "[[Category:Media from Zenodo]]\n[[Category:Uploaded with zenodo2commons]]\n[[Category:Microscopy]]"
+      );
+      expect(metadata.match(/Category:Media from Zenodo/g)).toHaveLength(1);
+    });
+
+    it("omits the license section by default", () => {
+      const metadata = buildFullMetadata({
+        title: "Test",
+        description: "Description",
+        tables: "",
+        date: "2025-01-15",
+        source: "https://zenodo.org/records/12345",
+        authors: "John Doe",
+        recordId: "12345"
+      });
+      expect(metadata).not.toContain("license-header");
+      expect(metadata).toContain("{{Zenodo|12345}}\n[[Category:Media from Zenodo]]");
+    });
+
+    it("adds extra templates after the Zenodo template", () => {
+      const metadata = buildFullMetadata({
+        title: "Test",
+        description: "Description",
+        tables: "",
+        date: "2025-01-15",
+        source: "https://zenodo.org/records/12345",
+        authors: "John Doe",
+        recordId: "12345",
+        extraTemplates: "{{Scientific poster}}\n"
+      });
+      expect(metadata).toContain("{{Zenodo|12345}}\n{{Scientific poster}}\n[[Category:Media from Zenodo]]");
+    });
+
+    it("adds related works and the citation after the description", () => {
+      const metadata = buildFullMetadata({
+        title: "Test",
+        description: "Description",
+        tables: "",
+        date: "2025-01-15",
+        source: "https://zenodo.org/records/12345",
+        authors: "John Doe",
+        recordId: "12345",
+        relatedWorks: "* Supplement to: {{Cite journal |doi=10.1000/xyz}}",
+        citation: "Doe, J. (2025). ''Test''. Zenodo. https://doi.org/10.5281/zenodo.12345"
+      });
+      expect(metadata).toContain(
+        "|description=Test:\nDescription\n\n* Supplement to: {{Cite journal |doi=10.1000/xyz}}\n\n" +
+        "Cite as: Doe, J. (2025). ''Test''. Zenodo. https://doi.org/10.5281/zenodo.12345\n|date=2025-01-15"
+      );
+    });
+
+    it("fills other versions", () => {
+      const params = {
+        title: "Test",
+        description: "Description",
+        tables: "",
+        date: "2025-01-15",
+        source: "https://zenodo.org/records/12345",
+        authors: "John Doe",
+        recordId: "12345",
+        otherVersions: "* [[:File:Old.png]] (Zenodo version 1)"
+      };
+      expect(buildFullMetadata(params)).toContain("|other versions=\n* [[:File:Old.png]] (Zenodo version 1)\n}}");
+      expect(buildFullMetadata({ ...params, otherVersions: "" })).toContain("|other versions=\n}}");
+
+      const { url } = buildConstrainedUploadUrl({
+        ...params,
+        commonsLicense: "Cc-by-4.0",
+        destFile: "Test.png",
+        fileUrl: "https://zenodo.org/records/12345/files/test.png"
+      });
+      expect(getUploadDescription(url)).toContain("|other versions=\n* [[:File:Old.png]] (Zenodo version 1)\n}}");
+    });
+  });
+
+  describe("language blocks", () => {
+    const params = {
+      title: "Coral reef survey",
+      description: "Photographs of reefs.",
+      tables: "",
+      date: "2025-01-15",
+      source: "https://zenodo.org/records/12345",
+      authors: "John Doe",
+      recordId: "12345",
+      commonsLicense: "cc-by-4.0",
+      destFile: "Coral reef survey.jpg",
+      fileUrl: "https://zenodo.org/records/12345/files/reef.jpg",
+      language: "en",
+      translations: [
+        { language: "pt", title: "Levantamento de recifes", description: "Fotografias de recifes." },
+        { language: "fr", title: "Relevé des récifs", description: "" }
+      ]
+    };
+
+    it("wraps each language in its template", () => {
+      expect(buildFullMetadata(params)).toContain(
+        "|description={{en|1=Coral reef survey:\nPhotographs of reefs.}}\n" +
+        "{{pt|1=Levantamento de recifes:\nFotografias de recifes.}}\n" +
+        "{{fr|1=Relevé des récifs}}\n|date="
+      );
+      expect(getUploadDescription(buildConstrainedUploadUrl(params).url)).toContain("{{fr|1=Relevé des récifs}}");
+    });
+
+    it("drops whole translations before cutting the main description", () => {
+      const longTranslation = "Frase em português. ".repeat(300).trim();
+      const result = buildConstrainedUploadUrl({
+        ...params,
+        translations: [params.translations[1], { ...params.translations[0], description: longTranslation }]
+      });
+      const description = getUploadDescription(result.url);
+      expect(result.wasTruncated).toBe(true);
+      expect(isUrlTooLong(result.url)).toBe(false);
+      expect(description).toContain("{{en|1=Coral reef survey:\nPhotographs of reefs.}}\n{{fr|1=Relevé des récifs}}\n");
+      expect(description).not.toContain("{{pt|");
+      expect(description).toContain("(Descriptions in other languages omitted. See full description at source.)");
+    });
+
+    it("keeps the main language block when the description is cut", () => {
+      const result = buildConstrainedUploadUrl({ ...params, description: "A long sentence about reefs. ".repeat(200) });
+      const description = getUploadDescription(result.url);
+      expect(isUrlTooLong(result.url)).toBe(false);
+      expect(description).toMatch(/^\{\{Information\n\|description=\{\{en\|1=Coral reef survey:\nA long sentence/);
+      expect(description).toContain("(Description truncated. See full description at source.)}}\n");
+      expect(description).not.toContain("{{fr|");
+    });
+  });
+
+  describe("description sections", () => {
+    const params = {
+      title: "Coral reef survey",
+      description: "Photographs of reefs.",
+      tables: "",
+      date: "2025-01-15",
+      source: "https://zenodo.org/records/12345",
+      authors: "John Doe",
+      recordId: "12345",
+      commonsLicense: "cc-by-4.0",
+      destFile: "Coral reef survey.jpg",
+      fileUrl: "https://zenodo.org/records/12345/files/reef.jpg",
+      sections: [
+        { type: "methods", label: "Methods", priority: 4, text: "Quadrats of 1 m²." },
+        { type: "other", label: "Notes", priority: 2, text: "Kept in ethanol." }
+      ]
+    };
+
+    it("writes labelled sections after the description", () => {
+      expect(buildFullMetadata(params)).toContain(
+        "|description=Coral reef survey:\nPhotographs of reefs.\n\n'''Methods:''' Quadrats of 1 m².\n\n" +
+        "'''Notes:''' Kept in ethanol.\n|date="
+      );
+    });
+
+    it("writes collapsed sections inside the language template", () => {
+      const metadata = buildFullMetadata({ ...params, language: "en", sectionStyle: "collapsed" });
+      expect(metadata).toContain(
+        "{{en|1=Coral reef survey:\nPhotographs of reefs.\n\n{{Collapse top|title=Methods}}\nQuadrats of 1 m².\n" +
+        "{{Collapse bottom}}\n\n{{Collapse top|title=Notes}}\nKept in ethanol.\n{{Collapse bottom}}}}"
+      );
+    });
+
+    it("leaves sections out without a style", () => {
+      expect(buildFullMetadata({ ...params, sectionStyle: "" })).toContain(
+        "|description=Coral reef survey:\nPhotographs of reefs.\n|date="
+      );
+    });
+
+    it("drops the lowest-priority sections first", () => {
+      const result = buildConstrainedUploadUrl({
+        ...params,
+        sections: [params.sections[0], { ...params.sections[1], text: "A long note about storage. ".repeat(200) }]
+      });
+      const description = getUploadDescription(result.url);
+      expect(result.wasTruncated).toBe(true);
+      expect(isUrlTooLong(result.url)).toBe(false);
+      expect(description).toContain(
+        "Photographs of reefs.\n\n'''Methods:''' Quadrats of 1 m².\n\n(Notes omitted. See full description at source.)\n"
+      );
+      expect(description).not.toContain("'''Notes:'''");
+    });
+  });
+
+  describe("buildFullMetadata for other instances", () => {
+    it("uses the given source template and tracking categories", () => {
+      const metadata = buildFullMetadata({
+        title: "Test",
+        description: "Description",
+        tables: "",
+        date: "2025-01-15",
+        source: "https://data.caltech.edu/records/ab1cd-ef234",
+        authors: "John Doe",
+        recordId: "ab1cd-ef234",
+        sourceTemplate: "",
+        trackingCategories: ["Uploaded with zenodo2commons"],
+        categories: ["Geology"]
+      });
+      expect(metadata).not.toContain("{{Zenodo");
+      expect(metadata).toContain("}}\n[[Category:Uploaded with zenodo2commons]]\n[[Category:Geology]]");
+    });
+  });
+
+  describe("buildConstrainedUploadUrl with references", () => {
+    it("keeps related works and the citation when the description is truncated", () => {
+      const citation = "Doe, J. (2025). ''Test''. Zenodo. https://doi.org/10.5281/zenodo.12345";
+      const { url, wasTruncated } = buildConstrainedUploadUrl({
+        title: "Test",
+        description: "Long description. ".repeat(400),
+        tables: "",
+        date: "2025-01-15",
+        source: "https://zenodo.org/records/12345",
+        authors: "John Doe",
+        recordId: "12345",
+        commonsLicense: "Cc-by-4.0",
+        relatedWorks: "* Supplement to: {{Cite journal |doi=10.1000/xyz}}",
+        citation,
+        destFile: "Test.png",
+        fileUrl: "https://zenodo.org/records/12345/files/test.png"
+      });
+      const description = getUploadDescription(url);
+      expect(wasTruncated).toBe(true);
+      expect(url.length).toBeLessThanOrEqual(4000);
+      expect(description).toContain("\n\n* Supplement to: {{Cite journal |doi=10.1000/xyz}}\n\n");
+      expect(description).toContain(`Cite as: ${citation}\n|date=`);
+    });
+  });
+
+  describe("getUploadDescription", () => {
+    it("returns the description prefilled by an upload URL", () => {
+      const { url } = buildConstrainedUploadUrl({
+        title: "Test",
+        description: "Description",
+        tables: "",
+        date: "2025-01-15",
+        source: "https://zenodo.org/records/12345",
+        authors: "John Doe",
+        recordId: "12345",
+        extraTemplates: "{{Scientific poster}}",
+        destFile: "Test.png",
+        fileUrl: "https://zenodo.org/records/12345/files/test.png"
+      });
+      const description = getUploadDescription(url);
+      expect(description).toContain("|description=Test:\nDescription");
+      expect(description).toContain("{{Zenodo|12345}}\n{{Scientific poster}}");
+    });
+
+    it("returns an empty string for URLs without a description", () => {
+      expect(getUploadDescription("https://commons.wikimedia.org/wiki/Special:Upload")).toBe("");
+    });
   });
 });
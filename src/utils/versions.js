@@ -0,0 +1,203 @@
+/**
+ * Zenodo record versions.
+ *
+ * Every version of a Zenodo upload is a record of its own; the versions share
+ * a concept record ID (and concept DOI) that always resolves to the latest
+ * version. Files uploaded to Commons from one version are linked from the
+ * others through `|other versions=`.
+ */
+
+import { ZENODO_RECORDS_API_URL, DEFAULT_PAGE_SIZE, findCommonsFilesForRecord } from "./zenodoSearch.js";
+import { INSTANCE_PROFILES } from "./instances.js";
+import { ZENODO_HOST } from "./recordIdentifiers.js";
+
+// Versions beyond this many pages are not listed
+const MAX_VERSION_PAGES = 4;
+
+/**
+ * Returns the concept record ID of a record.
+ *
+ * @param {Object} record - Zenodo record
+ * @returns {string|null} - Concept record ID, or null for records without versioning
+ */
+export function getConceptId(record) {
+  const id = record.conceptrecid ?? record.parent?.id;
+  return id ? String(id) : null;
+}
+
+/**
+ * Returns the concept DOI of a record, which always points to the latest
+ * version: the legacy `conceptdoi`, or the DOI of the InvenioRDM parent.
+ * Instances that register no DOIs have none.
+ *
+ * @param {Object} record - Zenodo record
+ * @returns {string} - Concept DOI, or "" if the record has none
+ */
+export function getConceptDoi(record) {
+  return record.conceptdoi || record.parent?.pids?.doi?.identifier || "";
+}
+
+/**
+ * Checks whether an ID the user entered is a concept ID, i.e. Zenodo
+ * answered with the latest version instead of the record asked for.
+ *
+ * @param {string|number} id - Requested ID
+ * @param {Object} record - Record Zenodo returned
+ * @returns {boolean} - True if `id` is the record's concept ID
+ */
+export function isConceptReference(id, record) {
+  return getConceptId(record) === String(id) && String(record.id) !== String(id);
+}
+
+/**
+ * Builds the API URL listing the versions of a record.
+ *
+ * @param {string|number} id - ID of any version
+ * @param {number} [page] - Result page (1-based)
+ * @param {string} [apiUrl] - Records API of the instance
+ * @returns {string} - API URL
+ */
+export function buildVersionsUrl(id, page = 1, apiUrl = ZENODO_RECORDS_API_URL) {
+  const params = new URLSearchParams({
+    sort: "version",
+    size: String(DEFAULT_PAGE_SIZE),
+    page: String(page),
+  });
+  return `${apiUrl}/${id}/versions?${params.toString()}`;
+}
+
+/**
+ * Returns the 1-based version number of a version hit.
+ *
+ * @param {Object} hit - Record from the versions API
+ * @returns {number} - Version index, or 0 if unknown
+ */
+function getVersionIndex(hit) {
+  if (hit.versions?.index) return hit.versions.index;
+  const relation = hit.metadata?.relations?.version?.[0];
+  return relation ? relation.index + 1 : 0;
+}
+
+/**
+ * Reduces a version to what the version picker shows.
+ *
+ * @param {Object} hit - Record from the versions API
+ * @returns {{id: string, version: string, date: string, index: number, isLatest: boolean}} -
+ *   Summary; `version` is the version label, or the version number if there is none
+ */
+export function summarizeVersion(hit) {
+  const relation = hit.metadata?.relations?.version?.[0];
+  const index = getVersionIndex(hit);
+  return {
+    id: String(hit.id),
+    version: hit.metadata?.version || String(index || hit.id),
+    date: hit.metadata?.publication_date || "",
+    index,
+    isLatest: Boolean(hit.versions?.is_latest ?? relation?.is_last),
+  };
+}
+
+/**
+ * Fetches all versions of a record, newest first.
+ *
+ * @param {string|number} id - ID of any version
+ * @param {Function} [fetchFn] - fetch implementation (for testing)
+ * @param {string} [apiUrl] - Records API of the instance
+ * @returns {Promise<Array<Object>>} - Version records, including their files
+ */
+export async function fetchVersions(id, fetchFn = (...args) => fetch(...args), apiUrl = ZENODO_RECORDS_API_URL) {
+  const hits = [];
+  for (let page = 1; page <= MAX_VERSION_PAGES; page++) {
+    const res = await fetchFn(buildVersionsUrl(id, page, apiUrl));
+    if (!res.ok) throw new Error(`Failed to fetch versions: ${res.statusText}`);
+    const data = await res.json();
+    const pageHits = data.hits?.hits || [];
+    hits.push(...pageHits);
+    if (pageHits.length < DEFAULT_PAGE_SIZE || hits.length >= (data.hits?.total ?? 0)) break;
+  }
+  return hits.sort((a, b) => getVersionIndex(b) - getVersionIndex(a));
+}
+
+/**
+ * Returns the checksum of a record file, without the algorithm prefix.
+ *
+ * @param {Object} file - Record file, e.g. `{checksum: "md5:…"}`
+ * @returns {string} - Checksum, or "" if unknown
+ */
+function getChecksum(file) {
+  return (file.checksum || "").replace(/^[a-z0-9]+:/i, "");
+}
+
+/**
+ * Compares the files of a version with those of an earlier version by checksum.
+ *
+ * @param {Array<Object>} files - Files of the current version
+ * @param {Array<Object>} previousFiles - Files of the earlier version
+ * @returns {{files: Object<string, {status: string, previousKey: string|null}>, removed: string[]}} -
+ *   Status by key ("unchanged", "changed", "renamed" or "added"; `previousKey`
+ *   names the earlier file for renamed ones) and the keys that were removed
+ */
+export function compareVersionFiles(files, previousFiles) {
+  const previousByKey = new Map(previousFiles.map((file) => [file.key, file]));
+  const previousByChecksum = new Map(
+    previousFiles.filter((file) => getChecksum(file)).map((file) => [getChecksum(file), file])
+  );
+  const matched = new Set();
+  const result = {};
+
+  files.forEach((file) => {
+    const checksum = getChecksum(file);
+    const sameKey = previousByKey.get(file.key);
+    const sameContent = checksum ? previousByChecksum.get(checksum) : null;
+
+    if (sameKey) {
+      matched.add(sameKey.key);
+      const unchanged = checksum && checksum === getChecksum(sameKey);
+      result[file.key] = { status: unchanged ? "unchanged" : "changed", previousKey: null };
+    } else if (sameContent && !files.some((other) => other.key === sameContent.key)) {
+      matched.add(sameContent.key);
+      result[file.key] = { status: "renamed", previousKey: sameContent.key };
+    } else {
+      result[file.key] = { status: "added", previousKey: null };
+    }
+  });
+
+  return {
+    files: result,
+    removed: previousFiles.map((file) => file.key).filter((key) => !matched.has(key)),
+  };
+}
+
+/**
+ * Finds the Commons files uploaded from the other versions of a record.
+ *
+ * @param {Object} apiClient - Client from createCommonsApiClient
+ * @param {Array<Object>} versions - Version records from fetchVersions
+ * @param {string|number} currentId - ID of the version being shown, which is skipped
+ * @param {string} [host] - Host of the InvenioRDM instance the record is on
+ * @returns {Promise<Array<{id: string, version: string, titles: string[]}>>} - Versions
+ *   with uploads, newest first
+ */
+export async function findVersionUploads(apiClient, versions, currentId, host = "zenodo.org") {
+  const siblings = versions.map(summarizeVersion).filter((version) => version.id !== String(currentId));
+  const uploads = [];
+  for (const version of siblings) {
+    const titles = await findCommonsFilesForRecord(apiClient, version.id, host);
+    if (titles.length > 0) uploads.push({ id: version.id, version: version.version, titles });
+  }
+  return uploads;
+}
+
+/**
+ * Builds the `|other versions=` value linking files from other versions.
+ *
+ * @param {Array<{version: string, titles: string[]}>} uploads - Result of findVersionUploads
+ * @param {Object} [instance] - Profile of the instance the record is on
+ *   (see instances.getInstanceProfile), whose name labels the versions
+ * @returns {string} - Wikitext list, or "" if there are no other uploads
+ */
+export function buildOtherVersions(uploads = [], instance = INSTANCE_PROFILES[ZENODO_HOST]) {
+  return uploads
+    .flatMap(({ version, titles }) => titles.map((title) => `* [[:${title}]] (${instance.name} version ${version})`))
+    .join("\n");
+}
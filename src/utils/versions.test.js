@@ -0,0 +1,168 @@
+import { describe, it, expect } from "vitest";
+import {
+  getConceptId,
+  getConceptDoi,
+  isConceptReference,
+  buildVersionsUrl,
+  summarizeVersion,
+  fetchVersions,
+  compareVersionFiles,
+  findVersionUploads,
+  buildOtherVersions
+} from "./versions.js";
+import { getInstanceProfile } from "./instances.js";
+
+const version = (id, index, extra = {}) => ({
+  id,
+  conceptrecid: "100",
+  metadata: { version: `v${index}.0`, publication_date: `202${index}-01-01` },
+  versions: { index, is_latest: false },
+  files: [],
+  ...extra
+});
+
+describe("versions", () => {
+  describe("getConceptId / getConceptDoi", () => {
+    it("reads the concept record ID", () => {
+      expect(getConceptId({ id: 102, conceptrecid: "100" })).toBe("100");
+      expect(getConceptId({ id: 102, parent: { id: "100" } })).toBe("100");
+      expect(getConceptId({ id: 102 })).toBe(null);
+    });
+
+    it("returns the concept DOI", () => {
+      expect(getConceptDoi({ id: 102, conceptdoi: "10.5281/zenodo.100" })).toBe("10.5281/zenodo.100");
+      expect(getConceptDoi({ id: 102, parent: { id: "100", pids: { doi: { identifier: "10.5281/zenodo.100" } } } }))
+        .toBe("10.5281/zenodo.100");
+      expect(getConceptDoi({ id: 102 })).toBe("");
+    });
+
+    it("makes up no DOI for records without one", () => {
+      expect(getConceptDoi({ id: 102, conceptrecid: "100" })).toBe("");
+      expect(getConceptDoi({ id: "abc12-3de45", parent: { id: "xyz98-7uv65" } })).toBe("");
+    });
+  });
+
+  describe("isConceptReference", () => {
+    it("detects concept IDs that resolved to the latest version", () => {
+      expect(isConceptReference("100", { id: 102, conceptrecid: "100" })).toBe(true);
+      expect(isConceptReference("102", { id: 102, conceptrecid: "100" })).toBe(false);
+      expect(isConceptReference("102", { id: 102 })).toBe(false);
+    });
+  });
+
+  describe("buildVersionsUrl", () => {
+    it("lists versions sorted by version", () => {
+      expect(buildVersionsUrl(102, 2)).toBe("https://zenodo.org/api/records/102/versions?sort=version&size=25&page=2");
+    });
+  });
+
+  describe("summarizeVersion", () => {
+    it("summarizes InvenioRDM version hits", () => {
+      expect(summarizeVersion(version(102, 2, { versions: { index: 2, is_latest: true } }))).toEqual({
+        id: "102",
+        version: "v2.0",
+        date: "2022-01-01",
+        index: 2,
+        isLatest: true
+      });
+    });
+
+    it("falls back to legacy relations and the version number", () => {
+      const hit = { id: 101, metadata: { relations: { version: [{ index: 0, is_last: false }] } } };
+      expect(summarizeVersion(hit)).toMatchObject({ version: "1", index: 1, isLatest: false });
+    });
+  });
+
+  describe("fetchVersions", () => {
+    it("returns all pages, newest first", async () => {
+      const urls = [];
+      const firstPage = Array.from({ length: 25 }, (_, i) => version(200 + i, i + 2));
+      const fetchFn = async (url) => {
+        urls.push(url);
+        const hits = url.includes("page=1") ? firstPage : [version(101, 1)];
+        return { ok: true, json: async () => ({ hits: { total: 26, hits } }) };
+      };
+
+      const versions = await fetchVersions(102, fetchFn);
+      expect(urls).toHaveLength(2);
+      expect(versions).toHaveLength(26);
+      expect(versions[0].id).toBe(224);
+      expect(versions[25].id).toBe(101);
+    });
+
+    it("throws on HTTP errors", async () => {
+      const fetchFn = async () => ({ ok: false, statusText: "Not Found" });
+      await expect(fetchVersions(1, fetchFn)).rejects.toThrow("Failed to fetch versions: Not Found");
+    });
+  });
+
+  describe("compareVersionFiles", () => {
+    it("compares files by checksum", () => {
+      const previous = [
+        { key: "a.png", checksum: "md5:aaa" },
+        { key: "b.png", checksum: "md5:bbb" },
+        { key: "c.png", checksum: "md5:ccc" },
+        { key: "d.png", checksum: "md5:ddd" }
+      ];
+      const current = [
+        { key: "a.png", checksum: "md5:aaa" },
+        { key: "b.png", checksum: "md5:b22" },
+        { key: "c-renamed.png", checksum: "md5:ccc" },
+        { key: "e.png", checksum: "md5:eee" }
+      ];
+
+      expect(compareVersionFiles(current, previous)).toEqual({
+        files: {
+          "a.png": { status: "unchanged", previousKey: null },
+          "b.png": { status: "changed", previousKey: null },
+          "c-renamed.png": { status: "renamed", previousKey: "c.png" },
+          "e.png": { status: "added", previousKey: null }
+        },
+        removed: ["d.png"]
+      });
+    });
+
+    it("treats files without checksums as changed", () => {
+      const result = compareVersionFiles([{ key: "a.png" }], [{ key: "a.png" }]);
+      expect(result.files["a.png"].status).toBe("changed");
+    });
+  });
+
+  describe("findVersionUploads", () => {
+    it("collects Commons files of the other versions", async () => {
+      const queried = [];
+      const apiClient = {
+        get: async (params) => {
+          queried.push(params.euquery);
+          const exturlusage = params.euquery === "zenodo.org/records/101"
+            ? [{ title: "File:Old.png", url: "https://zenodo.org/records/101" }]
+            : [];
+          return { query: { exturlusage } };
+        }
+      };
+
+      const uploads = await findVersionUploads(apiClient, [version(103, 3), version(102, 2), version(101, 1)], 102);
+      expect(uploads).toEqual([{ id: "101", version: "v1.0", titles: ["File:Old.png"] }]);
+      expect(queried).not.toContain("zenodo.org/records/102");
+    });
+  });
+
+  describe("buildOtherVersions", () => {
+    it("lists the files of other versions", () => {
+      expect(buildOtherVersions([
+        { version: "v2.0", titles: ["File:B.png"] },
+        { version: "v1.0", titles: ["File:A.png", "File:A.pdf"] }
+      ])).toBe(
+        "* [[:File:B.png]] (Zenodo version v2.0)\n" +
+        "* [[:File:A.png]] (Zenodo version v1.0)\n" +
+        "* [[:File:A.pdf]] (Zenodo version v1.0)"
+      );
+      expect(buildOtherVersions([])).toBe("");
+    });
+
+    it("labels the versions with the instance name", () => {
+      expect(buildOtherVersions([{ version: "2", titles: ["File:B.png"] }], getInstanceProfile("data.caltech.edu")))
+        .toBe("* [[:File:B.png]] (CaltechDATA version 2)");
+    });
+  });
+});
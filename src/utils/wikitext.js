@@ -0,0 +1,276 @@
+/**
+ * Escaping and checking of generated wikitext.
+ *
+ * Everything ends up inside `{{Information}}`, where a stray `|` starts a new
+ * template argument and a stray `}}` ends the template. Text taken from a
+ * record (titles, names, description text) is escaped so that it shows as
+ * written, and the finished wikitext is checked for constructs that would
+ * break the page: unbalanced braces and brackets, bold or italic left open,
+ * tables that are not closed.
+ */
+
+// Sequences that wikitext reads as markup, kept as text with <nowiki>:
+// links, templates, tables, signatures, behavior switches, bold and italic
+const MARKUP = /(\[\[|\]\]|\{\{|\}\}|\{\||~{3,}|__[A-Z]+__|'{2,})/;
+
+// Extension tags, whose content is not wikitext
+const EXTENSION_TAGS = ["nowiki", "pre", "math", "chem", "ce", "syntaxhighlight", "source", "ref", "gallery"];
+
+// HTML tags that must be closed
+const PAIRED_TAGS = new Set([
+  "abbr", "b", "big", "blockquote", "center", "cite", "code", "del", "div", "em", "i", "ins", "kbd", "q", "s",
+  "small", "span", "strike", "strong", "sub", "sup", "tt", "u", "var",
+]);
+
+// Magic words that change the whole page
+const BEHAVIOR_SWITCH = new RegExp(
+  `__(?:${[
+    "NOTOC", "FORCETOC", "TOC", "NOEDITSECTION", "NEWSECTIONLINK", "NONEWSECTIONLINK", "NOGALLERY", "HIDDENCAT",
+    "INDEX", "NOINDEX", "STATICREDIRECT", "DISAMBIG", "EXPECTUNUSEDCATEGORY", "NOCONTENTCONVERT", "NOCC",
+    "NOTITLECONVERT", "NOTC",
+  ].join("|")})__`,
+  "y"
+);
+
+// Tokens read in one piece
+const TAG = /<(\/?)([a-z][\w-]*)(?:\s[^<>]*)?(\/?)>/iy;
+const ENTITY = /&(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/iy;
+const EXTERNAL_LINK_START = /\[(?:https?:|ftp:|mailto:|\/\/)/iy;
+const TABLE_LINE = /[ \t]*(\{\||\|\}|\|-|\|\+)/y;
+
+/**
+ * Escapes text so that wikitext shows it as written, also inside template
+ * arguments.
+ *
+ * @param {string} text - Plain text
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.table] - Whether the text is in a table, where
+ *   `{{!}}` would be read as a cell separator; `&#124;` is used instead
+ * @param {boolean} [options.equals] - Whether to escape "=" as well, for short
+ *   values such as titles and names that may be used as positional arguments
+ * @param {boolean} [options.link] - Whether the text is the label of an external
+ *   link, which a single `]` would end
+ * @returns {string} - Wikitext
+ *
+ * @example
+ * escapeWikitext("p | q {{x}}")
+ * // Returns: "p {{!}} q <nowiki>{{</nowiki>x<nowiki>}}</nowiki>"
+ */
+export function escapeWikitext(text, options = {}) {
+  if (!text) return "";
+  return text
+    .split(MARKUP)
+    .map((part, index) => {
+      if (index % 2 === 1) return `<nowiki>${part}</nowiki>`;
+      let escaped = part
+        // Character references and tags, including <nowiki> itself
+        .replace(/&(?=#?\w+;)/g, "&amp;")
+        .replace(/<(?=[a-z/!])/gi, "&lt;")
+        .replace(/\|/g, options.table ? "&#124;" : "{{!}}");
+      // "!!" separates header cells
+      if (options.table) escaped = escaped.replace(/!!/g, "!&#33;");
+      if (options.link) escaped = escaped.replace(/\]/g, "&#93;");
+      return options.equals ? escaped.replace(/=/g, "{{=}}") : escaped;
+    })
+    .join("");
+}
+
+/**
+ * Percent-encodes the characters of a URL that would end an external link or
+ * the template around it, so the URL can be the target of `[url label]`.
+ *
+ * @param {string} url - URL
+ * @returns {string} - Link target
+ */
+export function escapeLinkTarget(url) {
+  return url.replace(/[\s[\]<>"|{}]/g, (char) => encodeURIComponent(char));
+}
+
+/**
+ * Reads wikitext once, noting problems and the places it can be cut.
+ *
+ * @param {string} text - Wikitext
+ * @param {number} [limit] - Reading stops after this position
+ * @returns {{problems: Array<{message: string, line: number}>, safeLength: number}} - Problems
+ *   found up to the limit, and the longest prefix of at most `limit` characters
+ *   that leaves no construct open
+ */
+function scanWikitext(text, limit = text.length) {
+  const problems = [];
+  const report = (message, line) => problems.push({ message, line });
+
+  // Open constructs, by the line they were opened on
+  const templates = [];
+  const links = [];
+  const tables = [];
+  const tags = [];
+  let bold = false;
+  let italic = false;
+  let externalLink = false;
+  let line = 1;
+  let safeLength = 0;
+
+  const isClosed = () =>
+    !templates.length && !links.length && !tables.length && !tags.length && !bold && !italic && !externalLink;
+  // Bold, italic and external links end with the line
+  const endLine = () => {
+    if (bold) report("''' (bold) is not closed on its line", line);
+    if (italic) report("'' (italic) is not closed on its line", line);
+    if (externalLink) report("[ (external link) is not closed on its line", line);
+    bold = false;
+    italic = false;
+    externalLink = false;
+  };
+  const match = (pattern, index) => {
+    pattern.lastIndex = index;
+    return pattern.exec(text);
+  };
+  // Skips to the end of `end`, counting the lines in between
+  const skipTo = (index, end) => {
+    line += (text.substring(index, end).match(/\n/g) || []).length;
+    return end;
+  };
+
+  let i = 0;
+  let lineStart = true;
+  while (i <= limit) {
+    if (isClosed()) safeLength = i;
+    if (i === text.length) break;
+    const char = text[i];
+
+    if (lineStart) {
+      lineStart = false;
+      const table = match(TABLE_LINE, i);
+      if (table) {
+        if (table[1] === "{|") {
+          tables.push(line);
+        } else if (table[1] === "|}") {
+          if (tables.length) tables.pop();
+          else report("|} ends no table", line);
+        } else if (!tables.length && !templates.length) {
+          report(`${table[1]} is outside a table`, line);
+        }
+        i += table[0].length;
+        continue;
+      }
+    }
+
+    if (char === "\n") {
+      endLine();
+      line++;
+      i++;
+      lineStart = true;
+    } else if (text.startsWith("<!--", i)) {
+      const end = text.indexOf("-->", i + 4);
+      if (end === -1) {
+        report("<!-- (comment) is not closed", line);
+        i = text.length;
+      } else {
+        i = skipTo(i, end + 3);
+      }
+    } else if (char === "<" && match(TAG, i)) {
+      const [tag, closing, rawName, selfClosing] = match(TAG, i);
+      const name = rawName.toLowerCase();
+      i += tag.length;
+      if (EXTENSION_TAGS.includes(name) && !closing && !selfClosing) {
+        const close = new RegExp(`</${name}\\s*>`, "ig");
+        close.lastIndex = i;
+        if (!close.exec(text)) {
+          report(`<${name}> is not closed`, line);
+          i = text.length;
+        } else {
+          i = skipTo(i, close.lastIndex);
+        }
+      } else if (PAIRED_TAGS.has(name) && !selfClosing) {
+        if (!closing) {
+          tags.push({ name, line });
+        } else {
+          const open = tags.map((openTag) => openTag.name).lastIndexOf(name);
+          if (open === -1) report(`</${name}> closes no tag`, line);
+          else tags.length = open;
+        }
+      }
+    } else if (char === "&" && match(ENTITY, i)) {
+      i += match(ENTITY, i)[0].length;
+    } else if (text.startsWith("{{", i)) {
+      templates.push(line);
+      i += 2;
+    } else if (text.startsWith("}}", i)) {
+      if (templates.length) templates.pop();
+      else report("}} closes no template", line);
+      i += 2;
+    } else if (text.startsWith("[[", i)) {
+      links.push(line);
+      i += 2;
+    } else if (text.startsWith("]]", i) && !externalLink) {
+      if (links.length) links.pop();
+      else report("]] closes no link", line);
+      i += 2;
+    } else if (char === "[" && !externalLink && match(EXTERNAL_LINK_START, i)) {
+      externalLink = true;
+      i++;
+    } else if (char === "]" && externalLink) {
+      externalLink = false;
+      i++;
+    } else if (char === "'" && text[i + 1] === "'") {
+      let end = i;
+      while (text[end] === "'") end++;
+      // As in MediaWiki: 2 toggle italic, 3 bold (4 with an apostrophe
+      // before it), 5 or more both
+      const run = end - i;
+      if (run === 2 || run >= 5) italic = !italic;
+      if (run >= 3) bold = !bold;
+      i = end;
+    } else if (text.startsWith("~~~", i)) {
+      report("~~~ is replaced by a signature when the page is saved", line);
+      while (text[i] === "~") i++;
+    } else if (char === "_" && match(BEHAVIOR_SWITCH, i)) {
+      const word = match(BEHAVIOR_SWITCH, i)[0];
+      report(`${word} changes the whole file page`, line);
+      i += word.length;
+    } else {
+      i++;
+    }
+  }
+
+  if (i >= text.length) {
+    endLine();
+    templates.forEach((opened) => report("{{ (template) is not closed", opened));
+    links.forEach((opened) => report("[[ (link) is not closed", opened));
+    tables.forEach((opened) => report("{| (table) is not closed with |}", opened));
+    tags.forEach((opened) => report(`<${opened.name}> is not closed`, opened.line));
+  }
+  problems.sort((a, b) => a.line - b.line);
+  return { problems, safeLength };
+}
+
+/**
+ * Checks wikitext for constructs that would break the page: unbalanced
+ * `{{ }}` and `[[ ]]`, external links, bold and italic left open on a line,
+ * tables without `|}`, unclosed tags, signatures and behavior switches.
+ *
+ * @param {string} text - Wikitext
+ * @returns {Array<{message: string, line: number}>} - Problems by line number
+ *   (1-based), empty if none were found
+ *
+ * @example
+ * validateWikitext("{{Information\n|description=a '''b\n")
+ * // Returns: [{ message: "{{ (template) is not closed", line: 1 },
+ * //   { message: "''' (bold) is not closed on its line", line: 2 }]
+ */
+export function validateWikitext(text) {
+  return scanWikitext(text || "").problems;
+}
+
+/**
+ * Finds where wikitext can be cut without leaving a template, link, table,
+ * tag, bold or italic open.
+ *
+ * @param {string} text - Wikitext
+ * @param {number} maxLength - Longest allowed prefix
+ * @returns {number} - Length of the longest such prefix, 0 if there is none
+ */
+export function findSafeCut(text, maxLength) {
+  if (!text) return 0;
+  return scanWikitext(text, Math.min(maxLength, text.length)).safeLength;
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from "vitest";
+import { escapeWikitext, escapeLinkTarget, validateWikitext, findSafeCut } from "./wikitext.js";
+
+describe("wikitext", () => {
+  describe("escapeWikitext", () => {
+    it("escapes pipes and markup", () => {
+      expect(escapeWikitext("p | q {{x}} [[y]]")).toBe(
+        "p {{!}} q <nowiki>{{</nowiki>x<nowiki>}}</nowiki> <nowiki>[[</nowiki>y<nowiki>]]</nowiki>"
+      );
+      expect(escapeWikitext("~~~~ __NOTOC__ '''bold''' {| table")).toBe(
+        "<nowiki>~~~~</nowiki> <nowiki>__NOTOC__</nowiki> <nowiki>'''</nowiki>bold<nowiki>'''</nowiki> <nowiki>{|</nowiki> table"
+      );
+    });
+
+    it("escapes tags and character references", () => {
+      expect(escapeWikitext("<nowiki> a < b &amp; AT&T")).toBe("&lt;nowiki> a < b &amp;amp; AT&T");
+    });
+
+    it("uses character references in tables", () => {
+      expect(escapeWikitext("p || q !! r", { table: true })).toBe("p &#124;&#124; q !&#33; r");
+    });
+
+    it("escapes equals signs on request", () => {
+      expect(escapeWikitext("a = b")).toBe("a = b");
+      expect(escapeWikitext("a = b|c", { equals: true })).toBe("a {{=}} b{{!}}c");
+    });
+
+    it("escapes closing brackets in link labels", () => {
+      expect(escapeWikitext("a [1] b|c", { link: true })).toBe("a [1&#93; b{{!}}c");
+    });
+
+    it("leaves plain text alone", () => {
+      expect(escapeWikitext("O'Brien's data [1], 5 ~ 6")).toBe("O'Brien's data [1], 5 ~ 6");
+      expect(escapeWikitext("")).toBe("");
+    });
+  });
+
+  describe("escapeLinkTarget", () => {
+    it("percent-encodes characters that end links or templates", () => {
+      expect(escapeLinkTarget("https://x.org/a b]|{c}<d>\"")).toBe("https://x.org/a%20b%5D%7C%7Bc%7D%3Cd%3E%22");
+      expect(escapeLinkTarget("https://x.org/?a=1&b=2")).toBe("https://x.org/?a=1&b=2");
+    });
+  });
+
+  describe("validateWikitext", () => {
+    it("accepts balanced wikitext", () => {
+      const text = [
+        "{{Information",
+        "|description={{en|1=A '''bold''' and ''italic'' [[d:Q42|link]] to [https://example.org x] {{!}} y}}",
+        "<math>}}{{</math> <nowiki>]]</nowiki> <!-- {{ -->",
+        "}}",
+        "{| class=\"wikitable\"",
+        "|-",
+        "| <sub>2</sub>",
+        "|}",
+      ].join("\n");
+      expect(validateWikitext(text)).toEqual([]);
+    });
+
+    it("reports unbalanced braces and brackets", () => {
+      expect(validateWikitext("{{Information\n|description=[[a\n")).toEqual([
+        { message: "{{ (template) is not closed", line: 1 },
+        { message: "[[ (link) is not closed", line: 2 },
+      ]);
+      expect(validateWikitext("a}} b]]")).toEqual([
+        { message: "}} closes no template", line: 1 },
+        { message: "]] closes no link", line: 1 },
+      ]);
+      expect(validateWikitext("[https://example.org label\nnext")).toEqual([
+        { message: "[ (external link) is not closed on its line", line: 1 },
+      ]);
+    });
+
+    it("reports bold and italic left open on a line", () => {
+      expect(validateWikitext("a '''b\n''c\n'''''d'''''")).toEqual([
+        { message: "''' (bold) is not closed on its line", line: 1 },
+        { message: "'' (italic) is not closed on its line", line: 2 },
+      ]);
+    });
+
+    it("reports broken tables", () => {
+      expect(validateWikitext("{|\n|-\n| a")).toEqual([{ message: "{| (table) is not closed with |}", line: 1 }]);
+      expect(validateWikitext("|-\n| a\n|}")).toEqual([
+        { message: "|- is outside a table", line: 1 },
+        { message: "|} ends no table", line: 3 },
+      ]);
+    });
+
+    it("reports unclosed tags, signatures and behavior switches", () => {
+      expect(validateWikitext("<math>x\n<sub>2\n~~~~ __NOTOC__")).toEqual([
+        { message: "<math> is not closed", line: 1 },
+      ]);
+      expect(validateWikitext("<sub>2 </b>\n~~~~ __NOTOC__")).toEqual([
+        { message: "</b> closes no tag", line: 1 },
+        { message: "<sub> is not closed", line: 1 },
+        { message: "~~~ is replaced by a signature when the page is saved", line: 2 },
+        { message: "__NOTOC__ changes the whole file page", line: 2 },
+      ]);
+    });
+
+    it("accepts escaped text", () => {
+      expect(validateWikitext(escapeWikitext("{{ ]] '' ~~~~ __NOTOC__ <math> |} {|"))).toEqual([]);
+    });
+  });
+
+  describe("findSafeCut", () => {
+    const text = "Some '''bold''' and [[a|b]] text {{tpl|x}} end";
+
+    it("cuts outside templates, links and formatting", () => {
+      expect(findSafeCut(text, 10)).toBe(5);
+      expect(findSafeCut(text, 25)).toBe(20);
+      expect(findSafeCut(text, 40)).toBe(33);
+      expect(findSafeCut(text, 1000)).toBe(text.length);
+    });
+
+    it("keeps tags and character references whole", () => {
+      expect(findSafeCut("a &amp; <sub>b</sub>", 4)).toBe(2);
+      expect(findSafeCut("a <nowiki>{{</nowiki> b", 12)).toBe(2);
+    });
+
+    it("returns 0 when nothing can be kept", () => {
+      expect(findSafeCut("{{Unclosed", 5)).toBe(0);
+      expect(findSafeCut("", 5)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Utilities for listing many Zenodo records at once: communities,
+ * search queries and the uploads of a single creator.
+ */
+
+import { getRecordLicense } from "./licenses.js";
+
+export const ZENODO_RECORDS_API_URL = "https://zenodo.org/api/records";
+
+// Anonymous requests to the Zenodo API are limited to 25 hits per page
+export const DEFAULT_PAGE_SIZE = 25;
+
+// Sort options supported by the Zenodo records API
+export const SEARCH_SORT_OPTIONS = {
+  bestmatch: "Best match",
+  newest: "Newest",
+  oldest: "Oldest",
+  mostviewed: "Most viewed",
+  mostdownloaded: "Most downloaded",
+};
+
+const ORCID_PATTERN = /\d{4}-\d{4}-\d{4}-\d{3}[\dX]/i;
+
+/**
+ * Builds a search query matching records by a creator's ORCID.
+ *
+ * @param {string} orcid - Bare ORCID iD
+ * @returns {string} - Zenodo search query
+ */
+function creatorQuery(orcid) {
+  return `metadata.creators.person_or_org.identifiers.identifier:"${orcid.toUpperCase()}"`;
+}
+
+/**
+ * Detects whether an input refers to a list of records rather than a single one.
+ *
+ * Recognized forms:
+ * - community URLs: `https://zenodo.org/communities/<slug>` (optionally `/records?q=…`)
+ * - search URLs: `https://zenodo.org/search?q=…&communities=…`
+ * - `communities/<slug>` shorthand
+ * - ORCID iDs or ORCID URLs, listing the uploads of that creator
+ * - free-text search queries
+ *
+ * Record IDs, record URLs and DOIs return null.
+ *
+ * @param {string} input - User input
+ * @returns {{community: string, q: string, sort: string}|null} - Search parameters or null
+ */
+export function parseSearchInput(input) {
+  const value = (input || "").trim();
+  if (!value) return null;
+
+  if (/^https?:\/\//i.test(value)) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (e) {
+      return null;
+    }
+
+    const sort = url.searchParams.get("sort") || "";
+
+    if (/(^|\.)orcid\.org$/i.test(url.hostname)) {
+      const orcidMatch = url.pathname.match(ORCID_PATTERN);
+      return orcidMatch ? { community: "", q: creatorQuery(orcidMatch[0]), sort: "" } : null;
+    }
+
+    const communityMatch = url.pathname.match(/\/communities\/([^/]+)/);
+    if (communityMatch) {
+      return {
+        community: decodeURIComponent(communityMatch[1]),
+        q: url.searchParams.get("q") || "",
+        sort,
+      };
+    }
+
+    if (/\/search\/?$/.test(url.pathname)) {
+      return {
+        community: url.searchParams.get("communities") || "",
+        q: url.searchParams.get("q") || "",
+        sort,
+      };
+    }
+
+    return null;
+  }
+
+  const communityMatch = value.match(/^communities\/([\w-]+)\/?$/i);
+  if (communityMatch) {
+    return { community: communityMatch[1], q: "", sort: "" };
+  }
+
+  if (new RegExp(`^${ORCID_PATTERN.source}$`, "i").test(value)) {
+    return { community: "", q: creatorQuery(value), sort: "" };
+  }
+
+  // Anything with a path or only digits is a record ID, record URL or DOI
+  if (value.includes("/") || /^\d+$/.test(value)) return null;
+
+  return { community: "", q: value, sort: "" };
+}
+
+/**
+ * Builds the Zenodo records API URL for a search.
+ *
+ * @param {Object} params - Parameters object
+ * @param {string} [params.community] - Community slug
+ * @param {string} [params.q] - Search query
+ * @param {string} [params.sort] - Sort option (see SEARCH_SORT_OPTIONS)
+ * @param {number} [params.page] - 1-based page number
+ * @param {number} [params.size] - Records per page
+ * @param {string} [params.apiUrl] - Records API base URL
+ * @returns {string} - The API URL
+ */
+export function buildSearchUrl(params) {
+  const {
+    community = "",
+    q = "",
+    sort = "",
+    page = 1,
+    size = DEFAULT_PAGE_SIZE,
+    apiUrl = ZENODO_RECORDS_API_URL
+  } = params;
+
+  const urlParams = new URLSearchParams();
+  if (community) urlParams.set("communities", community);
+  if (q) urlParams.set("q", q);
+  if (sort) urlParams.set("sort", sort);
+  urlParams.set("page", String(page));
+  urlParams.set("size", String(size));
+
+  return `${apiUrl}?${urlParams.toString()}`;
+}
+
+/**
+ * Fetches one page of search results.
+ *
+ * @param {Object} params - Same parameters as buildSearchUrl
+ * @param {Function} [fetchFn] - fetch implementation (for testing)
+ * @returns {Promise<{total: number, hits: Array<Object>, hasNext: boolean}>}
+ */
+export async function searchRecords(params, fetchFn = (...args) => fetch(...args)) {
+  const res = await fetchFn(buildSearchUrl(params));
+  if (!res.ok) throw new Error(`Failed to search records: ${res.statusText}`);
+  const data = await res.json();
+
+  const hits = data.hits?.hits || [];
+  const total = typeof data.hits?.total === "object" ? data.hits.total.value : data.hits?.total || 0;
+  const page = params.page || 1;
+  const size = params.size || DEFAULT_PAGE_SIZE;
+
+  return {
+    total,
+    hits,
+    hasNext: Boolean(data.links?.next) || page * size < total,
+  };
+}
+
+/**
+ * Reduces a record to what the search result list shows.
+ *
+ * @param {Object} record - Zenodo record (search hit)
+ * @returns {{id: string, title: string, date: string, licenseId: string,
+ *   commonsLicense: string, licenseReason: string, fileCount: number, eligible: boolean}}
+ */
+export function summarizeRecord(record) {
+  const metadata = record.metadata || {};
+  const license = getRecordLicense(metadata);
+
+  return {
+    id: String(record.id),
+    title: metadata.title || "",
+    date: metadata.publication_date || "",
+    licenseId: license.id,
+    commonsLicense: license.template,
+    licenseReason: license.reason,
+    fileCount: Array.isArray(record.files) ? record.files.length : 0,
+    eligible: license.allowed,
+  };
+}
+
+/**
+ * Finds files on Commons whose pages link to a record.
+ *
+ * Uploads made with this tool link to the record through `|source=`, so
+ * external link usage is a reliable way to detect records already on Commons.
+ *
+ * @param {Object} apiClient - Client from createCommonsApiClient
+ * @param {string|number} recordId - Record ID
+ * @param {string} [host] - Host of the InvenioRDM instance the record is on
+ * @returns {Promise<string[]>} - Titles of Commons files linking to the record
+ */
+export async function findCommonsFilesForRecord(apiClient, recordId, host = "zenodo.org") {
+  // The link search is a prefix match, so filter out records with longer IDs
+  const exact = new RegExp(`${host.replace(/\./g, "\\.")}/records?/${recordId}(?:[/?#]|$)`);
+  const queries = ["records", "record"].map((path) =>
+    apiClient.get({
+      action: "query",
+      list: "exturlusage",
+      euprotocol: "https",
+      euquery: `${host}/${path}/${recordId}`,
+      eunamespace: "6",
+      eulimit: "50",
+    })
+  );
+
+  const results = await Promise.all(queries);
+  const titles = new Set();
+  results.forEach((data) => {
+    (data.query?.exturlusage || []).forEach((usage) => {
+      if (exact.test(usage.url)) titles.add(usage.title);
+    });
+  });
+  return Array.from(titles);
+}
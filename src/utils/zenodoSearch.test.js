@@ -0,0 +1,199 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseSearchInput,
+  buildSearchUrl,
+  searchRecords,
+  summarizeRecord,
+  findCommonsFilesForRecord
+} from "./zenodoSearch.js";
+
+describe("zenodoSearch", () => {
+  describe("parseSearchInput", () => {
+    it("recognizes community URLs", () => {
+      expect(parseSearchInput("https://zenodo.org/communities/biosyslit")).toEqual({
+        community: "biosyslit",
+        q: "",
+        sort: ""
+      });
+      expect(parseSearchInput("https://zenodo.org/communities/biosyslit/records?q=ants&sort=newest")).toEqual({
+        community: "biosyslit",
+        q: "ants",
+        sort: "newest"
+      });
+    });
+
+    it("recognizes the communities shorthand", () => {
+      expect(parseSearchInput("communities/nfdi4bioimage")).toEqual({
+        community: "nfdi4bioimage",
+        q: "",
+        sort: ""
+      });
+    });
+
+    it("recognizes search URLs", () => {
+      expect(parseSearchInput("https://zenodo.org/search?q=coral%20reef&communities=biosyslit")).toEqual({
+        community: "biosyslit",
+        q: "coral reef",
+        sort: ""
+      });
+    });
+
+    it("turns ORCID iDs into creator searches", () => {
+      const expected = {
+        community: "",
+        q: 'metadata.creators.person_or_org.identifiers.identifier:"0000-0002-1825-009X"',
+        sort: ""
+      };
+      expect(parseSearchInput("0000-0002-1825-009x")).toEqual(expected);
+      expect(parseSearchInput("https://orcid.org/0000-0002-1825-009X")).toEqual(expected);
+    });
+
+    it("treats free text as a search query", () => {
+      expect(parseSearchInput("  microscopy calendar ")).toEqual({
+        community: "",
+        q: "microscopy calendar",
+        sort: ""
+      });
+    });
+
+    it("returns null for single records", () => {
+      expect(parseSearchInput("17607828")).toBe(null);
+      expect(parseSearchInput("https://zenodo.org/records/17607828")).toBe(null);
+      expect(parseSearchInput("10.5281/zenodo.17607828")).toBe(null);
+      expect(parseSearchInput("")).toBe(null);
+      expect(parseSearchInput(null)).toBe(null);
+    });
+  });
+
+  describe("buildSearchUrl", () => {
+    it("includes community, query, sort and paging", () => {
+      const url = new URL(buildSearchUrl({ community: "biosyslit", q: "ants", sort: "newest", page: 3 }));
+      expect(`${url.origin}${url.pathname}`).toBe("https://zenodo.org/api/records");
+      expect(url.searchParams.get("communities")).toBe("biosyslit");
+      expect(url.searchParams.get("q")).toBe("ants");
+      expect(url.searchParams.get("sort")).toBe("newest");
+      expect(url.searchParams.get("page")).toBe("3");
+      expect(url.searchParams.get("size")).toBe("25");
+    });
+
+    it("omits empty parameters", () => {
+      const url = new URL(buildSearchUrl({ q: "ants" }));
+      expect(url.searchParams.has("communities")).toBe(false);
+      expect(url.searchParams.has("sort")).toBe(false);
+      expect(url.searchParams.get("page")).toBe("1");
+    });
+  });
+
+  describe("searchRecords", () => {
+    it("returns hits, total and whether more pages exist", async () => {
+      let requested;
+      const fetchFn = async (url) => {
+        requested = url;
+        return {
+          ok: true,
+          json: async () => ({
+            hits: { hits: [{ id: 1 }, { id: 2 }], total: 60 },
+            links: { next: "https://zenodo.org/api/records?page=2" }
+          })
+        };
+      };
+
+      const result = await searchRecords({ community: "biosyslit" }, fetchFn);
+
+      expect(requested).toContain("communities=biosyslit");
+      expect(result.total).toBe(60);
+      expect(result.hits).toHaveLength(2);
+      expect(result.hasNext).toBe(true);
+    });
+
+    it("detects the last page", async () => {
+      const fetchFn = async () => ({
+        ok: true,
+        json: async () => ({ hits: { hits: [{ id: 1 }], total: 26 }, links: {} })
+      });
+      const result = await searchRecords({ q: "ants", page: 2 }, fetchFn);
+      expect(result.hasNext).toBe(false);
+    });
+
+    it("throws on failed requests", async () => {
+      const fetchFn = async () => ({ ok: false, statusText: "Bad Request" });
+      await expect(searchRecords({ q: "ants" }, fetchFn)).rejects.toThrow("Failed to search records: Bad Request");
+    });
+  });
+
+  describe("summarizeRecord", () => {
+    it("summarizes eligible records", () => {
+      const summary = summarizeRecord({
+        id: 12345,
+        metadata: { title: "Figure set", publication_date: "2024-05-01", license: { id: "cc-by-4.0" } },
+        files: [{ key: "a.png" }, { key: "b.png" }]
+      });
+
+      expect(summary).toEqual({
+        id: "12345",
+        title: "Figure set",
+        date: "2024-05-01",
+        licenseId: "cc-by-4.0",
+        commonsLicense: "cc-by-4.0",
+        licenseReason: "",
+        fileCount: 2,
+        eligible: true
+      });
+    });
+
+    it("marks records with incompatible or missing licenses", () => {
+      const nc = summarizeRecord({ id: 1, metadata: { license: { id: "cc-by-nc-4.0" } } });
+      const none = summarizeRecord({ id: 2, metadata: {} });
+      expect(nc.eligible).toBe(false);
+      expect(nc.licenseReason).toContain("NonCommercial");
+      expect(nc.fileCount).toBe(0);
+      expect(none.eligible).toBe(false);
+      expect(none.licenseId).toBe("");
+    });
+  });
+
+  describe("findCommonsFilesForRecord", () => {
+    it("returns files linking to the exact record", async () => {
+      const queries = [];
+      const apiClient = {
+        get: async (params) => {
+          queries.push(params.euquery);
+          if (params.euquery === "zenodo.org/records/123") {
+            return {
+              query: {
+                exturlusage: [
+                  { ns: 6, title: "File:A.png", url: "https://zenodo.org/records/123" },
+                  { ns: 6, title: "File:B.png", url: "https://zenodo.org/records/1234" },
+                  { ns: 6, title: "File:C.png", url: "https://zenodo.org/records/123/files/c.png" }
+                ]
+              }
+            };
+          }
+          return { query: { exturlusage: [{ ns: 6, title: "File:A.png", url: "https://zenodo.org/record/123" }] } };
+        }
+      };
+
+      const titles = await findCommonsFilesForRecord(apiClient, 123);
+
+      expect(queries).toEqual(["zenodo.org/records/123", "zenodo.org/record/123"]);
+      expect(titles).toEqual(["File:A.png", "File:C.png"]);
+    });
+
+    it("searches links to records on other instances", async () => {
+      const queries = [];
+      const apiClient = {
+        get: async (params) => {
+          queries.push(params.euquery);
+          return { query: { exturlusage: [{ ns: 6, title: "File:D.png", url: "https://data.caltech.edu/records/ab1cd-ef234" }] } };
+        }
+      };
+      expect(await findCommonsFilesForRecord(apiClient, "ab1cd-ef234", "data.caltech.edu")).toEqual(["File:D.png"]);
+      expect(queries).toEqual(["data.caltech.edu/records/ab1cd-ef234", "data.caltech.edu/record/ab1cd-ef234"]);
+    });
+
+    it("returns an empty list when nothing links to the record", async () => {
+      const apiClient = { get: async () => ({ query: { exturlusage: [] } }) };
+      expect(await findCommonsFilesForRecord(apiClient, 5)).toEqual([]);
+    });
+  });
+});
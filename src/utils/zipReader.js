@@ -0,0 +1,259 @@
+/**
+ * Minimal ZIP reader for browsing archives on Zenodo without a full download.
+ *
+ * The central directory at the end of the archive lists every entry with
+ * its offset, so listing an archive and extracting one image only need a
+ * few HTTP range requests. Servers that ignore ranges send the whole file
+ * once, which is then kept in memory. Deflated entries are inflated with the
+ * built-in DecompressionStream, which browsers and Node.js both provide.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const EOCD_SIZE = 22;
+const ZIP64_LOCATOR_SIZE = 20;
+const ZIP64_EOCD_SIZE = 56;
+const CENTRAL_HEADER_SIZE = 46;
+const LOCAL_HEADER_SIZE = 30;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Archives whose server ignores range requests are only downloaded up to this size
+export const MAX_FULL_DOWNLOAD_BYTES = 500 * 1024 * 1024;
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 of data, as stored in ZIP headers.
+ *
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - Unsigned CRC-32
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Creates a reader over bytes already in memory.
+ *
+ * @param {Uint8Array} bytes - Whole archive
+ * @returns {{size: number, read: Function}} - Reader; `read(start, end)` resolves
+ *   to the bytes from `start` up to, not including, `end`
+ */
+export function createBufferReader(bytes) {
+  return { size: bytes.length, read: async (start, end) => bytes.subarray(start, end) };
+}
+
+/**
+ * Creates a reader that fetches byte ranges of a remote file.
+ *
+ * Only `bytes=start-end` ranges are sent, since other forms are not
+ * CORS-safelisted and would need a preflight request.
+ *
+ * @param {string} url - File URL
+ * @param {number} size - File size in bytes (from the record)
+ * @param {Object} [options] - Options
+ * @param {Function} [options.fetchFn] - fetch implementation
+ * @param {number} [options.maxDownloadBytes] - Largest file to download whole
+ *   when the server ignores ranges
+ * @returns {{size: number, read: Function}} - Reader like createBufferReader
+ */
+export function createHttpReader(url, size, options = {}) {
+  const {
+    fetchFn = (...args) => fetch(...args),
+    maxDownloadBytes = MAX_FULL_DOWNLOAD_BYTES
+  } = options;
+  let whole = null;
+
+  async function read(start, end) {
+    if (whole) return whole.subarray(start, end);
+
+    const res = await fetchFn(url, { headers: { Range: `bytes=${start}-${end - 1}` } });
+    if (!res.ok) throw new Error(`Failed to read archive: ${res.status} ${res.statusText}`);
+    if (res.status === 206) return new Uint8Array(await res.arrayBuffer());
+
+    // The server ignored the range and sends the whole file
+    if (size > maxDownloadBytes) {
+      res.body?.cancel();
+      throw new Error("The server does not support partial downloads and the archive is too large to open here.");
+    }
+    whole = new Uint8Array(await res.arrayBuffer());
+    return whole.subarray(start, end);
+  }
+
+  return { size, read };
+}
+
+/**
+ * Reads a little-endian 64-bit number that fits in a JavaScript number.
+ *
+ * @param {DataView} view - Data
+ * @param {number} offset - Byte offset
+ * @returns {number} - Value
+ */
+function getUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+}
+
+/**
+ * Decodes an entry name: UTF-8 when flagged or valid, otherwise Latin-1.
+ *
+ * @param {Uint8Array} bytes - Name bytes
+ * @returns {string} - Name
+ */
+function decodeName(bytes) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch (e) {
+    return new TextDecoder("latin1").decode(bytes);
+  }
+}
+
+/**
+ * Applies the ZIP64 extra field to sizes and offsets stored as 0xFFFFFFFF.
+ *
+ * @param {Object} entry - Entry with 32-bit values
+ * @param {DataView} view - Central directory
+ * @param {number} start - Offset of the extra field
+ * @param {number} length - Length of the extra field
+ */
+function applyZip64Extra(entry, view, start, length) {
+  for (let offset = start; offset + 4 <= start + length;) {
+    const id = view.getUint16(offset, true);
+    const size = view.getUint16(offset + 2, true);
+    if (id === 0x0001) {
+      let field = offset + 4;
+      ["size", "compressedSize", "localHeaderOffset"].forEach((key) => {
+        if (entry[key] === 0xffffffff && field + 8 <= offset + 4 + size) {
+          entry[key] = getUint64(view, field);
+          field += 8;
+        }
+      });
+    }
+    offset += 4 + size;
+  }
+}
+
+/**
+ * Lists the entries of a ZIP archive.
+ *
+ * @param {{size: number, read: Function}} reader - Reader from createHttpReader or createBufferReader
+ * @returns {Promise<Array<{path: string, size: number, compressedSize: number, method: number,
+ *   crc32: number, localHeaderOffset: number, directory: boolean, encrypted: boolean}>>} - Entries
+ * @throws {Error} - If the data is not a ZIP archive
+ */
+export async function readZipDirectory(reader) {
+  const tailSize = Math.min(reader.size, EOCD_SIZE + MAX_COMMENT_SIZE + ZIP64_LOCATOR_SIZE);
+  const tailStart = reader.size - tailSize;
+  const tail = await reader.read(tailStart, reader.size);
+  const tailView = new DataView(tail.buffer, tail.byteOffset, tail.byteLength);
+
+  let eocd = -1;
+  for (let offset = tail.length - EOCD_SIZE; offset >= 0; offset--) {
+    if (tailView.getUint32(offset, true) === EOCD_SIGNATURE) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("The file is not a ZIP archive.");
+
+  let count = tailView.getUint16(eocd + 10, true);
+  let directorySize = tailView.getUint32(eocd + 12, true);
+  let directoryOffset = tailView.getUint32(eocd + 16, true);
+
+  const locator = eocd - ZIP64_LOCATOR_SIZE;
+  if (locator >= 0 && tailView.getUint32(locator, true) === ZIP64_LOCATOR_SIGNATURE) {
+    const zip64Offset = getUint64(tailView, locator + 8);
+    const record = await reader.read(zip64Offset, zip64Offset + ZIP64_EOCD_SIZE);
+    const view = new DataView(record.buffer, record.byteOffset, record.byteLength);
+    if (view.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) throw new Error("The ZIP64 directory is damaged.");
+    count = getUint64(view, 32);
+    directorySize = getUint64(view, 40);
+    directoryOffset = getUint64(view, 48);
+  }
+
+  const directory = await reader.read(directoryOffset, directoryOffset + directorySize);
+  const view = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+  const entries = [];
+
+  for (let offset = 0, i = 0; i < count; i++) {
+    if (offset + CENTRAL_HEADER_SIZE > directory.length || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error("The ZIP directory is damaged.");
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const path = decodeName(directory.subarray(offset + CENTRAL_HEADER_SIZE, offset + CENTRAL_HEADER_SIZE + nameLength));
+
+    const entry = {
+      path,
+      size: view.getUint32(offset + 24, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      method: view.getUint16(offset + 10, true),
+      crc32: view.getUint32(offset + 16, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+      directory: path.endsWith("/"),
+      encrypted: Boolean(flags & 1),
+    };
+    applyZip64Extra(entry, view, offset + CENTRAL_HEADER_SIZE + nameLength, extraLength);
+    entries.push(entry);
+
+    offset += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Inflates raw DEFLATE data.
+ *
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Promise<Uint8Array>} - Uncompressed data
+ */
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Extracts one entry of a ZIP archive.
+ *
+ * @param {{size: number, read: Function}} reader - Reader the entry was listed with
+ * @param {Object} entry - Entry from readZipDirectory
+ * @returns {Promise<Uint8Array>} - Entry content
+ * @throws {Error} - For encrypted entries, unsupported compression or a CRC mismatch
+ */
+export async function extractZipEntry(reader, entry) {
+  if (entry.encrypted) throw new Error(`${entry.path} is encrypted.`);
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+    throw new Error(`${entry.path} uses an unsupported compression method (${entry.method}).`);
+  }
+
+  const header = await reader.read(entry.localHeaderOffset, entry.localHeaderOffset + LOCAL_HEADER_SIZE);
+  const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+  if (view.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) throw new Error(`${entry.path} is damaged.`);
+
+  const start = entry.localHeaderOffset + LOCAL_HEADER_SIZE + view.getUint16(26, true) + view.getUint16(28, true);
+  const compressed = await reader.read(start, start + entry.compressedSize);
+  const bytes = entry.method === METHOD_STORED ? compressed : await inflateRaw(compressed);
+
+  if (crc32(bytes) !== entry.crc32) throw new Error(`${entry.path} is damaged (checksum mismatch).`);
+  return bytes;
+}
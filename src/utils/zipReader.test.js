@@ -0,0 +1,177 @@
+import { describe, it, expect } from "vitest";
+import {
+  crc32,
+  createBufferReader,
+  createHttpReader,
+  readZipDirectory,
+  extractZipEntry
+} from "./zipReader.js";
+
+const encoder = new TextEncoder();
+
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Builds a ZIP archive from {path, content, deflate} entries
+async function buildZip(files, { comment = "" } = {}) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.path);
+    const content = typeof file.content === "string" ? encoder.encode(file.content) : file.content;
+    const data = file.deflate ? await deflateRaw(content) : content;
+    const crc = file.crc ?? crc32(content);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(8, file.deflate ? 8 : 0, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, content.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(8, (file.encrypted ? 1 : 0) | 0x800, true);
+    header.setUint16(10, file.deflate ? 8 : 0, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, data.length, true);
+    header.setUint32(24, content.length, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, offset, true);
+    central.push(new Uint8Array(header.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const directorySize = central.reduce((sum, part) => sum + part.length, 0);
+  const commentBytes = encoder.encode(comment);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  end.setUint16(20, commentBytes.length, true);
+
+  const all = [...parts, ...central, new Uint8Array(end.buffer), commentBytes];
+  const result = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+  all.reduce((position, part) => {
+    result.set(part, position);
+    return position + part.length;
+  }, 0);
+  return result;
+}
+
+// fetch stand-in serving a file with or without range support
+function createServer(bytes, { ranges = true } = {}) {
+  const requests = [];
+  const fetchFn = async (url, init = {}) => {
+    const range = init.headers?.Range;
+    requests.push(range);
+    const match = ranges && range && range.match(/^bytes=(\d+)-(\d+)$/);
+    const body = match ? bytes.slice(Number(match[1]), Number(match[2]) + 1) : bytes;
+    return {
+      ok: true,
+      status: match ? 206 : 200,
+      statusText: "OK",
+      body: { cancel: () => {} },
+      arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength)
+    };
+  };
+  return { fetchFn, requests };
+}
+
+describe("zipReader", () => {
+  describe("crc32", () => {
+    it("computes the standard CRC-32", () => {
+      expect(crc32(encoder.encode("123456789"))).toBe(0xcbf43926);
+      expect(crc32(new Uint8Array())).toBe(0);
+    });
+  });
+
+  describe("readZipDirectory", () => {
+    it("lists entries", async () => {
+      const zip = await buildZip(
+        [
+          { path: "figures/", content: "" },
+          { path: "figures/fig1.png", content: "png data", deflate: true },
+          { path: "Grüße.txt", content: "hello" }
+        ],
+        { comment: "made for a test" }
+      );
+      const entries = await readZipDirectory(createBufferReader(zip));
+      expect(entries.map((entry) => [entry.path, entry.size, entry.directory])).toEqual([
+        ["figures/", 0, true],
+        ["figures/fig1.png", 8, false],
+        ["Grüße.txt", 5, false]
+      ]);
+      expect(entries[1].method).toBe(8);
+    });
+
+    it("rejects other files", async () => {
+      await expect(readZipDirectory(createBufferReader(encoder.encode("not a zip file at all"))))
+        .rejects.toThrow("not a ZIP archive");
+    });
+  });
+
+  describe("extractZipEntry", () => {
+    it("extracts stored and deflated entries", async () => {
+      const text = "Figure 1 ".repeat(100);
+      const zip = await buildZip([
+        { path: "a.txt", content: "stored" },
+        { path: "b.txt", content: text, deflate: true }
+      ]);
+      const reader = createBufferReader(zip);
+      const [stored, deflated] = await readZipDirectory(reader);
+      expect(new TextDecoder().decode(await extractZipEntry(reader, stored))).toBe("stored");
+      expect(new TextDecoder().decode(await extractZipEntry(reader, deflated))).toBe(text);
+    });
+
+    it("detects damaged and encrypted entries", async () => {
+      const zip = await buildZip([
+        { path: "bad.png", content: "data", crc: 1 },
+        { path: "secret.png", content: "data", encrypted: true }
+      ]);
+      const reader = createBufferReader(zip);
+      const [bad, secret] = await readZipDirectory(reader);
+      await expect(extractZipEntry(reader, bad)).rejects.toThrow("checksum mismatch");
+      await expect(extractZipEntry(reader, secret)).rejects.toThrow("secret.png is encrypted.");
+    });
+  });
+
+  describe("createHttpReader", () => {
+    it("reads only the needed byte ranges", async () => {
+      const zip = await buildZip([{ path: "a.png", content: "x".repeat(1000) }]);
+      const { fetchFn, requests } = createServer(zip);
+      const reader = createHttpReader("https://example.org/a.zip", zip.length, { fetchFn });
+
+      const [entry] = await readZipDirectory(reader);
+      expect((await extractZipEntry(reader, entry)).length).toBe(1000);
+      expect(requests.every((range) => /^bytes=\d+-\d+$/.test(range))).toBe(true);
+      expect(requests).toHaveLength(4);
+    });
+
+    it("keeps the whole file when the server ignores ranges", async () => {
+      const zip = await buildZip([{ path: "a.png", content: "png" }]);
+      const { fetchFn, requests } = createServer(zip, { ranges: false });
+      const reader = createHttpReader("https://example.org/a.zip", zip.length, { fetchFn });
+
+      const [entry] = await readZipDirectory(reader);
+      await extractZipEntry(reader, entry);
+      expect(requests).toHaveLength(1);
+    });
+
+    it("refuses to download large files whole", async () => {
+      const zip = await buildZip([{ path: "a.png", content: "png" }]);
+      const { fetchFn } = createServer(zip, { ranges: false });
+      const reader = createHttpReader("https://example.org/a.zip", zip.length, { fetchFn, maxDownloadBytes: 10 });
+      await expect(readZipDirectory(reader)).rejects.toThrow("does not support partial downloads");
+    });
+  });
+});